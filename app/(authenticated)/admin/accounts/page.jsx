@@ -3,12 +3,53 @@
 'use client';
 
 import { useState } from 'react';
-import { FiPlus, FiEdit, FiTrash2, FiX, FiRefreshCw } from 'react-icons/fi';
+import { FiPlus, FiEdit, FiTrash2, FiX, FiRefreshCw, FiShield, FiUnlock, FiCopy } from 'react-icons/fi';
 import DeleteConfirm from '@/components/DeleteConfirm';
 import Confirm from '@/components/Confirm';
+import GroupsManager from '@/components/GroupsManager';
 import { useUsers, useCreateUser, useUpdateUser, useDeleteUser } from '@/lib/api/users';
 import { useCheckUpdates, useRunUpdate } from '@/lib/api/system';
 import { useNotifications } from '@/contexts/NotificationsContext';
+import { CAPABILITIES, ROLES, hasCapability } from '@/lib/roles';
+
+const GB = 1024 * 1024 * 1024;
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Locked after too many failed sign-ins, until lockedUntil or an admin unlocks the account
+function isLocked(user) {
+  return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+}
+
+// The form edits the quota in GB, the API takes bytes (null = unlimited)
+function toUserPayload({ quotaGb, ...data }) {
+  return { ...data, quotaBytes: quotaGb === '' ? null : Math.round(Number(quotaGb) * GB) };
+}
+
+function StorageUsage({ user }) {
+  if (user.quotaBytes === null) {
+    return <span className="text-gray-300 text-sm">{formatFileSize(user.usedBytes)} / Unlimited</span>;
+  }
+
+  const percent = user.quotaBytes > 0 ? Math.min((user.usedBytes / user.quotaBytes) * 100, 100) : 100;
+  return (
+    <div className="min-w-[120px]">
+      <div className="text-gray-300 text-sm">
+        {formatFileSize(user.usedBytes)} / {formatFileSize(user.quotaBytes)}
+      </div>
+      <div className="mt-1 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+        <div className={`h-full ${percent >= 90 ? 'bg-red-500' : 'bg-blue-500'}`} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
 
 export default function AccountsPage() {
   const [showForm, setShowForm] = useState(false);
@@ -21,8 +62,13 @@ export default function AccountsPage() {
     name: '',
     role: 'user',
     hasRootAccess: false,
+    quotaGb: '',
   });
   const [showConfirmUpdate, setShowConfirmUpdate] = useState(false);
+  const [showConfirmResetTwoFactor, setShowConfirmResetTwoFactor] = useState(false);
+  const [showConfirmRevokeSessions, setShowConfirmRevokeSessions] = useState(false);
+  // Reset link just created for the account being edited; the token is not stored in plain text, so it is shown once
+  const [resetLink, setResetLink] = useState(null);
 
   const { addNotification } = useNotifications();
 
@@ -61,9 +107,9 @@ export default function AccountsPage() {
   const handleCreateUser = async (e) => {
     e.preventDefault();
     try {
-      await createUserMutation.mutateAsync(formData);
+      await createUserMutation.mutateAsync(toUserPayload(formData));
       setShowForm(false);
-      setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false });
+      setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false, quotaGb: '' });
       addNotification('success', 'User created successfully');
     } catch (error) {
       console.error('Error creating user:', error);
@@ -74,10 +120,10 @@ export default function AccountsPage() {
   const handleUpdateUser = async (e) => {
     e.preventDefault();
     try {
-      await updateUserMutation.mutateAsync({ ...formData, id: editingUser.id });
+      await updateUserMutation.mutateAsync({ ...toUserPayload(formData), id: editingUser.id });
       setShowForm(false);
       setEditingUser(null);
-      setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false });
+      setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false, quotaGb: '' });
       addNotification('success', 'User updated successfully');
     } catch (error) {
       console.error('Error updating user:', error);
@@ -85,6 +131,60 @@ export default function AccountsPage() {
     }
   };
 
+  const handleResetTwoFactor = async () => {
+    try {
+      const result = await updateUserMutation.mutateAsync({ id: editingUser.id, resetTwoFactor: true });
+      setEditingUser(result.user);
+      addNotification('success', `Two-factor authentication reset for ${editingUser.username}`);
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to reset two-factor authentication');
+    } finally {
+      setShowConfirmResetTwoFactor(false);
+    }
+  };
+
+  const handleRevokeSessions = async () => {
+    try {
+      await updateUserMutation.mutateAsync({ id: editingUser.id, revokeSessions: true });
+      addNotification('success', `${editingUser.username} signed out everywhere`);
+    } catch (error) {
+      console.error('Error signing out user:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to sign out user');
+    } finally {
+      setShowConfirmRevokeSessions(false);
+    }
+  };
+
+  const handleCreateResetLink = async () => {
+    try {
+      const result = await updateUserMutation.mutateAsync({ id: editingUser.id, createResetLink: true });
+      setResetLink({ url: `${window.location.origin}/auth/reset-password/${result.resetLink.token}`, expires: result.resetLink.expires });
+    } catch (error) {
+      console.error('Error creating reset link:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to create reset link');
+    }
+  };
+
+  const copyResetLink = async () => {
+    try {
+      await navigator.clipboard.writeText(resetLink.url);
+      addNotification('success', 'Reset link copied to clipboard');
+    } catch {
+      addNotification('error', 'Failed to copy reset link');
+    }
+  };
+
+  const handleUnlockUser = async (user) => {
+    try {
+      await updateUserMutation.mutateAsync({ id: user.id, unlock: true });
+      addNotification('success', `${user.username} unlocked`);
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to unlock user');
+    }
+  };
+
   const handleDeleteUser = async (userId) => {
     try {
       await deleteUserMutation.mutateAsync(userId);
@@ -98,6 +198,9 @@ export default function AccountsPage() {
 
   const openEditForm = (user) => {
     setEditingUser(user);
+    setShowConfirmResetTwoFactor(false);
+    setShowConfirmRevokeSessions(false);
+    setResetLink(null);
     setFormData({
       email: user.email,
       username: user.username,
@@ -105,20 +208,22 @@ export default function AccountsPage() {
       name: user.name || '',
       role: user.role,
       hasRootAccess: user.hasRootAccess || false,
+      quotaGb: user.quotaBytes === null ? '' : String(parseFloat((user.quotaBytes / GB).toFixed(2))),
     });
     setShowForm(true);
   };
 
   const openCreateForm = () => {
     setEditingUser(null);
-    setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false });
+    setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false, quotaGb: '' });
     setShowForm(true);
   };
 
   const closeForm = () => {
     setShowForm(false);
     setEditingUser(null);
-    setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false });
+    setResetLink(null);
+    setFormData({ email: '', username: '', password: '', name: '', role: 'user', hasRootAccess: false, quotaGb: '' });
   };
 
   if (loadingUsers) {
@@ -149,17 +254,29 @@ export default function AccountsPage() {
                     <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Email</th>
                     <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Role</th>
                     <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Root</th>
+                    <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Storage</th>
                     <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Actions</th>
                   </tr>
                 </thead>
                 <tbody className="bg-gray-800 divide-y divide-gray-700">
                   {users.map((user) => (
                     <tr key={user.id} className="hover:bg-gray-700">
-                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap font-medium text-white">{user.username}</td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap font-medium text-white">
+                        <span className="flex items-center gap-2">
+                          {user.username}
+                          {user.totpEnabled && <FiShield className="text-green-400" size={14} title="Two-factor authentication on" />}
+                          {isLocked(user) && <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-900 text-red-200">Locked</span>}
+                          {user.authProvider !== 'local' && (
+                            <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-900 text-indigo-200" title="Signs in through single sign-on">
+                              {user.authProvider.toUpperCase()}
+                            </span>
+                          )}
+                        </span>
+                      </td>
                       <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-gray-300 text-sm">{user.email}</td>
                       <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 text-xs font-semibold rounded-full ${user.role === 'admin' ? 'bg-purple-900 text-purple-200' : 'bg-gray-700 text-gray-300'}`}>
-                          {user.role}
+                        <span className={`px-2 py-1 text-xs font-semibold rounded-full ${hasCapability(user.role, CAPABILITIES.MANAGE) ? 'bg-purple-900 text-purple-200' : 'bg-gray-700 text-gray-300'}`}>
+                          {ROLES[user.role]?.label || user.role}
                         </span>
                       </td>
                       <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
@@ -167,12 +284,20 @@ export default function AccountsPage() {
                           {user.hasRootAccess ? 'Yes' : 'No'}
                         </span>
                       </td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
+                        <StorageUsage user={user} />
+                      </td>
                       <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center gap-3">
                           <button onClick={() => openEditForm(user)} className="text-blue-400 hover:text-blue-300" title="Edit">
                             <FiEdit size={18} />
                           </button>
-                          {user.role !== 'admin' && (
+                          {isLocked(user) && (
+                            <button onClick={() => handleUnlockUser(user)} disabled={updateUserMutation.isPending} className="text-amber-400 hover:text-amber-300" title="Unlock">
+                              <FiUnlock size={18} />
+                            </button>
+                          )}
+                          {!hasCapability(user.role, CAPABILITIES.MANAGE) && (
                             <button onClick={() => setDeletingUser(user)} className="text-red-400 hover:text-red-300" title="Delete">
                               <FiTrash2 size={18} />
                             </button>
@@ -191,14 +316,33 @@ export default function AccountsPage() {
                 <div key={user.id} className="p-4 hover:bg-gray-700">
                   <div className="flex items-start justify-between mb-2">
                     <div className="flex-1 min-w-0">
-                      <div className="font-medium text-white truncate">{user.username}</div>
+                      <div className="flex items-center gap-2 font-medium text-white">
+                        <span className="truncate">{user.username}</span>
+                        {user.totpEnabled && <FiShield className="text-green-400 flex-shrink-0" size={14} title="Two-factor authentication on" />}
+                        {isLocked(user) && <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-900 text-red-200 flex-shrink-0">Locked</span>}
+                        {user.authProvider !== 'local' && (
+                          <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-900 text-indigo-200 flex-shrink-0" title="Signs in through single sign-on">
+                            {user.authProvider.toUpperCase()}
+                          </span>
+                        )}
+                      </div>
                       <div className="text-sm text-gray-300 truncate">{user.email}</div>
                     </div>
                     <div className="flex items-center gap-2 ml-2 flex-shrink-0">
                       <button onClick={() => openEditForm(user)} className="p-2 text-blue-400 hover:text-blue-300 hover:bg-blue-900/20 rounded" title="Edit">
                         <FiEdit size={18} />
                       </button>
-                      {user.role !== 'admin' && (
+                      {isLocked(user) && (
+                        <button
+                          onClick={() => handleUnlockUser(user)}
+                          disabled={updateUserMutation.isPending}
+                          className="p-2 text-amber-400 hover:text-amber-300 hover:bg-amber-900/20 rounded"
+                          title="Unlock"
+                        >
+                          <FiUnlock size={18} />
+                        </button>
+                      )}
+                      {!hasCapability(user.role, CAPABILITIES.MANAGE) && (
                         <button onClick={() => setDeletingUser(user)} className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded" title="Delete">
                           <FiTrash2 size={18} />
                         </button>
@@ -206,17 +350,22 @@ export default function AccountsPage() {
                     </div>
                   </div>
                   <div className="flex gap-2 mt-2">
-                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${user.role === 'admin' ? 'bg-purple-900 text-purple-200' : 'bg-gray-700 text-gray-300'}`}>
-                      {user.role}
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${hasCapability(user.role, CAPABILITIES.MANAGE) ? 'bg-purple-900 text-purple-200' : 'bg-gray-700 text-gray-300'}`}>
+                      {ROLES[user.role]?.label || user.role}
                     </span>
                     <span className={`px-2 py-1 text-xs font-semibold rounded-full ${user.hasRootAccess ? 'bg-green-900 text-green-200' : 'bg-red-900 text-red-200'}`}>
                       {user.hasRootAccess ? 'Root Access' : 'No Root Access'}
                     </span>
                   </div>
+                  <div className="mt-2">
+                    <StorageUsage user={user} />
+                  </div>
                 </div>
               ))}
             </div>
           </div>
+
+          <GroupsManager users={users} />
         </div>
 
         {/* User Form */}
@@ -267,16 +416,48 @@ export default function AccountsPage() {
                     className="w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
                   />
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-300 mb-1">Password {editingUser && <span className="text-xs">(leave blank to keep current)</span>}</label>
-                  <input
-                    type="password"
-                    value={formData.password}
-                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                    className="w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
-                    required={!editingUser}
-                  />
-                </div>
+                {/* Single sign-on accounts have no password of their own */}
+                {(!editingUser || editingUser.authProvider === 'local') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Password {editingUser && <span className="text-xs">(leave blank to keep current)</span>}</label>
+                    <input
+                      type="password"
+                      value={formData.password}
+                      onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                      className="w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+                      required={!editingUser}
+                    />
+                    {editingUser && (
+                      <div className="mt-2">
+                        {resetLink ? (
+                          <>
+                            <div className="flex items-center gap-2">
+                              <code className="flex-1 min-w-0 truncate px-3 py-2 bg-gray-900 rounded font-mono text-xs text-gray-200">{resetLink.url}</code>
+                              <button type="button" onClick={copyResetLink} className="p-2 text-gray-300 hover:bg-gray-700 rounded-lg transition-colors" title="Copy">
+                                <FiCopy size={16} />
+                              </button>
+                            </div>
+                            <p className="mt-1 text-xs text-gray-400">
+                              Send this link to {editingUser.username}. It works once, until {new Date(resetLink.expires).toLocaleString()}, and is not shown again.
+                            </p>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              type="button"
+                              onClick={handleCreateResetLink}
+                              disabled={updateUserMutation.isPending}
+                              className="w-full px-4 py-2 text-sm border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+                            >
+                              Create Password Reset Link
+                            </button>
+                            <p className="mt-1 text-xs text-gray-400">Lets a user who forgot their password choose a new one, without you knowing it</p>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-1">Role</label>
                   <select
@@ -284,9 +465,13 @@ export default function AccountsPage() {
                     onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                     className="w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white"
                   >
-                    <option value="user">User</option>
-                    <option value="admin">Admin</option>
+                    {Object.entries(ROLES).map(([role, { label }]) => (
+                      <option key={role} value={role}>
+                        {label}
+                      </option>
+                    ))}
                   </select>
+                  {ROLES[formData.role] && <p className="mt-1 text-xs text-gray-400">{ROLES[formData.role].description}</p>}
                 </div>
                 <div>
                   <label className="flex items-start gap-2 text-sm font-medium text-gray-300">
@@ -300,6 +485,63 @@ export default function AccountsPage() {
                   </label>
                   <p className="mt-1 text-xs text-gray-400 ml-6">If unchecked, user can only access their personal folder</p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Storage Quota (GB)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={formData.quotaGb}
+                    onChange={(e) => setFormData({ ...formData, quotaGb: e.target.value })}
+                    placeholder="Unlimited"
+                    className="w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+                  />
+                  <p className="mt-1 text-xs text-gray-400">Limits the personal folder, leave blank for no limit</p>
+                </div>
+                {editingUser?.totpEnabled && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Two-Factor Authentication</label>
+                    {showConfirmResetTwoFactor ? (
+                      <Confirm
+                        message="Turn off two-factor authentication for this user?"
+                        onCancel={() => setShowConfirmResetTwoFactor(false)}
+                        onConfirm={handleResetTwoFactor}
+                        isLoading={updateUserMutation.isPending}
+                      />
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setShowConfirmResetTwoFactor(true)}
+                        className="w-full px-4 py-2 text-sm border border-red-700 text-red-300 rounded-lg hover:bg-red-900/20"
+                      >
+                        Reset Two-Factor Authentication
+                      </button>
+                    )}
+                    <p className="mt-1 text-xs text-gray-400">For users who lost their authenticator; they sign in with their password and set it up again</p>
+                  </div>
+                )}
+                {editingUser && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Sessions</label>
+                    {showConfirmRevokeSessions ? (
+                      <Confirm
+                        message="Sign this user out of every browser?"
+                        onCancel={() => setShowConfirmRevokeSessions(false)}
+                        onConfirm={handleRevokeSessions}
+                        isLoading={updateUserMutation.isPending}
+                      />
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setShowConfirmRevokeSessions(true)}
+                        className="w-full px-4 py-2 text-sm border border-red-700 text-red-300 rounded-lg hover:bg-red-900/20"
+                      >
+                        Sign Out Everywhere
+                      </button>
+                    )}
+                    <p className="mt-1 text-xs text-gray-400">For lost devices or stolen passwords; API tokens are revoked separately</p>
+                  </div>
+                )}
                 <div className="flex gap-2 pt-2 sm:pt-4">
                   <button type="button" onClick={closeForm} className="flex-1 px-4 py-2 text-sm border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700">
                     Cancel
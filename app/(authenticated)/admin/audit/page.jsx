@@ -0,0 +1,193 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiDownload, FiFilter, FiX, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import { useAuditLog, getAuditExportUrl } from '@/lib/api/system';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { user: '', action: '', path: '', from: '', to: '' };
+
+const inputClass = 'px-2 py-1 bg-gray-700 text-gray-300 border border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+// Categories first (file, share, ...), then every single action
+function getActionOptions(actions) {
+  const categories = [...new Set(actions.map((action) => action.split('.')[0]))];
+  return [...categories.map((category) => ({ value: category, label: `All ${category}` })), ...actions.map((action) => ({ value: action, label: action }))];
+}
+
+function formatDetails(details) {
+  if (!details) return '';
+  return Object.entries(details)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+}
+
+export default function AuditLogPage() {
+  // Edited in the form, applied on submit so typing does not refetch
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const { data, isLoading, isFetching } = useAuditLog({ ...filters, limit: PAGE_SIZE }, offset);
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const actionOptions = getActionOptions(data?.actions || []);
+
+  const update = (key) => (e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+    setOffset(0);
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  return (
+    <>
+      <div className="flex items-center justify-between gap-4 mb-4 sm:mb-6 lg:mb-8">
+        <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-white">Audit Log</h1>
+        <a href={getAuditExportUrl(filters)} className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700" download>
+          <FiDownload />
+          Export CSV
+        </a>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="mb-4 flex flex-wrap items-end gap-3 bg-gray-800 p-3 sm:p-4 rounded-lg shadow text-sm text-gray-400">
+        <label className="flex flex-col gap-1">
+          User
+          <input type="text" value={draft.user} onChange={update('user')} placeholder="Username" className={`${inputClass} w-36`} />
+        </label>
+        <label className="flex flex-col gap-1">
+          Action
+          <select value={draft.action} onChange={update('action')} className={inputClass}>
+            <option value="">Any action</option>
+            {actionOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          Path
+          <input type="text" value={draft.path} onChange={update('path')} placeholder="Part of a path" className={`${inputClass} w-48`} />
+        </label>
+        <label className="flex flex-col gap-1">
+          Date
+          <div className="flex items-center gap-1">
+            <input type="date" value={draft.from} onChange={update('from')} className={inputClass} title="From" />
+            <span>-</span>
+            <input type="date" value={draft.to} onChange={update('to')} className={inputClass} title="To" />
+          </div>
+        </label>
+        <button type="submit" className="flex items-center gap-1 px-3 py-1 bg-gray-700 text-gray-200 hover:bg-gray-600 rounded-lg">
+          <FiFilter size={14} />
+          Filter
+        </button>
+        <button type="button" onClick={clearFilters} className="flex items-center gap-1 px-3 py-1 text-gray-300 hover:bg-gray-700 rounded-lg">
+          <FiX size={14} />
+          Clear
+        </button>
+      </form>
+
+      <div className="bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="px-6 py-8 text-center text-gray-400">No audit entries match these filters</div>
+        ) : (
+          <div className={`overflow-x-auto ${isFetching ? 'opacity-60' : ''}`}>
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-700/50 text-left text-gray-400">
+                <tr>
+                  <th className="px-4 py-3 font-medium">Time</th>
+                  <th className="px-4 py-3 font-medium">User</th>
+                  <th className="px-4 py-3 font-medium">Action</th>
+                  <th className="px-4 py-3 font-medium">Path</th>
+                  <th className="px-4 py-3 font-medium">Result</th>
+                  <th className="px-4 py-3 font-medium">IP</th>
+                  <th className="px-4 py-3 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700 text-gray-300">
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400">{formatDate(entry.createdAt)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{entry.actor}</td>
+                    <td className="px-4 py-2 whitespace-nowrap font-mono text-xs">{entry.action}</td>
+                    <td className="px-4 py-2 max-w-xs truncate" title={entry.path || ''}>
+                      {entry.path || '—'}
+                    </td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 text-xs rounded-full ${entry.success ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'}`}>
+                        {entry.success ? 'Success' : 'Failed'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400" title={entry.userAgent || ''}>
+                      {entry.ip || '—'}
+                    </td>
+                    <td className="px-4 py-2 max-w-sm truncate text-xs text-gray-400" title={formatDetails(entry.details)}>
+                      {formatDetails(entry.details)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {total > 0 && (
+          <div className="flex items-center justify-between px-4 py-3 border-t border-gray-700 text-sm text-gray-400">
+            <span>
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                disabled={offset === 0}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Newer"
+              >
+                <FiChevronLeft />
+              </button>
+              <button
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                title="Older"
+              >
+                <FiChevronRight />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -5,21 +5,37 @@
 import { useSession } from 'next-auth/react';
 import { useRouter, usePathname } from 'next/navigation';
 import { useEffect } from 'react';
-import { FiUsers, FiCheckSquare, FiFileText, FiArrowLeft } from 'react-icons/fi';
+import { FiUsers, FiCheckSquare, FiFileText, FiArrowLeft, FiSettings, FiShield, FiKey, FiMonitor } from 'react-icons/fi';
 import Link from 'next/link';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
+
+// Each page is shown to the roles with its capability (auditors only see the logs and the audit trail)
+const NAV_ITEMS = [
+  { href: '/admin/accounts', icon: FiUsers, label: 'Accounts', capability: CAPABILITIES.MANAGE },
+  { href: '/admin/requirements', icon: FiCheckSquare, label: 'System Requirements', capability: CAPABILITIES.MANAGE },
+  { href: '/admin/logs', icon: FiFileText, label: 'Logs', capability: CAPABILITIES.VIEW_LOGS },
+  { href: '/admin/audit', icon: FiShield, label: 'Audit Log', capability: CAPABILITIES.VIEW_LOGS },
+  { href: '/admin/tokens', icon: FiKey, label: 'API Tokens', capability: CAPABILITIES.MANAGE },
+  { href: '/admin/sessions', icon: FiMonitor, label: 'Sessions', capability: CAPABILITIES.MANAGE },
+  { href: '/admin/settings', icon: FiSettings, label: 'Settings', capability: CAPABILITIES.MANAGE },
+];
 
 export default function AdminLayout({ children }) {
   const { data: session, status } = useSession();
   const router = useRouter();
   const pathname = usePathname();
 
+  const navItems = NAV_ITEMS.filter((item) => hasCapability(session?.user?.role, item.capability));
+  const isAllowedPage = navItems.some((item) => pathname.startsWith(item.href));
+  const firstPage = navItems[0]?.href;
+
   useEffect(() => {
     if (status === 'unauthenticated') {
       router.push('/auth/login');
-    } else if (status === 'authenticated' && session?.user?.role !== 'admin') {
-      router.push('/files');
+    } else if (status === 'authenticated' && !isAllowedPage) {
+      router.push(firstPage || '/files');
     }
-  }, [status, session, router]);
+  }, [status, isAllowedPage, firstPage, router]);
 
   if (status === 'loading') {
     return (
@@ -29,16 +45,10 @@ export default function AdminLayout({ children }) {
     );
   }
 
-  if (session?.user?.role !== 'admin') {
+  if (!isAllowedPage) {
     return null;
   }
 
-  const navItems = [
-    { href: '/admin/accounts', icon: FiUsers, label: 'Accounts' },
-    { href: '/admin/requirements', icon: FiCheckSquare, label: 'System Requirements' },
-    { href: '/admin/logs', icon: FiFileText, label: 'Logs' },
-  ];
-
   return (
     <div className="bg-gray-900 flex flex-grow flex-col lg:flex-row">
       {/* Desktop Sidebar - hidden on mobile */}
@@ -0,0 +1,102 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiXCircle } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useAllSessions, useRevokeSession } from '@/lib/api/sessions';
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function AdminSessionsPage() {
+  const { addNotification } = useNotifications();
+  const [revokingId, setRevokingId] = useState(null);
+  const { data, isLoading } = useAllSessions();
+  const revokeMutation = useRevokeSession();
+
+  const sessions = data?.sessions || [];
+
+  const revokeSession = (item) => {
+    revokeMutation.mutate(item.id, {
+      onSuccess: () => {
+        setRevokingId(null);
+        addNotification('success', `Signed out ${item.user.username} on ${item.device}`);
+      },
+      onError: () => {
+        setRevokingId(null);
+        addNotification('error', 'Failed to end session', 'Session Error');
+      },
+    });
+  };
+
+  return (
+    <>
+      <div className="mb-4 sm:mb-6 lg:mb-8">
+        <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-white">Sessions</h1>
+        <p className="mt-1 text-sm text-gray-400">Browsers signed in to any account. To sign a user out everywhere, use Accounts.</p>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <div className="px-6 py-8 text-center text-gray-400">Nobody is signed in</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-700/50 text-left text-gray-400">
+                <tr>
+                  <th className="px-4 py-3 font-medium">User</th>
+                  <th className="px-4 py-3 font-medium">Device</th>
+                  <th className="px-4 py-3 font-medium">IP address</th>
+                  <th className="px-4 py-3 font-medium">Last active</th>
+                  <th className="px-4 py-3 font-medium">Signed in</th>
+                  <th className="px-4 py-3 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700 text-gray-300">
+                {sessions.map((item) => (
+                  <tr key={item.id} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-2 whitespace-nowrap" title={item.user.email}>
+                      {item.user.username}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap" title={item.userAgent || ''}>
+                      {item.device}
+                      {item.current && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-900/30 text-green-400">You</span>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap font-mono text-gray-400">{item.ip || '—'}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400">{formatDate(item.lastActive)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400">{formatDate(item.createdAt)}</td>
+                    <td className="px-4 py-2">
+                      {item.current ? null : revokingId === item.id ? (
+                        <Confirm message="Sign out this session?" onCancel={() => setRevokingId(null)} onConfirm={() => revokeSession(item)} isLoading={revokeMutation.isPending} />
+                      ) : (
+                        <button onClick={() => setRevokingId(item.id)} className="p-2 text-red-400 hover:bg-red-900/20 rounded-lg transition-colors" title="Sign out">
+                          <FiXCircle size={18} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
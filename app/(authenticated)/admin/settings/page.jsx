@@ -0,0 +1,207 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiTrash2, FiSave, FiClock, FiShield } from 'react-icons/fi';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useSystemSettings, useUpdateSystemSettings, useSignInOptions } from '@/lib/api/system';
+
+const TWO_FACTOR_REQUIREMENTS = {
+  off: 'Optional for everyone',
+  admins: 'Required for admins',
+  everyone: 'Required for everyone',
+};
+
+export default function SettingsPage() {
+  const { addNotification } = useNotifications();
+  const { data: settings, isLoading } = useSystemSettings();
+  const updateMutation = useUpdateSystemSettings();
+  const { data: signInOptions } = useSignInOptions();
+  const ssoProviders = signInOptions?.providers ?? [];
+
+  // Unsaved edits layered over the saved settings
+  const [draft, setDraft] = useState({});
+  const values = { ...settings, ...draft };
+  const isDirty = Object.keys(draft).length > 0;
+
+  const updateField = (key, value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    updateMutation.mutate(draft, {
+      onSuccess: () => {
+        setDraft({});
+        addNotification('success', 'Settings saved');
+      },
+      onError: (error) => {
+        addNotification('error', error.response?.data?.error || 'Failed to save settings', 'Settings Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-white mb-4 sm:mb-6 lg:mb-8">Settings</h1>
+      <form onSubmit={handleSave} className="space-y-4 sm:space-y-6 max-w-2xl">
+        {/* Trash */}
+        <div className="bg-gray-800 rounded-lg shadow p-4 sm:p-6">
+          <h2 className="flex items-center gap-2 text-base sm:text-lg font-semibold text-white mb-4">
+            <FiTrash2 size={18} />
+            Trash
+          </h2>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Retention period (days)</label>
+          <input
+            type="number"
+            min={0}
+            max={3650}
+            value={values.trashRetentionDays ?? ''}
+            onChange={(e) => updateField('trashRetentionDays', e.target.value === '' ? '' : Number(e.target.value))}
+            className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+          />
+          <p className="mt-1 text-xs text-gray-400">Deleted items are purged automatically after this many days. Set to 0 to keep them until the user empties their trash.</p>
+        </div>
+
+        {/* Versions */}
+        <div className="bg-gray-800 rounded-lg shadow p-4 sm:p-6">
+          <h2 className="flex items-center gap-2 text-base sm:text-lg font-semibold text-white mb-4">
+            <FiClock size={18} />
+            File Versions
+          </h2>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Versions kept per file</label>
+              <input
+                type="number"
+                min={0}
+                max={1000}
+                value={values.versionRetentionCount ?? ''}
+                onChange={(e) => updateField('versionRetentionCount', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+              />
+              <p className="mt-1 text-xs text-gray-400">When a file is overwritten, its previous content is kept as a version. Set to 0 to turn versioning off.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Retention period (days)</label>
+              <input
+                type="number"
+                min={0}
+                max={3650}
+                value={values.versionRetentionDays ?? ''}
+                onChange={(e) => updateField('versionRetentionDays', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+              />
+              <p className="mt-1 text-xs text-gray-400">Older versions are deleted automatically. Set to 0 to keep them until the per-file limit is reached.</p>
+            </div>
+            <p className="text-xs text-gray-400">These are the defaults; folders can override them from their right-click menu (Version Settings).</p>
+          </div>
+        </div>
+
+        {/* Security */}
+        <div className="bg-gray-800 rounded-lg shadow p-4 sm:p-6">
+          <h2 className="flex items-center gap-2 text-base sm:text-lg font-semibold text-white mb-4">
+            <FiShield size={18} />
+            Security
+          </h2>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Two-factor authentication</label>
+              <select
+                value={values.twoFactorRequirement ?? 'off'}
+                onChange={(e) => updateField('twoFactorRequirement', e.target.value)}
+                className="w-full sm:w-60 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white"
+              >
+                {Object.entries(TWO_FACTOR_REQUIREMENTS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-400">
+                Accounts that must use it and have not set it up yet are asked to do so on their next sign-in. Users manage it from the user menu (Two-Factor Auth).
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Lock accounts after failed sign-ins</label>
+              <input
+                type="number"
+                min={0}
+                max={1000}
+                value={values.lockoutThreshold ?? ''}
+                onChange={(e) => updateField('lockoutThreshold', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+              />
+              <p className="mt-1 text-xs text-gray-400">
+                Wrong passwords or codes in a row before an account is locked. Set to 0 to never lock; repeated failures are slowed down either way.
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Lockout duration (minutes)</label>
+              <input
+                type="number"
+                min={1}
+                max={10080}
+                value={values.lockoutMinutes ?? ''}
+                onChange={(e) => updateField('lockoutMinutes', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+              />
+              <p className="mt-1 text-xs text-gray-400">Admins can unlock an account earlier under Accounts.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Minimum password length</label>
+              <input
+                type="number"
+                min={6}
+                max={72}
+                value={values.passwordMinLength ?? ''}
+                onChange={(e) => updateField('passwordMinLength', e.target.value === '' ? '' : Number(e.target.value))}
+                className="w-full sm:w-40 px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400"
+              />
+              <p className="mt-1 text-xs text-gray-400">
+                Applies when a password is set or changed, along with a check against common leaked passwords. Existing passwords keep working.
+              </p>
+            </div>
+            <div>
+              <label className="flex items-start gap-2 text-sm font-medium text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={values.localPasswords ?? true}
+                  onChange={(e) => updateField('localPasswords', e.target.checked)}
+                  disabled={ssoProviders.length === 0 && values.localPasswords !== false}
+                  className="w-4 h-4 mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0 disabled:opacity-50"
+                />
+                <span>Allow password sign-in</span>
+              </label>
+              <p className="mt-1 text-xs text-gray-400 ml-6">
+                {ssoProviders.length > 0
+                  ? `When off, everyone signs in through ${ssoProviders.map((provider) => provider.name).join(' or ')}; WebDAV clients need an API token.`
+                  : 'Single sign-on (OpenID Connect or LDAP) has to be configured on the server before passwords can be turned off.'}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!isDirty || updateMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            <FiSave size={16} />
+            {updateMutation.isPending ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+    </>
+  );
+}
@@ -0,0 +1,111 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiXCircle } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useAllApiTokens, useRevokeApiToken } from '@/lib/api/tokens';
+
+const SCOPE_LABELS = { read: 'Read-only', write: 'Read-write' };
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function AdminTokensPage() {
+  const { addNotification } = useNotifications();
+  const [revokingId, setRevokingId] = useState(null);
+  const { data, isLoading } = useAllApiTokens();
+  const revokeMutation = useRevokeApiToken();
+
+  const tokens = data?.tokens || [];
+
+  const revokeToken = (token) => {
+    revokeMutation.mutate(token.id, {
+      onSuccess: () => {
+        setRevokingId(null);
+        addNotification('success', `${token.name} of ${token.user.username} revoked`);
+      },
+      onError: () => {
+        setRevokingId(null);
+        addNotification('error', 'Failed to revoke token', 'Token Error');
+      },
+    });
+  };
+
+  return (
+    <>
+      <div className="mb-4 sm:mb-6 lg:mb-8">
+        <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-white">API Tokens</h1>
+        <p className="mt-1 text-sm text-gray-400">Personal access tokens of every account. Users create their own from the user menu.</p>
+      </div>
+
+      <div className="bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : tokens.length === 0 ? (
+          <div className="px-6 py-8 text-center text-gray-400">No API tokens have been created</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-700/50 text-left text-gray-400">
+                <tr>
+                  <th className="px-4 py-3 font-medium">User</th>
+                  <th className="px-4 py-3 font-medium">Name</th>
+                  <th className="px-4 py-3 font-medium">Access</th>
+                  <th className="px-4 py-3 font-medium">Folder</th>
+                  <th className="px-4 py-3 font-medium">Last used</th>
+                  <th className="px-4 py-3 font-medium">Created</th>
+                  <th className="px-4 py-3 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700 text-gray-300">
+                {tokens.map((token) => (
+                  <tr key={token.id} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-2 whitespace-nowrap" title={token.user.email}>
+                      {token.user.username}
+                    </td>
+                    <td className="px-4 py-2">
+                      <div>{token.name}</div>
+                      <div className="text-xs text-gray-500 font-mono">{token.prefix}…</div>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{SCOPE_LABELS[token.scope] || token.scope}</td>
+                    <td className="px-4 py-2 max-w-xs truncate" title={token.folder || ''}>
+                      {token.folder || '—'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400">
+                      {token.lastUsedAt ? formatDate(token.lastUsedAt) : 'Never'}
+                      {token.lastUsedIp && <div className="text-xs text-gray-500">{token.lastUsedIp}</div>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-400">{formatDate(token.createdAt)}</td>
+                    <td className="px-4 py-2">
+                      {revokingId === token.id ? (
+                        <Confirm message="Revoke this token?" onCancel={() => setRevokingId(null)} onConfirm={() => revokeToken(token)} isLoading={revokeMutation.isPending} />
+                      ) : (
+                        <button onClick={() => setRevokingId(token.id)} className="p-2 text-red-400 hover:bg-red-900/20 rounded-lg transition-colors" title="Revoke">
+                          <FiXCircle size={18} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
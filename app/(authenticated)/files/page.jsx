@@ -5,18 +5,30 @@
 import { useSession, signOut } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
 import { Suspense, lazy } from 'react';
-import { FiUpload, FiFolder, FiPlus, FiHome, FiChevronRight, FiGrid, FiList, FiArrowLeft, FiArrowRight, FiRefreshCw, FiSearch } from 'react-icons/fi';
+import { FiUpload, FiFolder, FiPlus, FiHome, FiChevronRight, FiGrid, FiList, FiArrowLeft, FiArrowRight, FiRefreshCw, FiSearch, FiCheckSquare, FiFilter, FiX, FiActivity } from 'react-icons/fi';
 import UploadStatus from '@/components/files/UploadStatus';
+import UploadConflictDialog from '@/components/files/UploadConflictDialog';
 import ContextMenu from '@/components/files/ContextMenu';
+import BulkActionBar from '@/components/files/BulkActionBar';
+import SearchFilters from '@/components/files/SearchFilters';
 import { useFilesPage } from '@/hooks/useFilesPage';
 import { useFileHandlers } from '@/hooks/useFileHandlers';
-import { useNavigation, useMediaViewer, useDragAndDrop, useContextMenu, useFileUtils } from '@/hooks/useFileOperations';
+import { useNavigation, useMediaViewer, useDragAndDrop, useContextMenu, useFileUtils, useFileSelection } from '@/hooks/useFileOperations';
+import { isImage, isVideo, isAudio, isPdf, isXlsx, is3dFile } from '@/lib/clientFileUtils';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
 
 // Lazy load heavy components
 const MediaViewer = lazy(() => import('@/components/files/MediaViewer'));
 const GridView = lazy(() => import('@/components/files/GridView'));
 const ListView = lazy(() => import('@/components/files/ListView'));
 const ShareModal = lazy(() => import('@/components/files/ShareModal'));
+const MoveModal = lazy(() => import('@/components/files/MoveModal'));
+const BulkShareModal = lazy(() => import('@/components/files/BulkShareModal'));
+const VersionsModal = lazy(() => import('@/components/files/VersionsModal'));
+const VersionSettingsModal = lazy(() => import('@/components/files/VersionSettingsModal'));
+const ShareWithUserModal = lazy(() => import('@/components/files/ShareWithUserModal'));
+const DetailsModal = lazy(() => import('@/components/files/DetailsModal'));
+const ActivitySidebar = lazy(() => import('@/components/files/ActivitySidebar'));
 
 function FilesPageContent() {
   const { data: session, status } = useSession();
@@ -25,6 +37,13 @@ function FilesPageContent() {
   // Get all state and helpers from custom hook
   const state = useFilesPage(status, session);
 
+  // Actions the account's role does not allow are hidden; the API refuses them regardless
+  const role = session?.user?.role;
+  const canUpload = hasCapability(role, CAPABILITIES.UPLOAD);
+  const canModify = hasCapability(role, CAPABILITIES.MODIFY);
+  const canDelete = hasCapability(role, CAPABILITIES.DELETE);
+  const canShare = hasCapability(role, CAPABILITIES.SHARE);
+
   // Navigation hooks
   const navigation = useNavigation({
     currentPath: state.currentPath,
@@ -59,6 +78,12 @@ function FilesPageContent() {
     folderDisplayNames: state.folderDisplayNames,
   });
 
+  // Multi-select (search results come from many folders, so they are not selectable)
+  const selection = useFileSelection({
+    files: state.isSearching ? [] : state.files,
+    currentPath: state.currentPath,
+  });
+
   // File operation handlers
   const handlers = useFileHandlers({
     currentPath: state.currentPath,
@@ -68,13 +93,26 @@ function FilesPageContent() {
     addNotification: state.addNotification,
     setUploads: state.setUploads,
     setUploading: state.setUploading,
+    setUploadConflict: state.setUploadConflict,
     setDeletingFile: state.setDeletingFile,
     setProcessingFile: state.setProcessingFile,
     setRenamingFile: state.setRenamingFile,
     setNewFileName: state.setNewFileName,
     setSharingFile: state.setSharingFile,
+    setMovingFile: state.setMovingFile,
+    clearSelection: selection.clearSelection,
   });
 
+  // Open a search result where it lives: folders are entered, files shown in their folder (and viewer when possible)
+  const openSearchResult = (item) => {
+    const folderPath = item.isDirectory ? (item.parentPath ? `${item.parentPath}/${item.name}` : item.name) : item.parentPath;
+    state.clearSearch();
+    navigation.navigateToPath(folderPath);
+    if (!item.isDirectory && (isImage(item.name) || isVideo(item.name) || isAudio(item.name) || is3dFile(item.name) || isPdf(item.name) || isXlsx(item.name))) {
+      state.setViewerFile(item);
+    }
+  };
+
   if (status === 'loading') {
     return (
       <div className="flex-1 flex items-center justify-center bg-gray-900">
@@ -91,9 +129,9 @@ function FilesPageContent() {
       {/* Main Content */}
       <main
         className="flex-1 overflow-y-auto w-full px-1 sm:px-1 lg:px-4 py-1 sm:py-1 pb-16 sm:pb-1 flex flex-col relative"
-        onDragOver={dragDrop.handleDragOver}
-        onDragLeave={dragDrop.handleDragLeave}
-        onDrop={(e) => dragDrop.handleDropEvent(e, handlers.handleDrop)}
+        onDragOver={canUpload ? dragDrop.handleDragOver : undefined}
+        onDragLeave={canUpload ? dragDrop.handleDragLeave : undefined}
+        onDrop={canUpload ? (e) => dragDrop.handleDropEvent(e, handlers.handleDrop) : undefined}
       >
         {/* Drag and Drop Overlay */}
         {state.isDragging && (
@@ -101,7 +139,7 @@ function FilesPageContent() {
             <div className="bg-gray-800 rounded-lg p-8 shadow-2xl">
               <div className="text-center">
                 <FiUpload className="mx-auto text-indigo-400 mb-4" size={64} />
-                <p className="text-2xl font-semibold text-white mb-2">Drop files here</p>
+                <p className="text-2xl font-semibold text-white mb-2">Drop files or folders here</p>
                 <p className="text-gray-400">Release to upload to current folder</p>
               </div>
             </div>
@@ -112,22 +150,33 @@ function FilesPageContent() {
         <div className="sm:mt-2 flex flex-col sm:flex-row sm:justify-between gap-2 sm:gap-4 bg-gray-800 p-2 sm:p-4 rounded-lg shadow">
           {/* Left Group: Upload, New Folder, Search */}
           <div className="flex gap-0 flex-wrap bg-gray-700 rounded-lg border border-gray-600 overflow-hidden">
-            {/* Upload Button */}
-            <label className="flex items-center gap-2 px-3 sm:px-4 py-1 sm:py-2 text-gray-300 hover:bg-gray-600 cursor-pointer text-xs sm:text-base transition-colors border-r border-gray-600 last:border-r-0">
-              <FiUpload size={16} />
-              <span className="hidden sm:inline">{state.uploading ? 'Uploading...' : 'Upload'}</span>
-              <input type="file" className="hidden" onChange={handlers.handleUpload} disabled={state.uploading} />
-            </label>
-
-            {/* New Folder Button */}
-            <button
-              onClick={handlers.initiateCreateFolder}
-              className="flex items-center gap-2 px-3 sm:px-4 py-1 sm:py-2 text-gray-300 hover:bg-gray-600 text-xs sm:text-base transition-colors border-r border-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
-              disabled={state.creatingFolder}
-            >
-              <FiPlus size={16} />
-              <span className="hidden sm:inline">New Folder</span>
-            </button>
+            {canUpload && (
+              <>
+                {/* Upload Button */}
+                <label className="flex items-center gap-2 px-3 sm:px-4 py-1 sm:py-2 text-gray-300 hover:bg-gray-600 cursor-pointer text-xs sm:text-base transition-colors border-r border-gray-600 last:border-r-0">
+                  <FiUpload size={16} />
+                  <span className="hidden sm:inline">{state.uploading ? 'Uploading...' : 'Upload'}</span>
+                  <input type="file" className="hidden" onChange={handlers.handleUpload} disabled={state.uploading} />
+                </label>
+
+                {/* Upload Folder Button */}
+                <label className="flex items-center gap-2 px-3 sm:px-4 py-1 sm:py-2 text-gray-300 hover:bg-gray-600 cursor-pointer text-xs sm:text-base transition-colors border-r border-gray-600 last:border-r-0">
+                  <FiFolder size={16} />
+                  <span className="hidden sm:inline">Upload Folder</span>
+                  <input type="file" webkitdirectory="" className="hidden" onChange={handlers.handleUploadFolder} disabled={state.uploading} />
+                </label>
+
+                {/* New Folder Button */}
+                <button
+                  onClick={handlers.initiateCreateFolder}
+                  className="flex items-center gap-2 px-3 sm:px-4 py-1 sm:py-2 text-gray-300 hover:bg-gray-600 text-xs sm:text-base transition-colors border-r border-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={state.creatingFolder}
+                >
+                  <FiPlus size={16} />
+                  <span className="hidden sm:inline">New Folder</span>
+                </button>
+              </>
+            )}
             <button
               onClick={navigation.goBack}
               disabled={!navigation.canGoBack}
@@ -146,12 +195,20 @@ function FilesPageContent() {
             </button>
 
             <button
-              onClick={() => state.queryClient.invalidateQueries({ queryKey: ['files', state.currentPath] })}
+              onClick={() => state.queryClient.invalidateQueries({ queryKey: state.isSearching ? ['files', 'search'] : ['files', state.currentPath] })}
               className="p-2 text-gray-400 hover:bg-gray-700 rounded-lg"
               title="Refresh"
             >
               <FiRefreshCw size={20} />
             </button>
+            <button
+              onClick={selection.selectAll}
+              disabled={state.files.length === 0}
+              className="p-2 text-gray-400 hover:bg-gray-700 rounded-lg disabled:text-gray-600 disabled:cursor-not-allowed"
+              title="Select All (Ctrl+A)"
+            >
+              <FiCheckSquare size={20} />
+            </button>
             {/* Search Input - hidden on mobile */}
             <div className="relative hidden sm:flex flex-1 sm:flex-none min-w-0 sm:min-w-48 items-center px-3">
               <FiSearch className="absolute text-gray-400 flex-shrink-0" size={16} />
@@ -159,13 +216,20 @@ function FilesPageContent() {
                 type="text"
                 value={state.searchQuery}
                 onChange={(e) => state.setSearchQuery(e.target.value)}
-                placeholder="Search..."
+                placeholder="Search all files..."
                 className="w-full pl-6 pr-2 py-1 sm:py-2 bg-transparent text-white text-xs sm:text-base placeholder-gray-400 focus:outline-none"
               />
             </div>
+            <button
+              onClick={() => state.setShowSearchFilters(!state.showSearchFilters)}
+              className={`p-2 rounded-lg ${state.showSearchFilters ? 'text-indigo-400' : 'text-gray-400'} hover:bg-gray-700`}
+              title="Search Filters"
+            >
+              <FiFilter size={20} />
+            </button>
           </div>
 
-          {/* Right Group: Sort, Back, Refresh, View Toggle */}
+          {/* Right Group: Sort, Activity, View Toggle */}
           <div className="flex gap-1 sm:gap-2 flex-wrap items-center ml-auto">
             {/* Sort Dropdown */}
             <select
@@ -181,6 +245,14 @@ function FilesPageContent() {
               <option value="size-asc">Size (Small)</option>
             </select>
 
+            <button
+              onClick={() => state.setShowActivity(!state.showActivity)}
+              className={`p-2 rounded-lg ${state.showActivity ? 'text-indigo-400' : 'text-gray-400'} hover:bg-gray-700`}
+              title="Recent activity"
+            >
+              <FiActivity size={20} />
+            </button>
+
             {/* View Toggle */}
             <div className="flex gap-1 bg-gray-700 rounded-lg p-1">
               <button
@@ -201,30 +273,46 @@ function FilesPageContent() {
           </div>
         </div>
 
-        {/* Breadcrumb Navigation */}
-        <div className="mb-1 mt-1 sm:mb-2 flex items-center gap-2 sm:gap-3  text-gray-400">
-          <button onClick={() => navigation.navigateToBreadcrumb(0)} className="flex items-center gap-1.5 hover:text-indigo-400 whitespace-nowrap">
-            <FiHome size={16} />
-            <span className="hidden sm:inline">Home</span>
-          </button>
-          {state.currentPath &&
-            state.currentPath.split('/').map((folder, index, arr) => {
-              const displayName = folder.startsWith('user_') ? fileUtils.getFolderDisplayName(folder) : folder;
-              return (
-                <div key={index} className="flex items-center gap-1.5 sm:gap-2">
-                  <FiChevronRight size={14} className="text-gray-600 flex-shrink-0" />
-                  <button
-                    onClick={() => navigation.navigateToBreadcrumb(index + 1)}
-                    className={`hover:text-indigo-400 truncate ${index === arr.length - 1 ? 'font-medium text-white' : ''}`}
-                  >
-                    {displayName}
-                  </button>
-                </div>
-              );
-            })}
-        </div>
+        {/* Search filters */}
+        {state.showSearchFilters && <SearchFilters filters={state.searchFilters} onChange={state.setSearchFilters} onClear={state.resetSearchFilters} />}
+
+        {/* Breadcrumb Navigation (replaced by a results header while searching) */}
+        {state.isSearching ? (
+          <div className="mb-1 mt-1 sm:mb-2 flex items-center gap-2 sm:gap-3 text-gray-400">
+            <FiSearch size={16} />
+            <span className="truncate">
+              {state.isLoading ? 'Searching...' : `${state.files.length}${state.searchHasMore ? '+' : ''} results across all folders`}
+            </span>
+            <button onClick={state.clearSearch} className="flex items-center gap-1 ml-auto hover:text-indigo-400 whitespace-nowrap">
+              <FiX size={14} />
+              Clear search
+            </button>
+          </div>
+        ) : (
+          <div className="mb-1 mt-1 sm:mb-2 flex items-center gap-2 sm:gap-3  text-gray-400">
+            <button onClick={() => navigation.navigateToBreadcrumb(0)} className="flex items-center gap-1.5 hover:text-indigo-400 whitespace-nowrap">
+              <FiHome size={16} />
+              <span className="hidden sm:inline">Home</span>
+            </button>
+            {state.currentPath &&
+              state.currentPath.split('/').map((folder, index, arr) => {
+                const displayName = folder.startsWith('user_') ? fileUtils.getFolderDisplayName(folder) : folder;
+                return (
+                  <div key={index} className="flex items-center gap-1.5 sm:gap-2">
+                    <FiChevronRight size={14} className="text-gray-600 flex-shrink-0" />
+                    <button
+                      onClick={() => navigation.navigateToBreadcrumb(index + 1)}
+                      className={`hover:text-indigo-400 truncate ${index === arr.length - 1 ? 'font-medium text-white' : ''}`}
+                    >
+                      {displayName}
+                    </button>
+                  </div>
+                );
+              })}
+          </div>
+        )}
         {/* File Grid */}
-        <div className="bg-gray-800 rounded-lg shadow overflow-y-auto flex-grow-1 flex flex-col">
+        <div className="bg-gray-800 rounded-lg shadow overflow-y-auto flex-grow-1 flex flex-col" onMouseDown={selection.handleSelectionMouseDown}>
           {state.viewMode === 'list' ? (
             /* List View with Virtual Scrolling */
             <div className="overflow-hidden flex-grow flex flex-col">
@@ -236,7 +324,7 @@ function FilesPageContent() {
                   </div>
                 </div>
               ) : state.files.length === 0 && !state.creatingFolder ? (
-                <div className="flex items-center justify-center flex-grow text-gray-400">No files yet. Upload your first file!</div>
+                <div className="flex items-center justify-center flex-grow text-gray-400">{state.isSearching ? 'No files match your search' : 'No files yet. Upload your first file!'}</div>
               ) : (
                 <div className="flex flex-col flex-grow overflow-hidden">
                   <div className="flex-shrink-0 bg-gray-700 border-b border-gray-700">
@@ -244,7 +332,7 @@ function FilesPageContent() {
                       <div className="text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</div>
                       <div className="text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Size</div>
                       <div className="text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Modified</div>
-                      <div className="text-right text-xs font-medium text-gray-300 uppercase tracking-wider">Actions</div>
+                      <div className="text-right text-xs font-medium text-gray-300 uppercase tracking-wider">{state.isSearching ? 'Folder' : 'Actions'}</div>
                     </div>
                   </div>
                   <Suspense
@@ -266,21 +354,26 @@ function FilesPageContent() {
                       newFileName={state.newFileName}
                       setNewFileName={state.setNewFileName}
                       cancelDelete={handlers.cancelDelete}
-                      confirmDelete={handlers.confirmDelete}
+                      confirmDelete={() => handlers.confirmDelete(state.deletingFile)}
                       cancelRename={handlers.cancelRename}
                       confirmRename={handlers.confirmRename}
                       processingFile={state.processingFile}
-                      handleContextMenu={contextMenu.handleContextMenu}
+                      handleContextMenu={state.isSearching ? undefined : contextMenu.handleContextMenu}
                       getFileIcon={fileUtils.getFileIcon}
                       navigateToFolder={navigation.navigateToFolder}
                       formatFileSize={fileUtils.formatFileSize}
                       openMediaViewer={mediaViewer.openMediaViewer}
-                      initiateRename={handlers.initiateRename}
+                      initiateRename={canModify ? handlers.initiateRename : undefined}
                       handleDownload={fileUtils.handleDownload}
-                      initiateDelete={handlers.initiateDelete}
-                      initiateShare={handlers.initiateShare}
+                      initiateDelete={canDelete ? handlers.initiateDelete : undefined}
+                      initiateShare={canShare ? handlers.initiateShare : undefined}
                       sharedPaths={state.sharedPaths}
                       currentPath={state.currentPath}
+                      onMoveToFolder={state.isSearching || !canModify ? undefined : handlers.moveToFolder}
+                      selectedIds={selection.selectedIds}
+                      onItemClick={selection.handleItemClick}
+                      onToggleSelect={state.isSearching ? undefined : selection.handleToggleClick}
+                      onOpenSearchResult={state.isSearching ? openSearchResult : undefined}
                     />
                   </Suspense>
                 </div>
@@ -297,7 +390,7 @@ function FilesPageContent() {
                   </div>
                 </div>
               ) : state.files.length === 0 && !state.creatingFolder ? (
-                <div className="text-center py-12 text-gray-400">No files yet. Upload your first file!</div>
+                <div className="text-center py-12 text-gray-400">{state.isSearching ? 'No files match your search' : 'No files yet. Upload your first file!'}</div>
               ) : (
                 <Suspense
                   fallback={
@@ -323,15 +416,20 @@ function FilesPageContent() {
                     currentPath={state.currentPath}
                     onNavigateToFolder={navigation.navigateToFolder}
                     onOpenMediaViewer={mediaViewer.openMediaViewer}
-                    onInitiateRename={handlers.initiateRename}
+                    onInitiateRename={canModify ? handlers.initiateRename : undefined}
                     onHandleDownload={fileUtils.handleDownload}
-                    onInitiateDelete={handlers.initiateDelete}
-                    onConfirmDelete={handlers.confirmDelete}
+                    onInitiateDelete={canDelete ? handlers.initiateDelete : undefined}
+                    onConfirmDelete={() => handlers.confirmDelete(state.deletingFile)}
                     onCancelDelete={handlers.cancelDelete}
                     formatFileSize={fileUtils.formatFileSize}
-                    onContextMenu={contextMenu.handleContextMenu}
-                    onInitiateShare={handlers.initiateShare}
+                    onContextMenu={state.isSearching ? undefined : contextMenu.handleContextMenu}
+                    onInitiateShare={canShare ? handlers.initiateShare : undefined}
                     sharedPaths={state.sharedPaths}
+                    onMoveToFolder={state.isSearching || !canModify ? undefined : handlers.moveToFolder}
+                    selectedIds={selection.selectedIds}
+                    onItemClick={selection.handleItemClick}
+                    onToggleSelect={state.isSearching ? undefined : selection.handleToggleClick}
+                    onOpenSearchResult={state.isSearching ? openSearchResult : undefined}
                   />
                 </Suspense>
               )}
@@ -340,6 +438,33 @@ function FilesPageContent() {
         </div>
       </main>
 
+      {/* Rubber-band selection box */}
+      {selection.selectionBox && (
+        <div
+          className="fixed z-40 border border-indigo-400 bg-indigo-500/20 pointer-events-none"
+          style={{
+            left: selection.selectionBox.left,
+            top: selection.selectionBox.top,
+            width: selection.selectionBox.right - selection.selectionBox.left,
+            height: selection.selectionBox.bottom - selection.selectionBox.top,
+          }}
+        />
+      )}
+
+      {/* Bulk actions for the selection */}
+      <BulkActionBar
+        count={selection.selectedFiles.length}
+        totalCount={state.files.length}
+        isPending={handlers.isBatchPending}
+        onSelectAll={selection.selectAll}
+        onClear={selection.clearSelection}
+        onDownload={() => fileUtils.handleDownloadSelection(selection.selectedFiles)}
+        onMove={canModify ? () => handlers.initiateBulkMove(selection.selectedFiles, false) : undefined}
+        onCopy={canModify ? () => handlers.initiateBulkMove(selection.selectedFiles, true) : undefined}
+        onShare={canShare ? () => state.setSharingSelection(selection.selectedFiles) : undefined}
+        onDelete={canDelete ? () => handlers.bulkDelete(selection.selectedFiles) : undefined}
+      />
+
       {/* Context Menu */}
       <ContextMenu
         contextMenu={state.contextMenu}
@@ -348,9 +473,13 @@ function FilesPageContent() {
           navigation.navigateToFolder(state.selectedContextFile.name);
           contextMenu.closeContextMenu();
         }}
-        onRename={() => {
-          handlers.initiateRename(state.selectedContextFile);
-        }}
+        onRename={
+          canModify
+            ? () => {
+                handlers.initiateRename(state.selectedContextFile);
+              }
+            : undefined
+        }
         onDownload={() => {
           fileUtils.handleDownload(state.selectedContextFile.id, state.selectedContextFile.name);
           contextMenu.closeContextMenu();
@@ -359,14 +488,62 @@ function FilesPageContent() {
           mediaViewer.openMediaViewer(state.selectedContextFile);
           contextMenu.closeContextMenu();
         }}
-        onDelete={() => {
-          handlers.initiateDelete(state.selectedContextFile);
+        onDelete={
+          canDelete
+            ? () => {
+                handlers.initiateDelete(state.selectedContextFile);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
+        onShare={
+          canShare
+            ? () => {
+                handlers.initiateShare(state.selectedContextFile);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
+        onMove={
+          canModify
+            ? () => {
+                handlers.initiateMove(state.selectedContextFile, false);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
+        onCopy={
+          canModify
+            ? () => {
+                handlers.initiateMove(state.selectedContextFile, true);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
+        onVersions={() => {
+          state.setVersionsFile(state.selectedContextFile);
           contextMenu.closeContextMenu();
         }}
-        onShare={() => {
-          handlers.initiateShare(state.selectedContextFile);
+        onDetails={() => {
+          state.setDetailsFile(state.selectedContextFile);
           contextMenu.closeContextMenu();
         }}
+        onVersionSettings={
+          canModify
+            ? () => {
+                state.setVersionSettingsFolder(state.selectedContextFile);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
+        onShareWithUser={
+          canShare
+            ? () => {
+                state.setSharingWithUserFile(state.selectedContextFile);
+                contextMenu.closeContextMenu();
+              }
+            : undefined
+        }
         onClose={contextMenu.closeContextMenu}
       />
 
@@ -389,7 +566,7 @@ function FilesPageContent() {
             type="text"
             value={state.searchQuery}
             onChange={(e) => state.setSearchQuery(e.target.value)}
-            placeholder="Search files..."
+            placeholder="Search all files..."
             className="w-full bg-transparent text-white text-sm placeholder-gray-400 focus:outline-none"
           />
         </div>
@@ -398,6 +575,18 @@ function FilesPageContent() {
       {/* Upload Status */}
       <UploadStatus uploads={state.uploads} />
 
+      {/* Upload name conflicts */}
+      {state.uploadConflict && (
+        <UploadConflictDialog
+          key={state.uploadConflict.fileName}
+          fileName={state.uploadConflict.fileName}
+          isFolder={state.uploadConflict.isFolder}
+          remaining={state.uploadConflict.remaining}
+          onResolve={(policy, applyToAll) => state.uploadConflict.resolve({ policy, applyToAll })}
+          onCancel={() => state.uploadConflict.resolve(null)}
+        />
+      )}
+
       {/* Share Modal */}
       {state.sharingFile && (
         <Suspense fallback={null}>
@@ -408,6 +597,68 @@ function FilesPageContent() {
           />
         </Suspense>
       )}
+
+      {/* Bulk Share Modal */}
+      {state.sharingSelection && (
+        <Suspense fallback={null}>
+          <BulkShareModal
+            files={state.sharingSelection}
+            currentPath={state.currentPath}
+            onShared={selection.clearSelection}
+            onClose={() => state.setSharingSelection(null)}
+          />
+        </Suspense>
+      )}
+
+      {/* Versions Modal */}
+      {state.versionsFile && (
+        <Suspense fallback={null}>
+          <VersionsModal file={state.versionsFile} currentPath={state.currentPath} onClose={() => state.setVersionsFile(null)} />
+        </Suspense>
+      )}
+
+      {/* Details Modal */}
+      {state.detailsFile && (
+        <Suspense fallback={null}>
+          <DetailsModal file={state.detailsFile} currentPath={state.currentPath} onClose={() => state.setDetailsFile(null)} />
+        </Suspense>
+      )}
+
+      {/* Recent Activity Sidebar */}
+      {state.showActivity && (
+        <Suspense fallback={null}>
+          <ActivitySidebar currentPath={state.currentPath} onClose={() => state.setShowActivity(false)} />
+        </Suspense>
+      )}
+
+      {/* Version Settings Modal */}
+      {state.versionSettingsFolder && (
+        <Suspense fallback={null}>
+          <VersionSettingsModal folder={state.versionSettingsFolder} currentPath={state.currentPath} onClose={() => state.setVersionSettingsFolder(null)} />
+        </Suspense>
+      )}
+
+      {/* Share With User Modal */}
+      {state.sharingWithUserFile && (
+        <Suspense fallback={null}>
+          <ShareWithUserModal file={state.sharingWithUserFile} currentPath={state.currentPath} onClose={() => state.setSharingWithUserFile(null)} />
+        </Suspense>
+      )}
+
+      {/* Move / Copy Modal */}
+      {state.movingFile && (
+        <Suspense fallback={null}>
+          <MoveModal
+            files={state.movingFile.files}
+            copy={state.movingFile.copy}
+            currentPath={state.currentPath}
+            folderDisplayNames={state.folderDisplayNames}
+            isPending={handlers.isMoving}
+            onConfirm={(destination) => handlers.confirmMove(state.movingFile, destination)}
+            onClose={handlers.cancelMove}
+          />
+        </Suspense>
+      )}
     </div>
   );
 }
@@ -33,7 +33,7 @@ function AuthenticatedLayoutContent({ children }) {
           <div className="flex justify-between items-center gap-2 sm:gap-4">
             <h1 className="text-lg sm:text-2xl font-bold text-white truncate">Truecloud</h1>
             <div className="flex items-center gap-2 sm:gap-4 flex-shrink-0">
-              <UserMenu email={session?.user?.email} isAdmin={session?.user?.role === 'admin'} />
+              <UserMenu email={session?.user?.email} role={session?.user?.role} />
             </div>
           </div>
         </div>
@@ -0,0 +1,102 @@
+/** @format */
+
+'use client';
+
+import { useRouter } from 'next/navigation';
+import { FiArrowLeft, FiBell, FiSend } from 'react-icons/fi';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useNotificationSettings, useUpdateNotificationSettings, useSendTestEmail } from '@/lib/api/notifications';
+
+export default function NotificationsPage() {
+  const router = useRouter();
+  const { addNotification } = useNotifications();
+
+  const { data, isLoading } = useNotificationSettings();
+  const updateMutation = useUpdateNotificationSettings();
+  const testMutation = useSendTestEmail();
+
+  const toggleEvent = (event, enabled) => {
+    updateMutation.mutate(
+      { [event]: enabled },
+      {
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to save notification settings', 'Notifications Error');
+        },
+      },
+    );
+  };
+
+  const sendTestEmail = () => {
+    testMutation.mutate(undefined, {
+      onSuccess: ({ email }) => addNotification('success', `Test email sent to ${email}`),
+      onError: (error) => {
+        addNotification('error', error.response?.data?.error || 'Failed to send test email', 'Notifications Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Notifications</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Choose what TrueCloud emails you about. Emails go to {data?.email}.</p>
+          </div>
+        </div>
+
+        {!data?.mailEnabled && (
+          <div className="mb-6 p-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-300 dark:border-yellow-700 rounded-lg text-sm text-yellow-800 dark:text-yellow-300">
+            Email is not set up on this server yet, so nothing is sent. Your choices are kept for when an administrator sets it up.
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 sm:p-6 text-sm text-gray-500 dark:text-gray-400">
+          <div className="flex items-center gap-3 mb-4">
+            <FiBell className="text-gray-400" size={24} />
+            <p className="font-medium text-gray-900 dark:text-white">Email me when</p>
+          </div>
+
+          <div className="space-y-3">
+            {data?.events.map((event) => (
+              <label key={event.key} className="flex items-start gap-2 text-gray-900 dark:text-white">
+                <input
+                  type="checkbox"
+                  checked={data.preferences[event.key]}
+                  onChange={(e) => toggleEvent(event.key, e.target.checked)}
+                  disabled={updateMutation.isPending}
+                  className="w-4 h-4 mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0 disabled:opacity-50"
+                />
+                <span>{event.label}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700 flex flex-col sm:flex-row sm:items-center gap-3">
+            <button
+              onClick={sendTestEmail}
+              disabled={!data?.mailEnabled || testMutation.isPending}
+              className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              <FiSend size={16} />
+              {testMutation.isPending ? 'Sending...' : 'Send Test Email'}
+            </button>
+            <p>Check that emails from this server reach you.</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
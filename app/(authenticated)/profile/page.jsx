@@ -0,0 +1,142 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { FiArrowLeft, FiUserCheck, FiLock } from 'react-icons/fi';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { usePasswordPolicy, useChangePassword } from '@/lib/api/password';
+import { ROLES } from '@/lib/roles';
+
+const inputClass =
+  'w-full px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export default function ProfilePage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { addNotification } = useNotifications();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  const { data: policy, isLoading } = usePasswordPolicy();
+  const changeMutation = useChangePassword();
+
+  const user = session?.user;
+
+  const changePassword = (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      addNotification('error', 'The new passwords do not match', 'Password Error');
+      return;
+    }
+
+    changeMutation.mutate(
+      { currentPassword, newPassword },
+      {
+        onSuccess: ({ revoked }) => {
+          setCurrentPassword('');
+          setNewPassword('');
+          setConfirmPassword('');
+          addNotification('success', revoked > 0 ? `Password changed, ${revoked} other session${revoked === 1 ? '' : 's'} signed out` : 'Password changed');
+        },
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to change password', 'Password Error');
+        },
+      },
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Profile</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Your account and password. Ask an administrator to change your email or username.</p>
+          </div>
+        </div>
+
+        {/* Account */}
+        <div className="mb-6 bg-white dark:bg-gray-800 rounded-lg shadow p-4 sm:p-6 text-sm">
+          <div className="flex items-center gap-3 mb-4">
+            <FiUserCheck className="text-gray-400" size={24} />
+            <p className="font-medium text-gray-900 dark:text-white">{user?.name || user?.username}</p>
+          </div>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-6 gap-y-2 text-gray-500 dark:text-gray-400">
+            <dt>Username</dt>
+            <dd className="text-gray-900 dark:text-white truncate">{user?.username}</dd>
+            <dt>Email</dt>
+            <dd className="text-gray-900 dark:text-white truncate">{user?.email}</dd>
+            <dt>Role</dt>
+            <dd className="text-gray-900 dark:text-white">{ROLES[user?.role]?.label || user?.role}</dd>
+          </dl>
+        </div>
+
+        {/* Password */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 sm:p-6 text-sm text-gray-500 dark:text-gray-400">
+          <div className="flex items-center gap-3 mb-4">
+            <FiLock className="text-gray-400" size={24} />
+            <p className="font-medium text-gray-900 dark:text-white">Change Password</p>
+          </div>
+
+          {policy?.singleSignOn ? (
+            <p>You sign in through single sign-on, so your password is managed by your sign-in provider.</p>
+          ) : (
+            <form onSubmit={changePassword} className="space-y-4">
+              <label className="flex flex-col gap-1">
+                Current password
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                New password
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={policy?.minLength}
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Confirm new password
+                <input type="password" autoComplete="new-password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} required />
+              </label>
+              <p>At least {policy?.minLength} characters. Common passwords and your username or email are not accepted. Your other browsers are signed out when you change it.</p>
+              <button
+                type="submit"
+                disabled={changeMutation.isPending}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {changeMutation.isPending ? 'Saving...' : 'Change Password'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
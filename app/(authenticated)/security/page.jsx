@@ -0,0 +1,215 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Image from 'next/image';
+import { FiArrowLeft, FiShield, FiCopy, FiX } from 'react-icons/fi';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useTwoFactorStatus, useStartTwoFactorSetup, useEnableTwoFactor, useDisableTwoFactor, useRegenerateRecoveryCodes } from '@/lib/api/twoFactor';
+
+const inputClass =
+  'px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export default function SecurityPage() {
+  const router = useRouter();
+  const { addNotification } = useNotifications();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const { data: status, isLoading } = useTwoFactorStatus();
+  const startSetupMutation = useStartTwoFactorSetup();
+  const enableMutation = useEnableTwoFactor();
+  const disableMutation = useDisableTwoFactor();
+  const regenerateMutation = useRegenerateRecoveryCodes();
+
+  const showError = (error, fallback) => {
+    addNotification('error', error.response?.data?.error || fallback, 'Two-Factor Error');
+  };
+
+  const startSetup = () => {
+    startSetupMutation.mutate(undefined, {
+      onSuccess: (result) => {
+        setSetup(result);
+        setCode('');
+      },
+      onError: (error) => showError(error, 'Failed to start setup'),
+    });
+  };
+
+  const enable = (e) => {
+    e.preventDefault();
+    enableMutation.mutate(
+      { code },
+      {
+        onSuccess: (result) => {
+          setSetup(null);
+          setCode('');
+          setRecoveryCodes(result.recoveryCodes);
+          addNotification('success', 'Two-factor authentication turned on');
+        },
+        onError: (error) => showError(error, 'Failed to turn on two-factor authentication'),
+      },
+    );
+  };
+
+  const disable = () => {
+    disableMutation.mutate(code, {
+      onSuccess: () => {
+        setCode('');
+        setRecoveryCodes(null);
+        addNotification('success', 'Two-factor authentication turned off');
+      },
+      onError: (error) => showError(error, 'Failed to turn off two-factor authentication'),
+    });
+  };
+
+  const regenerate = () => {
+    regenerateMutation.mutate(code, {
+      onSuccess: (result) => {
+        setCode('');
+        setRecoveryCodes(result.recoveryCodes);
+      },
+      onError: (error) => showError(error, 'Failed to create new recovery codes'),
+    });
+  };
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      addNotification('success', 'Recovery codes copied to clipboard');
+    } catch {
+      addNotification('error', 'Failed to copy recovery codes');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Two-Factor Authentication</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Sign in with a code from an authenticator app in addition to your password</p>
+          </div>
+        </div>
+
+        {/* Recovery codes just created */}
+        {recoveryCodes && (
+          <div className="mb-6 p-4 rounded-lg border border-green-300 dark:border-green-800 bg-green-50 dark:bg-green-900/20">
+            <div className="flex items-start justify-between gap-4">
+              <p className="text-sm text-green-800 dark:text-green-300">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They will not be shown again.
+              </p>
+              <button onClick={() => setRecoveryCodes(null)} className="text-green-700 dark:text-green-400 hover:opacity-75" title="Dismiss">
+                <FiX size={16} />
+              </button>
+            </div>
+            <div className="mt-3 flex items-start gap-2">
+              <div className="flex-1 grid grid-cols-2 gap-2 px-3 py-2 bg-white dark:bg-gray-800 rounded font-mono text-sm text-gray-900 dark:text-white">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <button
+                onClick={copyRecoveryCodes}
+                className="p-2 hover:bg-green-100 dark:hover:bg-green-900/40 text-green-700 dark:text-green-400 rounded-lg transition-colors"
+                title="Copy"
+              >
+                <FiCopy size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 sm:p-6 text-sm text-gray-500 dark:text-gray-400">
+          <div className="flex items-center gap-3 mb-4">
+            <FiShield className={status?.enabled ? 'text-green-500' : 'text-gray-400'} size={24} />
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">{status?.enabled ? 'On' : 'Off'}</p>
+              {status?.enabled && <p>{status.recoveryCodesLeft} recovery codes left</p>}
+              {status?.required && <p>Your administrator requires two-factor authentication for your account.</p>}
+              {status?.singleSignOn && !status.enabled && <p>You sign in through single sign-on, so your sign-in provider handles two-factor authentication.</p>}
+            </div>
+          </div>
+
+          {status?.enabled ? (
+            <div className="space-y-3">
+              <p>Enter a code from your app, or a recovery code, to turn two-factor authentication off or to replace your recovery codes.</p>
+              <div className="flex flex-wrap items-center gap-3">
+                <input type="text" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" className={`${inputClass} w-40`} />
+                <button
+                  onClick={regenerate}
+                  disabled={!code.trim() || regenerateMutation.isPending}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  New Recovery Codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={disable}
+                    disabled={!code.trim() || disableMutation.isPending}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : status?.singleSignOn ? null : setup ? (
+            <form onSubmit={enable} className="space-y-4">
+              <p>Scan this code with an authenticator app, then enter the code it shows.</p>
+              <Image src={setup.qrCode} alt="Two-factor QR code" width={192} height={192} unoptimized className="w-48 h-48 rounded bg-white p-2" />
+              <p className="break-all">
+                Or enter this key: <code className="font-mono text-gray-900 dark:text-white">{setup.secret}</code>
+              </p>
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  className={`${inputClass} w-40`}
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={enableMutation.isPending}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  Turn On
+                </button>
+                <button type="button" onClick={() => setSetup(null)} className="px-4 py-2 text-gray-600 dark:text-gray-300 hover:underline">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={startSetup}
+              disabled={startSetupMutation.isPending}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Set Up Authenticator App
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
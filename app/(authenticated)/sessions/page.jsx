@@ -0,0 +1,171 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { FiMonitor, FiArrowLeft, FiXCircle, FiLogOut } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useSessions, useRevokeSession, useRevokeOtherSessions } from '@/lib/api/sessions';
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function SessionsPage() {
+  const router = useRouter();
+  const { addNotification } = useNotifications();
+  const [revokingId, setRevokingId] = useState(null);
+  const [confirmOthers, setConfirmOthers] = useState(false);
+
+  const { data, isLoading } = useSessions();
+  const revokeMutation = useRevokeSession();
+  const revokeOthersMutation = useRevokeOtherSessions();
+
+  const sessions = data?.sessions || [];
+  const hasOthers = sessions.some((item) => !item.current);
+
+  const revokeSession = (item) => {
+    revokeMutation.mutate(item.id, {
+      onSuccess: () => {
+        setRevokingId(null);
+        addNotification('success', `Signed out ${item.device}`);
+      },
+      onError: () => {
+        setRevokingId(null);
+        addNotification('error', 'Failed to end session', 'Session Error');
+      },
+    });
+  };
+
+  const revokeOthers = () => {
+    revokeOthersMutation.mutate(undefined, {
+      onSuccess: ({ revoked }) => {
+        setConfirmOthers(false);
+        addNotification('success', `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`);
+      },
+      onError: () => {
+        setConfirmOthers(false);
+        addNotification('error', 'Failed to sign out other sessions', 'Session Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div className="flex items-center gap-4">
+            <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+              <FiArrowLeft size={20} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Sessions</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Browsers signed in to your account. End any you do not recognize and change your password.</p>
+            </div>
+          </div>
+          {hasOthers &&
+            (confirmOthers ? (
+              <Confirm message="Sign out everywhere else?" onCancel={() => setConfirmOthers(false)} onConfirm={revokeOthers} isLoading={revokeOthersMutation.isPending} />
+            ) : (
+              <button
+                onClick={() => setConfirmOthers(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm"
+              >
+                <FiLogOut size={16} />
+                Sign out other sessions
+              </button>
+            ))}
+        </div>
+
+        {sessions.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiMonitor className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No sessions</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">Sign out and in again to see this browser here.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+            {/* Table Header */}
+            <div className="hidden md:grid grid-cols-12 gap-4 px-6 py-3 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 text-sm font-medium text-gray-500 dark:text-gray-400">
+              <div className="col-span-4">Device</div>
+              <div className="col-span-2">IP address</div>
+              <div className="col-span-2">Last active</div>
+              <div className="col-span-3">Signed in</div>
+              <div className="col-span-1">Actions</div>
+            </div>
+
+            {/* Table Body */}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {sessions.map((item) => (
+                <div key={item.id} className="grid grid-cols-1 md:grid-cols-12 gap-4 px-6 py-4 items-center hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                  {/* Device */}
+                  <div className="md:col-span-4 flex items-center gap-3" title={item.userAgent || ''}>
+                    <FiMonitor className="text-gray-400 flex-shrink-0" size={20} />
+                    <p className="font-medium text-gray-900 dark:text-white truncate">{item.device}</p>
+                    {item.current && (
+                      <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400 flex-shrink-0">
+                        This device
+                      </span>
+                    )}
+                  </div>
+
+                  {/* IP address */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400 font-mono truncate">
+                    <span className="md:hidden font-sans font-medium text-gray-700 dark:text-gray-300 mr-2">IP:</span>
+                    {item.ip || 'Unknown'}
+                  </div>
+
+                  {/* Last active */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Last active:</span>
+                    {formatDate(item.lastActive)}
+                  </div>
+
+                  {/* Signed in */}
+                  <div className="md:col-span-3 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Signed in:</span>
+                    {formatDate(item.createdAt)}
+                  </div>
+
+                  {/* Actions */}
+                  <div className="md:col-span-1 flex items-center gap-2">
+                    {item.current ? null : revokingId === item.id ? (
+                      <Confirm message="Sign out this session?" onCancel={() => setRevokingId(null)} onConfirm={() => revokeSession(item)} isLoading={revokeMutation.isPending} />
+                    ) : (
+                      <button
+                        onClick={() => setRevokingId(item.id)}
+                        className="p-2 hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600 dark:text-red-400 rounded-lg transition-colors"
+                        title="Sign out"
+                      >
+                        <FiXCircle size={18} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
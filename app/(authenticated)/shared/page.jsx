@@ -0,0 +1,137 @@
+/** @format */
+
+'use client';
+
+import { useRouter } from 'next/navigation';
+import { FiUsers, FiFolder, FiFile, FiArrowLeft, FiDownload, FiExternalLink } from 'react-icons/fi';
+import { useSharedWithMe } from '@/lib/api/files';
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+// What the recipient may do besides viewing
+function formatPermissions(permissions) {
+  const extra = [permissions.canWrite && 'edit', permissions.canDelete && 'delete', permissions.canShare && 'share'].filter(Boolean);
+  return extra.length > 0 ? `View, ${extra.join(', ')}` : 'View only';
+}
+
+export default function SharedWithMePage() {
+  const router = useRouter();
+  const { data: items = [], isLoading } = useSharedWithMe();
+
+  const openItem = (item) => {
+    if (item.isDirectory) {
+      router.push(`/files?path=${encodeURIComponent(item.path)}`);
+      return;
+    }
+    // Only the file itself may be shared, so it is opened directly rather than through its folder
+    const parent = item.path.slice(0, item.path.lastIndexOf('/'));
+    window.open(`/api/files/download/${encodeURIComponent(item.name)}?path=${encodeURIComponent(parent)}`, '_blank');
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Shared with me</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Files and folders other users have shared with you</p>
+          </div>
+        </div>
+
+        {items.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiUsers className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">Nothing shared with you yet</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">When someone shares a file or folder with you, it will appear here.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+            {/* Table Header */}
+            <div className="hidden md:grid grid-cols-12 gap-4 px-6 py-3 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 text-sm font-medium text-gray-500 dark:text-gray-400">
+              <div className="col-span-4">Name</div>
+              <div className="col-span-2">Shared by</div>
+              <div className="col-span-2">Size</div>
+              <div className="col-span-2">Access</div>
+              <div className="col-span-2">Actions</div>
+            </div>
+
+            {/* Table Body */}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {items.map((item) => (
+                <div key={item.path} className="grid grid-cols-1 md:grid-cols-12 gap-4 px-6 py-4 items-center hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                  {/* Name */}
+                  <div className="md:col-span-4 flex items-center gap-3">
+                    {item.isDirectory ? <FiFolder className="text-blue-500 flex-shrink-0" size={20} /> : <FiFile className="text-gray-400 flex-shrink-0" size={20} />}
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 dark:text-white truncate">{item.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Shared {formatDate(item.sharedAt)}</p>
+                    </div>
+                  </div>
+
+                  {/* Shared by */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400 truncate">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Shared by:</span>
+                    {item.owner?.username || 'Unknown'}
+                    {item.groups.length > 0 && <span className="block text-xs text-indigo-300 truncate">via {item.groups.join(', ')}</span>}
+                  </div>
+
+                  {/* Size */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Size:</span>
+                    {item.isDirectory ? '—' : formatFileSize(item.size)}
+                  </div>
+
+                  {/* Access */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Access:</span>
+                    {formatPermissions(item.permissions)}
+                  </div>
+
+                  {/* Actions */}
+                  <div className="md:col-span-2 flex items-center gap-2">
+                    <button
+                      onClick={() => openItem(item)}
+                      className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 rounded-lg transition-colors"
+                      title={item.isDirectory ? 'Open folder' : 'Download'}
+                    >
+                      {item.isDirectory ? <FiExternalLink size={18} /> : <FiDownload size={18} />}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
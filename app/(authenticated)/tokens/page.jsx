@@ -0,0 +1,246 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { FiKey, FiArrowLeft, FiCopy, FiX, FiXCircle, FiPlus } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useApiTokens, useCreateApiToken, useRevokeApiToken } from '@/lib/api/tokens';
+
+const inputClass =
+  'px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function TokensPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { addNotification } = useNotifications();
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+  const [folder, setFolder] = useState('');
+  const [createdToken, setCreatedToken] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const { data, isLoading } = useApiTokens();
+  const createMutation = useCreateApiToken();
+  const revokeMutation = useRevokeApiToken();
+
+  const tokens = data?.tokens || [];
+  const scopes = data?.scopes || {};
+
+  // Show folders relative to the user's home folder, like the file browser does
+  const formatFolder = (path) => {
+    if (!path) return 'Everything';
+    const home = `user_${session?.user?.id}`;
+    if (path === home) return 'Home';
+    if (path.startsWith(`${home}/`)) return `Home/${path.slice(home.length + 1)}`;
+    return `/${path}`;
+  };
+
+  const createToken = (e) => {
+    e.preventDefault();
+    createMutation.mutate(
+      { name, scope, folder },
+      {
+        onSuccess: (result) => {
+          setCreatedToken(result.token);
+          setName('');
+          setFolder('');
+        },
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to create token', 'Token Error');
+        },
+      },
+    );
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      addNotification('success', 'Token copied to clipboard');
+    } catch {
+      addNotification('error', 'Failed to copy token');
+    }
+  };
+
+  const revokeToken = (token) => {
+    revokeMutation.mutate(token.id, {
+      onSuccess: () => {
+        setRevokingId(null);
+        addNotification('success', `${token.name} revoked`);
+      },
+      onError: () => {
+        setRevokingId(null);
+        addNotification('error', 'Failed to revoke token', 'Token Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">API Tokens</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Scripts send a token as <code className="font-mono">Authorization: Bearer &lt;token&gt;</code> and act as you, within the token&apos;s limits
+            </p>
+          </div>
+        </div>
+
+        {/* New token */}
+        <form onSubmit={createToken} className="mb-6 flex flex-wrap items-end gap-3 bg-white dark:bg-gray-800 rounded-lg shadow p-4 text-sm text-gray-500 dark:text-gray-400">
+          <label className="flex flex-col gap-1">
+            Name
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. Nightly backup" className={`${inputClass} w-48`} required />
+          </label>
+          <label className="flex flex-col gap-1">
+            Access
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClass}>
+              {Object.entries(scopes).map(([value, { label, description }]) => (
+                <option key={value} value={value}>
+                  {label} ({description})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Limit to folder
+            <input type="text" value={folder} onChange={(e) => setFolder(e.target.value)} placeholder="Everything" className={`${inputClass} w-48`} />
+          </label>
+          <button
+            type="submit"
+            disabled={createMutation.isPending || !name.trim()}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <FiPlus size={16} />
+            Create Token
+          </button>
+        </form>
+
+        {/* Value of the token just created */}
+        {createdToken && (
+          <div className="mb-6 p-4 rounded-lg border border-green-300 dark:border-green-800 bg-green-50 dark:bg-green-900/20">
+            <div className="flex items-start justify-between gap-4">
+              <p className="text-sm text-green-800 dark:text-green-300">Copy your new token now. It will not be shown again.</p>
+              <button onClick={() => setCreatedToken(null)} className="text-green-700 dark:text-green-400 hover:opacity-75" title="Dismiss">
+                <FiX size={16} />
+              </button>
+            </div>
+            <div className="mt-2 flex items-center gap-2">
+              <code className="flex-1 min-w-0 truncate px-3 py-2 bg-white dark:bg-gray-800 rounded font-mono text-sm text-gray-900 dark:text-white">{createdToken}</code>
+              <button
+                onClick={copyToken}
+                className="p-2 hover:bg-green-100 dark:hover:bg-green-900/40 text-green-700 dark:text-green-400 rounded-lg transition-colors"
+                title="Copy"
+              >
+                <FiCopy size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {tokens.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiKey className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No API tokens</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">Create a token to upload or download files from scripts.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+            {/* Table Header */}
+            <div className="hidden md:grid grid-cols-12 gap-4 px-6 py-3 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 text-sm font-medium text-gray-500 dark:text-gray-400">
+              <div className="col-span-3">Name</div>
+              <div className="col-span-2">Access</div>
+              <div className="col-span-2">Folder</div>
+              <div className="col-span-2">Last used</div>
+              <div className="col-span-2">Created</div>
+              <div className="col-span-1">Actions</div>
+            </div>
+
+            {/* Table Body */}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {tokens.map((token) => (
+                <div key={token.id} className="grid grid-cols-1 md:grid-cols-12 gap-4 px-6 py-4 items-center hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                  {/* Name */}
+                  <div className="md:col-span-3 flex items-center gap-3">
+                    <FiKey className="text-gray-400 flex-shrink-0" size={20} />
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 dark:text-white truncate">{token.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">{token.prefix}…</p>
+                    </div>
+                  </div>
+
+                  {/* Access */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Access:</span>
+                    {scopes[token.scope]?.label || token.scope}
+                  </div>
+
+                  {/* Folder */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400 truncate">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Folder:</span>
+                    {formatFolder(token.folder)}
+                  </div>
+
+                  {/* Last used */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400" title={token.lastUsedIp || ''}>
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Last used:</span>
+                    {token.lastUsedAt ? formatDate(token.lastUsedAt) : 'Never'}
+                  </div>
+
+                  {/* Created */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Created:</span>
+                    {formatDate(token.createdAt)}
+                  </div>
+
+                  {/* Actions */}
+                  <div className="md:col-span-1 flex items-center gap-2">
+                    {revokingId === token.id ? (
+                      <Confirm message="Revoke this token?" onCancel={() => setRevokingId(null)} onConfirm={() => revokeToken(token)} isLoading={revokeMutation.isPending} />
+                    ) : (
+                      <button
+                        onClick={() => setRevokingId(token.id)}
+                        className="p-2 hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600 dark:text-red-400 rounded-lg transition-colors"
+                        title="Revoke"
+                      >
+                        <FiXCircle size={18} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
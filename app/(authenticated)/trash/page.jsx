@@ -0,0 +1,222 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { FiTrash2, FiFolder, FiFile, FiArrowLeft, FiRotateCcw, FiXCircle } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useTrash, useRestoreTrashItem, usePurgeTrashItem, useEmptyTrash } from '@/lib/api/trash';
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function TrashPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { addNotification } = useNotifications();
+  const [confirmingEmpty, setConfirmingEmpty] = useState(false);
+  const [purgingId, setPurgingId] = useState(null);
+
+  const { data, isLoading } = useTrash();
+  const restoreMutation = useRestoreTrashItem();
+  const purgeMutation = usePurgeTrashItem();
+  const emptyMutation = useEmptyTrash();
+
+  const items = data?.items || [];
+  const retentionDays = data?.retentionDays;
+
+  // Show locations relative to the user's home folder, like the file browser does
+  const formatLocation = (path) => {
+    const home = `user_${session?.user?.id}`;
+    if (path === home) return 'Home';
+    if (path.startsWith(`${home}/`)) return `Home/${path.slice(home.length + 1)}`;
+    return path ? `/${path}` : '/';
+  };
+
+  const restoreItem = (item) => {
+    restoreMutation.mutate(item.id, {
+      onSuccess: (result) => {
+        addNotification('success', result.renamed ? `${item.name} restored as ${result.name}` : `${item.name} restored`);
+      },
+      onError: (error) => {
+        addNotification('error', error.response?.data?.error || 'Failed to restore item', 'Restore Error');
+      },
+    });
+  };
+
+  const purgeItem = (item) => {
+    purgeMutation.mutate(item.id, {
+      onSuccess: () => {
+        setPurgingId(null);
+        addNotification('success', `${item.name} permanently deleted`);
+      },
+      onError: () => {
+        setPurgingId(null);
+        addNotification('error', 'Failed to delete item', 'Delete Error');
+      },
+    });
+  };
+
+  const emptyTrash = () => {
+    emptyMutation.mutate(undefined, {
+      onSuccess: () => {
+        setConfirmingEmpty(false);
+        addNotification('success', 'Trash emptied');
+      },
+      onError: () => {
+        setConfirmingEmpty(false);
+        addNotification('error', 'Failed to empty trash', 'Delete Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-4">
+            <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+              <FiArrowLeft size={20} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Trash</h1>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {retentionDays > 0 ? `Items are permanently deleted ${retentionDays} days after being moved to the trash` : 'Items stay here until you delete them'}
+              </p>
+            </div>
+          </div>
+          {items.length > 0 &&
+            (confirmingEmpty ? (
+              <Confirm
+                message="Permanently delete everything in the trash?"
+                onCancel={() => setConfirmingEmpty(false)}
+                onConfirm={emptyTrash}
+                isLoading={emptyMutation.isPending}
+              />
+            ) : (
+              <button
+                onClick={() => setConfirmingEmpty(true)}
+                className="flex items-center gap-2 px-4 py-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+              >
+                <FiTrash2 size={16} />
+                Empty Trash
+              </button>
+            ))}
+        </div>
+
+        {items.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiTrash2 className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">Trash is empty</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">Deleted files and folders will appear here.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+            {/* Table Header */}
+            <div className="hidden md:grid grid-cols-12 gap-4 px-6 py-3 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 text-sm font-medium text-gray-500 dark:text-gray-400">
+              <div className="col-span-4">Name</div>
+              <div className="col-span-2">Size</div>
+              <div className="col-span-2">Deleted</div>
+              <div className="col-span-2">Purged</div>
+              <div className="col-span-2">Actions</div>
+            </div>
+
+            {/* Table Body */}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {items.map((item) => (
+                <div key={item.id} className="grid grid-cols-1 md:grid-cols-12 gap-4 px-6 py-4 items-center hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                  {/* Name */}
+                  <div className="md:col-span-4 flex items-center gap-3">
+                    {item.isDirectory ? <FiFolder className="text-blue-500 flex-shrink-0" size={20} /> : <FiFile className="text-gray-400 flex-shrink-0" size={20} />}
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 dark:text-white truncate">{item.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{formatLocation(item.originalPath)}</p>
+                    </div>
+                  </div>
+
+                  {/* Size */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Size:</span>
+                    {formatFileSize(item.size)}
+                  </div>
+
+                  {/* Deleted */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Deleted:</span>
+                    {formatDate(item.deletedAt)}
+                  </div>
+
+                  {/* Purged */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Purged:</span>
+                    {item.expiresAt ? formatDate(item.expiresAt) : 'Never'}
+                  </div>
+
+                  {/* Actions */}
+                  <div className="md:col-span-2 flex items-center gap-2">
+                    {purgingId === item.id ? (
+                      <Confirm
+                        message="Delete forever?"
+                        onCancel={() => setPurgingId(null)}
+                        onConfirm={() => purgeItem(item)}
+                        isLoading={purgeMutation.isPending}
+                      />
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => restoreItem(item)}
+                          disabled={restoreMutation.isPending}
+                          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 rounded-lg transition-colors disabled:opacity-50"
+                          title="Restore"
+                        >
+                          <FiRotateCcw size={18} />
+                        </button>
+                        <button
+                          onClick={() => setPurgingId(item.id)}
+                          className="p-2 hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600 dark:text-red-400 rounded-lg transition-colors"
+                          title="Delete forever"
+                        >
+                          <FiXCircle size={18} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+/** @format */
+
+'use client';
+
+import { Fragment, useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import { FiArrowLeft, FiSend, FiRotateCw, FiChevronDown, FiChevronRight } from 'react-icons/fi';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useWebhookDeliveries, useSendWebhookDelivery } from '@/lib/api/webhooks';
+
+const STATUS_STYLES = {
+  delivered: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  pending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300',
+  failed: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+};
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+function formatPayload(payload) {
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2);
+  } catch {
+    return payload;
+  }
+}
+
+export default function WebhookDeliveriesPage() {
+  const { id } = useParams();
+  const router = useRouter();
+  const { addNotification } = useNotifications();
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading, error } = useWebhookDeliveries(id);
+  const sendMutation = useSendWebhookDelivery();
+
+  const webhook = data?.webhook;
+  const deliveries = data?.deliveries || [];
+
+  const send = (deliveryId) => {
+    sendMutation.mutate(
+      { webhookId: id, deliveryId },
+      {
+        onSuccess: ({ delivery }) => {
+          if (delivery.status === 'delivered') {
+            addNotification('success', `Delivered (HTTP ${delivery.responseCode})`);
+          } else {
+            addNotification('error', delivery.error, 'Webhook Error');
+          }
+        },
+        onError: (mutationError) => {
+          addNotification('error', mutationError.response?.data?.error || 'Failed to send delivery', 'Webhook Error');
+        },
+      },
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/webhooks')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div className="flex-1 min-w-0">
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Delivery Log</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 truncate">{webhook ? webhook.url : 'Webhook not found'}</p>
+          </div>
+          {webhook && (
+            <button
+              onClick={() => send()}
+              disabled={sendMutation.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors text-sm"
+            >
+              <FiSend size={16} />
+              Send Ping
+            </button>
+          )}
+        </div>
+
+        {error ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <p className="text-red-600 dark:text-red-400">{error.response?.data?.error || 'Failed to load deliveries'}</p>
+          </div>
+        ) : deliveries.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiSend className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No deliveries yet</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">Deliveries show up here when a subscribed event happens. Send a ping to test the receiver.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50 text-left text-gray-500 dark:text-gray-400">
+                <tr>
+                  <th className="px-4 py-3 font-medium">Time</th>
+                  <th className="px-4 py-3 font-medium">Event</th>
+                  <th className="px-4 py-3 font-medium">Status</th>
+                  <th className="px-4 py-3 font-medium">Attempts</th>
+                  <th className="px-4 py-3 font-medium">Last result</th>
+                  <th className="px-4 py-3 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {deliveries.map((delivery) => (
+                  <Fragment key={delivery.id}>
+                    <tr className="hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                      <td className="px-4 py-3 text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                        <button
+                          onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                          className="flex items-center gap-1 hover:text-gray-900 dark:hover:text-white"
+                        >
+                          {expandedId === delivery.id ? <FiChevronDown size={14} /> : <FiChevronRight size={14} />}
+                          {formatDate(delivery.createdAt)}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 font-mono text-gray-900 dark:text-white">{delivery.event}</td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[delivery.status] || ''}`}>{delivery.status}</span>
+                      </td>
+                      <td className="px-4 py-3 text-gray-500 dark:text-gray-400">{delivery.attempts}</td>
+                      <td className="px-4 py-3 text-gray-500 dark:text-gray-400">
+                        {delivery.error || (delivery.responseCode ? `HTTP ${delivery.responseCode}` : '—')}
+                        {delivery.status === 'pending' && delivery.retryAt && <span className="block text-xs">Next try {formatDate(delivery.retryAt)}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          onClick={() => send(delivery.id)}
+                          disabled={sendMutation.isPending}
+                          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 rounded-lg transition-colors disabled:opacity-50"
+                          title="Send again"
+                        >
+                          <FiRotateCw size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === delivery.id && (
+                      <tr>
+                        <td colSpan={6} className="px-4 pb-4">
+                          <pre className="p-3 bg-gray-50 dark:bg-gray-900 rounded text-xs text-gray-800 dark:text-gray-200 overflow-x-auto">{formatPayload(delivery.payload)}</pre>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { FiZap, FiArrowLeft, FiCopy, FiX, FiTrash2, FiPlus, FiList, FiRefreshCw } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { useWebhooks, useCreateWebhook, useUpdateWebhook, useDeleteWebhook } from '@/lib/api/webhooks';
+
+const inputClass =
+  'px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Format date
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function WebhooksPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { addNotification } = useNotifications();
+  const [url, setUrl] = useState('');
+  const [folder, setFolder] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState(['file.upload']);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [confirming, setConfirming] = useState(null); // { id, action: 'delete' | 'secret' }
+
+  const { data, isLoading } = useWebhooks();
+  const createMutation = useCreateWebhook();
+  const updateMutation = useUpdateWebhook();
+  const deleteMutation = useDeleteWebhook();
+
+  const webhooks = data?.webhooks || [];
+  const events = data?.events || {};
+
+  // Show folders relative to the user's home folder, like the file browser does
+  const formatFolder = (path) => {
+    if (!path) return 'Everything';
+    const home = `user_${session?.user?.id}`;
+    if (path === home) return 'Home';
+    if (path.startsWith(`${home}/`)) return `Home/${path.slice(home.length + 1)}`;
+    return `/${path}`;
+  };
+
+  const toggleEvent = (event) => {
+    setSelectedEvents((current) => (current.includes(event) ? current.filter((item) => item !== event) : [...current, event]));
+  };
+
+  const createWebhook = (e) => {
+    e.preventDefault();
+    createMutation.mutate(
+      { url, events: selectedEvents, folder },
+      {
+        onSuccess: (result) => {
+          setCreatedSecret(result.secret);
+          setUrl('');
+          setFolder('');
+        },
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to create webhook', 'Webhook Error');
+        },
+      },
+    );
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(createdSecret);
+      addNotification('success', 'Secret copied to clipboard');
+    } catch {
+      addNotification('error', 'Failed to copy secret');
+    }
+  };
+
+  const toggleEnabled = (webhook) => {
+    updateMutation.mutate(
+      { id: webhook.id, enabled: !webhook.enabled },
+      {
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to update webhook', 'Webhook Error');
+        },
+      },
+    );
+  };
+
+  const regenerateSecret = (webhook) => {
+    updateMutation.mutate(
+      { id: webhook.id, regenerateSecret: true },
+      {
+        onSuccess: (result) => {
+          setConfirming(null);
+          setCreatedSecret(result.secret);
+        },
+        onError: () => {
+          setConfirming(null);
+          addNotification('error', 'Failed to replace secret', 'Webhook Error');
+        },
+      },
+    );
+  };
+
+  const deleteWebhook = (webhook) => {
+    deleteMutation.mutate(webhook.id, {
+      onSuccess: () => {
+        setConfirming(null);
+        addNotification('success', 'Webhook deleted');
+      },
+      onError: () => {
+        setConfirming(null);
+        addNotification('error', 'Failed to delete webhook', 'Webhook Error');
+      },
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-1 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 p-4 sm:p-6 lg:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-6">
+          <button onClick={() => router.push('/files')} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiArrowLeft size={20} />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Webhooks</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Events you can see are POSTed as JSON, signed in <code className="font-mono">X-TrueCloud-Signature</code> with the webhook&apos;s secret
+            </p>
+          </div>
+        </div>
+
+        {/* New webhook */}
+        <form onSubmit={createWebhook} className="mb-6 bg-white dark:bg-gray-800 rounded-lg shadow p-4 text-sm text-gray-500 dark:text-gray-400 space-y-4">
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-1 flex-1 min-w-64">
+              URL
+              <input type="url" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="https://ci.example.org/hooks/truecloud" className={inputClass} required />
+            </label>
+            <label className="flex flex-col gap-1">
+              Limit to folder
+              <input type="text" value={folder} onChange={(e) => setFolder(e.target.value)} placeholder="Everything" className={`${inputClass} w-48`} />
+            </label>
+            <button
+              type="submit"
+              disabled={createMutation.isPending || !url.trim() || selectedEvents.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              <FiPlus size={16} />
+              Add Webhook
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-x-6 gap-y-2">
+            {Object.entries(events).map(([event, label]) => (
+              <label key={event} className="flex items-center gap-2 text-gray-900 dark:text-white">
+                <input
+                  type="checkbox"
+                  checked={selectedEvents.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                  className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </form>
+
+        {/* Secret of the webhook just created */}
+        {createdSecret && (
+          <div className="mb-6 p-4 rounded-lg border border-green-300 dark:border-green-800 bg-green-50 dark:bg-green-900/20">
+            <div className="flex items-start justify-between gap-4">
+              <p className="text-sm text-green-800 dark:text-green-300">Copy the signing secret now. It will not be shown again.</p>
+              <button onClick={() => setCreatedSecret(null)} className="text-green-700 dark:text-green-400 hover:opacity-75" title="Dismiss">
+                <FiX size={16} />
+              </button>
+            </div>
+            <div className="mt-2 flex items-center gap-2">
+              <code className="flex-1 min-w-0 truncate px-3 py-2 bg-white dark:bg-gray-800 rounded font-mono text-sm text-gray-900 dark:text-white">{createdSecret}</code>
+              <button
+                onClick={copySecret}
+                className="p-2 hover:bg-green-100 dark:hover:bg-green-900/40 text-green-700 dark:text-green-400 rounded-lg transition-colors"
+                title="Copy"
+              >
+                <FiCopy size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {webhooks.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center">
+            <FiZap className="mx-auto text-gray-400" size={48} />
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No webhooks</h3>
+            <p className="mt-2 text-gray-500 dark:text-gray-400">Add a webhook to start a pipeline when files land in a folder.</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+            {/* Table Header */}
+            <div className="hidden md:grid grid-cols-12 gap-4 px-6 py-3 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-200 dark:border-gray-700 text-sm font-medium text-gray-500 dark:text-gray-400">
+              <div className="col-span-4">URL</div>
+              <div className="col-span-3">Events</div>
+              <div className="col-span-2">Folder</div>
+              <div className="col-span-1">Active</div>
+              <div className="col-span-2">Actions</div>
+            </div>
+
+            {/* Table Body */}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {webhooks.map((webhook) => (
+                <div key={webhook.id} className="grid grid-cols-1 md:grid-cols-12 gap-4 px-6 py-4 items-center hover:bg-gray-50 dark:hover:bg-gray-700/30">
+                  {/* URL */}
+                  <div className="md:col-span-4 flex items-center gap-3 min-w-0">
+                    <FiZap className={`flex-shrink-0 ${webhook.enabled ? 'text-gray-400' : 'text-gray-300 dark:text-gray-600'}`} size={20} />
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 dark:text-white truncate" title={webhook.url}>
+                        {webhook.url}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Added {formatDate(webhook.createdAt)}</p>
+                    </div>
+                  </div>
+
+                  {/* Events */}
+                  <div className="md:col-span-3 text-sm text-gray-500 dark:text-gray-400">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Events:</span>
+                    {webhook.events.map((event) => events[event] || event).join(', ')}
+                  </div>
+
+                  {/* Folder */}
+                  <div className="md:col-span-2 text-sm text-gray-500 dark:text-gray-400 truncate">
+                    <span className="md:hidden font-medium text-gray-700 dark:text-gray-300 mr-2">Folder:</span>
+                    {formatFolder(webhook.folder)}
+                  </div>
+
+                  {/* Active */}
+                  <div className="md:col-span-1 text-sm">
+                    <label className="flex items-center gap-2 text-gray-500 dark:text-gray-400">
+                      <input
+                        type="checkbox"
+                        checked={webhook.enabled}
+                        onChange={() => toggleEnabled(webhook)}
+                        disabled={updateMutation.isPending}
+                        className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                      />
+                      <span className="md:hidden">Active</span>
+                    </label>
+                  </div>
+
+                  {/* Actions */}
+                  <div className="md:col-span-2 flex items-center gap-2">
+                    {confirming?.id === webhook.id ? (
+                      confirming.action === 'delete' ? (
+                        <Confirm
+                          message="Delete this webhook and its delivery log?"
+                          onCancel={() => setConfirming(null)}
+                          onConfirm={() => deleteWebhook(webhook)}
+                          isLoading={deleteMutation.isPending}
+                        />
+                      ) : (
+                        <Confirm
+                          message="Replace the secret? The receiver needs the new one to check signatures."
+                          onCancel={() => setConfirming(null)}
+                          onConfirm={() => regenerateSecret(webhook)}
+                          isLoading={updateMutation.isPending}
+                        />
+                      )
+                    ) : (
+                      <>
+                        <Link
+                          href={`/webhooks/${webhook.id}`}
+                          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 rounded-lg transition-colors"
+                          title="Delivery log"
+                        >
+                          <FiList size={18} />
+                        </Link>
+                        <button
+                          onClick={() => setConfirming({ id: webhook.id, action: 'secret' })}
+                          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 rounded-lg transition-colors"
+                          title="Replace secret"
+                        >
+                          <FiRefreshCw size={18} />
+                        </button>
+                        <button
+                          onClick={() => setConfirming({ id: webhook.id, action: 'delete' })}
+                          className="p-2 hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600 dark:text-red-400 rounded-lg transition-colors"
+                          title="Delete"
+                        >
+                          <FiTrash2 size={18} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { MAIL_ENABLED, sendMail } from '@/lib/mailer';
+import { getNotificationPreferences, NOTIFICATION_EVENTS, updateNotificationPreferences } from '@/lib/notifications';
+
+async function getCurrentUser() {
+  const session = await auth();
+  if (!session) {
+    return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: session.user.id }, select: { id: true, email: true, role: true, notifications: true } });
+  if (!user) {
+    return { error: NextResponse.json({ error: 'User not found' }, { status: 404 }) };
+  }
+  return { user };
+}
+
+function serializeEvents(preferences) {
+  return Object.keys(preferences).map((key) => ({ key, label: NOTIFICATION_EVENTS[key].label }));
+}
+
+/**
+ * GET /api/account/notifications
+ * Events the current user can be emailed about and which ones they want
+ * Returns { mailEnabled, email, events: [{ key, label }], preferences: { event: boolean } }
+ */
+export async function GET() {
+  try {
+    const { user, error } = await getCurrentUser();
+    if (error) return error;
+
+    const preferences = getNotificationPreferences(user);
+    return NextResponse.json({ mailEnabled: MAIL_ENABLED, email: user.email, events: serializeEvents(preferences), preferences });
+  } catch (error) {
+    logger.error('GET /api/account/notifications - Error reading notification settings', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/account/notifications
+ * Turn email notifications on or off; events left out keep their setting
+ * Body: { preferences: { event: boolean } }
+ */
+export async function PATCH(req) {
+  try {
+    const { user, error } = await getCurrentUser();
+    if (error) return error;
+
+    const { preferences } = await req.json();
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return NextResponse.json({ error: 'preferences must be an object' }, { status: 400 });
+    }
+
+    const allowed = getNotificationPreferences(user);
+    for (const [event, enabled] of Object.entries(preferences)) {
+      if (!(event in allowed)) {
+        return NextResponse.json({ error: `Unknown notification: ${event}` }, { status: 400 });
+      }
+      if (typeof enabled !== 'boolean') {
+        return NextResponse.json({ error: `${event} must be true or false` }, { status: 400 });
+      }
+    }
+
+    const updated = await updateNotificationPreferences(user, preferences);
+    logger.info('PATCH /api/account/notifications - Notification settings updated', { userId: user.id, preferences });
+
+    return NextResponse.json({ preferences: updated });
+  } catch (error) {
+    logger.error('PATCH /api/account/notifications - Error updating notification settings', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/notifications
+ * Send a test email to the current user, whatever their settings, to check the mail setup
+ */
+export async function POST() {
+  try {
+    const { user, error } = await getCurrentUser();
+    if (error) return error;
+
+    if (!MAIL_ENABLED) {
+      return NextResponse.json({ error: 'Email is not set up on this server' }, { status: 400 });
+    }
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'TrueCloud: Test email',
+        text: 'This is a test email from TrueCloud. If you can read it, email notifications reach you.',
+      });
+    } catch (mailError) {
+      logger.warn('POST /api/account/notifications - Test email failed', { userId: user.id, error: mailError.message });
+      return NextResponse.json({ error: 'The test email could not be sent. Ask your administrator to check the mail server settings.' }, { status: 502 });
+    }
+
+    return NextResponse.json({ success: true, email: user.email });
+  } catch (error) {
+    logger.error('POST /api/account/notifications - Error sending test email', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
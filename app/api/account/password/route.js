@@ -0,0 +1,91 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import bcrypt from 'bcryptjs';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { checkLoginThrottle, recordLoginFailure } from '@/lib/loginThrottle';
+import { getSetting } from '@/lib/settings';
+import { setPassword, validateNewPassword } from '@/lib/passwords';
+import { revokeUserSessions } from '@/lib/sessions';
+import { forgetDavLogins } from '@/lib/webdav';
+import { AUDIT_ACTIONS, getClientIp, recordAudit } from '@/lib/audit';
+
+/**
+ * GET /api/account/password
+ * Whether the current user has a password to change, and the policy a new one has to meet
+ */
+export async function GET() {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: session.user.id }, select: { authProvider: true } });
+    return NextResponse.json({ singleSignOn: user?.authProvider !== 'local', minLength: await getSetting('passwordMinLength') });
+  } catch (error) {
+    logger.error('GET /api/account/password - Error reading password policy', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/password
+ * Change the current user's password; every other browser is signed out
+ * Body: { currentPassword, newPassword }
+ * Returns { revoked } (sessions signed out)
+ */
+export async function POST(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    // A leaked token must not be enough to take the account over
+    if (session.apiToken) {
+      return NextResponse.json({ error: 'API tokens cannot change passwords' }, { status: 400 });
+    }
+
+    const { currentPassword, newPassword } = await req.json();
+    const user = await prisma.user.findUnique({ where: { id: session.user.id } });
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    if (user.authProvider !== 'local') {
+      return NextResponse.json({ error: 'Your sign-in provider manages your password' }, { status: 400 });
+    }
+
+    // Guessing the current password here is throttled like guessing it at sign-in
+    const ip = getClientIp(req.headers);
+    if (checkLoginThrottle({ ip, user })) {
+      return NextResponse.json({ error: 'Too many attempts, try again later' }, { status: 429 });
+    }
+    if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password))) {
+      await recordLoginFailure({ ip, user });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.PASSWORD_CHANGE, success: false, details: { reason: 'Wrong current password' } });
+      return NextResponse.json({ error: 'Current password is incorrect' }, { status: 400 });
+    }
+
+    const policyError = await validateNewPassword(newPassword, user);
+    if (policyError) {
+      return NextResponse.json({ error: policyError }, { status: 400 });
+    }
+    if (newPassword === currentPassword) {
+      return NextResponse.json({ error: 'Choose a password different from your current one' }, { status: 400 });
+    }
+
+    await setPassword(user.id, newPassword);
+    const revoked = await revokeUserSessions(user.id, session.sessionId);
+    forgetDavLogins(user.id);
+
+    logger.info('POST /api/account/password - Password changed', { user: user.email, revoked });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.PASSWORD_CHANGE, details: { revoked } });
+
+    return NextResponse.json({ revoked });
+  } catch (error) {
+    logger.error('POST /api/account/password - Error changing password', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
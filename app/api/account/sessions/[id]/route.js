@@ -0,0 +1,37 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+/**
+ * DELETE /api/account/sessions/[id]
+ * Sign out one browser; users end their own sessions, admins anyone's
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const { session, error } = await requireBrowserSession('manage sessions');
+    if (error) return error;
+
+    const { id } = await params;
+    const target = await prisma.session.findUnique({ where: { id }, include: { user: { select: { username: true } } } });
+
+    // Someone else's session is reported as missing unless the user is an admin
+    if (!target || (target.userId !== session.user.id && !(await sessionHasCapability(session, CAPABILITIES.MANAGE)))) {
+      return NextResponse.json({ error: 'Session not found' }, { status: 404 });
+    }
+
+    await prisma.session.deleteMany({ where: { id } });
+
+    logger.info('DELETE /api/account/sessions - Session signed out', { sessionId: id, owner: target.user.username, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.SESSION_REVOKE, details: { sessionId: id, owner: target.user.username, ip: target.ip } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/account/sessions - Error signing out session', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,45 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { listSessions, revokeUserSessions, serializeSession } from '@/lib/sessions';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+/**
+ * GET /api/account/sessions
+ * Browsers the current user is signed in on, with the one making the request flagged as current
+ */
+export async function GET() {
+  try {
+    const { session, error } = await requireBrowserSession('manage sessions');
+    if (error) return error;
+
+    const sessions = await listSessions(session.user.id);
+    return NextResponse.json({ sessions: sessions.map((item) => serializeSession(item, session.sessionId)) });
+  } catch (error) {
+    logger.error('GET /api/account/sessions - Error listing sessions', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account/sessions
+ * Sign out every other browser; the one making the request stays signed in
+ */
+export async function DELETE(req) {
+  try {
+    const { session, error } = await requireBrowserSession('manage sessions');
+    if (error) return error;
+
+    const count = await revokeUserSessions(session.user.id, session.sessionId);
+
+    logger.info('DELETE /api/account/sessions - Other sessions signed out', { count, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.SESSION_REVOKE, details: { owner: session.user.username, count, others: true } });
+
+    return NextResponse.json({ revoked: count });
+  } catch (error) {
+    logger.error('DELETE /api/account/sessions - Error signing out other sessions', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
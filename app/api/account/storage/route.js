@@ -0,0 +1,26 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { logger } from '@/lib/logger';
+import { getStorageUsage } from '@/lib/quota';
+
+// GET - Storage used by the current user and what is left of their quota
+export async function GET() {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const usage = await getStorageUsage(session.user.id);
+    if (!usage) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(usage);
+  } catch (error) {
+    logger.error('GET /api/account/storage - Error fetching storage usage', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
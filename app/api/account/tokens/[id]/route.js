@@ -0,0 +1,37 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+/**
+ * DELETE /api/account/tokens/[id]
+ * Revoke a token; owners revoke their own, admins anyone's
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const { session, error } = await requireBrowserSession('manage API tokens');
+    if (error) return error;
+
+    const { id } = await params;
+    const token = await prisma.apiToken.findUnique({ where: { id }, include: { user: { select: { username: true } } } });
+
+    // Someone else's token is reported as missing unless the user is an admin
+    if (!token || (token.userId !== session.user.id && !(await sessionHasCapability(session, CAPABILITIES.MANAGE)))) {
+      return NextResponse.json({ error: 'Token not found' }, { status: 404 });
+    }
+
+    await prisma.apiToken.delete({ where: { id } });
+
+    logger.info('DELETE /api/account/tokens - Token revoked', { tokenId: id, owner: token.user.username, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TOKEN_REVOKE, path: token.folder, details: { tokenId: id, name: token.name, owner: token.user.username } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/account/tokens - Error revoking token', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,88 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession } from '@/lib/authCheck';
+import { stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { API_TOKEN_SCOPES, createApiToken, listApiTokens, serializeApiToken } from '@/lib/apiTokens';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * GET /api/account/tokens
+ * The current user's API tokens (without their values)
+ */
+export async function GET() {
+  try {
+    const { session, error } = await requireBrowserSession('manage API tokens');
+    if (error) return error;
+
+    const tokens = await listApiTokens(session.user.id);
+    return NextResponse.json({ tokens: tokens.map(serializeApiToken), scopes: API_TOKEN_SCOPES });
+  } catch (error) {
+    logger.error('GET /api/account/tokens - Error listing tokens', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/tokens
+ * Create a token; its value is in the response and is never shown again
+ * Body: { name, scope: 'read' | 'write', folder } (folder as in the file browser; empty for no limit)
+ */
+export async function POST(req) {
+  try {
+    const { session, error } = await requireBrowserSession('manage API tokens');
+    if (error) return error;
+
+    const { name, scope, folder } = await req.json();
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return NextResponse.json({ error: 'Token name is required' }, { status: 400 });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return NextResponse.json({ error: `Token name must be at most ${MAX_NAME_LENGTH} characters` }, { status: 400 });
+    }
+    if (!Object.prototype.hasOwnProperty.call(API_TOKEN_SCOPES, scope)) {
+      return NextResponse.json({ error: 'Invalid scope' }, { status: 400 });
+    }
+
+    let normalizedFolder = null;
+    if (typeof folder === 'string' && folder.trim()) {
+      const isRoot = await hasRootAccess(session.user.id);
+      const accessCheck = await checkPathAccess({
+        userId: session.user.id,
+        path: folder.trim().replace(/^\/+|\/+$/g, ''),
+        operation: scope === 'write' ? 'write' : 'read',
+        isRootUser: isRoot,
+      });
+
+      if (!accessCheck.allowed) {
+        return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+      }
+
+      const folderPath = join(UPLOAD_DIR, accessCheck.normalizedPath);
+      const stats = (resolve(folderPath) + sep).startsWith(RESOLVED_UPLOAD_DIR) ? await stat(folderPath).catch(() => null) : null;
+      if (!stats?.isDirectory()) {
+        return NextResponse.json({ error: 'Folder not found' }, { status: 404 });
+      }
+      normalizedFolder = accessCheck.normalizedPath;
+    }
+
+    const { token, record } = await createApiToken({ userId: session.user.id, name: name.trim(), scope, folder: normalizedFolder });
+
+    logger.info('POST /api/account/tokens - Token created', { tokenId: record.id, scope, folder: normalizedFolder, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TOKEN_CREATE, path: normalizedFolder, details: { tokenId: record.id, name: record.name, scope } });
+
+    return NextResponse.json({ token, apiToken: serializeApiToken(record) }, { status: 201 });
+  } catch (error) {
+    logger.error('POST /api/account/tokens - Error creating token', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,46 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireTwoFactorAccount } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { regenerateRecoveryCodes, verifySecondFactor } from '@/lib/twoFactor';
+import { checkLoginThrottle, recordLoginFailure } from '@/lib/loginThrottle';
+import { AUDIT_ACTIONS, getClientIp, recordAudit } from '@/lib/audit';
+
+/**
+ * POST /api/account/two-factor/recovery-codes
+ * Replace the recovery codes; the old ones stop working
+ * Body: { code } (a current code or a recovery code)
+ */
+export async function POST(req) {
+  try {
+    const { session, user, error } = await requireTwoFactorAccount();
+    if (error) return error;
+
+    const { code } = await req.json();
+
+    if (!user.totpEnabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 400 });
+    }
+    // Guessing the code here is throttled like guessing it at sign-in
+    const ip = getClientIp(req.headers);
+    if (checkLoginThrottle({ ip, user })) {
+      return NextResponse.json({ error: 'Too many attempts, try again later' }, { status: 429 });
+    }
+    if (!(await verifySecondFactor(user, code))) {
+      await recordLoginFailure({ ip, user });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.RECOVERY_CODES_REGENERATE, success: false, details: { reason: 'Invalid code' } });
+      return NextResponse.json({ error: 'Invalid code' }, { status: 400 });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    logger.info('POST /api/account/two-factor/recovery-codes - Recovery codes replaced', { user: user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.RECOVERY_CODES_REGENERATE });
+
+    return NextResponse.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('POST /api/account/two-factor/recovery-codes - Error replacing recovery codes', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,99 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireTwoFactorAccount } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { confirmTwoFactor, disableTwoFactor, getTwoFactorStatus, isTwoFactorRequired, verifySecondFactor } from '@/lib/twoFactor';
+import { checkLoginThrottle, recordLoginFailure } from '@/lib/loginThrottle';
+import { AUDIT_ACTIONS, getClientIp, recordAudit } from '@/lib/audit';
+
+/**
+ * GET /api/account/two-factor
+ * Two-factor state of the current user
+ */
+export async function GET() {
+  try {
+    const { user, error } = await requireTwoFactorAccount();
+    if (error) return error;
+
+    return NextResponse.json(await getTwoFactorStatus(user));
+  } catch (error) {
+    logger.error('GET /api/account/two-factor - Error reading two-factor status', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/two-factor
+ * Turn two-factor authentication on with a code from the app set up through /api/account/two-factor/setup
+ * Body: { code, email, password } (email and password only while signing in to an account that requires it)
+ * Returns the recovery codes, which are never shown again
+ */
+export async function POST(req) {
+  try {
+    const { code, email, password } = await req.json();
+    const { session, user, error } = await requireTwoFactorAccount({ email, password, req });
+    if (error) return error;
+
+    if (user.totpEnabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is already on' }, { status: 400 });
+    }
+    if (!user.totpSecret) {
+      return NextResponse.json({ error: 'Start the setup first' }, { status: 400 });
+    }
+
+    const recoveryCodes = await confirmTwoFactor(user, code);
+    if (!recoveryCodes) {
+      return NextResponse.json({ error: 'Invalid code' }, { status: 400 });
+    }
+
+    logger.info('POST /api/account/two-factor - Two-factor authentication enabled', { user: user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TWO_FACTOR_ENABLE });
+
+    return NextResponse.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('POST /api/account/two-factor - Error enabling two-factor authentication', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account/two-factor
+ * Turn two-factor authentication off, unless the admin requires it for this account
+ * Body: { code } (a current code or a recovery code)
+ */
+export async function DELETE(req) {
+  try {
+    const { session, user, error } = await requireTwoFactorAccount();
+    if (error) return error;
+
+    const { code } = await req.json();
+
+    if (!user.totpEnabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 400 });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return NextResponse.json({ error: 'Two-factor authentication is required for your account' }, { status: 400 });
+    }
+    // Guessing the code here is throttled like guessing it at sign-in
+    const ip = getClientIp(req.headers);
+    if (checkLoginThrottle({ ip, user })) {
+      return NextResponse.json({ error: 'Too many attempts, try again later' }, { status: 429 });
+    }
+    if (!(await verifySecondFactor(user, code))) {
+      await recordLoginFailure({ ip, user });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.TWO_FACTOR_DISABLE, success: false, details: { reason: 'Invalid code' } });
+      return NextResponse.json({ error: 'Invalid code' }, { status: 400 });
+    }
+
+    await disableTwoFactor(user.id);
+
+    logger.info('DELETE /api/account/two-factor - Two-factor authentication disabled', { user: user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TWO_FACTOR_DISABLE });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/account/two-factor - Error disabling two-factor authentication', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
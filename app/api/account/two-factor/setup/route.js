@@ -0,0 +1,32 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireTwoFactorAccount } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { startTwoFactorSetup } from '@/lib/twoFactor';
+
+/**
+ * POST /api/account/two-factor/setup
+ * New secret for an authenticator app; starting over replaces a setup that was not confirmed
+ * Body: { email, password } (only while signing in to an account that requires two-factor authentication)
+ * Returns { secret, otpauthUrl, qrCode } (qrCode is a data URL to show as an image)
+ */
+export async function POST(req) {
+  try {
+    const { email, password } = await req.json().catch(() => ({}));
+    const { user, error } = await requireTwoFactorAccount({ email, password, req });
+    if (error) return error;
+
+    if (user.totpEnabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is already on' }, { status: 400 });
+    }
+    if (user.authProvider !== 'local') {
+      return NextResponse.json({ error: 'Your sign-in provider handles two-factor authentication' }, { status: 400 });
+    }
+
+    return NextResponse.json(await startTwoFactorSetup(user));
+  } catch (error) {
+    logger.error('POST /api/account/two-factor/setup - Error starting setup', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,78 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession } from '@/lib/authCheck';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { PING_EVENT, queueDelivery, serializeWebhook } from '@/lib/webhooks';
+
+// Deliveries shown in the log, newest first
+const DELIVERY_LIMIT = 100;
+
+// Someone else's webhook is reported as missing; API tokens cannot manage webhooks
+async function getOwnWebhook(params) {
+  const { session, error } = await requireBrowserSession('manage webhooks');
+  if (error) return { error };
+
+  const { id } = await params;
+  const webhook = await prisma.webhook.findUnique({ where: { id } });
+  if (!webhook || webhook.userId !== session.user.id) {
+    return { error: NextResponse.json({ error: 'Webhook not found' }, { status: 404 }) };
+  }
+  return { session, webhook };
+}
+
+/**
+ * GET /api/account/webhooks/[id]/deliveries
+ * A webhook with its most recent deliveries, payloads included
+ */
+export async function GET(req, { params }) {
+  try {
+    const { webhook, error } = await getOwnWebhook(params);
+    if (error) return error;
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { webhookId: webhook.id },
+      orderBy: { createdAt: 'desc' },
+      take: DELIVERY_LIMIT,
+    });
+
+    return NextResponse.json({ webhook: serializeWebhook(webhook), deliveries });
+  } catch (error) {
+    logger.error('GET /api/account/webhooks/[id]/deliveries - Error listing deliveries', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/webhooks/[id]/deliveries
+ * Send an earlier delivery's payload again, or a ping when no delivery is given, and wait for the receiver
+ * Body: { deliveryId }
+ * Returns { delivery } (the new delivery after its first attempt)
+ */
+export async function POST(req, { params }) {
+  try {
+    const { session, webhook, error } = await getOwnWebhook(params);
+    if (error) return error;
+
+    const { deliveryId } = await req.json().catch(() => ({}));
+
+    let event = PING_EVENT;
+    let payload = JSON.stringify({ event, timestamp: new Date().toISOString(), actor: session.user.username, path: null, details: { webhookId: webhook.id } });
+    if (deliveryId) {
+      const original = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+      if (!original || original.webhookId !== webhook.id) {
+        return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+      }
+      ({ event, payload } = original);
+    }
+
+    const delivery = await queueDelivery(webhook, event, payload, true);
+    logger.info('POST /api/account/webhooks/[id]/deliveries - Delivery sent', { webhookId: webhook.id, event, status: delivery.status, user: session.user.email });
+
+    return NextResponse.json({ delivery });
+  } catch (error) {
+    logger.error('POST /api/account/webhooks/[id]/deliveries - Error sending delivery', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
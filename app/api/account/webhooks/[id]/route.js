@@ -0,0 +1,95 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession } from '@/lib/authCheck';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { checkWebhookTarget, generateWebhookSecret, resolveWebhookFolder, serializeWebhook, validateWebhookInput } from '@/lib/webhooks';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+// Someone else's webhook is reported as missing; API tokens cannot manage webhooks
+async function getOwnWebhook(params) {
+  const { session, error } = await requireBrowserSession('manage webhooks');
+  if (error) return { error };
+
+  const { id } = await params;
+  const webhook = await prisma.webhook.findUnique({ where: { id } });
+  if (!webhook || webhook.userId !== session.user.id) {
+    return { error: NextResponse.json({ error: 'Webhook not found' }, { status: 404 }) };
+  }
+  return { session, webhook };
+}
+
+/**
+ * PATCH /api/account/webhooks/[id]
+ * Change a webhook; fields left out keep their value. With regenerateSecret the new secret is in the response.
+ * Body: { url, events, folder, enabled, regenerateSecret }
+ */
+export async function PATCH(req, { params }) {
+  try {
+    const { session, webhook, error } = await getOwnWebhook(params);
+    if (error) return error;
+
+    const { url, events, folder, enabled, regenerateSecret } = await req.json();
+
+    const inputError = validateWebhookInput({ url, events }) || (url !== undefined && (await checkWebhookTarget(session.user.id, url)));
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return NextResponse.json({ error: 'enabled must be true or false' }, { status: 400 });
+    }
+
+    const updateData = {};
+    if (url !== undefined) updateData.url = url;
+    if (events !== undefined) updateData.events = JSON.stringify([...new Set(events)]);
+    if (enabled !== undefined) updateData.enabled = enabled;
+    if (folder !== undefined) {
+      const folderCheck = await resolveWebhookFolder(session.user.id, folder);
+      if (folderCheck.error) {
+        return NextResponse.json({ error: folderCheck.error }, { status: folderCheck.status });
+      }
+      updateData.folder = folderCheck.folder;
+    }
+
+    const secret = regenerateSecret ? generateWebhookSecret() : null;
+    if (secret) updateData.secret = secret;
+
+    const updated = await prisma.webhook.update({ where: { id: webhook.id }, data: updateData });
+
+    logger.info('PATCH /api/account/webhooks - Webhook updated', { webhookId: webhook.id, user: session.user.email });
+    await recordAudit({
+      req,
+      session,
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+      path: updated.folder,
+      details: { webhookId: webhook.id, url: updated.url, enabled: updated.enabled, secretReplaced: !!secret },
+    });
+
+    return NextResponse.json({ webhook: serializeWebhook(updated), ...(secret && { secret }) });
+  } catch (error) {
+    logger.error('PATCH /api/account/webhooks - Error updating webhook', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account/webhooks/[id]
+ * Remove a webhook with its delivery log; pending retries are dropped
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const { session, webhook, error } = await getOwnWebhook(params);
+    if (error) return error;
+
+    await prisma.webhook.delete({ where: { id: webhook.id } });
+
+    logger.info('DELETE /api/account/webhooks - Webhook deleted', { webhookId: webhook.id, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.WEBHOOK_DELETE, path: webhook.folder, details: { webhookId: webhook.id, url: webhook.url } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/account/webhooks - Error deleting webhook', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,62 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireBrowserSession } from '@/lib/authCheck';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { checkWebhookTarget, generateWebhookSecret, resolveWebhookFolder, serializeWebhook, validateWebhookInput, WEBHOOK_EVENTS } from '@/lib/webhooks';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+/**
+ * GET /api/account/webhooks
+ * The current user's webhooks (without their secrets) and the events they can subscribe to
+ */
+export async function GET() {
+  try {
+    const { session, error } = await requireBrowserSession('manage webhooks');
+    if (error) return error;
+
+    const webhooks = await prisma.webhook.findMany({ where: { userId: session.user.id }, orderBy: { createdAt: 'desc' } });
+    return NextResponse.json({ webhooks: webhooks.map(serializeWebhook), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error('GET /api/account/webhooks - Error listing webhooks', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/webhooks
+ * Register a webhook; its signing secret is in the response and is never shown again
+ * Body: { url, events: string[], folder } (folder as in the file browser; empty for no limit)
+ */
+export async function POST(req) {
+  try {
+    const { session, error } = await requireBrowserSession('manage webhooks');
+    if (error) return error;
+
+    const { url, events, folder } = await req.json();
+
+    const inputError = validateWebhookInput({ url: url ?? '', events: events ?? [] }) || (await checkWebhookTarget(session.user.id, url));
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+
+    const folderCheck = await resolveWebhookFolder(session.user.id, folder);
+    if (folderCheck.error) {
+      return NextResponse.json({ error: folderCheck.error }, { status: folderCheck.status });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await prisma.webhook.create({
+      data: { userId: session.user.id, url, secret, events: JSON.stringify([...new Set(events)]), folder: folderCheck.folder },
+    });
+
+    logger.info('POST /api/account/webhooks - Webhook created', { webhookId: webhook.id, events, folder: webhook.folder, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.WEBHOOK_CREATE, path: webhook.folder, details: { webhookId: webhook.id, url, events } });
+
+    return NextResponse.json({ secret, webhook: serializeWebhook(webhook) }, { status: 201 });
+  } catch (error) {
+    logger.error('POST /api/account/webhooks - Error creating webhook', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,19 +1,57 @@
 /** @format */
 
-import NextAuth from 'next-auth';
+import NextAuth, { CredentialsSignin } from 'next-auth';
 import CredentialsProvider from 'next-auth/providers/credentials';
+import { headers } from 'next/headers';
 import bcrypt from 'bcryptjs';
 import { prisma } from '@/lib/prisma';
+import { AUDIT_ACTIONS, recordAudit, getClientIp } from '@/lib/audit';
+import { findApiToken } from '@/lib/apiTokens';
+import { isTwoFactorRequired, verifySecondFactor } from '@/lib/twoFactor';
+import { checkLoginThrottle, recordLoginFailure, recordLoginSuccess } from '@/lib/loginThrottle';
+import { authenticateLdap, LDAP_ENABLED } from '@/lib/ldap';
+import { getOidcGroups, getOidcProvider, isPasswordSignInAllowed, OIDC_ENABLED, provisionSsoUser } from '@/lib/sso';
+import { createSession, endSession, findSession, SESSION_MAX_AGE } from '@/lib/sessions';
 
-export const { handlers, signIn, signOut, auth } = NextAuth({
+// The login page reads the code from signIn()'s result to ask for what is missing or explain a refusal
+class SigninError extends CredentialsSignin {
+  constructor(code) {
+    super();
+    this.code = code;
+  }
+}
+
+// Fields the session is built from
+function toSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    username: user.username,
+    role: user.role,
+  };
+}
+
+// Accounts created on first sign-in are logged like the ones admins create
+async function recordProvisioning(req, user, provider) {
+  await recordAudit({
+    req,
+    session: { user },
+    action: AUDIT_ACTIONS.USER_CREATE,
+    details: { userId: user.id, username: user.username, role: user.role, via: provider },
+  });
+}
+
+const nextAuth = NextAuth({
   providers: [
     CredentialsProvider({
       name: 'Credentials',
       credentials: {
         email: { label: 'Email', type: 'email' },
         password: { label: 'Password', type: 'password' },
+        code: { label: 'Two-factor code', type: 'text' },
       },
-      async authorize(credentials) {
+      async authorize(credentials, request) {
         if (!credentials?.email || !credentials?.password) {
           console.log('[Auth] Missing credentials');
           return null;
@@ -24,34 +62,185 @@ export const { handlers, signIn, signOut, auth } = NextAuth({
             email: credentials.email,
           },
         });
+        const ip = getClientIp(request.headers);
+
+        // Refused before the password is checked, so guessing gets no further while it lasts
+        const throttled = checkLoginThrottle({ ip, user });
+        if (throttled) {
+          console.log('[Auth] Sign-in throttled:', credentials.email, throttled.reason);
+          await recordAudit({
+            req: request,
+            session: user && { user },
+            actor: user ? undefined : credentials.email,
+            action: AUDIT_ACTIONS.LOGIN,
+            success: false,
+            details: { reason: throttled.reason },
+          });
+          throw new SigninError(throttled.reason === 'Account locked' ? 'account_locked' : 'too_many_attempts');
+        }
 
         if (!user) {
           console.log('[Auth] User not found:', credentials.email);
+          await recordLoginFailure({ ip, user: null });
+          await recordAudit({ req: request, action: AUDIT_ACTIONS.LOGIN, actor: credentials.email, success: false, details: { reason: 'Unknown account' } });
           return null;
         }
 
+        if (!(await isPasswordSignInAllowed(user))) {
+          console.log('[Auth] Password sign-in not allowed for user:', user.email);
+          await recordAudit({ req: request, session: { user }, action: AUDIT_ACTIONS.LOGIN, success: false, details: { reason: 'Password sign-in not allowed' } });
+          throw new SigninError(user.authProvider === 'local' ? 'passwords_disabled' : 'single_sign_on');
+        }
+
         console.log('[Auth] User found:', user.email, 'Role:', user.role);
         const isPasswordValid = await bcrypt.compare(credentials.password, user.password);
         console.log('[Auth] Password valid:', isPasswordValid);
 
         if (!isPasswordValid) {
           console.log('[Auth] Invalid password for user:', user.email);
+          const locked = await recordLoginFailure({ ip, user });
+          await recordAudit({ req: request, session: { user }, action: AUDIT_ACTIONS.LOGIN, success: false, details: { reason: 'Wrong password', locked } });
           return null;
         }
 
-        return {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          username: user.username,
-          role: user.role,
-        };
+        // 'totp' or 'recovery' for accounts with two-factor authentication
+        let secondFactor = null;
+        if (user.totpEnabled) {
+          if (!credentials.code) {
+            throw new SigninError('two_factor_required');
+          }
+          secondFactor = await verifySecondFactor(user, credentials.code);
+          if (!secondFactor) {
+            console.log('[Auth] Invalid two-factor code for user:', user.email);
+            const locked = await recordLoginFailure({ ip, user });
+            await recordAudit({ req: request, session: { user }, action: AUDIT_ACTIONS.LOGIN, success: false, details: { reason: 'Wrong two-factor code', locked } });
+            throw new SigninError('two_factor_invalid');
+          }
+          if (secondFactor === 'recovery') {
+            console.log('[Auth] Recovery code used by user:', user.email);
+          }
+        } else if (await isTwoFactorRequired(user)) {
+          // The login page walks the user through the setup, then signs in again with a code
+          throw new SigninError('two_factor_setup');
+        }
+
+        await recordLoginSuccess(user);
+        await recordAudit({ req: request, session: { user }, action: AUDIT_ACTIONS.LOGIN, details: secondFactor && { twoFactor: secondFactor } });
+
+        return toSessionUser(user);
       },
     }),
+    ...(LDAP_ENABLED
+      ? [
+          CredentialsProvider({
+            id: 'ldap',
+            name: process.env.LDAP_NAME || 'LDAP',
+            credentials: {
+              username: { label: 'Username', type: 'text' },
+              password: { label: 'Password', type: 'password' },
+            },
+            async authorize(credentials, request) {
+              const login = credentials?.username?.trim();
+              if (!login || !credentials.password) {
+                return null;
+              }
+
+              // The account from an earlier sign-in, so lockouts and backoff apply as for local passwords
+              const user = await prisma.user.findFirst({ where: { authProvider: 'ldap', OR: [{ username: login }, { email: login }] } });
+              const ip = getClientIp(request.headers);
+
+              const throttled = checkLoginThrottle({ ip, user });
+              if (throttled) {
+                console.log('[Auth] LDAP sign-in throttled:', login, throttled.reason);
+                await recordAudit({
+                  req: request,
+                  session: user && { user },
+                  actor: user ? undefined : login,
+                  action: AUDIT_ACTIONS.LOGIN,
+                  success: false,
+                  details: { via: 'ldap', reason: throttled.reason },
+                });
+                throw new SigninError(throttled.reason === 'Account locked' ? 'account_locked' : 'too_many_attempts');
+              }
+
+              let profile;
+              try {
+                profile = await authenticateLdap(login, credentials.password);
+              } catch (error) {
+                console.error('[Auth] LDAP server error:', error.message);
+                throw new SigninError('provider_unavailable');
+              }
+
+              if (!profile) {
+                console.log('[Auth] LDAP rejected credentials for:', login);
+                const locked = await recordLoginFailure({ ip, user });
+                await recordAudit({
+                  req: request,
+                  session: user && { user },
+                  actor: user ? undefined : login,
+                  action: AUDIT_ACTIONS.LOGIN,
+                  success: false,
+                  details: { via: 'ldap', reason: 'Wrong username or password', locked },
+                });
+                return null;
+              }
+
+              // The directory is trusted with email addresses, so a local account with the same one is taken over
+              const result = await provisionSsoUser({ provider: 'ldap', ...profile, emailVerified: true });
+              if (result.error) {
+                console.log('[Auth] LDAP sign-in refused:', login, result.error);
+                await recordAudit({ req: request, actor: login, action: AUDIT_ACTIONS.LOGIN, success: false, details: { via: 'ldap', reason: result.error } });
+                throw new SigninError('single_sign_on_refused');
+              }
+
+              if (result.created) await recordProvisioning(request, result.user, 'ldap');
+              await recordLoginSuccess(result.user);
+              await recordAudit({ req: request, session: { user: result.user }, action: AUDIT_ACTIONS.LOGIN, details: { via: 'ldap' } });
+
+              return toSessionUser(result.user);
+            },
+          }),
+        ]
+      : []),
+    ...(OIDC_ENABLED ? [getOidcProvider()] : []),
   ],
   callbacks: {
+    // OpenID Connect users are matched to (or become) TrueCloud accounts here, before their token is issued
+    async signIn({ user, account, profile }) {
+      if (account?.provider !== 'oidc') return true;
+
+      const request = { headers: await headers() };
+      const result = await provisionSsoUser({
+        provider: 'oidc',
+        externalId: profile.sub,
+        email: profile.email,
+        emailVerified: profile.email_verified === true,
+        username: profile.preferred_username,
+        name: profile.name,
+        groups: getOidcGroups(profile),
+      });
+
+      if (result.error) {
+        console.log('[Auth] OIDC sign-in refused:', profile.email, result.error);
+        await recordAudit({ req: request, actor: profile.email || profile.sub, action: AUDIT_ACTIONS.LOGIN, success: false, details: { via: 'oidc', reason: result.error } });
+        return '/auth/login?error=single_sign_on_refused';
+      }
+
+      if (result.created) await recordProvisioning(request, result.user, 'oidc');
+      await recordAudit({ req: request, session: { user: result.user }, action: AUDIT_ACTIONS.LOGIN, details: { via: 'oidc' } });
+
+      // The jwt callback reads the account from this object
+      Object.assign(user, toSessionUser(result.user));
+      return true;
+    },
     async jwt({ token, user }) {
+      const requestHeaders = await headers();
+
       if (user) {
+        // Every sign-in gets a session the user and admins can see and end
+        const session = await createSession({ userId: user.id, ip: getClientIp(requestHeaders), userAgent: requestHeaders.get('user-agent') });
+        token.sessionToken = session.sessionToken;
+        token.sessionId = session.id;
         token.id = user.id;
         token.role = user.role;
         token.username = user.username;
@@ -60,7 +249,17 @@ export const { handlers, signIn, signOut, auth } = NextAuth({
           role: user.role,
           id: user.id,
         });
+        return token;
       }
+
+      // On every later request the session has to still exist, and the account is read again so changes apply right away
+      const session = token.sessionToken ? await findSession(token.sessionToken, getClientIp(requestHeaders)) : null;
+      if (!session) return null;
+
+      token.role = session.user.role;
+      token.username = session.user.username;
+      token.name = session.user.name;
+      token.email = session.user.email;
       return token;
     },
     async session({ session, token }) {
@@ -69,6 +268,7 @@ export const { handlers, signIn, signOut, auth } = NextAuth({
         session.user.role = token.role;
         session.user.username = token.username;
       }
+      session.sessionId = token.sessionId;
       return session;
     },
     async redirect({ url, baseUrl }) {
@@ -82,12 +282,51 @@ export const { handlers, signIn, signOut, auth } = NextAuth({
   },
   pages: {
     signIn: '/auth/login',
+    error: '/auth/login',
   },
   session: {
     strategy: 'jwt',
+    maxAge: SESSION_MAX_AGE,
+  },
+  events: {
+    async signOut(message) {
+      if (message.token?.sessionToken) await endSession(message.token.sessionToken);
+    },
   },
   secret: process.env.NEXTAUTH_SECRET,
 });
 
+export const { handlers, signIn, signOut } = nextAuth;
+
+/**
+ * Session of the current request
+ * Browser sessions carry sessionId, the Session record of that sign-in; ending it signs the browser out.
+ * Scripts authenticate with a personal API token ("Authorization: Bearer <token>") instead of the sign-in cookie;
+ * their session has the same user fields plus apiToken ({ id, name, scope, folder }) for the token's limits.
+ * Called with arguments, this is NextAuth's own auth() (middleware and route wrappers).
+ */
+export async function auth(...args) {
+  if (args.length > 0) return nextAuth.auth(...args);
+
+  const requestHeaders = await headers();
+  const authorization = requestHeaders.get('authorization');
+  if (!authorization?.startsWith('Bearer ')) return nextAuth.auth();
+
+  // A wrong token never falls back to the cookie, so scripts fail loudly
+  const token = await findApiToken(authorization.slice('Bearer '.length).trim(), getClientIp(requestHeaders));
+  if (!token) return null;
+
+  return {
+    user: {
+      id: token.user.id,
+      email: token.user.email,
+      name: token.user.name,
+      username: token.user.username,
+      role: token.user.role,
+    },
+    apiToken: { id: token.id, name: token.name, scope: token.scope, folder: token.folder },
+  };
+}
+
 export const GET = handlers.GET;
 export const POST = handlers.POST;
@@ -0,0 +1,71 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { logger } from '@/lib/logger';
+import { getSetting } from '@/lib/settings';
+import { findPasswordReset, setPassword, validateNewPassword } from '@/lib/passwords';
+import { unlockAccount } from '@/lib/loginThrottle';
+import { revokeUserSessions } from '@/lib/sessions';
+import { forgetDavLogins } from '@/lib/webdav';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+const INVALID_LINK = 'This reset link is invalid or has expired. Ask your administrator for a new one.';
+
+// Single sign-on accounts linked after the link was created have no password to set
+async function findResetAccount(token) {
+  const user = await findPasswordReset(token);
+  return user?.authProvider === 'local' ? user : null;
+}
+
+/**
+ * GET /api/auth/password-reset?token=
+ * Account a reset link is for, so the page can greet the user (no session needed)
+ * Returns { username, minLength }
+ */
+export async function GET(req) {
+  try {
+    const user = await findResetAccount(new URL(req.url).searchParams.get('token'));
+    if (!user) {
+      return NextResponse.json({ error: INVALID_LINK }, { status: 404 });
+    }
+
+    return NextResponse.json({ username: user.username, minLength: await getSetting('passwordMinLength') });
+  } catch (error) {
+    logger.error('GET /api/auth/password-reset - Error checking reset link', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/auth/password-reset
+ * Set a new password with a one-time link from an admin; the link stops working, the account is unlocked and
+ * every browser signed in to it is signed out. Two-factor authentication stays on.
+ * Body: { token, password }
+ */
+export async function POST(req) {
+  try {
+    const { token, password } = await req.json();
+    const user = await findResetAccount(token);
+    if (!user) {
+      return NextResponse.json({ error: INVALID_LINK }, { status: 404 });
+    }
+
+    const policyError = await validateNewPassword(password, user);
+    if (policyError) {
+      return NextResponse.json({ error: policyError }, { status: 400 });
+    }
+
+    await setPassword(user.id, password);
+    await unlockAccount(user.id);
+    const revoked = await revokeUserSessions(user.id);
+    forgetDavLogins(user.id);
+
+    logger.info('POST /api/auth/password-reset - Password reset', { user: user.email, revoked });
+    await recordAudit({ req, session: { user }, action: AUDIT_ACTIONS.PASSWORD_RESET, details: { revoked } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('POST /api/auth/password-reset - Error resetting password', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
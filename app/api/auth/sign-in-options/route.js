@@ -0,0 +1,23 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { logger } from '@/lib/logger';
+import { getSetting } from '@/lib/settings';
+import { getSsoProviders } from '@/lib/sso';
+
+/**
+ * GET /api/auth/sign-in-options
+ * Ways to sign in on this server, for the login page (no session needed)
+ * Returns { localPasswords, providers: [{ id, name, type }] }
+ */
+export async function GET() {
+  try {
+    return NextResponse.json({
+      localPasswords: await getSetting('localPasswords'),
+      providers: getSsoProviders(),
+    });
+  } catch (error) {
+    logger.error('GET /api/auth/sign-in-options - Error reading sign-in options', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
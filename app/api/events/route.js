@@ -0,0 +1,130 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { logger } from '@/lib/logger';
+import { isSessionActive } from '@/lib/sessions';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { subscribeToFolder, subscribeToDownloads } from '@/lib/liveEvents';
+
+// Proxies drop connections that stay silent for long, so send a comment line this often
+// Each keepalive also checks the sign-in again, so a revoked session loses its open streams within this time
+const KEEPALIVE_INTERVAL = 25 * 1000;
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/events
+ * Server-sent event stream that stays open while a page is shown
+ * Query: path (folder being viewed; sends "change" when its listing changes), downloads=1 (sends "downloads" with the download list; needs the remote download capability)
+ * Users are only sent their own downloads; admins see everyone's
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const path = searchParams.get('path');
+    const watchDownloads = searchParams.get('downloads') === '1';
+    let downloadsUserId = null;
+
+    if (watchDownloads) {
+      const limited = checkFolderToken(session);
+      if (limited) return limited;
+
+      const denied = await checkCapability(session, CAPABILITIES.REMOTE_DOWNLOAD, 'watch downloads');
+      if (denied) return denied;
+
+      if (!(await sessionHasCapability(session, CAPABILITIES.MANAGE))) downloadsUserId = session.user.id;
+    }
+
+    let folder = null;
+    if (path !== null) {
+      const isRoot = await hasRootAccess(session.user.id);
+      const accessCheck = await checkPathAccess({
+        userId: session.user.id,
+        tokenFolder: session.apiToken?.folder,
+        path,
+        operation: 'read',
+        isRootUser: isRoot,
+      });
+
+      if (!accessCheck.allowed) {
+        return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+      }
+      folder = accessCheck.normalizedPath;
+    }
+
+    const encoder = new TextEncoder();
+    const cleanups = [];
+    const cleanup = () => cleanups.splice(0).forEach((fn) => fn());
+
+    const stream = new ReadableStream({
+      start(controller) {
+        const write = (text) => {
+          try {
+            controller.enqueue(encoder.encode(text));
+          } catch {
+            // Closed by the client between two events
+            cleanup();
+          }
+        };
+        const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const close = () => {
+          cleanup();
+          try {
+            controller.close();
+          } catch {
+            // Already closed
+          }
+        };
+
+        if (folder !== null) {
+          // The client's own path is sent back, not the normalized one
+          cleanups.push(subscribeToFolder(folder, () => send('change', { path })));
+        }
+        if (watchDownloads) {
+          cleanups.push(subscribeToDownloads((downloads) => send('downloads', downloads), downloadsUserId));
+        }
+
+        const keepalive = setInterval(async () => {
+          // A database hiccup is not a reason to drop the stream; the next keepalive checks again
+          if (!(await isSessionActive(session).catch(() => true))) {
+            logger.debug('GET /api/events - Stream closed, session ended', { userId: session.user.id });
+            close();
+            return;
+          }
+          write(': keepalive\n\n');
+        }, KEEPALIVE_INTERVAL);
+        cleanups.push(() => clearInterval(keepalive));
+
+        req.signal.addEventListener('abort', close);
+
+        send('ready', { path });
+      },
+      cancel() {
+        cleanup();
+      },
+    });
+
+    logger.debug('GET /api/events - Stream opened', { userId: session.user.id, folder, downloads: watchDownloads });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      },
+    });
+  } catch (error) {
+    logger.error('GET /api/events - Error opening stream', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,54 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { isValidFileName } from '@/lib/chunkedUpload';
+import { listFolderActivity, listItemHistory } from '@/lib/audit';
+
+/**
+ * GET /api/files/activity
+ * Without name: what other users changed anywhere under the folder, newest first
+ * With name: the full history of that file or folder
+ * Query: path (folder, or parent folder with name), name
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const path = searchParams.get('path') || '';
+    const name = searchParams.get('name') || '';
+
+    if (name && !isValidFileName(name)) {
+      return NextResponse.json({ error: 'Invalid file name' }, { status: 400 });
+    }
+
+    const isRoot = await hasRootAccess(session.user.id);
+    const accessCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path,
+      name,
+      operation: 'read',
+      isRootUser: isRoot,
+    });
+
+    if (!accessCheck.allowed) {
+      return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+    }
+
+    const entries = name
+      ? await listItemHistory(accessCheck.normalizedPath, name)
+      : await listFolderActivity({ folder: accessCheck.normalizedPath, excludeUserId: session.user.id });
+
+    return NextResponse.json({ entries });
+  } catch (error) {
+    logger.error('GET /api/files/activity - Error listing activity', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
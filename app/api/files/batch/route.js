@@ -0,0 +1,248 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { transferEntry } from '@/lib/fileOperations';
+import { moveToTrash } from '@/lib/trash';
+import { findOrCreateShare } from '@/lib/shares';
+import { getPathOwnerId } from '@/lib/permissions';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+const ACTIONS = ['delete', 'move', 'copy', 'share'];
+// Permission each action needs on the items (moving takes them away from the source folder)
+const ITEM_OPERATIONS = { delete: 'delete', move: 'delete', copy: 'read', share: 'share' };
+// Capability the account's role needs for each action
+const ACTION_CAPABILITIES = { delete: CAPABILITIES.DELETE, move: CAPABILITIES.MODIFY, copy: CAPABILITIES.MODIFY, share: CAPABILITIES.SHARE };
+// Audit action recorded for each item, the same as the single-item routes
+const ACTION_AUDIT = { delete: AUDIT_ACTIONS.FILE_DELETE, move: AUDIT_ACTIONS.FILE_MOVE, copy: AUDIT_ACTIONS.FILE_COPY, share: AUDIT_ACTIONS.SHARE_CREATE };
+const CONFLICT_POLICIES = ['rename', 'overwrite', 'fail'];
+const MAX_BATCH_ITEMS = 1000;
+
+// Large folder copies can take a while
+export const maxDuration = 600;
+
+// Items are plain names inside the request's folder, never paths
+function isValidItemName(name) {
+  return typeof name === 'string' && name.length > 0 && name !== '.' && name !== '..' && !/[/\\]/.test(name);
+}
+
+/**
+ * Run one batch action on a single item
+ * @returns {Promise<object>} Per-item result: { name, success, error, ...action specific fields }
+ */
+async function runItem(action, { userId, trashOwnerId, relativePath, destinationDir, replacedTrashOwnerId, name, onConflict, share }) {
+  const sourcePath = join(UPLOAD_DIR, relativePath, name);
+  const resolvedSource = resolve(sourcePath) + sep;
+  if (!resolvedSource.startsWith(RESOLVED_UPLOAD_DIR) || resolvedSource === RESOLVED_UPLOAD_DIR) {
+    return { name, success: false, error: 'Invalid path' };
+  }
+
+  switch (action) {
+    case 'delete': {
+      try {
+        const trashItem = await moveToTrash({ ownerId: trashOwnerId, relativePath, name });
+        return { name, success: true, trashItemId: trashItem.id };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { name, success: false, error: 'File not found' };
+        throw error;
+      }
+    }
+
+    case 'move':
+    case 'copy': {
+      const result = await transferEntry(sourcePath, destinationDir, { copy: action === 'copy', onConflict, trashOwnerId: replacedTrashOwnerId });
+      if (!result.success) return { name, success: false, error: result.error };
+      return { name, success: true, newName: result.name, renamed: result.renamed };
+    }
+
+    case 'share': {
+      let stats;
+      try {
+        stats = await stat(sourcePath);
+      } catch {
+        return { name, success: false, error: 'File not found' };
+      }
+      const result = await findOrCreateShare({
+        ownerId: userId,
+        path: relativePath,
+        fileName: name,
+        isDirectory: stats.isDirectory(),
+        password: share.password,
+        expiresAt: share.expiresAt,
+        allowUploads: share.allowUploads,
+      });
+      return { name, success: true, shareId: result.share.id, shareUrl: result.shareUrl, existing: result.existing };
+    }
+  }
+}
+
+/**
+ * POST /api/files/batch
+ * Apply one action to many items of the same folder in a single request
+ * Body: { action: 'delete'|'move'|'copy'|'share', path, names, destination, onConflict, share: { password, expiresAt, allowUploads } }
+ * Items are processed in order and one failing item does not stop the rest
+ */
+export async function POST(req) {
+  const startTime = Date.now();
+  try {
+    const session = await auth();
+    if (!session) {
+      logger.warn('POST /api/files/batch - Unauthorized access attempt');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { action, path = '', names, destination = '', onConflict = 'rename', share = {} } = await req.json();
+
+    if (!ACTIONS.includes(action)) {
+      return NextResponse.json({ error: 'Invalid action' }, { status: 400 });
+    }
+
+    const denied = await checkCapability(session, ACTION_CAPABILITIES[action], `${action} files`);
+    if (denied) return denied;
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return NextResponse.json({ error: 'No items selected' }, { status: 400 });
+    }
+
+    if (names.length > MAX_BATCH_ITEMS) {
+      return NextResponse.json({ error: `At most ${MAX_BATCH_ITEMS} items can be processed at once` }, { status: 400 });
+    }
+
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return NextResponse.json({ error: 'Invalid conflict policy' }, { status: 400 });
+    }
+
+    // The folder must be readable; what each item allows is checked below, since items can be shared one by one
+    const isRoot = await hasRootAccess(session.user.id);
+    const operation = ITEM_OPERATIONS[action];
+    const sourceCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path,
+      operation: 'read',
+      isRootUser: isRoot,
+    });
+
+    if (!sourceCheck.allowed) {
+      logger.warn('POST /api/files/batch - Access denied', { action, path, userId: session.user.id, reason: sourceCheck.error });
+      return NextResponse.json({ error: sourceCheck.error }, { status: sourceCheck.status });
+    }
+
+    let destinationDir = null;
+    let destinationFolder = null;
+    let replacedTrashOwnerId = null;
+    if (action === 'move' || action === 'copy') {
+      const destinationCheck = await checkPathAccess({
+        userId: session.user.id,
+        tokenFolder: session.apiToken?.folder,
+        path: destination,
+        operation: 'write',
+        isRootUser: isRoot,
+      });
+
+      if (!destinationCheck.allowed) {
+        logger.warn('POST /api/files/batch - Access denied', { action, destination, userId: session.user.id, reason: destinationCheck.error });
+        return NextResponse.json({ error: destinationCheck.error }, { status: destinationCheck.status });
+      }
+
+      destinationFolder = destinationCheck.normalizedPath;
+      destinationDir = join(UPLOAD_DIR, destinationFolder);
+      // Files replaced by 'overwrite' go to the trash a delete in the destination would use
+      replacedTrashOwnerId = destinationCheck.granted ? getPathOwnerId(destinationFolder) : session.user.id;
+      if (!(resolve(destinationDir) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+        return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+      }
+    }
+
+    const relativePath = sourceCheck.normalizedPath;
+    const shareOptions = {
+      password: share.password || null,
+      expiresAt: share.expiresAt || null,
+      allowUploads: share.allowUploads || false,
+    };
+
+    const results = [];
+    for (const name of new Set(names)) {
+      if (!isValidItemName(name)) {
+        results.push({ name, success: false, error: 'Invalid name' });
+        continue;
+      }
+
+      // Personal folders live at the storage root and must stay there
+      if (action === 'move' && !relativePath && name.startsWith('user_')) {
+        results.push({ name, success: false, error: 'Personal folders cannot be moved' });
+        continue;
+      }
+
+      const itemCheck = await checkPathAccess({ userId: session.user.id, tokenFolder: session.apiToken?.folder, path, name, operation, isRootUser: isRoot });
+      if (!itemCheck.allowed) {
+        results.push({ name, success: false, error: itemCheck.error });
+        continue;
+      }
+
+      try {
+        results.push(
+          await runItem(action, {
+            userId: session.user.id,
+            // Items deleted from a folder shared with the user go to the owner's trash, where the owner can restore them
+            trashOwnerId: itemCheck.granted ? getPathOwnerId(relativePath) : session.user.id,
+            relativePath,
+            destinationDir,
+            replacedTrashOwnerId,
+            name,
+            onConflict,
+            share: shareOptions,
+          }),
+        );
+      } catch (error) {
+        logger.error('POST /api/files/batch - Error processing item', { action, name, error: error.message });
+        results.push({ name, success: false, error: 'Internal server error' });
+      }
+    }
+
+    for (const result of results) {
+      await recordAudit({
+        req,
+        session,
+        action: ACTION_AUDIT[action],
+        path: toItemPath(relativePath, result.name),
+        success: result.success,
+        // Same shape as a single move, so the item's history can follow it to its new place
+        details: { batch: true, destination: destinationDir ? toItemPath(destinationFolder, result.newName || result.name) : undefined, reason: result.error },
+      });
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    logger.info(`POST /api/files/batch - ${action} completed`, {
+      path: relativePath,
+      destination,
+      succeeded,
+      failed: results.length - succeeded,
+      user: session.user.email,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return NextResponse.json({
+      success: succeeded === results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    logger.error('POST /api/files/batch - Error', error);
+    logger.error('POST /api/files/batch - Request details', {
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
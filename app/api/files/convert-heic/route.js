@@ -68,9 +68,11 @@ export async function GET(req) {
 
     // Check user permissions
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
+      name: fileId,
       operation: 'read',
       isRootUser: isRoot,
     });
@@ -39,9 +39,11 @@ export async function GET(req) {
 
     // Check user permissions
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
+      name: fileName,
       operation: 'read',
       isRootUser: isRoot,
     });
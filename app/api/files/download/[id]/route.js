@@ -2,14 +2,13 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
-import fs from 'fs';
 import { stat } from 'fs/promises';
 import { join, basename } from 'node:path';
 import { lookup } from 'mime-types';
-import archiver from 'archiver';
-import { Readable } from 'stream';
 import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
 import { safeDecodeURIComponent } from '@/lib/safeUriDecode';
+import { createFileResponse, createZipResponse } from '@/lib/fileStream';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 
@@ -34,14 +33,17 @@ export async function GET(req, { params }) {
 
     // Check user permissions
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
+      name: fileName,
       operation: 'read',
       isRootUser: isRoot,
     });
 
     if (!accessCheck.allowed) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DOWNLOAD, path: toItemPath(relativePath, fileName), success: false, details: { reason: accessCheck.error } });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -50,49 +52,26 @@ export async function GET(req, { params }) {
 
     const filePath = join(UPLOAD_DIR, relativePath, fileName);
 
-    if (!fs.existsSync(filePath)) {
+    let fileStats;
+    try {
+      fileStats = await stat(filePath);
+    } catch {
       return NextResponse.json({ error: 'File not found on disk' }, { status: 404 });
     }
 
-    const fileStats = await stat(filePath);
+    // Later range requests only continue a download that is already recorded
+    const range = req.headers.get('range');
+    if (!range || range.startsWith('bytes=0-')) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DOWNLOAD, path: toItemPath(relativePath, fileName) });
+    }
 
-    // If it's a directory, create a zip archive
+    // Folders are zipped on the fly and streamed as the archive is produced
     if (fileStats.isDirectory()) {
-      const archive = archiver('zip', {
-        zlib: { level: 9 }, // Maximum compression
-      });
-
-      // Collect the archive data
-      const chunks = [];
-
-      // Set up promise before starting archive
-      const archivePromise = new Promise((resolve, reject) => {
-        archive.on('end', () => resolve());
-        archive.on('error', reject);
-      });
-
-      archive.on('data', (chunk) => chunks.push(chunk));
-
-      // Add directory contents to archive
-      archive.directory(filePath, false);
-      archive.finalize();
-
-      // Wait for archive to complete
-      await archivePromise;
-
-      const zipBuffer = Buffer.concat(chunks);
-
-      return new NextResponse(zipBuffer, {
-        headers: {
-          'Content-Type': 'application/zip',
-          'Content-Length': zipBuffer.length.toString(),
-          'Content-Disposition': `attachment; filename="${basename(fileName)}.zip"`,
-        },
+      return createZipResponse(filePath, basename(fileName), {
+        onError: (err) => console.error('Zip stream error:', err),
       });
     }
 
-    // If it's a file, return it directly
-    const fileBuffer = fs.readFileSync(filePath);
     const mimeType = lookup(fileName) || 'application/octet-stream';
 
     // Determine cache duration based on file type
@@ -103,13 +82,11 @@ export async function GET(req, { params }) {
       cacheControl = 'public, max-age=604800'; // 1 week for media
     }
 
-    return new NextResponse(fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Length': fileStats.size.toString(),
-        'Content-Disposition': `inline; filename="${basename(fileName)}"`,
-        'Cache-Control': cacheControl,
-      },
+    return createFileResponse(req, filePath, {
+      fileName: basename(fileName),
+      disposition: 'inline',
+      cacheControl,
+      stats: fileStats,
     });
   } catch (error) {
     console.error('Download error:', error);
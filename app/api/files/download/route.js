@@ -0,0 +1,111 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { stat } from 'fs/promises';
+import { join, basename, resolve, sep } from 'node:path';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { createSelectionZipResponse } from '@/lib/fileStream';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+const MAX_ZIP_ITEMS = 1000;
+
+/**
+ * Read { path, names } from either a JSON body or a form post
+ * The file browser submits a hidden form so the browser handles the download itself
+ */
+async function readSelection(req) {
+  const contentType = req.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    const { path = '', names = [] } = await req.json();
+    return { path, names };
+  }
+
+  const form = await req.formData();
+  let names = [];
+  try {
+    names = JSON.parse(form.get('names') || '[]');
+  } catch {
+    // Invalid JSON - treated as an empty selection below
+  }
+  return { path: form.get('path') || '', names };
+}
+
+/**
+ * POST /api/files/download
+ * Download several files and folders of one folder as a single streamed zip
+ * Body: { path, names } as JSON, or form fields path and names (JSON array)
+ */
+export async function POST(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { path, names } = await readSelection(req);
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return NextResponse.json({ error: 'No items selected' }, { status: 400 });
+    }
+
+    if (names.length > MAX_ZIP_ITEMS) {
+      return NextResponse.json({ error: `At most ${MAX_ZIP_ITEMS} items can be downloaded at once` }, { status: 400 });
+    }
+
+    // Check user permissions
+    const isRoot = await hasRootAccess(session.user.id);
+    const accessCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path,
+      operation: 'read',
+      isRootUser: isRoot,
+    });
+
+    if (!accessCheck.allowed) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DOWNLOAD, path: path || null, success: false, details: { names, reason: accessCheck.error } });
+      return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+    }
+
+    const entries = [];
+    for (const name of new Set(names)) {
+      // Security: items are names inside the folder, never paths
+      if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[/\\]/.test(name)) {
+        return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+      }
+
+      const filePath = join(UPLOAD_DIR, accessCheck.normalizedPath, name);
+      if (!(resolve(filePath) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+        return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+      }
+
+      try {
+        const fileStats = await stat(filePath);
+        entries.push({ path: filePath, name, isDirectory: fileStats.isDirectory() });
+      } catch {
+        // Items deleted since the selection was made are left out of the archive
+      }
+    }
+
+    if (entries.length === 0) {
+      return NextResponse.json({ error: 'File not found on disk' }, { status: 404 });
+    }
+
+    for (const entry of entries) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DOWNLOAD, path: toItemPath(accessCheck.normalizedPath, entry.name), details: { zip: true } });
+    }
+
+    // Named after the folder as the user sees it (without the personal folder prefix)
+    const zipName = path ? basename(path) : 'download';
+
+    return createSelectionZipResponse(entries, zipName, {
+      onError: (err) => console.error('Zip stream error:', err),
+    });
+  } catch (error) {
+    console.error('Download error:', error);
+    return NextResponse.json({ error: 'Download failed' }, { status: 500 });
+  }
+}
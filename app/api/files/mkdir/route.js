@@ -2,10 +2,14 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { mkdir } from 'fs/promises';
 import { join, resolve, sep } from 'node:path';
 import { logger } from '@/lib/logger';
 import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { reindexPath } from '@/lib/searchIndex';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
@@ -21,6 +25,9 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.UPLOAD, 'create folders');
+    if (denied) return denied;
+
     const { name, path: relativePath } = await req.json();
     folderName = name;
 
@@ -32,8 +39,9 @@ export async function POST(req) {
     // Check user permissions
     let pathToUse = relativePath || '';
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: pathToUse,
       operation: 'write',
       isRootUser: isRoot,
@@ -52,6 +60,7 @@ export async function POST(req) {
         userId: session.user.id,
         reason: accessCheck.error,
       });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FOLDER_CREATE, path: toItemPath(pathToUse, name), success: false, details: { reason: accessCheck.error } });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -83,6 +92,7 @@ export async function POST(req) {
     }
 
     await mkdir(targetPath, { recursive: true });
+    await reindexPath(targetPath);
 
     const duration = Date.now() - startTime;
     logger.info('POST /api/files/mkdir - Folder created successfully', {
@@ -90,6 +100,7 @@ export async function POST(req) {
       path: relativePath,
       duration: `${duration}ms`,
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.FOLDER_CREATE, path: toItemPath(adjustedPath, name) });
 
     return NextResponse.json({
       success: true,
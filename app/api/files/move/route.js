@@ -0,0 +1,151 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { join, resolve, sep } from 'node:path';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { transferEntry } from '@/lib/fileOperations';
+import { getPathOwnerId } from '@/lib/permissions';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+const CONFLICT_POLICIES = ['rename', 'overwrite', 'fail'];
+
+/**
+ * POST /api/files/move
+ * Move or copy a file or folder into another folder
+ * Body: { path, name, destination, copy, onConflict }
+ */
+export async function POST(req) {
+  const startTime = Date.now();
+  try {
+    logger.info('POST /api/files/move - Move request');
+    const session = await auth();
+    if (!session) {
+      logger.warn('POST /api/files/move - Unauthorized access attempt');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.MODIFY, 'move or copy files');
+    if (denied) return denied;
+
+    const { path = '', name, destination = '', copy = false, onConflict = 'rename' } = await req.json();
+    const action = copy ? 'copy' : 'move';
+    const auditAction = copy ? AUDIT_ACTIONS.FILE_COPY : AUDIT_ACTIONS.FILE_MOVE;
+
+    if (!name) {
+      logger.warn('POST /api/files/move - Missing file name');
+      return NextResponse.json({ error: 'File name required' }, { status: 400 });
+    }
+
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return NextResponse.json({ error: 'Invalid conflict policy' }, { status: 400 });
+    }
+
+    // Moving takes the item away from the source, so it needs delete permission there (copying only reads it)
+    const isRoot = await hasRootAccess(session.user.id);
+    const sourceCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path,
+      name,
+      operation: copy ? 'read' : 'delete',
+      isRootUser: isRoot,
+    });
+    const destinationCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path: destination,
+      operation: 'write',
+      isRootUser: isRoot,
+    });
+
+    for (const accessCheck of [sourceCheck, destinationCheck]) {
+      if (!accessCheck.allowed) {
+        logger.warn('POST /api/files/move - Access denied', {
+          path,
+          destination,
+          userId: session.user.id,
+          reason: accessCheck.error,
+        });
+        await recordAudit({ req, session, action: auditAction, path: toItemPath(path, name), success: false, details: { destination, reason: accessCheck.error } });
+        return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+      }
+    }
+
+    // Personal folders live at the storage root and must stay there
+    if (!copy && !sourceCheck.normalizedPath && name.startsWith('user_')) {
+      return NextResponse.json({ error: 'Personal folders cannot be moved' }, { status: 400 });
+    }
+
+    const sourcePath = join(UPLOAD_DIR, sourceCheck.normalizedPath, name);
+    const destinationDir = join(UPLOAD_DIR, destinationCheck.normalizedPath);
+
+    // Security: prevent directory traversal (the source may not be the storage root itself)
+    const resolvedSource = resolve(sourcePath) + sep;
+    const resolvedDestination = resolve(destinationDir) + sep;
+    if (
+      !resolvedSource.startsWith(RESOLVED_UPLOAD_DIR) ||
+      resolvedSource === RESOLVED_UPLOAD_DIR ||
+      !resolvedDestination.startsWith(RESOLVED_UPLOAD_DIR)
+    ) {
+      logger.error('POST /api/files/move - Directory traversal attempt', {
+        name,
+        path,
+        destination,
+        user: session.user.email,
+      });
+      return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+    }
+
+    const result = await transferEntry(sourcePath, destinationDir, {
+      copy,
+      onConflict,
+      // A file replaced in a folder shared with the user goes to the owner's trash, as a delete would
+      trashOwnerId: destinationCheck.granted ? getPathOwnerId(destinationCheck.normalizedPath) : session.user.id,
+    });
+
+    if (!result.success) {
+      logger.warn(`POST /api/files/move - ${action} rejected`, {
+        name,
+        path: sourceCheck.normalizedPath,
+        destination: destinationCheck.normalizedPath,
+        reason: result.error,
+      });
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    logger.info(`POST /api/files/move - ${copy ? 'Copied' : 'Moved'} successfully`, {
+      name,
+      newName: result.name,
+      path: sourceCheck.normalizedPath,
+      destination: destinationCheck.normalizedPath,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await recordAudit({
+      req,
+      session,
+      action: auditAction,
+      path: toItemPath(sourceCheck.normalizedPath, name),
+      details: { destination: toItemPath(destinationCheck.normalizedPath, result.name) },
+    });
+
+    return NextResponse.json({
+      success: true,
+      name: result.name,
+      renamed: result.renamed,
+      isDirectory: result.isDirectory,
+    });
+  } catch (error) {
+    logger.error('POST /api/files/move - Error moving file', error);
+    logger.error('POST /api/files/move - Request details', {
+      duration: `${Date.now() - startTime}ms`,
+    });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
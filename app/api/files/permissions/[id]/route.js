@@ -2,9 +2,12 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { prisma } from '@/lib/prisma';
 import { checkUserIsAdmin } from '@/lib/permissions';
 import { serializeBigInt } from '@/lib/serialize';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
 
 // GET - Get permissions for a file
 export async function GET(req, { params }) {
@@ -14,6 +17,9 @@ export async function GET(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
     const fileId = params.id;
 
     const file = await prisma.file.findUnique({
@@ -56,6 +62,9 @@ export async function POST(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
     const fileId = params.id;
     const { userId, canRead, canWrite, canDelete, canShare } = await req.json();
 
@@ -93,6 +102,7 @@ export async function POST(req, { params }) {
         canShare: canShare ?? false,
       },
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.PERMISSION_GRANT, path: file.path, details: { recipientId: userId, canRead, canWrite, canDelete, canShare } });
 
     return NextResponse.json({ permission: serializeBigInt(permission) });
   } catch (error) {
@@ -109,6 +119,9 @@ export async function DELETE(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
     const fileId = params.id;
     const { searchParams } = new URL(req.url);
     const userId = searchParams.get('userId');
@@ -133,6 +146,7 @@ export async function DELETE(req, { params }) {
         },
       },
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.PERMISSION_REVOKE, path: file.path, details: { recipientId: userId } });
 
     return NextResponse.json({ success: true });
   } catch (error) {
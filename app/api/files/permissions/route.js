@@ -0,0 +1,238 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { getPathGrant, getPathPermission, listPathPermissions, listPathGroupPermissions, grantPathPermission, revokePathPermission } from '@/lib/permissions';
+import { isValidFileName } from '@/lib/chunkedUpload';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+// Resolve an item the user may share, or an error response
+async function getShareableItem(session, path, name) {
+  if (!isValidFileName(name)) {
+    return { error: NextResponse.json({ error: 'Invalid file name' }, { status: 400 }) };
+  }
+
+  const isRoot = await hasRootAccess(session.user.id);
+  const accessCheck = await checkPathAccess({
+    userId: session.user.id,
+    tokenFolder: session.apiToken?.folder,
+    path,
+    name,
+    operation: 'share',
+    isRootUser: isRoot,
+  });
+
+  if (!accessCheck.allowed) {
+    return { error: NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status }) };
+  }
+
+  const itemPath = accessCheck.normalizedPath ? `${accessCheck.normalizedPath}/${name}` : name;
+  return { itemPath, accessCheck };
+}
+
+// Someone an item was shared with may only change the grants they gave; the owner can change all of them
+function canChangeGrant(session, item, grant) {
+  return !item.accessCheck.granted || grant.grantedById === session.user.id;
+}
+
+function serializePermission(permission, canChange) {
+  return {
+    userId: permission.userId,
+    username: permission.user.username,
+    email: permission.user.email,
+    canRead: permission.canRead,
+    canWrite: permission.canWrite,
+    canDelete: permission.canDelete,
+    canShare: permission.canShare,
+    canChange,
+    createdAt: permission.createdAt,
+  };
+}
+
+function serializeGroupPermission(permission, canChange) {
+  return {
+    groupId: permission.groupId,
+    name: permission.group.name,
+    memberCount: permission.group._count.members,
+    canRead: permission.canRead,
+    canWrite: permission.canWrite,
+    canDelete: permission.canDelete,
+    canShare: permission.canShare,
+    canChange,
+    createdAt: permission.createdAt,
+  };
+}
+
+/**
+ * GET /api/files/permissions
+ * Users and groups a file or folder is shared with
+ * Query: path (parent folder), name
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const item = await getShareableItem(session, searchParams.get('path') || '', searchParams.get('name'));
+    if (item.error) return item.error;
+
+    const [permissions, groupPermissions] = await Promise.all([listPathPermissions(item.itemPath), listPathGroupPermissions(item.itemPath)]);
+    return NextResponse.json({
+      permissions: permissions.map((permission) => serializePermission(permission, canChangeGrant(session, item, permission))),
+      groupPermissions: groupPermissions.map((permission) => serializeGroupPermission(permission, canChangeGrant(session, item, permission))),
+    });
+  } catch (error) {
+    logger.error('GET /api/files/permissions - Error listing permissions', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/files/permissions
+ * Share a file or folder with a user or a group, or change what they may do with it
+ * Body: { path, name, user (username or email) or groupId, canWrite, canDelete, canShare } - read access is always included
+ * Someone the item was shared with can only change the grants they gave
+ */
+export async function POST(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
+    const { path = '', name, user, groupId, canWrite = false, canDelete = false, canShare = false } = await req.json();
+
+    const item = await getShareableItem(session, path, name);
+    if (item.error) return item.error;
+
+    let recipient = null;
+    let group = null;
+    if (groupId) {
+      group = await prisma.group.findUnique({ where: { id: String(groupId) }, select: { id: true } });
+      if (!group) {
+        return NextResponse.json({ error: 'Group not found' }, { status: 404 });
+      }
+    } else {
+      if (!user || typeof user !== 'string') {
+        return NextResponse.json({ error: 'User is required' }, { status: 400 });
+      }
+
+      recipient = await prisma.user.findFirst({
+        where: { OR: [{ username: user.trim() }, { email: user.trim() }] },
+        select: { id: true },
+      });
+      if (!recipient) {
+        return NextResponse.json({ error: 'User not found' }, { status: 404 });
+      }
+      if (recipient.id === session.user.id) {
+        return NextResponse.json({ error: 'You cannot share an item with yourself' }, { status: 400 });
+      }
+    }
+
+    const grantee = recipient ? { userId: recipient.id } : { groupId: group.id };
+    const existing = await getPathPermission(item.itemPath, grantee);
+    if (existing && !canChangeGrant(session, item, existing)) {
+      logger.warn('POST /api/files/permissions - Grant given by someone else', { path: item.itemPath, ...grantee, user: session.user.email });
+      return NextResponse.json({ error: 'Only the owner or whoever shared it with them can change this access' }, { status: 403 });
+    }
+
+    // Someone it was shared with can pass on at most what they were given
+    const permissions = { canWrite, canDelete, canShare };
+    if (item.accessCheck.granted) {
+      const own = await getPathGrant(session.user.id, item.itemPath);
+      for (const flag of Object.keys(permissions)) {
+        permissions[flag] = permissions[flag] && own[flag];
+      }
+    }
+
+    const result = await grantPathPermission({ path: item.itemPath, ...grantee, permissions, grantedById: session.user.id });
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    if (group) {
+      logger.info('POST /api/files/permissions - Item shared with group', {
+        path: item.itemPath,
+        groupId: group.id,
+        permissions,
+        user: session.user.email,
+      });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.PERMISSION_GRANT, path: item.itemPath, details: { groupId: group.id, ...permissions } });
+
+      const [permission] = (await listPathGroupPermissions(item.itemPath)).filter((entry) => entry.groupId === group.id);
+      return NextResponse.json({ permission: serializeGroupPermission(permission, canChangeGrant(session, item, permission)) });
+    }
+
+    logger.info('POST /api/files/permissions - Item shared with user', {
+      path: item.itemPath,
+      recipientId: recipient.id,
+      permissions,
+      user: session.user.email,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.PERMISSION_GRANT, path: item.itemPath, details: { recipientId: recipient.id, ...permissions } });
+
+    const [permission] = (await listPathPermissions(item.itemPath)).filter((entry) => entry.userId === recipient.id);
+    return NextResponse.json({ permission: serializePermission(permission, canChangeGrant(session, item, permission)) });
+  } catch (error) {
+    logger.error('POST /api/files/permissions - Error sharing item', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/files/permissions
+ * Stop sharing a file or folder with a user or a group
+ * Query: path (parent folder), name, userId or groupId
+ * Someone the item was shared with can only remove the grants they gave
+ */
+export async function DELETE(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
+    const { searchParams } = new URL(req.url);
+    const item = await getShareableItem(session, searchParams.get('path') || '', searchParams.get('name'));
+    if (item.error) return item.error;
+
+    const userId = searchParams.get('userId');
+    const groupId = searchParams.get('groupId');
+    const existing = await getPathPermission(item.itemPath, userId ? { userId } : { groupId });
+    if (existing && !canChangeGrant(session, item, existing)) {
+      logger.warn('DELETE /api/files/permissions - Grant given by someone else', { path: item.itemPath, recipientId: userId, groupId, user: session.user.email });
+      return NextResponse.json({ error: 'Only the owner or whoever shared it with them can remove this access' }, { status: 403 });
+    }
+
+    if (!(await revokePathPermission(item.itemPath, userId ? { userId } : { groupId }))) {
+      return NextResponse.json({ error: 'Permission not found' }, { status: 404 });
+    }
+
+    logger.info('DELETE /api/files/permissions - Stopped sharing item', {
+      path: item.itemPath,
+      recipientId: userId,
+      groupId,
+      user: session.user.email,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.PERMISSION_REVOKE, path: item.itemPath, details: userId ? { recipientId: userId } : { groupId } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/files/permissions - Error removing permission', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -2,12 +2,21 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
 import { readdir, stat } from 'fs/promises';
 import { join, resolve, sep } from 'node:path';
 import { lookup } from 'mime-types';
 import { prisma } from '@/lib/prisma';
 import { logger } from '@/lib/logger';
 import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { moveToTrash } from '@/lib/trash';
+import { reindexPath } from '@/lib/searchIndex';
+import { moveVersions } from '@/lib/versions';
+import { movePathPermissions, getPathOwnerId, getPathGroups } from '@/lib/permissions';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+import { isValidFileName } from '@/lib/chunkedUpload';
+import { pathExists } from '@/lib/fileOperations';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 // Pre-resolve the upload directory with trailing separator for proper security checks
@@ -30,8 +39,9 @@ export async function GET(req) {
 
     // Check user permissions
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
       operation: 'read',
       isRootUser: isRoot,
@@ -76,8 +86,8 @@ export async function GET(req) {
       const userFolderName = pathParts[0];
       const userIdFromPath = userFolderName.replace('user_', '');
 
-      // Check if user has access (must be owner or admin)
-      if (session.user.id !== userIdFromPath && session.user.role !== 'admin') {
+      // Check if user has access (must be owner, admin, or have it shared with them)
+      if (session.user.id !== userIdFromPath && !hasCapability(session.user.role, CAPABILITIES.MANAGE) && !accessCheck.granted) {
         logger.warn('GET /api/files - Access denied to private folder', {
           requestedPath: relativePath,
           userId: session.user.id,
@@ -144,7 +154,7 @@ export async function GET(req) {
     );
 
     // Filter user folders at root level if not admin
-    if (!relativePath && session.user.role !== 'admin') {
+    if (!relativePath && !hasCapability(session.user.role, CAPABILITIES.MANAGE)) {
       files = files.filter((file) => {
         if (!file.name.startsWith('user_')) return true; // Show shared files/folders
         const userIdFromFolder = file.name.replace('user_', '');
@@ -163,6 +173,13 @@ export async function GET(req) {
       };
     });
 
+    // Label items shared with groups
+    const groupsByPath = await getPathGroups(files.map((file) => (relativePath ? `${relativePath}/${file.name}` : file.name)));
+    files = files.map((file) => ({
+      ...file,
+      groups: groupsByPath.get(relativePath ? `${relativePath}/${file.name}` : file.name) || [],
+    }));
+
     // Sort: directories first, then by name
     files.sort((a, b) => {
       if (a.isDirectory && !b.isDirectory) return -1;
@@ -200,6 +217,9 @@ export async function DELETE(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.DELETE, 'delete files');
+    if (denied) return denied;
+
     const { searchParams } = new URL(req.url);
     let relativePath = searchParams.get('path') || '';
     const fileName = searchParams.get('id');
@@ -211,10 +231,12 @@ export async function DELETE(req) {
 
     // Check if user has root access
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
-      operation: 'write',
+      name: fileName,
+      operation: 'delete',
       isRootUser: isRoot,
     });
 
@@ -224,6 +246,7 @@ export async function DELETE(req) {
         userId: session.user.id,
         reason: accessCheck.error,
       });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DELETE, path: toItemPath(relativePath, fileName), success: false, details: { reason: accessCheck.error } });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -241,7 +264,7 @@ export async function DELETE(req) {
 
     // Security: prevent directory traversal
     const resolvedTarget = resolve(targetPath) + sep;
-    if (!resolvedTarget.startsWith(RESOLVED_UPLOAD_DIR)) {
+    if (!resolvedTarget.startsWith(RESOLVED_UPLOAD_DIR) || resolvedTarget === RESOLVED_UPLOAD_DIR) {
       logger.error('DELETE /api/files - Directory traversal attempt', {
         fileName,
         resolvedTarget,
@@ -250,31 +273,26 @@ export async function DELETE(req) {
       return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
     }
 
-    // Check if it's a directory or file
-    const stats = await stat(targetPath);
+    // Move to the user's trash instead of deleting permanently (the owner's, for items shared with the user)
+    const trashItem = await moveToTrash({
+      ownerId: accessCheck.granted ? getPathOwnerId(relativePath) : session.user.id,
+      relativePath,
+      name: fileName,
+    });
 
-    if (stats.isDirectory()) {
-      // Delete directory recursively
-      const { rm } = await import('fs/promises');
-      await rm(targetPath, { recursive: true, force: true });
-      logger.info('DELETE /api/files - Directory deleted', {
-        fileName,
-        path: relativePath,
-        duration: `${Date.now() - startTime}ms`,
-      });
-    } else {
-      // Delete file
-      const { unlink } = await import('fs/promises');
-      await unlink(targetPath);
-      logger.info('DELETE /api/files - File deleted', {
-        fileName,
-        path: relativePath,
-        duration: `${Date.now() - startTime}ms`,
-      });
-    }
+    logger.info(`DELETE /api/files - ${trashItem.isDirectory ? 'Directory' : 'File'} moved to trash`, {
+      fileName,
+      path: relativePath,
+      trashItemId: trashItem.id,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_DELETE, path: toItemPath(relativePath, fileName), details: { trashItemId: trashItem.id } });
 
-    return NextResponse.json({ success: true });
+    return NextResponse.json({ success: true, trashItemId: trashItem.id });
   } catch (error) {
+    if (error.code === 'ENOENT') {
+      return NextResponse.json({ error: 'File not found' }, { status: 404 });
+    }
     logger.error('DELETE /api/files - Error deleting file', error);
     logger.error('DELETE /api/files - Request details', {
       duration: `${Date.now() - startTime}ms`,
@@ -294,6 +312,9 @@ export async function PATCH(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.MODIFY, 'rename files');
+    if (denied) return denied;
+
     const { searchParams } = new URL(req.url);
     let relativePath = searchParams.get('path') || '';
     const oldName = searchParams.get('id');
@@ -304,11 +325,19 @@ export async function PATCH(req) {
       return NextResponse.json({ error: 'Old and new names required' }, { status: 400 });
     }
 
+    // A rename stays in its folder; moving elsewhere goes through /api/files/move and its checks
+    if (!isValidFileName(newName)) {
+      logger.warn('PATCH /api/files - Invalid new name', { newName, user: session.user.email });
+      return NextResponse.json({ error: 'Invalid file name' }, { status: 400 });
+    }
+
     // Check if user has root access
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
+      name: oldName,
       operation: 'write',
       isRootUser: isRoot,
     });
@@ -319,6 +348,14 @@ export async function PATCH(req) {
         userId: session.user.id,
         reason: accessCheck.error,
       });
+      await recordAudit({
+        req,
+        session,
+        action: AUDIT_ACTIONS.FILE_RENAME,
+        path: toItemPath(relativePath, oldName),
+        success: false,
+        details: { newName, reason: accessCheck.error },
+      });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -349,9 +386,18 @@ export async function PATCH(req) {
       return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
     }
 
+    // fs.rename would replace an existing file without a version or a trip to the trash
+    if (newName !== oldName && (await pathExists(newPath))) {
+      return NextResponse.json({ error: `An item named "${newName}" already exists` }, { status: 409 });
+    }
+
     // Rename using fs.rename
     const { rename } = await import('fs/promises');
     await rename(oldPath, newPath);
+    await moveVersions(oldPath, newPath);
+    await movePathPermissions(oldPath, newPath);
+    await reindexPath(oldPath);
+    await reindexPath(newPath);
 
     const duration = Date.now() - startTime;
     logger.info('PATCH /api/files - File renamed successfully', {
@@ -360,6 +406,7 @@ export async function PATCH(req) {
       path: relativePath,
       duration: `${duration}ms`,
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_RENAME, path: toItemPath(relativePath, oldName), details: { newName } });
 
     return NextResponse.json({ success: true, newName });
   } catch (error) {
@@ -0,0 +1,117 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { lookup } from 'mime-types';
+import { logger } from '@/lib/logger';
+import { hasRootAccess } from '@/lib/pathPermissions';
+import { getSharedPaths } from '@/lib/permissions';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
+import { searchFiles, getSearchScope, FILE_CATEGORIES } from '@/lib/searchIndex';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function parseNumber(value) {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : NaN;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : date;
+}
+
+/**
+ * GET /api/files/search
+ * Search file and folder names across everything the user can read
+ * Query: q (name, * and ? wildcards), type, minSize, maxSize (bytes), modifiedAfter, modifiedBefore (ISO dates), limit, offset
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+  try {
+    const session = await auth();
+    if (!session) {
+      logger.warn('GET /api/files/search - Unauthorized access attempt');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const query = (searchParams.get('q') || '').trim();
+    const category = searchParams.get('type') || null;
+    const minSize = parseNumber(searchParams.get('minSize'));
+    const maxSize = parseNumber(searchParams.get('maxSize'));
+    const modifiedAfter = parseDate(searchParams.get('modifiedAfter'));
+    const modifiedBefore = parseDate(searchParams.get('modifiedBefore'));
+    const limit = Math.min(parseNumber(searchParams.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = parseNumber(searchParams.get('offset')) || 0;
+
+    if (category && !FILE_CATEGORIES.includes(category)) {
+      return NextResponse.json({ error: 'Invalid type' }, { status: 400 });
+    }
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+      return NextResponse.json({ error: 'Invalid size range' }, { status: 400 });
+    }
+    if (Number.isNaN(modifiedAfter) || Number.isNaN(modifiedBefore)) {
+      return NextResponse.json({ error: 'Invalid date range' }, { status: 400 });
+    }
+    if (!query && !category && minSize === null && maxSize === null && !modifiedAfter && !modifiedBefore) {
+      return NextResponse.json({ error: 'Search query or filter required' }, { status: 400 });
+    }
+
+    const isRoot = await hasRootAccess(session.user.id);
+    const isAdmin = hasCapability(session.user.role, CAPABILITIES.MANAGE);
+    const sharedPaths = isAdmin ? [] : await getSharedPaths(session.user.id);
+    const scope = getSearchScope({ userId: session.user.id, isRootUser: isRoot, isAdmin, sharedPaths, tokenFolder: session.apiToken?.folder });
+
+    const { entries, hasMore } = await searchFiles({
+      scope,
+      query,
+      category,
+      minSize,
+      maxSize,
+      modifiedAfter,
+      modifiedBefore,
+      limit,
+      offset,
+    });
+
+    // Paths are returned the way the file browser addresses them (without the personal folder prefix for non-root users)
+    const personalFolder = `user_${session.user.id}`;
+    const toClientPath = (path) => {
+      if (isRoot) return path;
+      if (path === personalFolder) return '';
+      // Items shared by other users keep their full path, as in "Shared with me"
+      return path.startsWith(`${personalFolder}/`) ? path.slice(personalFolder.length + 1) : path;
+    };
+
+    const results = entries.map((entry) => {
+      const parentPath = toClientPath(entry.path);
+      return {
+        id: entry.name,
+        name: entry.name,
+        path: parentPath ? `${parentPath}/${entry.name}` : entry.name,
+        parentPath,
+        size: Number(entry.size),
+        mimeType: lookup(entry.name) || 'application/octet-stream',
+        isDirectory: entry.isDirectory,
+        category: entry.category,
+        updatedAt: entry.modifiedAt,
+      };
+    });
+
+    logger.info('GET /api/files/search - Success', {
+      query,
+      category,
+      resultCount: results.length,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return NextResponse.json({ results, hasMore });
+  } catch (error) {
+    logger.error('GET /api/files/search - Error searching files', { error: error.message, duration: `${Date.now() - startTime}ms` });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
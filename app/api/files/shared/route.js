@@ -0,0 +1,29 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkFolderToken } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { listSharedWithUser } from '@/lib/permissions';
+
+/**
+ * GET /api/files/shared
+ * Files and folders other users have shared with the current user
+ */
+export async function GET() {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
+    const items = await listSharedWithUser(session.user.id);
+    return NextResponse.json({ items });
+  } catch (error) {
+    logger.error('GET /api/files/shared - Error listing shared items', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -10,6 +10,7 @@ import { spawn } from 'child_process';
 import { createHash } from 'crypto';
 import { logger } from '@/lib/logger';
 import { safeDecodeURIComponent } from '@/lib/safeUriDecode';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const STREAM_CACHE_DIR = process.env.STREAM_CACHE_DIR || './stream-cache';
@@ -106,9 +107,25 @@ export async function GET(req, { params }) {
       return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
     }
 
+    // Check user permissions
+    const isRoot = await hasRootAccess(session.user.id);
+    const accessCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path: relativePath,
+      name: fileId,
+      operation: 'read',
+      isRootUser: isRoot,
+    });
+
+    if (!accessCheck.allowed) {
+      logger.warn('GET /api/files/stream - Access denied', { fileId, path: relativePath, userId: session.user.id, reason: accessCheck.error });
+      return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+    }
+
     const uploadsDir = resolve(process.cwd(), UPLOAD_DIR);
     const cacheDir = resolve(process.cwd(), STREAM_CACHE_DIR);
-    const fullPath = join(uploadsDir, relativePath, fileId);
+    const fullPath = join(uploadsDir, accessCheck.normalizedPath, fileId);
 
     // Verify file exists
     try {
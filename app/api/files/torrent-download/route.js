@@ -2,15 +2,19 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { writeFile } from 'fs/promises';
 import { join, resolve } from 'node:path';
 import { existsSync, mkdirSync } from 'fs';
 import { logger } from '@/lib/logger';
+import { checkQuota } from '@/lib/quota';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+import { addDownloadOwners, getDownloadDir, getDownloadOwner, trackRemoteDownload } from '@/lib/remoteDownloads';
 import {
   addDownload,
-  getActiveDownloads,
-  getStoppedDownloads,
-  getWaitingDownloads,
+  getAllDownloads,
+  getDownloadStatus,
   pauseDownload,
   resumeDownload,
   removeDownload,
@@ -30,6 +34,9 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.REMOTE_DOWNLOAD, 'start downloads');
+    if (denied) return denied;
+
     const formData = await req.formData();
     const torrentFile = formData.get('torrentFile');
     const url = formData.get('url');
@@ -39,6 +46,13 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Please provide either a file or URL' }, { status: 400 });
     }
 
+    // The final size is unknown until aria2 has the metadata, so only users with space left may start downloads
+    const quotaCheck = await checkQuota(session.user.id, 1);
+    if (!quotaCheck.allowed) {
+      logger.warn('POST /api/files/torrent-download - Quota exceeded', { userId: session.user.id });
+      return NextResponse.json({ error: 'Storage quota exceeded: free up space before starting new downloads' }, { status: quotaCheck.status });
+    }
+
     let downloadUrl;
 
     if (torrentFile) {
@@ -60,8 +74,25 @@ export async function POST(req) {
       downloadUrl = url;
     }
 
-    // Add download via aria2 manager
-    const gid = await addDownload(downloadUrl);
+    // Add download via aria2 manager, into the user's personal folder so it counts towards their quota
+    // Torrents start paused (a magnet link once it has the metadata) until their size is checked against the quota
+    const gid = await addDownload(downloadUrl, {
+      dir: getDownloadDir(session.user.id),
+      'pause-metadata': 'true',
+      ...(torrentFile && { pause: 'true' }),
+    });
+
+    // A torrent file already tells the size; other downloads are checked once aria2 learns it (lib/remoteDownloads.js)
+    let size = null;
+    if (torrentFile) {
+      size = (await getDownloadStatus(gid)).totalBytes;
+      const sizeCheck = await checkQuota(session.user.id, size);
+      if (!sizeCheck.allowed) {
+        await removeDownload(gid);
+        logger.warn('POST /api/files/torrent-download - Quota exceeded', { userId: session.user.id, gid, size });
+        return NextResponse.json({ error: sizeCheck.error }, { status: sizeCheck.status });
+      }
+    }
 
     // Get initial status
     const status = {
@@ -79,6 +110,9 @@ export async function POST(req) {
       gid,
       type: downloadType,
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TORRENT_ADD, details: { gid, type: downloadType, source: status.name } });
+    await trackRemoteDownload(gid, session.user.id, status.name, size);
+    if (torrentFile) await resumeDownload(gid);
 
     return NextResponse.json(status);
   } catch (error) {
@@ -91,6 +125,7 @@ export async function POST(req) {
 /**
  * GET /api/files/torrent-download
  * Get list of active and recent downloads with progress
+ * Users only see their own downloads; admins see everyone's
  */
 export async function GET(req) {
   try {
@@ -100,26 +135,17 @@ export async function GET(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    try {
-      // Get active downloads
-      const activeDownloads = await getActiveDownloads();
-
-      // Get waiting/paused downloads
-      const waitingDownloads = await getWaitingDownloads(0, 100);
-
-      // Get recently stopped downloads (completed or failed)
-      const stoppedDownloads = await getStoppedDownloads(0, 10);
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
 
-      // Combine and sort by most recent
-      const allDownloads = [...activeDownloads, ...waitingDownloads, ...stoppedDownloads];
+    try {
+      const allDownloads = await addDownloadOwners(await getAllDownloads());
+      const seeAll = await sessionHasCapability(session, CAPABILITIES.MANAGE);
+      const downloads = seeAll ? allDownloads : allDownloads.filter((download) => download.userId === session.user.id);
 
-      logger.debug('GET /api/files/torrent-download - Success', {
-        active: activeDownloads.length,
-        waiting: waitingDownloads.length,
-        stopped: stoppedDownloads.length,
-      });
+      logger.debug('GET /api/files/torrent-download - Success', { downloads: downloads.length });
 
-      return NextResponse.json({ downloads: allDownloads });
+      return NextResponse.json({ downloads });
     } catch (error) {
       // aria2c daemon not running or not available
       logger.warn('GET /api/files/torrent-download - aria2c unavailable', { error: error.message });
@@ -135,6 +161,7 @@ export async function GET(req) {
 /**
  * PATCH /api/files/torrent-download
  * Pause/Resume/Remove a download
+ * Users can only control their own downloads; admins can control everyone's
  */
 export async function PATCH(req) {
   try {
@@ -144,6 +171,9 @@ export async function PATCH(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.REMOTE_DOWNLOAD, 'manage downloads');
+    if (denied) return denied;
+
     const body = await req.json();
     const { gid, action } = body;
 
@@ -151,6 +181,12 @@ export async function PATCH(req) {
       return NextResponse.json({ error: 'Missing gid or action' }, { status: 400 });
     }
 
+    const owner = await getDownloadOwner(gid);
+    if (owner.userId !== session.user.id && !(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
+      logger.warn('PATCH /api/files/torrent-download - Not the owner', { gid, userId: session.user.id });
+      return NextResponse.json({ error: 'Download not found' }, { status: 404 });
+    }
+
     switch (action) {
       case 'pause':
         await pauseDownload(gid);
@@ -158,6 +194,10 @@ export async function PATCH(req) {
         return NextResponse.json({ success: true, message: 'Download paused' });
 
       case 'resume':
+        // Downloads wait paused until their size is held against the quota (lib/remoteDownloads.js), which resumes them
+        if (!owner.sizeChecked) {
+          return NextResponse.json({ error: 'The download size is still being checked against the storage quota' }, { status: 409 });
+        }
         await resumeDownload(gid);
         logger.info('PATCH /api/files/torrent-download - Download resumed', { gid });
         return NextResponse.json({ success: true, message: 'Download resumed' });
@@ -2,11 +2,22 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
-import { writeFile, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
+import { checkCapability, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { mkdir, rm, stat } from 'fs/promises';
+import { createWriteStream, existsSync } from 'fs';
 import { join, resolve, sep, extname } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { logger } from '@/lib/logger';
 import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { reindexPath } from '@/lib/searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from '@/lib/quota';
+import { saveVersion } from '@/lib/versions';
+import { moveAcrossDevices } from '@/lib/fileOperations';
+import { isValidFileName, resolveUploadName, UPLOAD_CONFLICT_POLICIES, UPLOAD_TMP_DIR } from '@/lib/chunkedUpload';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 
 // Allow large file uploads (set timeout to 10 minutes)
 export const maxDuration = 600;
@@ -29,6 +40,9 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.UPLOAD, 'upload files');
+    if (denied) return denied;
+
     // Ensure upload directory exists
     if (!existsSync(UPLOAD_DIR)) {
       logger.info('POST /api/files/upload - Creating upload directory', { dir: UPLOAD_DIR });
@@ -60,17 +74,31 @@ export async function POST(req) {
 
     const file = formData.get('file');
     let relativePath = formData.get('path') || '';
+    // Replacing a file is a change to it; accounts that may only upload get a new name by default
+    const canReplace = await sessionHasCapability(session, CAPABILITIES.MODIFY);
+    const onConflict = formData.get('onConflict') || (canReplace ? 'overwrite' : 'rename');
 
     if (!file) {
       logger.warn('POST /api/files/upload - No file provided in request');
       return NextResponse.json({ error: 'No file provided' }, { status: 400 });
     }
 
-    // Check user permissions
+    if (!isValidFileName(file.name)) {
+      logger.warn('POST /api/files/upload - Invalid file name', { fileName: file.name, user: session.user.email });
+      return NextResponse.json({ error: 'Invalid file name' }, { status: 400 });
+    }
+
+    if (!UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+      return NextResponse.json({ error: 'Invalid conflict policy' }, { status: 400 });
+    }
+
+    // Check user permissions (a grant on the file itself lets the user upload over it)
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: relativePath,
+      name: file.name,
       operation: 'write',
       isRootUser: isRoot,
     });
@@ -88,6 +116,7 @@ export async function POST(req) {
         userId: session.user.id,
         reason: accessCheck.error,
       });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(relativePath, file.name), success: false, details: { reason: accessCheck.error } });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -109,8 +138,17 @@ export async function POST(req) {
       user: session.user.email,
     });
 
-    const bytes = await file.arrayBuffer();
-    const buffer = Buffer.from(bytes);
+    const quotaCheck = await checkQuota(getStorageOwnerId(join(UPLOAD_DIR, relativePath)), file.size);
+    if (!quotaCheck.allowed) {
+      logger.warn('POST /api/files/upload - Quota exceeded', {
+        fileName,
+        fileSize: file.size,
+        path: relativePath,
+        userId: session.user.id,
+      });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(relativePath, fileName), success: false, details: { reason: quotaCheck.error } });
+      return NextResponse.json({ error: quotaCheck.error }, { status: quotaCheck.status });
+    }
 
     // Check if file is HEIC/HEIF
     const fileExt = extname(file.name).toLowerCase();
@@ -137,9 +175,31 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
     }
 
-    // Save file directly to storage with original name
-    const filePath = join(targetDir, file.name);
-    await writeFile(filePath, buffer);
+    const target = await resolveUploadName(targetDir, file.name, onConflict, canReplace);
+    if (target.error) {
+      return NextResponse.json({ error: target.error }, { status: target.status });
+    }
+    if (target.skipped) {
+      logger.info('POST /api/files/upload - Upload skipped, name already taken', { fileName, path: relativePath });
+      return NextResponse.json({ success: true, skipped: true });
+    }
+
+    // Stream to a temp file first: no second copy in memory, and a failed write never leaves half a file in place
+    const filePath = join(targetDir, target.name);
+    const replacedSize = target.replaces ? (await stat(filePath)).size : 0;
+    await mkdir(UPLOAD_TMP_DIR, { recursive: true });
+    const tempPath = join(UPLOAD_TMP_DIR, `upload-${randomUUID()}.part`);
+    try {
+      await pipeline(Readable.fromWeb(file.stream()), createWriteStream(tempPath));
+      if (target.replaces && !(await saveVersion(filePath, { replacedBy: session.user.username }))) {
+        await rm(filePath, { force: true });
+      }
+      await moveAcrossDevices(tempPath, filePath);
+    } finally {
+      await rm(tempPath, { force: true });
+    }
+    await adjustUsage(getStorageOwnerId(filePath), file.size - replacedSize);
+    await reindexPath(filePath);
 
     const duration = Date.now() - startTime;
     logger.info('POST /api/files/upload - File uploaded successfully', {
@@ -150,6 +210,7 @@ export async function POST(req) {
       storedIn: baseDir,
       duration: `${duration}ms`,
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(relativePath, target.name), details: { size: file.size, replaced: target.replaces } });
 
     // Normalize path for frontend response (hide uploads/user_id/ prefix)
     const normalizedFilePath = filePath.replace(/\\/g, '/').replace(new RegExp(`^${baseDir.replace(/\\/g, '/')}/`), '');
@@ -157,10 +218,11 @@ export async function POST(req) {
     return NextResponse.json({
       success: true,
       file: {
-        name: file.name,
+        name: target.name,
         size: file.size,
         mimeType: file.type,
         path: normalizedFilePath,
+        renamed: target.name !== file.name,
       },
     });
   } catch (error) {
@@ -0,0 +1,176 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { appendChunk, cancelUpload, finalizeUpload, getUploadOffset, serializeUploadSession } from '@/lib/chunkedUpload';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+import { isInTokenFolder } from '@/lib/apiTokens';
+
+// A single chunk never takes long, but finalizing verifies a checksum over the whole file
+export const maxDuration = 600;
+
+/**
+ * Load an upload session owned by the current user
+ * @returns {Promise<object>} { session, upload: UploadSession|null, error: NextResponse|null }
+ */
+async function getOwnUpload(id) {
+  const session = await auth();
+  if (!session) {
+    return { upload: null, error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  const upload = await prisma.uploadSession.findUnique({ where: { id } });
+  // A token limited to a folder cannot carry on an upload started elsewhere
+  if (!upload || upload.userId !== session.user.id || !isInTokenFolder(session.apiToken?.folder, upload.path)) {
+    return { upload: null, error: NextResponse.json({ error: 'Upload session not found' }, { status: 404 }) };
+  }
+
+  return { session, upload, error: null };
+}
+
+/**
+ * Check that the user may still write the upload's file
+ * Their role or the share they upload into can change while an upload is in progress
+ * @returns {Promise<NextResponse|null>} Error response, or null when allowed
+ */
+async function checkUploadAccess(session, upload) {
+  const denied = await checkCapability(session, CAPABILITIES.UPLOAD, 'upload files');
+  if (denied) return denied;
+
+  const accessCheck = await checkPathAccess({
+    userId: session.user.id,
+    tokenFolder: session.apiToken?.folder,
+    path: upload.path,
+    name: upload.fileName,
+    operation: 'write',
+    isRootUser: await hasRootAccess(session.user.id),
+  });
+  if (!accessCheck.allowed) {
+    logger.warn('Upload session - Access denied', { uploadId: upload.id, path: upload.path, userId: session.user.id, reason: accessCheck.error });
+    return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+  }
+
+  return null;
+}
+
+// GET - Upload status (how many bytes the server has)
+export async function GET(req, { params }) {
+  try {
+    const { id } = await params;
+    const { upload, error } = await getOwnUpload(id);
+    if (error) return error;
+
+    const offset = await getUploadOffset(upload);
+    return NextResponse.json({ upload: serializeUploadSession(upload, offset) });
+  } catch (error) {
+    logger.error('GET /api/files/upload/sessions/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// PATCH - Append a chunk (raw body, starting at the Upload-Offset header)
+export async function PATCH(req, { params }) {
+  try {
+    const { id } = await params;
+    const { session, upload, error } = await getOwnUpload(id);
+    if (error) return error;
+
+    const denied = await checkUploadAccess(session, upload);
+    if (denied) return denied;
+
+    const offset = Number(req.headers.get('upload-offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return NextResponse.json({ error: 'Upload-Offset header required' }, { status: 400 });
+    }
+
+    const result = await appendChunk(upload, offset, req.body, {
+      checksum: req.headers.get('x-chunk-checksum'),
+    });
+
+    if (!result.success) {
+      logger.warn('PATCH /api/files/upload/sessions/[id] - Chunk rejected', {
+        uploadId: id,
+        offset,
+        reason: result.error,
+      });
+      return NextResponse.json({ error: result.error, offset: result.offset }, { status: result.status });
+    }
+
+    return NextResponse.json({ offset: result.offset });
+  } catch (error) {
+    logger.error('PATCH /api/files/upload/sessions/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// POST - Finalize the upload once every byte has been received
+export async function POST(req, { params }) {
+  const startTime = Date.now();
+  try {
+    const { id } = await params;
+    const { session, upload, error } = await getOwnUpload(id);
+    if (error) return error;
+
+    const denied = await checkUploadAccess(session, upload);
+    if (denied) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(upload.path, upload.fileName), success: false, details: { reason: 'Access denied' } });
+      return denied;
+    }
+
+    // Checked again here: the file may have appeared, or the role changed, since the upload started
+    const result = await finalizeUpload(upload, await sessionHasCapability(session, CAPABILITIES.MODIFY));
+    if (!result.success) {
+      logger.warn('POST /api/files/upload/sessions/[id] - Finalize rejected', {
+        uploadId: id,
+        reason: result.error,
+      });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(upload.path, upload.fileName), success: false, details: { reason: result.error } });
+      return NextResponse.json({ error: result.error, offset: result.offset }, { status: result.status });
+    }
+
+    if (result.skipped) {
+      logger.info('POST /api/files/upload/sessions/[id] - Upload skipped, name already taken', {
+        uploadId: id,
+        fileName: upload.fileName,
+        path: upload.path,
+      });
+      return NextResponse.json({ success: true, skipped: true });
+    }
+
+    logger.info('POST /api/files/upload/sessions/[id] - File uploaded successfully', {
+      fileName: result.file.name,
+      fileSize: result.file.size,
+      path: upload.path,
+      isHeic: result.file.isHeic,
+      duration: `${Date.now() - startTime}ms`,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: toItemPath(upload.path, result.file.name), details: { size: result.file.size } });
+
+    return NextResponse.json({ success: true, file: result.file });
+  } catch (error) {
+    logger.error('POST /api/files/upload/sessions/[id] - Error finalizing upload', error);
+    return NextResponse.json({ error: 'Upload failed' }, { status: 500 });
+  }
+}
+
+// DELETE - Cancel the upload
+export async function DELETE(req, { params }) {
+  try {
+    const { id } = await params;
+    const { upload, error } = await getOwnUpload(id);
+    if (error) return error;
+
+    await cancelUpload(upload);
+
+    logger.info('DELETE /api/files/upload/sessions/[id] - Upload cancelled', { uploadId: id });
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/files/upload/sessions/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
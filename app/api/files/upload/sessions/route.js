@@ -0,0 +1,96 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { createUploadSession, serializeUploadSession, isValidFolderPath } from '@/lib/chunkedUpload';
+
+/**
+ * POST /api/files/upload/sessions
+ * Start a resumable chunked upload
+ * Body: { path, folder, fileName, size, mimeType, checksum, onConflict }
+ * onConflict: 'overwrite', 'rename', 'skip' or 'fail' when the name is already taken
+ * Overwriting needs the modify capability; the default is 'overwrite' for accounts that have it and 'rename' otherwise
+ * folder: optional sub-folder of path for folder uploads (e.g. "Photos/2024"), created when the upload completes
+ */
+export async function POST(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      logger.warn('POST /api/files/upload/sessions - Unauthorized upload attempt');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.UPLOAD, 'upload files');
+    if (denied) return denied;
+
+    const { path = '', folder = '', fileName, size, mimeType = null, checksum = null, onConflict } = await req.json();
+
+    if (folder && !isValidFolderPath(folder)) {
+      logger.warn('POST /api/files/upload/sessions - Invalid folder', { folder, user: session.user.email });
+      return NextResponse.json({ error: 'Invalid folder name' }, { status: 400 });
+    }
+
+    // Access is checked on the folder the file ends up in, sub-folders included
+    const targetPath = folder ? (path ? `${path}/${folder}` : folder) : path;
+
+    const isRoot = await hasRootAccess(session.user.id);
+    const accessCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path: targetPath,
+      operation: 'write',
+      isRootUser: isRoot,
+    });
+
+    if (!accessCheck.allowed) {
+      logger.warn('POST /api/files/upload/sessions - Access denied', {
+        requestedPath: targetPath,
+        userId: session.user.id,
+        reason: accessCheck.error,
+      });
+      return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+    }
+
+    const canReplace = await sessionHasCapability(session, CAPABILITIES.MODIFY);
+    const result = await createUploadSession({
+      userId: session.user.id,
+      path: accessCheck.normalizedPath,
+      fileName,
+      size,
+      mimeType,
+      checksum,
+      onConflict: onConflict ?? (canReplace ? 'overwrite' : 'rename'),
+      canReplace,
+    });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    if (result.skipped) {
+      logger.info('POST /api/files/upload/sessions - Upload skipped, name already taken', {
+        fileName,
+        path: accessCheck.normalizedPath,
+        user: session.user.email,
+      });
+      return NextResponse.json({ upload: null, skipped: true });
+    }
+
+    logger.info('POST /api/files/upload/sessions - Upload session started', {
+      uploadId: result.upload.id,
+      fileName,
+      size,
+      path: accessCheck.normalizedPath,
+      user: session.user.email,
+    });
+
+    return NextResponse.json({ upload: serializeUploadSession(result.upload, 0) });
+  } catch (error) {
+    logger.error('POST /api/files/upload/sessions - Error starting upload', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
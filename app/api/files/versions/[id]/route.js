@@ -0,0 +1,155 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { stat } from 'fs/promises';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { createFileResponse } from '@/lib/fileStream';
+import { getVersionFilePath, restoreVersion, deleteVersion } from '@/lib/versions';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+
+/**
+ * Load a version of a file the current user can access
+ * Versions outside the user's reach are reported as missing rather than forbidden
+ */
+async function getAccessibleVersion(id, session, operation) {
+  const version = await prisma.fileVersion.findUnique({ where: { id } });
+  if (!version) return null;
+
+  const isRoot = await hasRootAccess(session.user.id);
+  const accessCheck = await checkPathAccess({
+    userId: session.user.id,
+    tokenFolder: session.apiToken?.folder,
+    path: version.path,
+    name: version.name,
+    operation,
+    isRootUser: isRoot,
+  });
+
+  // Stored paths are already normalized, so anything the check rewrites is outside the user's folder
+  if (!accessCheck.allowed || accessCheck.normalizedPath !== version.path) {
+    return null;
+  }
+  return version;
+}
+
+// GET - Content of a version (inline for previews, ?download=1 as an attachment)
+export async function GET(req, { params }) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const version = await getAccessibleVersion(id, session, 'read');
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+
+    const filePath = getVersionFilePath(version);
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch {
+      return NextResponse.json({ error: 'Version is missing from storage' }, { status: 410 });
+    }
+
+    const { searchParams } = new URL(req.url);
+
+    return createFileResponse(req, filePath, {
+      fileName: version.name,
+      disposition: searchParams.get('download') ? 'attachment' : 'inline',
+      // A version's content never changes
+      cacheControl: 'private, max-age=31536000',
+      stats,
+    });
+  } catch (error) {
+    logger.error('GET /api/files/versions/[id] - Error', error);
+    return NextResponse.json({ error: 'Download failed' }, { status: 500 });
+  }
+}
+
+// PATCH - Act on a version ({ action: 'restore' })
+export async function PATCH(req, { params }) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.MODIFY, 'restore versions');
+    if (denied) return denied;
+
+    const { id } = await params;
+    const { action } = await req.json();
+
+    const version = await getAccessibleVersion(id, session, 'write');
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+
+    switch (action) {
+      case 'restore': {
+        const result = await restoreVersion(version, { restoredBy: session.user.username });
+        if (!result.success) {
+          return NextResponse.json({ error: result.error }, { status: result.status });
+        }
+
+        logger.info('PATCH /api/files/versions/[id] - Version restored', {
+          id,
+          path: version.path,
+          name: version.name,
+          userId: session.user.id,
+        });
+        await recordAudit({ req, session, action: AUDIT_ACTIONS.VERSION_RESTORE, path: toItemPath(version.path, version.name), details: { versionId: id } });
+
+        return NextResponse.json({ success: true });
+      }
+
+      default:
+        return NextResponse.json({ error: 'Invalid action' }, { status: 400 });
+    }
+  } catch (error) {
+    logger.error('PATCH /api/files/versions/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Permanently delete a version
+export async function DELETE(req, { params }) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.DELETE, 'delete versions');
+    if (denied) return denied;
+
+    const { id } = await params;
+    const version = await getAccessibleVersion(id, session, 'write');
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+
+    await deleteVersion(version);
+
+    logger.info('DELETE /api/files/versions/[id] - Version deleted', {
+      id,
+      path: version.path,
+      name: version.name,
+      userId: session.user.id,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.VERSION_DELETE, path: toItemPath(version.path, version.name), details: { versionId: id } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/files/versions/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,136 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { validateSetting } from '@/lib/settings';
+import { getVersionPolicy } from '@/lib/versions';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+// Resolve a folder the user can access, or an error response
+async function getFolder(session, path, operation) {
+  const isRoot = await hasRootAccess(session.user.id);
+  const accessCheck = await checkPathAccess({
+    userId: session.user.id,
+    tokenFolder: session.apiToken?.folder,
+    path,
+    operation,
+    isRootUser: isRoot,
+  });
+
+  if (!accessCheck.allowed) {
+    return { error: NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status }) };
+  }
+
+  const folderPath = join(UPLOAD_DIR, accessCheck.normalizedPath);
+  if (!(resolve(folderPath) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+    return { error: NextResponse.json({ error: 'Invalid path' }, { status: 400 }) };
+  }
+
+  const stats = await stat(folderPath).catch(() => null);
+  if (!stats?.isDirectory()) {
+    return { error: NextResponse.json({ error: 'Folder not found' }, { status: 404 }) };
+  }
+
+  return { folder: accessCheck.normalizedPath };
+}
+
+/**
+ * GET /api/files/versions/policy?path=
+ * Version retention of a folder: its own limits (null = inherited) and what it inherits
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const { folder, error } = await getFolder(session, searchParams.get('path') || '', 'read');
+    if (error) return error;
+
+    const [policy, inherited] = await Promise.all([
+      prisma.versionPolicy.findUnique({ where: { path: folder } }),
+      getVersionPolicy(folder, { inheritedOnly: true }),
+    ]);
+
+    return NextResponse.json({
+      policy: { maxVersions: policy?.maxVersions ?? null, maxDays: policy?.maxDays ?? null },
+      inherited,
+    });
+  } catch (error) {
+    logger.error('GET /api/files/versions/policy - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/files/versions/policy
+ * Set a folder's version retention
+ * Body: { path, maxVersions, maxDays } (null inherits from the parent folder or the global settings)
+ */
+export async function PUT(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.MODIFY, 'change version settings');
+    if (denied) return denied;
+
+    const { path = '', maxVersions = null, maxDays = null } = await req.json();
+
+    const { folder, error } = await getFolder(session, path, 'write');
+    if (error) return error;
+
+    // Same bounds as the global settings
+    const limits = {};
+    for (const [field, key, value] of [
+      ['maxVersions', 'versionRetentionCount', maxVersions],
+      ['maxDays', 'versionRetentionDays', maxDays],
+    ]) {
+      if (value === null) {
+        limits[field] = null;
+        continue;
+      }
+      const result = validateSetting(key, value);
+      if (!result.valid) {
+        return NextResponse.json({ error: result.error }, { status: 400 });
+      }
+      limits[field] = result.value;
+    }
+
+    if (limits.maxVersions === null && limits.maxDays === null) {
+      await prisma.versionPolicy.deleteMany({ where: { path: folder } });
+    } else {
+      await prisma.versionPolicy.upsert({
+        where: { path: folder },
+        update: limits,
+        create: { path: folder, ...limits },
+      });
+    }
+
+    logger.info('PUT /api/files/versions/policy - Policy updated', {
+      path: folder,
+      ...limits,
+      userId: session.user.id,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.VERSION_POLICY, path: folder || null, details: limits });
+
+    return NextResponse.json({ policy: limits });
+  } catch (error) {
+    logger.error('PUT /api/files/versions/policy - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,79 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { isValidFileName } from '@/lib/chunkedUpload';
+import { listVersions, serializeVersion } from '@/lib/versions';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+/**
+ * GET /api/files/versions
+ * Version history of a file, newest first
+ * Query: path (parent folder), name
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const path = searchParams.get('path') || '';
+    const name = searchParams.get('name');
+
+    if (!isValidFileName(name)) {
+      return NextResponse.json({ error: 'Invalid file name' }, { status: 400 });
+    }
+
+    const isRoot = await hasRootAccess(session.user.id);
+    const accessCheck = await checkPathAccess({
+      userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
+      path,
+      name,
+      operation: 'read',
+      isRootUser: isRoot,
+    });
+
+    if (!accessCheck.allowed) {
+      return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
+    }
+
+    const filePath = join(UPLOAD_DIR, accessCheck.normalizedPath, name);
+    if (!(resolve(filePath) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+      return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
+    }
+
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch {
+      return NextResponse.json({ error: 'File not found' }, { status: 404 });
+    }
+
+    if (!stats.isFile()) {
+      return NextResponse.json({ error: 'Folders have no versions' }, { status: 400 });
+    }
+
+    const versions = await listVersions(accessCheck.normalizedPath, name);
+
+    return NextResponse.json({
+      current: {
+        size: stats.size,
+        modifiedAt: stats.mtime,
+        uploadedBy: versions[0]?.replacedBy ?? null,
+      },
+      versions: versions.map(serializeVersion),
+    });
+  } catch (error) {
+    logger.error('GET /api/files/versions - Error listing versions', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,220 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { requireAdmin } from '@/lib/authCheck';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+const MAX_NAME_LENGTH = 64;
+
+// Names are shown in listings and picked from the share dialog, so keep them short and unique
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Group name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `Group name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+// Only existing users can be members; unknown IDs are dropped
+async function resolveMemberIds(memberIds) {
+  if (!Array.isArray(memberIds) || memberIds.length === 0) return [];
+  const users = await prisma.user.findMany({
+    where: { id: { in: memberIds.map(String) } },
+    select: { id: true },
+  });
+  return users.map((user) => user.id);
+}
+
+const groupInclude = {
+  members: {
+    select: { user: { select: { id: true, username: true, email: true } } },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+function serializeGroup(group) {
+  return {
+    id: group.id,
+    name: group.name,
+    description: group.description,
+    createdAt: group.createdAt,
+    members: group.members.map((member) => member.user),
+  };
+}
+
+/**
+ * GET /api/groups
+ * Admins get every group with its members; other users only the names, to share with them
+ */
+export async function GET() {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    if (!hasCapability(session.user.role, CAPABILITIES.MANAGE)) {
+      const groups = await prisma.group.findMany({
+        select: { id: true, name: true },
+        orderBy: { name: 'asc' },
+      });
+      return NextResponse.json({ groups });
+    }
+
+    const groups = await prisma.group.findMany({
+      include: groupInclude,
+      orderBy: { name: 'asc' },
+    });
+    return NextResponse.json({ groups: groups.map(serializeGroup) });
+  } catch (error) {
+    logger.error('GET /api/groups - Error listing groups', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/groups
+ * Create a group (admin only)
+ * Body: { name, description, memberIds }
+ */
+export async function POST(req) {
+  try {
+    const { session, error } = await requireAdmin();
+    if (error) return error;
+
+    const { name, description, memberIds } = await req.json();
+
+    const nameError = validateName(name);
+    if (nameError) {
+      return NextResponse.json({ error: nameError }, { status: 400 });
+    }
+
+    if (await prisma.group.findUnique({ where: { name: name.trim() } })) {
+      return NextResponse.json({ error: 'Group already exists' }, { status: 400 });
+    }
+
+    const userIds = await resolveMemberIds(memberIds);
+    const group = await prisma.group.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        members: { create: userIds.map((userId) => ({ userId })) },
+      },
+      include: groupInclude,
+    });
+
+    logger.info('POST /api/groups - Group created', { groupId: group.id, name: group.name, members: userIds.length, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.GROUP_CREATE, details: { groupId: group.id, name: group.name, memberIds: userIds } });
+
+    return NextResponse.json({ group: serializeGroup(group) }, { status: 201 });
+  } catch (error) {
+    logger.error('POST /api/groups - Error creating group', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/groups
+ * Rename a group or replace its members (admin only)
+ * Body: { id, name, description, memberIds } - fields left out are kept
+ */
+export async function PATCH(req) {
+  try {
+    const { session, error } = await requireAdmin();
+    if (error) return error;
+
+    const { id, name, description, memberIds } = await req.json();
+
+    if (!id) {
+      return NextResponse.json({ error: 'Group ID required' }, { status: 400 });
+    }
+
+    const existing = await prisma.group.findUnique({ where: { id } });
+    if (!existing) {
+      return NextResponse.json({ error: 'Group not found' }, { status: 404 });
+    }
+
+    const updateData = {};
+    if (name !== undefined) {
+      const nameError = validateName(name);
+      if (nameError) {
+        return NextResponse.json({ error: nameError }, { status: 400 });
+      }
+
+      const taken = await prisma.group.findFirst({ where: { name: name.trim(), id: { not: id } } });
+      if (taken) {
+        return NextResponse.json({ error: 'Group already exists' }, { status: 400 });
+      }
+      updateData.name = name.trim();
+    }
+    if (description !== undefined) updateData.description = description?.trim() || null;
+
+    if (memberIds !== undefined) {
+      const userIds = await resolveMemberIds(memberIds);
+      updateData.members = {
+        deleteMany: {},
+        create: userIds.map((userId) => ({ userId })),
+      };
+    }
+
+    const group = await prisma.group.update({
+      where: { id },
+      data: updateData,
+      include: groupInclude,
+    });
+
+    logger.info('PATCH /api/groups - Group updated', { groupId: id, name: group.name, members: group.members.length, user: session.user.email });
+    await recordAudit({
+      req,
+      session,
+      action: AUDIT_ACTIONS.GROUP_UPDATE,
+      details: { groupId: id, name: group.name, memberIds: memberIds === undefined ? undefined : group.members.map((member) => member.user.id) },
+    });
+
+    return NextResponse.json({ group: serializeGroup(group) });
+  } catch (error) {
+    logger.error('PATCH /api/groups - Error updating group', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/groups?id=
+ * Delete a group (admin only); everything shared with it stops being shared
+ */
+export async function DELETE(req) {
+  try {
+    const { session, error } = await requireAdmin();
+    if (error) return error;
+
+    const { searchParams } = new URL(req.url);
+    const id = searchParams.get('id');
+
+    if (!id) {
+      return NextResponse.json({ error: 'Group ID required' }, { status: 400 });
+    }
+
+    const group = await prisma.group.findUnique({ where: { id } });
+    if (!group) {
+      return NextResponse.json({ error: 'Group not found' }, { status: 404 });
+    }
+
+    const grants = await prisma.groupPermission.findMany({ where: { groupId: id }, select: { fileId: true } });
+    await prisma.group.delete({ where: { id } });
+
+    // Drop the shared-path records that only existed for this group's grants
+    await prisma.file.deleteMany({
+      where: { id: { in: grants.map((grant) => grant.fileId) }, permissions: { none: {} }, groupPermissions: { none: {} } },
+    });
+
+    logger.info('DELETE /api/groups - Group deleted', { groupId: id, name: group.name, user: session.user.email });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.GROUP_DELETE, details: { groupId: id, name: group.name } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/groups - Error deleting group', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
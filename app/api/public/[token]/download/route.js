@@ -2,11 +2,10 @@
 
 import { NextResponse } from 'next/server';
 import { verifyShare, validateSharePath } from '@/lib/shareAuth';
-import fs from 'fs';
 import { stat } from 'fs/promises';
 import { join, basename, resolve, sep } from 'node:path';
-import { lookup } from 'mime-types';
-import archiver from 'archiver';
+import { createFileResponse, createZipResponse } from '@/lib/fileStream';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
@@ -19,7 +18,7 @@ export async function GET(req, { params }) {
     const password = req.headers.get('x-share-password') || url.searchParams.get('pwd');
 
     // Verify share
-    const verification = await verifyShare(token, password);
+    const verification = await verifyShare(token, password, req);
 
     if (!verification.valid) {
       if (verification.requiresPassword) {
@@ -47,54 +46,34 @@ export async function GET(req, { params }) {
       return NextResponse.json({ error: 'Invalid path' }, { status: 400 });
     }
 
-    if (!fs.existsSync(filePath)) {
+    let fileStats;
+    try {
+      fileStats = await stat(filePath);
+    } catch {
       return NextResponse.json({ error: 'File not found' }, { status: 404 });
     }
 
-    const fileStats = await stat(filePath);
-
-    // If it's a directory, create a zip archive
-    if (fileStats.isDirectory()) {
-      const archive = archiver('zip', {
-        zlib: { level: 9 },
-      });
-
-      const chunks = [];
-
-      const archivePromise = new Promise((resolve, reject) => {
-        archive.on('end', () => resolve());
-        archive.on('error', reject);
-      });
-
-      archive.on('data', (chunk) => chunks.push(chunk));
-
-      archive.directory(filePath, false);
-      archive.finalize();
-
-      await archivePromise;
+    // Later range requests only continue a download that is already recorded
+    const range = req.headers.get('range');
+    if (!range || range.startsWith('bytes=0-')) {
+      await recordAudit({ req, action: AUDIT_ACTIONS.SHARE_DOWNLOAD, path: pathCheck.fullPath, details: { shareId: share.id } });
+    }
 
-      const zipBuffer = Buffer.concat(chunks);
+    // Name of the shared item itself, or of the entry inside a shared folder
+    const downloadName = subPath ? basename(pathCheck.fullPath) : basename(share.fileName);
 
-      return new NextResponse(zipBuffer, {
-        headers: {
-          'Content-Type': 'application/zip',
-          'Content-Length': zipBuffer.length.toString(),
-          'Content-Disposition': `attachment; filename="${basename(share.fileName)}.zip"`,
-        },
+    // Folders are zipped on the fly and streamed as the archive is produced
+    if (fileStats.isDirectory()) {
+      return createZipResponse(filePath, downloadName, {
+        onError: (err) => console.error('GET /api/public/[token]/download - Zip stream error:', err),
       });
     }
 
-    // If it's a file, return it directly
-    const fileBuffer = fs.readFileSync(filePath);
-    const mimeType = lookup(share.fileName) || 'application/octet-stream';
-
-    return new NextResponse(fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Length': fileStats.size.toString(),
-        'Content-Disposition': `attachment; filename="${basename(share.fileName)}"`,
-        'Cache-Control': 'public, max-age=3600',
-      },
+    return createFileResponse(req, filePath, {
+      fileName: downloadName,
+      disposition: 'attachment',
+      cacheControl: 'public, max-age=3600',
+      stats: fileStats,
     });
   } catch (error) {
     console.error('GET /api/public/[token]/download - Error:', error);
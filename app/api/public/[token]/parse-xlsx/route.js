@@ -14,7 +14,7 @@ export async function GET(req, { params }) {
     const password = req.headers.get('x-share-password');
 
     // Verify share
-    const verification = await verifyShare(token, password);
+    const verification = await verifyShare(token, password, req);
 
     if (!verification.valid) {
       if (verification.requiresPassword) {
@@ -2,6 +2,7 @@
 
 import { NextResponse } from 'next/server';
 import { verifyShare, incrementShareAccess } from '@/lib/shareAuth';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 import { join, resolve, sep } from 'node:path';
 import { stat } from 'fs/promises';
 import { lookup } from 'mime-types';
@@ -15,9 +16,18 @@ export async function GET(req, { params }) {
     const { token } = await params;
     const password = req.headers.get('x-share-password');
 
-    const verification = await verifyShare(token, password);
+    const verification = await verifyShare(token, password, req);
 
     if (!verification.valid) {
+      // Wrong passwords are worth knowing about; a missing one is just the first visit
+      if (password) {
+        await recordAudit({ req, action: AUDIT_ACTIONS.SHARE_ACCESS, success: false, details: { reason: verification.error } });
+      }
+
+      if (verification.retryAfter) {
+        return NextResponse.json({ error: verification.error }, { status: 429, headers: { 'Retry-After': String(verification.retryAfter) } });
+      }
+
       // Return 401 if password required
       if (verification.requiresPassword) {
         return NextResponse.json(
@@ -51,6 +61,7 @@ export async function GET(req, { params }) {
 
     // Increment access count
     await incrementShareAccess(share.id);
+    await recordAudit({ req, action: AUDIT_ACTIONS.SHARE_ACCESS, path: toItemPath(share.path, share.fileName), details: { shareId: share.id, owner: share.owner.username } });
 
     // Return share metadata
     return NextResponse.json({
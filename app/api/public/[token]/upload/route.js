@@ -1,10 +1,19 @@
 /** @format */
 
 import { NextResponse } from 'next/server';
-import { verifyShare, validateSharePath } from '@/lib/shareAuth';
-import { writeFile, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
+import { verifyUploadShare, validateSharePath } from '@/lib/shareAuth';
+import { reindexPath } from '@/lib/searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from '@/lib/quota';
+import { isValidFileName, resolveUploadName, MAX_CHUNK_SIZE, UPLOAD_CONFLICT_POLICIES, UPLOAD_TMP_DIR } from '@/lib/chunkedUpload';
+import { moveAcrossDevices } from '@/lib/fileOperations';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+import { notifyShareUpload } from '@/lib/notifications';
+import { mkdir, rm } from 'fs/promises';
+import { createWriteStream, existsSync } from 'fs';
 import { join, resolve, sep, extname } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 
 export const maxDuration = 600;
 
@@ -13,32 +22,31 @@ const HEIC_DIR = './heic';
 const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
 const RESOLVED_HEIC_DIR = resolve(process.cwd(), HEIC_DIR) + sep;
 
+/**
+ * POST /api/public/[token]/upload
+ * Upload a small file into a shared folder in one request
+ * The form is buffered in memory, so requests are limited to the size of one chunk; larger files go through
+ * the resumable upload sessions (/api/public/[token]/upload/sessions), as the share page does
+ */
 export async function POST(req, { params }) {
   try {
     const { token } = await params;
     const url = new URL(req.url);
     const password = req.headers.get('x-share-password') || url.searchParams.get('pwd');
 
-    // Verify share
-    const verification = await verifyShare(token, password);
-
-    if (!verification.valid) {
-      if (verification.requiresPassword) {
-        return NextResponse.json({ error: 'Password required' }, { status: 401 });
-      }
-      return NextResponse.json({ error: verification.error }, { status: 404 });
+    const shareCheck = await verifyUploadShare(token, password, req);
+    if (!shareCheck.allowed) {
+      return NextResponse.json({ error: shareCheck.error }, { status: shareCheck.status });
     }
 
-    const share = verification.share;
+    const share = shareCheck.share;
 
-    // Check if uploads are allowed
-    if (!share.allowUploads) {
-      return NextResponse.json({ error: 'Uploads not allowed for this share' }, { status: 403 });
+    const contentLength = Number(req.headers.get('content-length'));
+    if (!(contentLength > 0)) {
+      return NextResponse.json({ error: 'Content-Length required' }, { status: 411 });
     }
-
-    // Uploads only work for directory shares
-    if (!share.isDirectory) {
-      return NextResponse.json({ error: 'Uploads only allowed for directory shares' }, { status: 400 });
+    if (contentLength > MAX_CHUNK_SIZE) {
+      return NextResponse.json({ error: `Files over ${MAX_CHUNK_SIZE / 1024 / 1024} MB must be uploaded through /api/public/${token}/upload/sessions` }, { status: 413 });
     }
 
     // Parse form data
@@ -51,17 +59,33 @@ export async function POST(req, { params }) {
 
     const file = formData.get('file');
     const subPath = formData.get('path') || '';
+    // Visitors can never overwrite the owner's files
+    const onConflict = formData.get('onConflict') || 'rename';
 
     if (!file) {
       return NextResponse.json({ error: 'No file provided' }, { status: 400 });
     }
 
+    if (!isValidFileName(file.name)) {
+      return NextResponse.json({ error: 'Invalid file name' }, { status: 400 });
+    }
+
+    if (onConflict === 'overwrite' || !UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+      return NextResponse.json({ error: 'Invalid conflict policy' }, { status: 400 });
+    }
+
     // Validate the upload path is within share scope
     const pathCheck = validateSharePath(share, subPath);
     if (!pathCheck.allowed) {
       return NextResponse.json({ error: pathCheck.error }, { status: 400 });
     }
 
+    // Uploads into a personal folder count towards the share owner's quota
+    const quotaCheck = await checkQuota(getStorageOwnerId(join(UPLOAD_DIR, pathCheck.fullPath)), file.size);
+    if (!quotaCheck.allowed) {
+      return NextResponse.json({ error: quotaCheck.error }, { status: quotaCheck.status });
+    }
+
     // Check file extension for HEIC
     const fileExt = extname(file.name).toLowerCase();
     const isHeic = ['.heic', '.heif'].includes(fileExt);
@@ -86,20 +110,36 @@ export async function POST(req, { params }) {
       await mkdir(targetDir, { recursive: true });
     }
 
-    // Read file data
-    const bytes = await file.arrayBuffer();
-    const buffer = Buffer.from(bytes);
+    const target = await resolveUploadName(targetDir, file.name, onConflict);
+    if (target.error) {
+      return NextResponse.json({ error: target.error }, { status: target.status });
+    }
+    if (target.skipped) {
+      return NextResponse.json({ success: true, skipped: true });
+    }
 
-    // Save file
-    const filePath = join(targetDir, file.name);
-    await writeFile(filePath, buffer);
+    // Save file, streamed through a temp file so a failed write leaves nothing behind
+    const filePath = join(targetDir, target.name);
+    await mkdir(UPLOAD_TMP_DIR, { recursive: true });
+    const tempPath = join(UPLOAD_TMP_DIR, `upload-${randomUUID()}.part`);
+    try {
+      await pipeline(Readable.fromWeb(file.stream()), createWriteStream(tempPath));
+      await moveAcrossDevices(tempPath, filePath);
+    } finally {
+      await rm(tempPath, { force: true });
+    }
+    await adjustUsage(getStorageOwnerId(filePath), file.size);
+    await reindexPath(filePath);
+    await recordAudit({ req, action: AUDIT_ACTIONS.SHARE_UPLOAD, path: toItemPath(pathCheck.fullPath, target.name), details: { shareId: share.id, size: file.size } });
+    notifyShareUpload(share.id, target.name);
 
     return NextResponse.json({
       success: true,
       file: {
-        name: file.name,
+        name: target.name,
         size: file.size,
         mimeType: file.type,
+        renamed: target.name !== file.name,
       },
     });
   } catch (error) {
@@ -0,0 +1,119 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { verifyUploadShare } from '@/lib/shareAuth';
+import { appendChunk, cancelUpload, finalizeUpload, getUploadOffset, serializeUploadSession } from '@/lib/chunkedUpload';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+import { notifyShareUpload } from '@/lib/notifications';
+
+export const maxDuration = 600;
+
+/**
+ * Re-verify the share on every request and load an upload session started through it
+ * @returns {Promise<object>} { upload: UploadSession|null, error: NextResponse|null }
+ */
+async function getShareUpload(req, params) {
+  const { token, id } = await params;
+  const url = new URL(req.url);
+  const password = req.headers.get('x-share-password') || url.searchParams.get('pwd');
+
+  const shareCheck = await verifyUploadShare(token, password, req);
+  if (!shareCheck.allowed) {
+    return { upload: null, error: NextResponse.json({ error: shareCheck.error }, { status: shareCheck.status }) };
+  }
+
+  const upload = await prisma.uploadSession.findUnique({ where: { id } });
+  if (!upload || upload.shareId !== shareCheck.share.id) {
+    return { upload: null, error: NextResponse.json({ error: 'Upload session not found' }, { status: 404 }) };
+  }
+
+  return { upload, error: null };
+}
+
+// GET - Upload status
+export async function GET(req, { params }) {
+  try {
+    const { upload, error } = await getShareUpload(req, params);
+    if (error) return error;
+
+    const offset = await getUploadOffset(upload);
+    return NextResponse.json({ upload: serializeUploadSession(upload, offset) });
+  } catch (error) {
+    console.error('GET /api/public/[token]/upload/sessions/[id] - Error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// PATCH - Append a chunk (raw body, starting at the Upload-Offset header)
+export async function PATCH(req, { params }) {
+  try {
+    const { upload, error } = await getShareUpload(req, params);
+    if (error) return error;
+
+    const offset = Number(req.headers.get('upload-offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return NextResponse.json({ error: 'Upload-Offset header required' }, { status: 400 });
+    }
+
+    const result = await appendChunk(upload, offset, req.body, {
+      checksum: req.headers.get('x-chunk-checksum'),
+    });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error, offset: result.offset }, { status: result.status });
+    }
+
+    return NextResponse.json({ offset: result.offset });
+  } catch (error) {
+    console.error('PATCH /api/public/[token]/upload/sessions/[id] - Error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// POST - Finalize the upload
+export async function POST(req, { params }) {
+  try {
+    const { upload, error } = await getShareUpload(req, params);
+    if (error) return error;
+
+    const result = await finalizeUpload(upload);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error, offset: result.offset }, { status: result.status });
+    }
+
+    if (result.skipped) {
+      return NextResponse.json({ success: true, skipped: true });
+    }
+
+    await recordAudit({ req, action: AUDIT_ACTIONS.SHARE_UPLOAD, path: toItemPath(upload.path, result.file.name), details: { shareId: upload.shareId, size: result.file.size } });
+    notifyShareUpload(upload.shareId, result.file.name);
+
+    return NextResponse.json({
+      success: true,
+      file: {
+        name: result.file.name,
+        size: result.file.size,
+        mimeType: result.file.mimeType,
+        renamed: result.file.renamed,
+      },
+    });
+  } catch (error) {
+    console.error('POST /api/public/[token]/upload/sessions/[id] - Error:', error);
+    return NextResponse.json({ error: 'Upload failed' }, { status: 500 });
+  }
+}
+
+// DELETE - Cancel the upload
+export async function DELETE(req, { params }) {
+  try {
+    const { upload, error } = await getShareUpload(req, params);
+    if (error) return error;
+
+    await cancelUpload(upload);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('DELETE /api/public/[token]/upload/sessions/[id] - Error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
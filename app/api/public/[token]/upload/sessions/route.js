@@ -0,0 +1,61 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { verifyUploadShare, validateSharePath } from '@/lib/shareAuth';
+import { createUploadSession, serializeUploadSession, UPLOAD_CONFLICT_POLICIES } from '@/lib/chunkedUpload';
+
+const PUBLIC_CONFLICT_POLICIES = UPLOAD_CONFLICT_POLICIES.filter((policy) => policy !== 'overwrite');
+
+/**
+ * POST /api/public/[token]/upload/sessions
+ * Start a resumable chunked upload into a shared folder
+ * Body: { path, fileName, size, mimeType, checksum, onConflict }
+ * onConflict: 'rename' (default), 'skip' or 'fail' - visitors can never overwrite the owner's files
+ */
+export async function POST(req, { params }) {
+  try {
+    const { token } = await params;
+    const url = new URL(req.url);
+    const password = req.headers.get('x-share-password') || url.searchParams.get('pwd');
+
+    const shareCheck = await verifyUploadShare(token, password, req);
+    if (!shareCheck.allowed) {
+      return NextResponse.json({ error: shareCheck.error }, { status: shareCheck.status });
+    }
+
+    const { path = '', fileName, size, mimeType = null, checksum = null, onConflict = 'rename' } = await req.json();
+
+    if (!PUBLIC_CONFLICT_POLICIES.includes(onConflict)) {
+      return NextResponse.json({ error: 'Invalid conflict policy' }, { status: 400 });
+    }
+
+    // Validate the upload path is within share scope
+    const pathCheck = validateSharePath(shareCheck.share, path);
+    if (!pathCheck.allowed) {
+      return NextResponse.json({ error: pathCheck.error }, { status: 400 });
+    }
+
+    const result = await createUploadSession({
+      shareId: shareCheck.share.id,
+      path: pathCheck.fullPath,
+      fileName,
+      size,
+      mimeType,
+      checksum,
+      onConflict,
+    });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    if (result.skipped) {
+      return NextResponse.json({ upload: null, skipped: true });
+    }
+
+    return NextResponse.json({ upload: serializeUploadSession(result.upload, 0) });
+  } catch (error) {
+    console.error('POST /api/public/[token]/upload/sessions - Error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
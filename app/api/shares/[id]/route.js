@@ -2,8 +2,11 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { prisma } from '@/lib/prisma';
 import bcrypt from 'bcryptjs';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 
 // GET - Get share details
 export async function GET(req, { params }) {
@@ -13,6 +16,9 @@ export async function GET(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
     const { id } = await params;
 
     const share = await prisma.share.findUnique({
@@ -43,6 +49,9 @@ export async function PATCH(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
     const { id } = await params;
     const { password, removePassword, expiresAt } = await req.json();
 
@@ -71,12 +80,20 @@ export async function PATCH(req, { params }) {
     // Update expiration
     if (expiresAt !== undefined) {
       updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
+      updateData.expiryWarned = false; // Warn again before the new expiry
     }
 
     const updatedShare = await prisma.share.update({
       where: { id },
       data: updateData,
     });
+    await recordAudit({
+      req,
+      session,
+      action: AUDIT_ACTIONS.SHARE_UPDATE,
+      path: toItemPath(share.path, share.fileName),
+      details: { shareId: id, passwordChanged: !!(removePassword || password), expiresAt: updatedShare.expiresAt },
+    });
 
     return NextResponse.json({ share: updatedShare });
   } catch (error) {
@@ -93,6 +110,9 @@ export async function DELETE(req, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
     const { id } = await params;
 
     const share = await prisma.share.findUnique({
@@ -111,6 +131,7 @@ export async function DELETE(req, { params }) {
     await prisma.share.delete({
       where: { id },
     });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.SHARE_DELETE, path: toItemPath(share.path, share.fileName), details: { shareId: id } });
 
     return NextResponse.json({ success: true });
   } catch (error) {
@@ -2,9 +2,12 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { prisma } from '@/lib/prisma';
 import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
-import bcrypt from 'bcryptjs';
+import { findOrCreateShare } from '@/lib/shares';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
 import { join, resolve, sep } from 'node:path';
 import { stat } from 'fs/promises';
 
@@ -19,6 +22,9 @@ export async function GET(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
     const { searchParams } = new URL(req.url);
     const path = searchParams.get('path');
     const fileName = searchParams.get('fileName');
@@ -56,6 +62,9 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const denied = await checkCapability(session, CAPABILITIES.SHARE, 'share files');
+    if (denied) return denied;
+
     const { path, fileName, isDirectory, password, expiresAt, allowUploads } = await req.json();
 
     if (!fileName) {
@@ -64,14 +73,17 @@ export async function POST(req) {
 
     // Check user has access to this path
     const isRoot = await hasRootAccess(session.user.id);
-    const accessCheck = checkPathAccess({
+    const accessCheck = await checkPathAccess({
       userId: session.user.id,
+      tokenFolder: session.apiToken?.folder,
       path: path || '',
-      operation: 'read',
+      name: fileName,
+      operation: 'share',
       isRootUser: isRoot,
     });
 
     if (!accessCheck.allowed) {
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.SHARE_CREATE, path: toItemPath(path, fileName), success: false, details: { reason: accessCheck.error } });
       return NextResponse.json({ error: accessCheck.error }, { status: accessCheck.status });
     }
 
@@ -98,46 +110,30 @@ export async function POST(req) {
       return NextResponse.json({ error: 'File not found' }, { status: 404 });
     }
 
-    // Check if share already exists for this path
-    const existingShare = await prisma.share.findFirst({
-      where: {
-        path: normalizedPath,
-        fileName,
-        ownerId: session.user.id,
-      },
+    // Returns the existing share if this item is already shared
+    const result = await findOrCreateShare({
+      ownerId: session.user.id,
+      path: normalizedPath,
+      fileName,
+      isDirectory,
+      password,
+      expiresAt,
+      allowUploads,
     });
-
-    if (existingShare) {
-      // Return existing share
-      const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_APP_URL || '';
-      return NextResponse.json({
-        share: existingShare,
-        shareUrl: `${baseUrl}/s/${existingShare.token}`,
-        existing: true,
+    if (!result.existing) {
+      await recordAudit({
+        req,
+        session,
+        action: AUDIT_ACTIONS.SHARE_CREATE,
+        path: toItemPath(normalizedPath, fileName),
+        details: { shareId: result.share.id, hasPassword: !!password, expiresAt: expiresAt || null, allowUploads: result.share.allowUploads },
       });
     }
 
-    // Hash password if provided
-    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
-
-    // Create share
-    const share = await prisma.share.create({
-      data: {
-        path: normalizedPath,
-        fileName,
-        isDirectory: isDirectory || false,
-        ownerId: session.user.id,
-        passwordHash,
-        expiresAt: expiresAt ? new Date(expiresAt) : null,
-        allowUploads: isDirectory ? (allowUploads || false) : false,
-      },
-    });
-
-    const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_APP_URL || '';
-
     return NextResponse.json({
-      share,
-      shareUrl: `${baseUrl}/s/${share.token}`,
+      share: result.share,
+      shareUrl: result.shareUrl,
+      ...(result.existing && { existing: true }),
     });
   } catch (error) {
     console.error('POST /api/shares - Error:', error);
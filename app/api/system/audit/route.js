@@ -0,0 +1,69 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { sessionHasCapability } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { CAPABILITIES } from '@/lib/roles';
+import { AUDIT_ACTIONS, MAX_EXPORT_ROWS, listAuditLogs, toAuditCsv } from '@/lib/audit';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseNumber(value) {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : NaN;
+}
+
+function isValidDate(value) {
+  return !value || !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * GET /api/system/audit
+ * Audit trail, newest first (admins and auditors)
+ * Query: user, action (or a category such as "file"), path, from, to (ISO dates), limit, offset, format=csv to download every match
+ */
+export async function GET(req) {
+  try {
+    const session = await auth();
+    if (!session || !(await sessionHasCapability(session, CAPABILITIES.VIEW_LOGS))) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const filters = {
+      user: searchParams.get('user')?.trim() || null,
+      action: searchParams.get('action') || null,
+      path: searchParams.get('path')?.trim() || null,
+      from: searchParams.get('from') || null,
+      to: searchParams.get('to') || null,
+    };
+
+    if (!isValidDate(filters.from) || !isValidDate(filters.to)) {
+      return NextResponse.json({ error: 'Invalid date range' }, { status: 400 });
+    }
+
+    if (searchParams.get('format') === 'csv') {
+      const { entries, total } = await listAuditLogs({ ...filters, limit: MAX_EXPORT_ROWS });
+      logger.info('GET /api/system/audit - Exported audit log', { rows: entries.length, total, user: session.user.email });
+
+      return new NextResponse(toAuditCsv(entries), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+        },
+      });
+    }
+
+    const limit = Math.min(parseNumber(searchParams.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = parseNumber(searchParams.get('offset')) || 0;
+    const { entries, total } = await listAuditLogs({ ...filters, limit, offset });
+
+    return NextResponse.json({ entries, total, actions: Object.values(AUDIT_ACTIONS) });
+  } catch (error) {
+    logger.error('GET /api/system/audit - Error reading audit log', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
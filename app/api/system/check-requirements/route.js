@@ -2,6 +2,8 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { spawn } from 'child_process';
 import { mkdir, readFile, writeFile } from 'fs/promises';
 import { join, resolve } from 'node:path';
@@ -101,7 +103,7 @@ const REQUIRED_PROGRAMS = [
 export async function GET(req) {
   try {
     const session = await auth();
-    if (!session || session.user.role !== 'admin') {
+    if (!session || !(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
       logger.warn('GET /api/system/check-requirements - Unauthorized');
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
@@ -146,7 +148,7 @@ export async function GET(req) {
 export async function POST(req) {
   try {
     const session = await auth();
-    if (!session || session.user.role !== 'admin') {
+    if (!session || !(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
       logger.warn('POST /api/system/install-requirement - Unauthorized');
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
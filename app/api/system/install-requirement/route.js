@@ -2,9 +2,12 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { logger } from '@/lib/logger';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
 
 const execAsync = promisify(exec);
 
@@ -19,7 +22,7 @@ export async function POST(req) {
     }
 
     // Only admins can install requirements
-    if (session.user.role !== 'admin') {
+    if (!(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
       return NextResponse.json({ error: 'Access denied' }, { status: 403 });
     }
 
@@ -83,6 +86,7 @@ export async function POST(req) {
       await execAsync(`sudo apt-get update && sudo apt-get install -y ${packageName}`);
 
       logger.info('Successfully installed:', { name, packageName });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.REQUIREMENT_INSTALL, details: { name, packageName } });
 
       return NextResponse.json({
         message: `${name} has been successfully installed`,
@@ -90,6 +94,7 @@ export async function POST(req) {
       });
     } catch (installError) {
       logger.error('Installation error:', { name, error: installError.message });
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.REQUIREMENT_INSTALL, success: false, details: { name, packageName, reason: installError.message } });
 
       // If installation failed but the command ran (sudo issue, permission denied, etc.)
       if (installError.message.includes('sudo')) {
@@ -2,6 +2,8 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { readFile, writeFile, appendFile } from 'fs/promises';
 import { resolve } from 'path';
 import { existsSync } from 'fs';
@@ -54,7 +56,7 @@ async function appendToHistory(newLines) {
 export async function GET(req) {
   try {
     const session = await auth();
-    if (!session || session.user?.role !== 'admin') {
+    if (!session || !(await sessionHasCapability(session, CAPABILITIES.VIEW_LOGS))) {
       return new NextResponse('Unauthorized', { status: 401 });
     }
 
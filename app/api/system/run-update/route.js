@@ -2,8 +2,11 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { sessionHasCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
 import { spawn } from 'child_process';
 import { logger } from '@/lib/logger';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
 
 export async function POST(req) {
   try {
@@ -13,8 +16,12 @@ export async function POST(req) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    // Optional: Check if user is admin (if your app has admin roles)
-    // For now, just logging the action
+    // Only admins can update the server
+    if (!(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
+      logger.warn('POST /api/system/run-update - Access denied', { userId: session.user.id });
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
     logger.info('Update requested', { userId: session.user.id, email: session.user.email });
 
     // Run pnpm runUpdate in background
@@ -29,6 +36,7 @@ export async function POST(req) {
 
     // Log the process ID for monitoring
     logger.info('Update process started', { pid: updateProcess.pid });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.SYSTEM_UPDATE, details: { pid: updateProcess.pid } });
 
     return NextResponse.json({
       success: true,
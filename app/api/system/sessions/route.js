@@ -0,0 +1,23 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { listSessions, serializeSession } from '@/lib/sessions';
+
+/**
+ * GET /api/system/sessions
+ * Every signed-in browser, with its user (admin only)
+ */
+export async function GET() {
+  try {
+    const { session, error } = await requireAdmin();
+    if (error) return error;
+
+    const sessions = await listSessions();
+    return NextResponse.json({ sessions: sessions.map((item) => serializeSession(item, session.sessionId)) });
+  } catch (error) {
+    logger.error('GET /api/system/sessions - Error listing sessions', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,63 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { getSettings, setSetting, validateSetting } from '@/lib/settings';
+import { getSsoProviders } from '@/lib/sso';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+// GET - Read all system settings
+export async function GET() {
+  try {
+    const { error } = await requireAdmin();
+    if (error) return error;
+
+    const settings = await getSettings();
+    return NextResponse.json({ settings });
+  } catch (error) {
+    logger.error('GET /api/system/settings - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// PATCH - Update one or more settings
+export async function PATCH(req) {
+  try {
+    const { session, error } = await requireAdmin();
+    if (error) return error;
+
+    const updates = await req.json();
+
+    // Validate everything before writing anything
+    const validated = {};
+    for (const [key, value] of Object.entries(updates || {})) {
+      const result = validateSetting(key, value);
+      if (!result.valid) {
+        return NextResponse.json({ error: result.error }, { status: 400 });
+      }
+      validated[key] = result.value;
+    }
+
+    // Without a provider to sign in through, nobody could sign in again
+    if (validated.localPasswords === false && getSsoProviders().length === 0) {
+      return NextResponse.json({ error: 'Configure single sign-on before turning off passwords' }, { status: 400 });
+    }
+
+    for (const [key, value] of Object.entries(validated)) {
+      await setSetting(key, value);
+    }
+
+    logger.info('PATCH /api/system/settings - Settings updated', {
+      keys: Object.keys(validated),
+      user: session.user.email,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.SETTINGS_UPDATE, details: validated });
+
+    const settings = await getSettings();
+    return NextResponse.json({ settings });
+  } catch (error) {
+    logger.error('PATCH /api/system/settings - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
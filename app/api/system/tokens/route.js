@@ -0,0 +1,23 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/authCheck';
+import { logger } from '@/lib/logger';
+import { listApiTokens, serializeApiToken } from '@/lib/apiTokens';
+
+/**
+ * GET /api/system/tokens
+ * Every user's API tokens, with their owner (admin only)
+ */
+export async function GET() {
+  try {
+    const { error } = await requireAdmin();
+    if (error) return error;
+
+    const tokens = await listApiTokens();
+    return NextResponse.json({ tokens: tokens.map(serializeApiToken) });
+  } catch (error) {
+    logger.error('GET /api/system/tokens - Error listing tokens', { error: error.message });
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
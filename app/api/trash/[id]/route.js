@@ -0,0 +1,130 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { hasRootAccess, checkPathAccess } from '@/lib/pathPermissions';
+import { restoreTrashItem, purgeTrashItem } from '@/lib/trash';
+import { AUDIT_ACTIONS, recordAudit, toItemPath } from '@/lib/audit';
+
+/**
+ * Load a trash item owned by the current user
+ * Other users' items are reported as missing rather than forbidden
+ */
+async function getOwnTrashItem(id, userId) {
+  const item = await prisma.trashItem.findUnique({ where: { id } });
+  if (!item || item.ownerId !== userId) {
+    return null;
+  }
+  return item;
+}
+
+// PATCH - Act on a trashed item ({ action: 'restore' })
+export async function PATCH(req, { params }) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.DELETE, 'manage the trash');
+    if (denied) return denied;
+
+    const { id } = await params;
+    const { action } = await req.json();
+
+    const item = await getOwnTrashItem(id, session.user.id);
+    if (!item) {
+      return NextResponse.json({ error: 'Item not found' }, { status: 404 });
+    }
+
+    switch (action) {
+      case 'restore': {
+        // The user must still be allowed to write where the item came from
+        const isRoot = await hasRootAccess(session.user.id);
+        const accessCheck = await checkPathAccess({
+          userId: session.user.id,
+          tokenFolder: session.apiToken?.folder,
+          path: item.originalPath,
+          operation: 'write',
+          isRootUser: isRoot,
+        });
+
+        if (!accessCheck.allowed) {
+          logger.warn('PATCH /api/trash/[id] - Restore denied', {
+            id,
+            originalPath: item.originalPath,
+            userId: session.user.id,
+          });
+          await recordAudit({
+            req,
+            session,
+            action: AUDIT_ACTIONS.TRASH_RESTORE,
+            path: toItemPath(item.originalPath, item.name),
+            success: false,
+            details: { reason: accessCheck.error },
+          });
+          return NextResponse.json({ error: 'You no longer have access to the original location' }, { status: 400 });
+        }
+
+        const result = await restoreTrashItem(item);
+        if (!result.success) {
+          return NextResponse.json({ error: result.error }, { status: result.status });
+        }
+
+        logger.info('PATCH /api/trash/[id] - Item restored', {
+          id,
+          name: result.name,
+          path: result.path,
+          userId: session.user.id,
+        });
+        await recordAudit({ req, session, action: AUDIT_ACTIONS.TRASH_RESTORE, path: toItemPath(result.path, result.name), details: { trashItemId: id } });
+
+        return NextResponse.json({ success: true, name: result.name, path: result.path, renamed: result.renamed });
+      }
+
+      default:
+        return NextResponse.json({ error: 'Invalid action' }, { status: 400 });
+    }
+  } catch (error) {
+    logger.error('PATCH /api/trash/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Permanently delete a trashed item
+export async function DELETE(req, { params }) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const denied = await checkCapability(session, CAPABILITIES.DELETE, 'manage the trash');
+    if (denied) return denied;
+
+    const { id } = await params;
+
+    const item = await getOwnTrashItem(id, session.user.id);
+    if (!item) {
+      return NextResponse.json({ error: 'Item not found' }, { status: 404 });
+    }
+
+    await purgeTrashItem(item);
+
+    logger.info('DELETE /api/trash/[id] - Item purged', {
+      id,
+      name: item.name,
+      userId: session.user.id,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TRASH_PURGE, path: toItemPath(item.originalPath, item.name), details: { trashItemId: id } });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /api/trash/[id] - Error', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
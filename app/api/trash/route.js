@@ -0,0 +1,74 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { checkCapability, checkFolderToken } from '@/lib/authCheck';
+import { CAPABILITIES } from '@/lib/roles';
+import { prisma } from '@/lib/prisma';
+import { logger } from '@/lib/logger';
+import { getSetting } from '@/lib/settings';
+import { emptyTrash } from '@/lib/trash';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+
+// GET - List the current user's trash
+export async function GET() {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
+    const [items, retentionDays] = await Promise.all([
+      prisma.trashItem.findMany({
+        where: { ownerId: session.user.id },
+        orderBy: { deletedAt: 'desc' },
+      }),
+      getSetting('trashRetentionDays'),
+    ]);
+
+    // Let the UI show when each item will be purged automatically
+    const withExpiry = items.map((item) => ({
+      ...item,
+      size: Number(item.size),
+      permissions: undefined, // Kept for the restore only
+      expiresAt: retentionDays > 0 ? new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000) : null,
+    }));
+
+    return NextResponse.json({ items: withExpiry, retentionDays });
+  } catch (error) {
+    logger.error('GET /api/trash - Error listing trash', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE - Empty the current user's trash
+export async function DELETE(req) {
+  try {
+    const session = await auth();
+    if (!session) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const limited = checkFolderToken(session);
+    if (limited) return limited;
+
+    const denied = await checkCapability(session, CAPABILITIES.DELETE, 'manage the trash');
+    if (denied) return denied;
+
+    const count = await emptyTrash(session.user.id);
+
+    logger.info('DELETE /api/trash - Trash emptied', {
+      userId: session.user.id,
+      count,
+    });
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.TRASH_EMPTY, details: { count } });
+
+    return NextResponse.json({ success: true, count });
+  } catch (error) {
+    logger.error('DELETE /api/trash - Error emptying trash', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
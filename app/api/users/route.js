@@ -4,12 +4,37 @@ import { NextResponse } from 'next/server';
 import { requireAdmin } from '@/lib/authCheck';
 import { prisma } from '@/lib/prisma';
 import bcrypt from 'bcryptjs';
-import { mkdir, rmdir } from 'fs/promises';
+import { mkdir, rm } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'node:path';
+import { moveToTrash, TRASH_DIR } from '@/lib/trash';
+import { CAPABILITIES, DEFAULT_ROLE, hasCapability, isValidRole } from '@/lib/roles';
+import { AUDIT_ACTIONS, recordAudit } from '@/lib/audit';
+import { disableTwoFactor } from '@/lib/twoFactor';
+import { unlockAccount } from '@/lib/loginThrottle';
+import { revokeUserSessions } from '@/lib/sessions';
+import { createPasswordReset, validateNewPassword } from '@/lib/passwords';
+import { forgetDavLogins } from '@/lib/webdav';
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 
+// Quotas arrive as a byte count, or null / '' for unlimited
+function parseQuota(value) {
+  if (value === null || value === '') return { valid: true, value: null };
+  const bytes = Number(value);
+  if (!Number.isSafeInteger(bytes) || bytes < 0) return { valid: false, value: null };
+  return { valid: true, value: BigInt(bytes) };
+}
+
+// BigInt columns are not JSON serializable
+function serializeUser(user) {
+  return {
+    ...user,
+    quotaBytes: user.quotaBytes === null ? null : Number(user.quotaBytes),
+    usedBytes: Number(user.usedBytes),
+  };
+}
+
 export async function GET(req) {
   try {
     const { session, error } = await requireAdmin();
@@ -23,6 +48,11 @@ export async function GET(req) {
         name: true,
         role: true,
         hasRootAccess: true,
+        quotaBytes: true,
+        usedBytes: true,
+        totpEnabled: true,
+        lockedUntil: true,
+        authProvider: true,
         createdAt: true,
       },
       orderBy: {
@@ -30,7 +60,7 @@ export async function GET(req) {
       },
     });
 
-    return NextResponse.json({ users });
+    return NextResponse.json({ users: users.map(serializeUser) });
   } catch (error) {
     console.error('Error fetching users:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
@@ -43,12 +73,26 @@ export async function POST(req) {
     const { session, error } = await requireAdmin();
     if (error) return error;
 
-    const { email, username, password, name, role, hasRootAccess } = await req.json();
+    const { email, username, password, name, role, hasRootAccess, quotaBytes = null } = await req.json();
 
     if (!email || !username || !password) {
       return NextResponse.json({ error: 'Missing required fields' }, { status: 400 });
     }
 
+    const policyError = await validateNewPassword(password, { username, email });
+    if (policyError) {
+      return NextResponse.json({ error: policyError }, { status: 400 });
+    }
+
+    if (role && !isValidRole(role)) {
+      return NextResponse.json({ error: 'Invalid role' }, { status: 400 });
+    }
+
+    const quota = parseQuota(quotaBytes);
+    if (!quota.valid) {
+      return NextResponse.json({ error: 'Invalid storage quota' }, { status: 400 });
+    }
+
     // Check if user already exists
     const existingUser = await prisma.user.findFirst({
       where: {
@@ -68,20 +112,23 @@ export async function POST(req) {
         username,
         password: hashedPassword,
         name: name || username,
-        role: role || 'user',
+        role: role || DEFAULT_ROLE,
         // Admins always have root access
-        hasRootAccess: role === 'admin' ? true : hasRootAccess || false,
+        hasRootAccess: hasCapability(role, CAPABILITIES.MANAGE) ? true : hasRootAccess || false,
+        quotaBytes: quota.value,
       },
     });
 
     // Create private directory for regular users
-    if (user.role !== 'admin') {
+    if (!hasCapability(user.role, CAPABILITIES.MANAGE)) {
       const userDir = join(UPLOAD_DIR, `user_${user.id}`);
       if (!existsSync(userDir)) {
         await mkdir(userDir, { recursive: true });
       }
     }
 
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.USER_CREATE, details: { userId: user.id, username: user.username, role: user.role } });
+
     return NextResponse.json(
       {
         user: {
@@ -91,6 +138,8 @@ export async function POST(req) {
           name: user.name,
           role: user.role,
           hasRootAccess: user.hasRootAccess,
+          quotaBytes: user.quotaBytes === null ? null : Number(user.quotaBytes),
+          usedBytes: 0,
         },
       },
       { status: 201 },
@@ -123,27 +172,32 @@ export async function DELETE(req) {
       return NextResponse.json({ error: 'User not found' }, { status: 404 });
     }
 
-    if (userToDelete.role === 'admin') {
+    if (hasCapability(userToDelete.role, CAPABILITIES.MANAGE)) {
       return NextResponse.json({ error: 'Cannot delete admin users' }, { status: 403 });
     }
 
-    // Delete user from database
-    await prisma.user.delete({
-      where: { id: userId },
-    });
-
-    // Delete user's personal folder if it exists
+    // Move the user's personal folder into the deleting admin's trash so it can still be recovered
     const userDir = join(UPLOAD_DIR, `user_${userId}`);
     if (existsSync(userDir)) {
       try {
-        // Recursively remove the directory
-        await rmdir(userDir, { recursive: true, force: true });
+        await moveToTrash({ ownerId: session.user.id, relativePath: '', name: `user_${userId}` });
       } catch (folderError) {
-        console.error('Error deleting user folder:', folderError);
-        // Don't fail the user deletion if folder deletion fails
+        console.error('Error moving user folder to trash:', folderError);
+        // Don't fail the user deletion if the folder cannot be moved
       }
     }
 
+    // Delete user from database (their sessions and tokens go with it)
+    await prisma.user.delete({
+      where: { id: userId },
+    });
+    forgetDavLogins(userId);
+
+    // The user's own trash goes with them
+    await rm(join(TRASH_DIR, `user_${userId}`), { recursive: true, force: true });
+
+    await recordAudit({ req, session, action: AUDIT_ACTIONS.USER_DELETE, details: { userId, username: userToDelete.username } });
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -157,12 +211,31 @@ export async function PATCH(req) {
     const { session, error } = await requireAdmin();
     if (error) return error;
 
-    const { id, email, username, name, password, role, hasRootAccess } = await req.json();
+    const { id, email, username, name, password, role, hasRootAccess, quotaBytes, resetTwoFactor, unlock, revokeSessions, createResetLink } = await req.json();
 
     if (!id) {
       return NextResponse.json({ error: 'User ID required' }, { status: 400 });
     }
 
+    if (role && !isValidRole(role)) {
+      return NextResponse.json({ error: 'Invalid role' }, { status: 400 });
+    }
+
+    // Only accounts that sign in with a TrueCloud password have one to set
+    if (password || createResetLink === true) {
+      const target = await prisma.user.findUnique({ where: { id } });
+      if (!target) {
+        return NextResponse.json({ error: 'User not found' }, { status: 404 });
+      }
+      if (target.authProvider !== 'local') {
+        return NextResponse.json({ error: 'Single sign-on accounts have no password' }, { status: 400 });
+      }
+      const policyError = password && (await validateNewPassword(password, { username: username || target.username, email: email || target.email }));
+      if (policyError) {
+        return NextResponse.json({ error: policyError }, { status: 400 });
+      }
+    }
+
     const updateData = {};
     if (email) updateData.email = email;
     if (username) updateData.username = username;
@@ -171,12 +244,20 @@ export async function PATCH(req) {
     if (role) updateData.role = role;
 
     // Handle hasRootAccess: admins always have it, others only if explicitly set
-    if (role === 'admin') {
+    if (hasCapability(role, CAPABILITIES.MANAGE)) {
       updateData.hasRootAccess = true;
     } else if (typeof hasRootAccess === 'boolean') {
       updateData.hasRootAccess = hasRootAccess;
     }
 
+    if (quotaBytes !== undefined) {
+      const quota = parseQuota(quotaBytes);
+      if (!quota.valid) {
+        return NextResponse.json({ error: 'Invalid storage quota' }, { status: 400 });
+      }
+      updateData.quotaBytes = quota.value;
+    }
+
     const user = await prisma.user.update({
       where: { id },
       data: updateData,
@@ -187,10 +268,55 @@ export async function PATCH(req) {
         name: true,
         role: true,
         hasRootAccess: true,
+        quotaBytes: true,
+        usedBytes: true,
+        totpEnabled: true,
+        lockedUntil: true,
+        authProvider: true,
       },
     });
 
-    return NextResponse.json({ user });
+    // For users who lost their authenticator; they sign in with their password and set it up again if required
+    if (resetTwoFactor === true && user.totpEnabled) {
+      await disableTwoFactor(id);
+      user.totpEnabled = false;
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.TWO_FACTOR_RESET, details: { userId: id, username: user.username } });
+    }
+
+    // Lifts a lockout after too many failed sign-ins before it runs out
+    if (unlock === true) {
+      await unlockAccount(id);
+      user.lockedUntil = null;
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.USER_UNLOCK, details: { userId: id, username: user.username } });
+    }
+
+    // Signs the user out of every browser, e.g. after a stolen laptop; they can sign in again with their password
+    if (revokeSessions === true) {
+      const count = await revokeUserSessions(id);
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.SESSION_REVOKE, details: { userId: id, owner: user.username, count } });
+    }
+
+    // For users who forgot their password; the admin passes the link on and it works once
+    let resetLink = null;
+    if (createResetLink === true) {
+      resetLink = await createPasswordReset(id);
+      await recordAudit({ req, session, action: AUDIT_ACTIONS.PASSWORD_RESET_LINK, details: { userId: id, username: user.username, expires: resetLink.expires } });
+    }
+
+    // WebDAV clients keep signed in for a minute; the new role or password applies to their next request instead
+    forgetDavLogins(id);
+
+    // Field names only, so password hashes never end up in the log
+    if (Object.keys(updateData).length > 0) {
+      await recordAudit({
+        req,
+        session,
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        details: { userId: id, username: user.username, fields: Object.keys(updateData), role: updateData.role },
+      });
+    }
+
+    return NextResponse.json({ user: serializeUser(user), ...(resetLink && { resetLink }) });
   } catch (error) {
     console.error('Error updating user:', error);
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
@@ -2,16 +2,51 @@
 
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Suspense } from 'react';
 import { signIn, useSession } from 'next-auth/react';
-import { useRouter } from 'next/navigation';
+import { useRouter, useSearchParams } from 'next/navigation';
 import Link from 'next/link';
+import Image from 'next/image';
+import { useStartTwoFactorSetup, useEnableTwoFactor } from '@/lib/api/twoFactor';
+import { useSignInOptions } from '@/lib/api/system';
 
-export default function LoginPage() {
+const inputClass =
+  'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-gray-700';
+const buttonClass =
+  'group relative w-full flex justify-center py-2 px-4 border border-transparent  font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Errors NextAuth sends back here (?error=) after a single sign-on attempt
+const SINGLE_SIGN_ON_ERRORS = {
+  single_sign_on_refused: 'Your account is not allowed to sign in to TrueCloud. Ask an administrator for access.',
+  AccessDenied: 'Your account is not allowed to sign in to TrueCloud. Ask an administrator for access.',
+};
+
+function LoginPageContent() {
+  const searchParams = useSearchParams();
+  const signInError = searchParams.get('error');
+  // Set by the password reset page once the new password is saved
+  const passwordReset = searchParams.get('reset') === 'done';
+  // Email for TrueCloud accounts, username or email for LDAP
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [code, setCode] = useState('');
+  // password, then code for accounts with two-factor authentication; setup and recovery when it has to be turned on first
+  const [step, setStep] = useState('password');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [error, setError] = useState(signInError ? SINGLE_SIGN_ON_ERRORS[signInError] || 'Single sign-on failed. Please try again.' : '');
   const [loading, setLoading] = useState(false);
+  const { data: signInOptions } = useSignInOptions();
+  // Password forms on offer: TrueCloud accounts and the LDAP directory; the first one is shown until the user picks
+  const passwordMethods = [
+    ...(signInOptions?.localPasswords !== false ? [{ id: 'credentials', name: 'TrueCloud' }] : []),
+    ...(signInOptions?.providers.filter((provider) => provider.type === 'ldap') ?? []),
+  ];
+  const oidcProvider = signInOptions?.providers.find((provider) => provider.type === 'oidc');
+  const [selectedMethod, setSelectedMethod] = useState(null);
+  const method = passwordMethods.some(({ id }) => id === selectedMethod) ? selectedMethod : passwordMethods[0]?.id;
+  const startSetupMutation = useStartTwoFactorSetup();
+  const enableMutation = useEnableTwoFactor();
   const router = useRouter();
   const { data: session, status } = useSession();
 
@@ -22,31 +57,79 @@ export default function LoginPage() {
     }
   }, [status, router]);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const signInWith = async (twoFactorCode) => {
     setError('');
     setLoading(true);
 
     try {
-      const result = await signIn('credentials', {
-        email,
-        password,
-        redirect: false,
-      });
+      const result =
+        method === 'ldap'
+          ? await signIn('ldap', { username: email, password, redirect: false })
+          : await signIn('credentials', {
+              email,
+              password,
+              ...(twoFactorCode && { code: twoFactorCode }),
+              redirect: false,
+            });
 
-      if (result?.error) {
-        setError('Invalid email or password');
+      if (result?.code === 'two_factor_required') {
+        setStep('code');
+      } else if (result?.code === 'two_factor_invalid') {
+        setStep('code');
+        setCode('');
+        setError('Invalid or expired code');
+      } else if (result?.code === 'account_locked') {
+        setError('This account is locked after too many failed sign-ins. Try again later or ask an administrator to unlock it.');
+      } else if (result?.code === 'too_many_attempts') {
+        setError('Too many failed attempts. Wait a moment and try again.');
+      } else if (result?.code === 'passwords_disabled') {
+        setError('Password sign-in is turned off. Use single sign-on instead.');
+      } else if (result?.code === 'single_sign_on') {
+        setError('This account signs in with single sign-on.');
+      } else if (result?.code === 'single_sign_on_refused') {
+        setError(SINGLE_SIGN_ON_ERRORS.single_sign_on_refused);
+      } else if (result?.code === 'provider_unavailable') {
+        setError('The directory server could not be reached. Try again later.');
+      } else if (result?.code === 'two_factor_setup') {
+        setSetup(await startSetupMutation.mutateAsync({ email, password }));
+        setStep('setup');
+      } else if (result?.error) {
+        setError(method === 'ldap' ? 'Invalid username or password' : 'Invalid email or password');
       } else {
         router.push('/files');
         router.refresh();
       }
     } catch (err) {
-      setError('An error occurred. Please try again.');
+      setError(err.response?.data?.error || 'An error occurred. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    signInWith(step === 'code' ? code : null);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const result = await enableMutation.mutateAsync({ code, email, password });
+      setRecoveryCodes(result.recoveryCodes);
+      setStep('recovery');
+    } catch (err) {
+      setError(err.response?.data?.error || 'An error occurred. Please try again.');
+    }
+  };
+
+  const startOver = () => {
+    setStep('password');
+    setCode('');
+    setSetup(null);
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 to-gray-800 px-4">
       <div className="max-w-md w-full space-y-8 bg-gray-800 p-8 rounded-xl shadow-lg">
@@ -54,52 +137,160 @@ export default function LoginPage() {
           <h2 className="text-center text-3xl font-extrabold text-white">Truecloud</h2>
           <p className="mt-2 text-center  text-gray-400">Sign in to your account</p>
         </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>}
-          <div className="space-y-4">
+        {step === 'setup' && setup ? (
+          <form className="mt-8 space-y-6" onSubmit={handleEnable}>
+            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>}
+            <p className="text-sm text-gray-300">Your administrator requires two-factor authentication. Scan this code with an authenticator app, then enter the code it shows.</p>
+            <Image src={setup.qrCode} alt="Two-factor QR code" width={192} height={192} unoptimized className="mx-auto w-48 h-48 rounded bg-white p-2" />
+            <p className="text-xs text-gray-400 text-center break-all">
+              Or enter this key: <code className="font-mono text-gray-200">{setup.secret}</code>
+            </p>
             <div>
-              <label htmlFor="email" className="block  font-medium text-gray-300">
-                Email address
+              <label htmlFor="code" className="block  font-medium text-gray-300">
+                Code
               </label>
               <input
-                id="email"
-                name="email"
-                type="email"
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
                 required
-                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-gray-700"
-                placeholder="Email address"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
+                autoFocus
+                className={inputClass}
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
               />
             </div>
-            <div>
-              <label htmlFor="password" className="block  font-medium text-gray-300">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                required
-                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-gray-700"
-                placeholder="Password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-              />
+            <button type="submit" disabled={enableMutation.isPending} className={buttonClass}>
+              {enableMutation.isPending ? 'Verifying...' : 'Turn on two-factor authentication'}
+            </button>
+            <button type="button" onClick={startOver} className="w-full text-sm text-gray-400 hover:text-gray-300">
+              Cancel
+            </button>
+          </form>
+        ) : step === 'recovery' ? (
+          <div className="mt-8 space-y-6">
+            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>}
+            <p className="text-sm text-gray-300">
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 p-4 bg-gray-900 rounded-lg font-mono text-sm text-gray-200 text-center">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
             </div>
-          </div>
-
-          <div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent  font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? 'Signing in...' : 'Sign in'}
+            <button onClick={() => signInWith(code)} disabled={loading} className={buttonClass}>
+              {loading ? 'Signing in...' : 'I saved them, continue'}
             </button>
           </div>
-        </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>}
+            {passwordReset && !error && step === 'password' && (
+              <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">Your password was changed. Sign in with your new password.</div>
+            )}
+            {step === 'code' ? (
+              <div>
+                <label htmlFor="code" className="block  font-medium text-gray-300">
+                  Two-factor code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  autoComplete="one-time-code"
+                  required
+                  autoFocus
+                  className={inputClass}
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+                <p className="mt-2 text-xs text-gray-400">Enter the code from your authenticator app, or one of your recovery codes.</p>
+              </div>
+            ) : (
+              passwordMethods.length > 0 && (
+                <div className="space-y-4">
+                  {passwordMethods.length > 1 && (
+                    <div className="flex rounded-lg bg-gray-700 p-1">
+                      {passwordMethods.map(({ id, name }) => (
+                        <button
+                          key={id}
+                          type="button"
+                          onClick={() => setSelectedMethod(id)}
+                          className={`flex-1 py-1.5 text-sm rounded-md transition-colors ${method === id ? 'bg-indigo-600 text-white' : 'text-gray-300 hover:text-white'}`}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="email" className="block  font-medium text-gray-300">
+                      {method === 'ldap' ? 'Username or email' : 'Email address'}
+                    </label>
+                    <input
+                      id="email"
+                      name={method === 'ldap' ? 'username' : 'email'}
+                      type={method === 'ldap' ? 'text' : 'email'}
+                      required
+                      className={inputClass}
+                      placeholder={method === 'ldap' ? 'Username or email' : 'Email address'}
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="password" className="block  font-medium text-gray-300">
+                      Password
+                    </label>
+                    <input
+                      id="password"
+                      name="password"
+                      type="password"
+                      required
+                      className={inputClass}
+                      placeholder="Password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                    />
+                    {method === 'credentials' && <p className="mt-2 text-xs text-gray-400">Forgot your password? Ask an administrator for a reset link.</p>}
+                  </div>
+                </div>
+              )
+            )}
+
+            <div className="space-y-3">
+              {(step === 'code' || passwordMethods.length > 0) && (
+                <button type="submit" disabled={loading} className={buttonClass}>
+                  {loading ? 'Signing in...' : step === 'code' ? 'Verify' : 'Sign in'}
+                </button>
+              )}
+              {step === 'code' && (
+                <button type="button" onClick={startOver} className="w-full text-sm text-gray-400 hover:text-gray-300">
+                  Back
+                </button>
+              )}
+              {oidcProvider && step === 'password' && (
+                <button type="button" onClick={() => signIn(oidcProvider.id, { redirectTo: '/files' })} className={buttonClass}>
+                  Sign in with {oidcProvider.name}
+                </button>
+              )}
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
 }
+
+// Wrap with Suspense for useSearchParams
+export default function LoginPage() {
+  return (
+    <Suspense>
+      <LoginPageContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,112 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { usePasswordReset, useResetPassword } from '@/lib/api/password';
+
+const inputClass =
+  'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-gray-700';
+const buttonClass =
+  'group relative w-full flex justify-center py-2 px-4 border border-transparent  font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Opened from a one-time link an admin created under Admin → Accounts
+export default function ResetPasswordPage() {
+  const { token } = useParams();
+  const router = useRouter();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const { data: reset, isLoading, error: linkError } = usePasswordReset(token);
+  const resetMutation = useResetPassword();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setError('');
+    resetMutation.mutate(
+      { token, password },
+      {
+        onSuccess: () => router.push('/auth/login?reset=done'),
+        onError: (mutationError) => setError(mutationError.response?.data?.error || 'Failed to reset password'),
+      },
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 to-gray-800 px-4">
+      <div className="max-w-md w-full space-y-8 bg-gray-800 p-8 rounded-xl shadow-lg">
+        <div>
+          <h2 className="text-center text-3xl font-extrabold text-white">Truecloud</h2>
+          <p className="mt-2 text-center  text-gray-400">{reset ? `Choose a new password for ${reset.username}` : 'Reset your password'}</p>
+        </div>
+        {isLoading ? (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : linkError ? (
+          <div className="space-y-6">
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+              {linkError.response?.data?.error || 'This reset link could not be checked. Please try again.'}
+            </div>
+            <Link href="/auth/login" className="block text-center text-sm text-gray-400 hover:text-gray-300">
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>}
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="block  font-medium text-gray-300">
+                  New password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  autoFocus
+                  minLength={reset?.minLength}
+                  className={inputClass}
+                  placeholder="New password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                <p className="mt-2 text-xs text-gray-400">At least {reset?.minLength} characters. Common passwords and your username are not accepted.</p>
+              </div>
+              <div>
+                <label htmlFor="confirmPassword" className="block  font-medium text-gray-300">
+                  Confirm password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className={inputClass}
+                  placeholder="Confirm password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-400">Saving signs you out everywhere. If you use two-factor authentication, you still need your code to sign in.</p>
+            <button type="submit" disabled={resetMutation.isPending} className={buttonClass}>
+              {resetMutation.isPending ? 'Saving...' : 'Set password'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
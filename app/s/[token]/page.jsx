@@ -6,6 +6,7 @@ import { useState, useEffect, use, lazy, Suspense, useRef, useCallback } from 'r
 import { FiDownload, FiLock, FiFile, FiFolder, FiImage, FiVideo, FiBox, FiFileText, FiEye, FiChevronRight, FiArrowLeft, FiGrid, FiList, FiPlay, FiUpload, FiX } from 'react-icons/fi';
 import { isImage, isVideo, isAudio, isPdf, isXlsx } from '@/lib/clientFileUtils';
 import { is3dFile } from '@/components/files/Viewer3D';
+import { uploadFileInChunks } from '@/lib/chunkedUploadClient';
 
 // Lazy load heavy viewer components
 const Viewer3D = lazy(() => import('@/components/files/Viewer3D'));
@@ -362,29 +363,21 @@ export default function SharePage({ params }) {
     }
   };
 
-  // Upload file
-  const uploadFile = async (file) => {
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('path', currentSubPath);
-
+  // Upload file (chunked and resumable)
+  const uploadFile = async (file, onProgress) => {
     const headers = {};
     if (verifiedPassword) {
       headers['x-share-password'] = verifiedPassword;
     }
 
     try {
-      const response = await fetch(`/api/public/${token}/upload`, {
-        method: 'POST',
+      await uploadFileInChunks(file, {
+        baseUrl: `/api/public/${token}/upload/sessions`,
+        path: currentSubPath,
         headers,
-        body: formData,
+        onConflict: 'rename',
+        onProgress,
       });
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.error || 'Upload failed');
-      }
-
       return { success: true };
     } catch (error) {
       console.error('Upload error:', error);
@@ -407,7 +400,9 @@ export default function SharePage({ params }) {
 
     for (let i = 0; i < fileList.length; i++) {
       const file = fileList[i];
-      const result = await uploadFile(file);
+      const result = await uploadFile(file, ({ progress }) => {
+        setUploadingFiles((prev) => prev.map((item) => (item.id === uploadItems[i].id ? { ...item, progress } : item)));
+      });
 
       setUploadingFiles((prev) =>
         prev.map((item) =>
@@ -459,6 +454,7 @@ export default function SharePage({ params }) {
                     {file.status === 'done' && <div className="text-green-500">✓</div>}
                     {file.status === 'error' && <div className="text-red-500">✗</div>}
                     <span className="truncate text-gray-700 dark:text-gray-300">{file.name}</span>
+                    {file.status === 'uploading' && file.progress !== undefined && <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">{file.progress}%</span>}
                   </div>
                 ))}
               </div>
@@ -15,13 +15,19 @@ export default function Confirm({ message, onCancel, onConfirm, isLoading = fals
       <p className="text-gray-900 dark:text-white">{message}</p>
       <div className="flex gap-2 justify-end">
         <button
+          type="button"
           onClick={onCancel}
           disabled={isLoading}
           className="px-3 py-1 text-xs text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-600 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
         >
           Cancel
         </button>
-        <button onClick={onConfirm} disabled={isLoading} className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 transition-colors">
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={isLoading}
+          className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+        >
           {isLoading ? 'Loading...' : 'Confirm'}
         </button>
       </div>
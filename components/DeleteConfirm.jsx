@@ -19,11 +19,11 @@ export default function DeleteConfirm({ username, onCancel, onConfirm, isLoading
           <p className="font-semibold mb-1">This action will:</p>
           <ul className="list-disc list-inside space-y-1">
             <li>Permanently delete this user account</li>
-            <li>Delete all files in their personal folder</li>
+            <li>Move their personal folder to your trash</li>
             <li>Remove all associated permissions and sessions</li>
           </ul>
         </div>
-        <p className="text-xs text-gray-400">This action cannot be undone.</p>
+        <p className="text-xs text-gray-400">The account cannot be recovered, but their files can be restored from your trash until it is emptied.</p>
       </div>
       <div className="px-6 py-4 border-t border-gray-700 flex gap-2">
         <button
@@ -0,0 +1,192 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiPlus, FiEdit, FiTrash2, FiUsers } from 'react-icons/fi';
+import Confirm from '@/components/Confirm';
+import { useGroups, useCreateGroup, useUpdateGroup, useDeleteGroup } from '@/lib/api/groups';
+import { useNotifications } from '@/contexts/NotificationsContext';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400';
+
+const EMPTY_FORM = { name: '', description: '', memberIds: [] };
+
+/**
+ * Admin panel to create groups and pick their members; files are then shared with a group from the file browser
+ * @param {Array} users - All user accounts, to choose members from
+ */
+export default function GroupsManager({ users }) {
+  const [editingGroup, setEditingGroup] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [deletingGroup, setDeletingGroup] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const { addNotification } = useNotifications();
+  const { data: groups = [], isLoading } = useGroups();
+  const createGroupMutation = useCreateGroup();
+  const updateGroupMutation = useUpdateGroup();
+  const deleteGroupMutation = useDeleteGroup();
+
+  const openCreateForm = () => {
+    setEditingGroup(null);
+    setFormData(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const openEditForm = (group) => {
+    setEditingGroup(group);
+    setFormData({ name: group.name, description: group.description || '', memberIds: group.members.map((member) => member.id) });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingGroup(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const toggleMember = (userId) => {
+    setFormData((prev) => ({
+      ...prev,
+      memberIds: prev.memberIds.includes(userId) ? prev.memberIds.filter((id) => id !== userId) : [...prev.memberIds, userId],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingGroup) {
+        await updateGroupMutation.mutateAsync({ ...formData, id: editingGroup.id });
+        addNotification('success', 'Group updated successfully');
+      } else {
+        await createGroupMutation.mutateAsync(formData);
+        addNotification('success', 'Group created successfully');
+      }
+      closeForm();
+    } catch (error) {
+      console.error('Error saving group:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to save group');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteGroupMutation.mutateAsync(deletingGroup.id);
+      addNotification('success', 'Group deleted successfully');
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      addNotification('error', error.response?.data?.error || 'Failed to delete group');
+    } finally {
+      setDeletingGroup(null);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow mt-4 sm:mt-6">
+      <div className="flex items-center justify-between px-4 sm:px-6 py-3 sm:py-4 border-b border-gray-700">
+        <h2 className="text-base sm:text-lg font-semibold text-white">Groups ({groups.length})</h2>
+        {!showForm && (
+          <button onClick={openCreateForm} className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+            <FiPlus />
+            New Group
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="px-4 sm:px-6 py-4 space-y-3 border-b border-gray-700">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input type="text" value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} className={inputClass} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+              <input type="text" value={formData.description} onChange={(e) => setFormData({ ...formData, description: e.target.value })} className={inputClass} />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Members ({formData.memberIds.length})</label>
+            <div className="max-h-48 overflow-y-auto grid grid-cols-1 sm:grid-cols-2 gap-1 p-2 border border-gray-600 rounded-lg bg-gray-700/50">
+              {users.map((user) => (
+                <label key={user.id} className="flex items-center gap-2 px-2 py-1 text-sm text-gray-300 rounded hover:bg-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={formData.memberIds.includes(user.id)}
+                    onChange={() => toggleMember(user.id)}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 flex-shrink-0"
+                  />
+                  <span className="truncate">{user.username}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-2 justify-end">
+            <button type="button" onClick={closeForm} className="px-4 py-2 text-sm border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={createGroupMutation.isPending || updateGroupMutation.isPending}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-600"
+            >
+              {editingGroup ? 'Update' : 'Create'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="px-4 sm:px-6 py-6 text-center text-gray-400">Loading...</div>
+      ) : groups.length === 0 ? (
+        <div className="px-4 sm:px-6 py-6 text-center text-sm text-gray-400">No groups yet. Create one to share folders with several users at once.</div>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {groups.map((group) => (
+            <div key={group.id} className="px-4 sm:px-6 py-4 hover:bg-gray-700">
+              <div className="flex items-start justify-between gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 font-medium text-white">
+                    <FiUsers className="text-indigo-400 flex-shrink-0" size={16} />
+                    <span className="truncate">{group.name}</span>
+                  </div>
+                  {group.description && <div className="text-sm text-gray-400 truncate">{group.description}</div>}
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  <button onClick={() => openEditForm(group)} className="text-blue-400 hover:text-blue-300" title="Edit">
+                    <FiEdit size={18} />
+                  </button>
+                  <button onClick={() => setDeletingGroup(group)} className="text-red-400 hover:text-red-300" title="Delete">
+                    <FiTrash2 size={18} />
+                  </button>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {group.members.length === 0 ? (
+                  <span className="text-xs text-gray-500">No members</span>
+                ) : (
+                  group.members.map((member) => (
+                    <span key={member.id} className="px-2 py-0.5 text-xs rounded-full bg-gray-700 text-gray-300">
+                      {member.username}
+                    </span>
+                  ))
+                )}
+              </div>
+              {deletingGroup?.id === group.id && (
+                <div className="mt-3">
+                  <Confirm
+                    message={`Delete ${group.name}? Everything shared with this group stops being shared with its members.`}
+                    onCancel={() => setDeletingGroup(null)}
+                    onConfirm={handleDelete}
+                    isLoading={deleteGroupMutation.isPending}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,12 +5,27 @@
 import { useState, useRef, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { signOut } from 'next-auth/react';
-import { FiChevronDown, FiUser, FiDownload, FiLogOut, FiShare2 } from 'react-icons/fi';
+import { FiChevronDown, FiUser, FiDownload, FiLogOut, FiShare2, FiTrash2, FiHardDrive, FiUsers, FiKey, FiShield, FiMonitor, FiUserCheck, FiBell, FiZap } from 'react-icons/fi';
+import { useStorageUsage } from '@/lib/api/users';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
 
-export default function UserMenu({ email, isAdmin = false }) {
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export default function UserMenu({ email, role }) {
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
   const router = useRouter();
+  const { data: storage } = useStorageUsage(isOpen);
+  const can = (capability) => hasCapability(role, capability);
+  // Auditors get the admin panel too, with only the logs in it
+  const showAdminPanel = can(CAPABILITIES.MANAGE) || can(CAPABILITIES.VIEW_LOGS);
 
   // Close menu when clicking outside
   useEffect(() => {
@@ -24,10 +39,10 @@ export default function UserMenu({ email, isAdmin = false }) {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  // Debug: log when isAdmin changes
+  // Debug: log when the role changes
   useEffect(() => {
-    console.log('UserMenu - isAdmin prop changed:', isAdmin);
-  }, [isAdmin]);
+    console.log('UserMenu - role prop changed:', role);
+  }, [role]);
 
   const handleAdminPanel = () => {
     router.push('/admin');
@@ -44,6 +59,46 @@ export default function UserMenu({ email, isAdmin = false }) {
     setIsOpen(false);
   };
 
+  const handleSharedWithMe = () => {
+    router.push('/shared');
+    setIsOpen(false);
+  };
+
+  const handleTrash = () => {
+    router.push('/trash');
+    setIsOpen(false);
+  };
+
+  const handleProfile = () => {
+    router.push('/profile');
+    setIsOpen(false);
+  };
+
+  const handleNotifications = () => {
+    router.push('/notifications');
+    setIsOpen(false);
+  };
+
+  const handleTokens = () => {
+    router.push('/tokens');
+    setIsOpen(false);
+  };
+
+  const handleWebhooks = () => {
+    router.push('/webhooks');
+    setIsOpen(false);
+  };
+
+  const handleSecurity = () => {
+    router.push('/security');
+    setIsOpen(false);
+  };
+
+  const handleSessions = () => {
+    router.push('/sessions');
+    setIsOpen(false);
+  };
+
   const handleSignOut = async () => {
     setIsOpen(false);
     await signOut({ redirect: false });
@@ -59,8 +114,35 @@ export default function UserMenu({ email, isAdmin = false }) {
       </button>
 
       {isOpen && (
-        <div className="absolute right-0 mt-2 w-48 bg-gray-800 rounded-lg shadow-lg border border-gray-700 py-1 z-50">
-          {isAdmin && (
+        <div className="absolute right-0 mt-2 w-56 bg-gray-800 rounded-lg shadow-lg border border-gray-700 py-1 z-50">
+          {storage && (
+            <>
+              <div className="px-4 py-2 text-xs text-gray-400">
+                <div className="flex items-center gap-2 text-gray-300">
+                  <FiHardDrive size={14} />
+                  {formatFileSize(storage.usedBytes)} used
+                </div>
+                {storage.quotaBytes !== null ? (
+                  <>
+                    <div className="mt-2 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full ${storage.availableBytes <= storage.quotaBytes * 0.1 ? 'bg-red-500' : 'bg-blue-500'}`}
+                        style={{ width: `${storage.quotaBytes > 0 ? Math.min((storage.usedBytes / storage.quotaBytes) * 100, 100) : 100}%` }}
+                      />
+                    </div>
+                    <div className="mt-1">
+                      {formatFileSize(storage.availableBytes)} of {formatFileSize(storage.quotaBytes)} available
+                    </div>
+                  </>
+                ) : (
+                  <div className="mt-1">No storage limit</div>
+                )}
+              </div>
+              <hr className="my-1 border-gray-700" />
+            </>
+          )}
+
+          {showAdminPanel && (
             <>
               <button
                 onClick={handleAdminPanel}
@@ -73,20 +155,90 @@ export default function UserMenu({ email, isAdmin = false }) {
             </>
           )}
 
+          {can(CAPABILITIES.SHARE) && (
+            <button
+              onClick={handleShares}
+              className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              <FiShare2 size={16} />
+              My Shares
+            </button>
+          )}
+
+          <button
+            onClick={handleSharedWithMe}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <FiUsers size={16} />
+            Shared with me
+          </button>
+
+          {can(CAPABILITIES.REMOTE_DOWNLOAD) && (
+            <button
+              onClick={handleDownloads}
+              className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+            >
+              <FiDownload size={16} />
+              Downloads
+            </button>
+          )}
+
+          {can(CAPABILITIES.DELETE) && (
+            <button
+              onClick={handleTrash}
+              className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+            >
+              <FiTrash2 size={16} />
+              Trash
+            </button>
+          )}
+
+          <button
+            onClick={handleProfile}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <FiUserCheck size={16} />
+            Profile
+          </button>
+
           <button
-            onClick={handleShares}
-            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            onClick={handleNotifications}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <FiBell size={16} />
+            Notifications
+          </button>
+
+          <button
+            onClick={handleTokens}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <FiKey size={16} />
+            API Tokens
+          </button>
+
+          <button
+            onClick={handleWebhooks}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <FiZap size={16} />
+            Webhooks
+          </button>
+
+          <button
+            onClick={handleSecurity}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
           >
-            <FiShare2 size={16} />
-            My Shares
+            <FiShield size={16} />
+            Two-Factor Auth
           </button>
 
           <button
-            onClick={handleDownloads}
+            onClick={handleSessions}
             className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors"
           >
-            <FiDownload size={16} />
-            Downloads
+            <FiMonitor size={16} />
+            Sessions
           </button>
 
           <hr className="my-1 border-gray-700" />
@@ -0,0 +1,91 @@
+/** @format */
+
+'use client';
+
+import { FiUpload, FiFolderPlus, FiEdit, FiMove, FiCopy, FiTrash2, FiRotateCcw, FiShare2, FiDownload, FiUsers, FiActivity } from 'react-icons/fi';
+
+// How each recorded action reads in a sentence, e.g. "alice renamed report.pdf"
+const ACTIVITY_TYPES = {
+  'file.upload': { icon: FiUpload, verb: 'uploaded' },
+  'folder.create': { icon: FiFolderPlus, verb: 'created' },
+  'file.rename': { icon: FiEdit, verb: 'renamed' },
+  'file.move': { icon: FiMove, verb: 'moved' },
+  'file.copy': { icon: FiCopy, verb: 'copied' },
+  'file.delete': { icon: FiTrash2, verb: 'deleted' },
+  'file.download': { icon: FiDownload, verb: 'downloaded' },
+  'version.restore': { icon: FiRotateCcw, verb: 'restored an older version of' },
+  'trash.restore': { icon: FiRotateCcw, verb: 'restored' },
+  'share.create': { icon: FiShare2, verb: 'created a public link for' },
+  'share.access': { icon: FiShare2, verb: 'opened the public link to' },
+  'share.download': { icon: FiDownload, verb: 'downloaded through a public link' },
+  'share.upload': { icon: FiUpload, verb: 'uploaded through a public link' },
+  'permission.grant': { icon: FiUsers, verb: 'shared' },
+  'permission.revoke': { icon: FiUsers, verb: 'stopped sharing' },
+};
+
+function getBaseName(path) {
+  return path ? path.slice(path.lastIndexOf('/') + 1) : '';
+}
+
+// Where a rename, move or copy took the item
+function describeTarget(entry) {
+  if (entry.action === 'file.rename' && entry.details?.newName) return `to ${entry.details.newName}`;
+  if ((entry.action === 'file.move' || entry.action === 'file.copy') && entry.details?.destination) {
+    const folder = entry.details.destination.slice(0, Math.max(entry.details.destination.lastIndexOf('/'), 0));
+    return `to ${getBaseName(folder) || 'the root folder'}`;
+  }
+  return '';
+}
+
+// Format date, relative for the last week
+function formatTime(dateString) {
+  const date = new Date(dateString);
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  if (minutes < 7 * 24 * 60) return `${Math.floor(minutes / (24 * 60))} d ago`;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Audit entries as a list of short sentences, newest first
+ * @param {Array} entries - Entries from /api/files/activity
+ * @param {boolean} showItem - Name the affected item (off when the list is about a single item)
+ * @param {string} emptyMessage - Shown when there are no entries
+ */
+export default function ActivityList({ entries, showItem = true, emptyMessage = 'No activity yet' }) {
+  if (entries.length === 0) {
+    return <div className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">{emptyMessage}</div>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+      {entries.map((entry) => {
+        const type = ACTIVITY_TYPES[entry.action] || { icon: FiActivity, verb: entry.action };
+        const Icon = type.icon;
+        return (
+          <li key={entry.id} className="flex items-start gap-3 px-4 py-3">
+            <Icon className={`mt-0.5 flex-shrink-0 ${entry.success ? 'text-indigo-500 dark:text-indigo-400' : 'text-red-500 dark:text-red-400'}`} size={16} />
+            <div className="min-w-0 flex-1 text-sm">
+              <p className="text-gray-700 dark:text-gray-300 break-words">
+                <span className="font-medium text-gray-900 dark:text-white">{entry.actor}</span> {type.verb}
+                {showItem && (
+                  <span className="font-medium text-gray-900 dark:text-white" title={entry.path || ''}>
+                    {' '}
+                    {getBaseName(entry.path)}
+                  </span>
+                )}{' '}
+                {describeTarget(entry)}
+                {!entry.success && <span className="ml-1 text-xs text-red-500 dark:text-red-400">(failed)</span>}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400" title={new Date(entry.createdAt).toLocaleString()}>
+                {formatTime(entry.createdAt)}
+              </p>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
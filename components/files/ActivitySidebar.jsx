@@ -0,0 +1,40 @@
+/** @format */
+
+'use client';
+
+import { FiActivity, FiX } from 'react-icons/fi';
+import { useFolderActivity } from '@/lib/api/files';
+import ActivityList from './ActivityList';
+
+/**
+ * Panel listing what other users recently uploaded, renamed, deleted or shared under the current folder
+ * @param {string} currentPath - Folder being browsed; its sub-folders are included
+ * @param {function} onClose - Hides the panel
+ */
+export default function ActivitySidebar({ currentPath, onClose }) {
+  const { data: entries = [], isLoading } = useFolderActivity(currentPath);
+
+  return (
+    <aside className="fixed top-0 right-0 bottom-0 w-full sm:w-96 z-40 flex flex-col bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 shadow-xl">
+      <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-4 py-3">
+        <div className="flex items-center gap-2">
+          <FiActivity className="text-indigo-600 dark:text-indigo-400" size={18} />
+          <h3 className="font-semibold text-gray-900 dark:text-white">Recent activity</h3>
+        </div>
+        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors" title="Close">
+          <FiX size={18} className="text-gray-500" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : (
+          <ActivityList entries={entries} emptyMessage="Nobody else has changed anything in this folder yet" />
+        )}
+      </div>
+    </aside>
+  );
+}
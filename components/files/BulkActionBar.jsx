@@ -0,0 +1,84 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiDownload, FiMove, FiCopy, FiShare2, FiTrash2, FiX, FiCheckSquare } from 'react-icons/fi';
+
+// Actions without a handler are hidden (the account's role does not allow them)
+export default function BulkActionBar({ count, totalCount, onSelectAll, onClear, onDownload, onMove, onCopy, onShare, onDelete, isPending }) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  if (count === 0) return null;
+
+  const buttonClass = 'flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="fixed bottom-16 sm:bottom-4 left-1/2 -translate-x-1/2 z-40 max-w-[calc(100%-1rem)]" onClick={(e) => e.stopPropagation()}>
+      <div className="bg-gray-800 border border-gray-700 rounded-lg shadow-2xl px-3 py-2 flex items-center gap-1 sm:gap-2 overflow-x-auto">
+        {confirmingDelete ? (
+          <>
+            <span className="text-red-200 font-medium px-2 whitespace-nowrap">
+              Move {count} {count === 1 ? 'item' : 'items'} to trash?
+            </span>
+            <button onClick={() => setConfirmingDelete(false)} className={`${buttonClass} bg-gray-700 text-gray-300 hover:bg-gray-600`}>
+              Cancel
+            </button>
+            <button
+              onClick={() => {
+                setConfirmingDelete(false);
+                onDelete();
+              }}
+              className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+            >
+              Delete
+            </button>
+          </>
+        ) : (
+          <>
+            <button onClick={onClear} className="p-2 text-gray-400 hover:bg-gray-700 rounded-lg" title="Clear selection">
+              <FiX size={18} />
+            </button>
+            <span className="text-white font-medium px-1 whitespace-nowrap">{count} selected</span>
+            {isPending && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-indigo-500 flex-shrink-0"></div>}
+            {count < totalCount && (
+              <button onClick={onSelectAll} className={`${buttonClass} text-gray-300 hover:bg-gray-700`} title="Select all">
+                <FiCheckSquare size={16} />
+                <span className="hidden md:inline">Select all</span>
+              </button>
+            )}
+            <div className="w-px h-6 bg-gray-700 mx-1 flex-shrink-0" />
+            <button onClick={onDownload} className={`${buttonClass} text-indigo-400 hover:bg-indigo-900/20`} title="Download as zip">
+              <FiDownload size={16} />
+              <span className="hidden md:inline">Download</span>
+            </button>
+            {onMove && (
+              <button onClick={onMove} disabled={isPending} className={`${buttonClass} text-gray-300 hover:bg-gray-700`} title="Move to...">
+                <FiMove size={16} />
+                <span className="hidden md:inline">Move</span>
+              </button>
+            )}
+            {onCopy && (
+              <button onClick={onCopy} disabled={isPending} className={`${buttonClass} text-gray-300 hover:bg-gray-700`} title="Copy to...">
+                <FiCopy size={16} />
+                <span className="hidden md:inline">Copy</span>
+              </button>
+            )}
+            {onShare && (
+              <button onClick={onShare} disabled={isPending} className={`${buttonClass} text-green-400 hover:bg-green-900/20`} title="Share">
+                <FiShare2 size={16} />
+                <span className="hidden md:inline">Share</span>
+              </button>
+            )}
+            {onDelete && (
+              <button onClick={() => setConfirmingDelete(true)} disabled={isPending} className={`${buttonClass} text-red-400 hover:bg-red-900/20`} title="Delete">
+                <FiTrash2 size={16} />
+                <span className="hidden md:inline">Delete</span>
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
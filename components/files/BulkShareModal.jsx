@@ -0,0 +1,216 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiCopy, FiLock, FiCalendar, FiCheck, FiX, FiShare2, FiUpload, FiAlertCircle } from 'react-icons/fi';
+import { useBatchFileAction } from '@/lib/api/files';
+import { useNotifications } from '@/contexts/NotificationsContext';
+import { calculateExpiry } from '@/components/files/ShareModal';
+
+export default function BulkShareModal({ files, currentPath, onClose, onShared }) {
+  const [password, setPassword] = useState('');
+  const [usePassword, setUsePassword] = useState(false);
+  const [expiresIn, setExpiresIn] = useState('never');
+  const [allowUploads, setAllowUploads] = useState(false);
+  const [results, setResults] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const { addNotification } = useNotifications();
+  const batchMutation = useBatchFileAction(currentPath);
+  const hasFolders = files.some((file) => file.isDirectory);
+
+  const createShares = async () => {
+    try {
+      const data = await batchMutation.mutateAsync({
+        action: 'share',
+        names: files.map((file) => file.name),
+        share: {
+          password: usePassword ? password : null,
+          expiresAt: calculateExpiry(expiresIn),
+          allowUploads: hasFolders ? allowUploads : false,
+        },
+      });
+      setResults(data.results);
+      onShared?.();
+      if (data.failed > 0) {
+        addNotification('error', `${data.failed} of ${data.results.length} items could not be shared`, 'Share Error');
+      } else {
+        addNotification('success', `${data.succeeded} share links ready`);
+      }
+    } catch (error) {
+      addNotification('error', error.response?.data?.error || 'Failed to create shares');
+    }
+  };
+
+  const copyAllLinks = async () => {
+    const links = results
+      .filter((result) => result.success)
+      .map((result) => `${result.name}: ${result.shareUrl}`)
+      .join('\n');
+
+    try {
+      await navigator.clipboard.writeText(links);
+      setCopied(true);
+      addNotification('success', 'Links copied to clipboard');
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      addNotification('error', 'Failed to copy links');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-green-100 dark:bg-green-900/30 rounded-full flex items-center justify-center">
+              <FiShare2 className="text-green-600 dark:text-green-400" size={20} />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Share {files.length} items</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Each item gets its own link</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="px-6 py-4 space-y-4">
+          {results ? (
+            <div className="max-h-64 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+              {results.map((result) => (
+                <div key={result.name} className="py-2 text-sm">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">{result.name}</p>
+                  {result.success ? (
+                    <p className="text-gray-500 dark:text-gray-400 truncate">
+                      {result.shareUrl}
+                      {result.existing && ' (existing)'}
+                    </p>
+                  ) : (
+                    <p className="flex items-center gap-1 text-red-600 dark:text-red-400">
+                      <FiAlertCircle size={14} />
+                      {result.error}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <>
+              {/* Password protection */}
+              <div className="space-y-3">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={usePassword}
+                    onChange={(e) => setUsePassword(e.target.checked)}
+                    className="w-4 h-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <div className="flex items-center gap-2">
+                    <FiLock size={16} className="text-gray-500" />
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Password protection</span>
+                  </div>
+                </label>
+
+                {usePassword && (
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Enter password"
+                    autoComplete="new-password"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                )}
+              </div>
+
+              {/* Expiration */}
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  <FiCalendar size={16} className="text-gray-500" />
+                  Link expiration
+                </label>
+                <select
+                  value={expiresIn}
+                  onChange={(e) => setExpiresIn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  <option value="never">Never expires</option>
+                  <option value="1h">1 hour</option>
+                  <option value="24h">24 hours</option>
+                  <option value="7d">7 days</option>
+                  <option value="30d">30 days</option>
+                </select>
+              </div>
+
+              {/* Allow uploads (applies to the folders in the selection) */}
+              {hasFolders && (
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={allowUploads}
+                    onChange={(e) => setAllowUploads(e.target.checked)}
+                    className="w-4 h-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <div className="flex items-center gap-2">
+                    <FiUpload size={16} className="text-gray-500" />
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Allow uploads to shared folders</span>
+                  </div>
+                </label>
+              )}
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">Items that are already shared keep their existing link and settings.</p>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-2 border-t border-gray-200 dark:border-gray-700 px-6 py-4">
+          {results ? (
+            <>
+              <button
+                onClick={copyAllLinks}
+                className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 ${
+                  copied ? 'bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400' : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                }`}
+              >
+                {copied ? <FiCheck size={16} /> : <FiCopy size={16} />}
+                {copied ? 'Copied!' : 'Copy all links'}
+              </button>
+              <button onClick={onClose} className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+                Close
+              </button>
+            </>
+          ) : (
+            <>
+              <button onClick={onClose} className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                Cancel
+              </button>
+              <button
+                onClick={createShares}
+                disabled={batchMutation.isPending || (usePassword && !password)}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+              >
+                {batchMutation.isPending ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                    Creating...
+                  </>
+                ) : (
+                  <>
+                    <FiShare2 size={16} />
+                    Create Links
+                  </>
+                )}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
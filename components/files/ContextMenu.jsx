@@ -2,11 +2,28 @@
 
 'use client';
 
-import { FiFolder, FiEdit, FiDownload, FiVideo, FiImage, FiTrash2, FiBox, FiShare2 } from 'react-icons/fi';
+import { FiFolder, FiEdit, FiDownload, FiVideo, FiImage, FiTrash2, FiBox, FiShare2, FiMove, FiCopy, FiClock, FiUsers, FiInfo } from 'react-icons/fi';
 import { isImage, isVideo, isAudio } from '@/lib/clientFileUtils';
 import { is3dFile } from './Viewer3D';
 
-export default function ContextMenu({ contextMenu, file, onNavigateToFolder, onRename, onDownload, onView, onDelete, onShare, onClose }) {
+// Actions without a handler are left out (the account's role does not allow them)
+export default function ContextMenu({
+  contextMenu,
+  file,
+  onNavigateToFolder,
+  onRename,
+  onDownload,
+  onView,
+  onDelete,
+  onShare,
+  onShareWithUser,
+  onMove,
+  onCopy,
+  onVersions,
+  onVersionSettings,
+  onDetails,
+  onClose,
+}) {
   if (!contextMenu || !file) return null;
 
   return (
@@ -24,14 +41,22 @@ export default function ContextMenu({ contextMenu, file, onNavigateToFolder, onR
             <FiFolder size={16} />
             Open Folder
           </button>
-          <button onClick={onRename} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
-            <FiEdit size={16} />
-            Rename
-          </button>
+          {onRename && (
+            <button onClick={onRename} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <FiEdit size={16} />
+              Rename
+            </button>
+          )}
           <button onClick={onDownload} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
             <FiDownload size={16} />
             Download as ZIP
           </button>
+          {onVersionSettings && (
+            <button onClick={onVersionSettings} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <FiClock size={16} />
+              Version Settings
+            </button>
+          )}
         </>
       ) : (
         <>
@@ -39,10 +64,12 @@ export default function ContextMenu({ contextMenu, file, onNavigateToFolder, onR
             <FiDownload size={16} />
             Download
           </button>
-          <button onClick={onRename} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
-            <FiEdit size={16} />
-            Rename
-          </button>
+          {onRename && (
+            <button onClick={onRename} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <FiEdit size={16} />
+              Rename
+            </button>
+          )}
           {(isVideo(file.name) || isImage(file.name) || isAudio(file.name) || is3dFile(file.name)) && (
             <button onClick={onView} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
               {is3dFile(file.name) && <FiBox size={16} />}
@@ -52,17 +79,49 @@ export default function ContextMenu({ contextMenu, file, onNavigateToFolder, onR
               View
             </button>
           )}
+          <button onClick={onVersions} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+            <FiClock size={16} />
+            Versions
+          </button>
         </>
       )}
-      <button onClick={onShare} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-green-600 dark:text-green-400">
-        <FiShare2 size={16} />
-        Share
-      </button>
-      <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
-      <button onClick={onDelete} className="w-full px-4 py-2 text-left hover:bg-red-50 dark:hover:bg-red-900/20 flex items-center gap-2 text-red-600 dark:text-red-400">
-        <FiTrash2 size={16} />
-        Delete
+      <button onClick={onDetails} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+        <FiInfo size={16} />
+        Details
       </button>
+      {onMove && (
+        <button onClick={onMove} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <FiMove size={16} />
+          Move to...
+        </button>
+      )}
+      {onCopy && (
+        <button onClick={onCopy} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300">
+          <FiCopy size={16} />
+          Copy to...
+        </button>
+      )}
+      {onShare && (
+        <button onClick={onShare} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-green-600 dark:text-green-400">
+          <FiShare2 size={16} />
+          Share
+        </button>
+      )}
+      {onShareWithUser && (
+        <button onClick={onShareWithUser} className="w-full px-4 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 text-green-600 dark:text-green-400">
+          <FiUsers size={16} />
+          Share with user
+        </button>
+      )}
+      {onDelete && (
+        <>
+          <div className="border-t border-gray-200 dark:border-gray-700 my-1"></div>
+          <button onClick={onDelete} className="w-full px-4 py-2 text-left hover:bg-red-50 dark:hover:bg-red-900/20 flex items-center gap-2 text-red-600 dark:text-red-400">
+            <FiTrash2 size={16} />
+            Move to Trash
+          </button>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,83 @@
+/** @format */
+
+'use client';
+
+import { FiInfo, FiX } from 'react-icons/fi';
+import { useItemHistory } from '@/lib/api/files';
+import ActivityList from './ActivityList';
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Format date
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleString();
+}
+
+/**
+ * Properties of a file or folder and everything recorded about it: uploads, renames, moves, shares and downloads
+ * @param {object} file - Item from the file listing
+ * @param {string} currentPath - Folder holding the item
+ * @param {function} onClose - Closes the modal
+ */
+export default function DetailsModal({ file, currentPath, onClose }) {
+  const { data: entries = [], isLoading } = useItemHistory(currentPath, file.name);
+
+  const properties = [
+    ['Type', file.isDirectory ? 'Folder' : file.mimeType],
+    ['Size', file.isDirectory ? '—' : formatFileSize(file.size)],
+    ['Location', `/${currentPath}`],
+    ['Modified', formatDate(file.updatedAt)],
+    ['Created', formatDate(file.createdAt)],
+  ];
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-xl w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-full flex items-center justify-center">
+              <FiInfo className="text-indigo-600 dark:text-indigo-400" size={20} />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Details</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-[350px]">{file.displayName || file.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        <dl className="grid grid-cols-3 gap-x-4 gap-y-2 px-6 py-4 text-sm border-b border-gray-200 dark:border-gray-700">
+          {properties.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+              <dd className="col-span-2 text-gray-900 dark:text-white truncate" title={value}>
+                {value}
+              </dd>
+            </div>
+          ))}
+        </dl>
+
+        <h4 className="px-6 pt-4 text-sm font-medium text-gray-700 dark:text-gray-300">History</h4>
+        <div className="max-h-[40vh] overflow-y-auto">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : (
+            <ActivityList entries={entries} showItem={false} emptyMessage="Nothing has been recorded for this item yet" />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
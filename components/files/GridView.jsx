@@ -4,10 +4,11 @@
 
 import { useRef, useMemo, useCallback, useState } from 'react';
 import { Grid, AutoSizer } from 'react-virtualized';
-import { FiFolder, FiFile, FiImage, FiVideo, FiBox, FiEdit, FiDownload, FiTrash2, FiPlay, FiShare2 } from 'react-icons/fi';
+import { FiFolder, FiFile, FiImage, FiVideo, FiBox, FiEdit, FiDownload, FiTrash2, FiPlay, FiShare2, FiCheckSquare, FiSquare, FiUsers } from 'react-icons/fi';
 import LazyImage from '@/components/files/LazyImage';
 import { is3dFile } from '@/components/files/Viewer3D';
 import { isImage, isVideo, isAudio, isPdf, isXlsx } from '@/lib/clientFileUtils';
+import { useFileDropTarget } from '@/hooks/useFileOperations';
 import 'react-virtualized/styles.css';
 
 // Breakpoints
@@ -54,10 +55,16 @@ const GridView = ({
   onInitiateShare,
   sharedPaths,
   onContextMenu,
+  onMoveToFolder,
+  selectedIds,
+  onItemClick,
+  onToggleSelect,
+  onOpenSearchResult,
 }) => {
   const gridRef = useRef(null);
   const [showingActionsFor, setShowingActionsFor] = useState(null);
   const longPressTimerRef = useRef(null);
+  const { dropTargetId, getDragProps } = useFileDropTarget({ onMoveToFolder });
 
   const allItems = useMemo(() => {
     const items = [...files];
@@ -109,6 +116,10 @@ const GridView = ({
       if (!item) return <div key={key} style={style} />;
 
       const cellWidth = (containerWidth - (columns - 1) * gap) / columns;
+      const isSelected = selectedIds?.has(item.id);
+      const selectionActive = selectedIds?.size > 0;
+      // Search results live in other folders than the one being browsed
+      const itemPath = item.parentPath ?? currentPath;
 
       return (
         <div
@@ -155,9 +166,15 @@ const GridView = ({
             </div>
           ) : (
             <div
-              className="group relative bg-gray-700 rounded-lg p-1 active:shadow-lg transition-shadow cursor-pointer flex flex-col h-full select-none"
+              data-file-id={item.id}
+              className={`group relative bg-gray-700 rounded-lg p-1 active:shadow-lg transition-shadow cursor-pointer flex flex-col h-full select-none ${
+                dropTargetId === item.id ? 'ring-2 ring-indigo-500 bg-indigo-900/40' : isSelected ? 'ring-2 ring-indigo-400 bg-indigo-900/30' : ''
+              }`}
               style={{ WebkitTapHighlightColor: 'transparent', WebkitUserSelect: 'none', userSelect: 'none', WebkitTouchCallout: 'none' }}
+              {...getDragProps(item, renamingFile?.id === item.id || deletingFile?.id === item.id)}
               onClick={(e) => {
+                if (onOpenSearchResult) return onOpenSearchResult(item);
+                if (onItemClick?.(e, item)) return;
                 // Only navigate to folder if not showing actions and clicking on folder
                 if (item.isDirectory && deletingFile?.id !== item.id && !shouldShowActions(item.id)) {
                   onNavigateToFolder(item.name);
@@ -170,7 +187,7 @@ const GridView = ({
             >
               {deletingFile?.id === item.id ? (
                 <div className="absolute inset-0 bg-red-900/90 rounded-lg p-3 flex flex-col items-center justify-center gap-2 z-10">
-                  <p className="text-red-200 font-medium text-center ">Delete {item.isDirectory ? 'folder' : 'file'}?</p>
+                  <p className="text-red-200 font-medium text-center ">Move {item.isDirectory ? 'folder' : 'file'} to trash?</p>
                   <div className="flex gap-2">
                     <button
                       onClick={(e) => {
@@ -238,6 +255,8 @@ const GridView = ({
                 onClick={(e) => {
                   if (isImage(item.name) || isVideo(item.name) || isAudio(item.name) || is3dFile(item.name) || isPdf(item.name) || isXlsx(item.name)) {
                     e.stopPropagation();
+                    if (onOpenSearchResult) return onOpenSearchResult(item);
+                    if (onItemClick?.(e, item)) return;
                     onOpenMediaViewer(item);
                   }
                 }}
@@ -255,7 +274,7 @@ const GridView = ({
                     className="w-full h-full object-cover rounded-lg"
                     isThumbnail={true}
                     fileId={item.id}
-                    filePath={currentPath}
+                    filePath={itemPath}
                     onError={(e) => {
                       if (e?.target) {
                         e.target.style.display = 'none';
@@ -272,7 +291,7 @@ const GridView = ({
                       className="w-full h-full object-cover rounded-lg"
                       isThumbnail={true}
                       fileId={item.id}
-                      filePath={currentPath}
+                      filePath={itemPath}
                       onError={(e) => {
                         if (e?.target) {
                           e.target.style.display = 'none';
@@ -294,7 +313,7 @@ const GridView = ({
                     className="w-full h-full object-cover rounded-lg"
                     isThumbnail={true}
                     fileId={item.id}
-                    filePath={currentPath}
+                    filePath={itemPath}
                     onError={(e) => {
                       if (e?.target) {
                         e.target.style.display = 'none';
@@ -310,21 +329,52 @@ const GridView = ({
                 )}
 
                 {/* Share indicator badge */}
-                {sharedPaths?.has(`${currentPath}/${item.name}`.replace(/\/+/g, '/').replace(/^\//, '')) && (
-                  <div className="absolute top-1 left-1 bg-green-500 rounded-full p-1 shadow-sm" title="Shared">
+                {sharedPaths?.has(`${itemPath}/${item.name}`.replace(/\/+/g, '/').replace(/^\//, '')) && (
+                  <div className="absolute bottom-1 left-1 bg-green-500 rounded-full p-1 shadow-sm" title="Shared">
                     <FiShare2 size={10} className="text-white" />
                   </div>
                 )}
               </div>
 
+              {/* Selection checkbox - shown on hover, or always once something is selected */}
+              {onToggleSelect && (
+                <button
+                  onClick={(e) => onToggleSelect(e, item)}
+                  className={`absolute top-2 left-2 z-10 p-1 rounded bg-gray-800/80 transition-opacity ${
+                    isSelected ? 'text-indigo-400 opacity-100' : selectionActive ? 'text-gray-300 opacity-100' : 'text-gray-300 opacity-0 group-hover:opacity-100'
+                  }`}
+                  title={isSelected ? 'Deselect' : 'Select'}
+                >
+                  {isSelected ? <FiCheckSquare size={16} /> : <FiSquare size={16} />}
+                </button>
+              )}
+
               <div className=" font-medium text-white truncate px-1" title={item.displayName || item.name}>
                 {item.displayName || item.name}
               </div>
 
-              <div className="text-xs text-gray-400 px-1 mt-auto">{item.isDirectory ? '' : formatFileSize(item.size)}</div>
+              {onOpenSearchResult ? (
+                <div className="text-xs text-gray-400 px-1 mt-auto truncate" title={`/${item.parentPath}`}>
+                  in /{item.parentPath}
+                </div>
+              ) : (
+                <div className="text-xs text-gray-400 px-1 mt-auto truncate">
+                  {/* Items shared with groups show who they belong to instead of their size */}
+                  {item.groups?.length > 0 ? (
+                    <span className="text-indigo-300" title={`Shared with ${item.groups.join(', ')}`}>
+                      <FiUsers className="inline mr-1" size={10} />
+                      {item.groups.join(', ')}
+                    </span>
+                  ) : item.isDirectory ? (
+                    ''
+                  ) : (
+                    formatFileSize(item.size)
+                  )}
+                </div>
+              )}
 
               {/* Action buttons - show on hover for desktop, on long press for mobile */}
-              {(shouldShowActions(item.id) || containerWidth >= BREAKPOINT.sm) && (
+              {!onOpenSearchResult && (shouldShowActions(item.id) || containerWidth >= BREAKPOINT.sm) && (
                 <div
                   className={`absolute top-2 right-2 flex gap-1 bg-gray-800 rounded-lg shadow-lg p-1 transition-opacity z-10 ${
                     containerWidth >= BREAKPOINT.sm ? 'opacity-0 group-hover:opacity-100' : 'opacity-100'
@@ -357,18 +407,20 @@ const GridView = ({
                       ) : null}
                     </button>
                   )}
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setShowingActionsFor(null);
-                      onInitiateRename(item);
-                    }}
-                    className="p-1.5 text-blue-400 hover:bg-blue-900/20 rounded disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Rename"
-                    disabled={processingFile === item.id}
-                  >
-                    <FiEdit size={16} />
-                  </button>
+                  {onInitiateRename && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowingActionsFor(null);
+                        onInitiateRename(item);
+                      }}
+                      className="p-1.5 text-blue-400 hover:bg-blue-900/20 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Rename"
+                      disabled={processingFile === item.id}
+                    >
+                      <FiEdit size={16} />
+                    </button>
+                  )}
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -381,18 +433,20 @@ const GridView = ({
                   >
                     <FiDownload size={16} />
                   </button>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setShowingActionsFor(null);
-                      onInitiateDelete(item);
-                    }}
-                    className="p-1.5 text-red-400 hover:bg-red-900/20 rounded disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Delete"
-                    disabled={processingFile === item.id}
-                  >
-                    <FiTrash2 size={16} />
-                  </button>
+                  {onInitiateDelete && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowingActionsFor(null);
+                        onInitiateDelete(item);
+                      }}
+                      className="p-1.5 text-red-400 hover:bg-red-900/20 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Delete"
+                      disabled={processingFile === item.id}
+                    >
+                      <FiTrash2 size={16} />
+                    </button>
+                  )}
                   {onInitiateShare && (
                     <button
                       onClick={(e) => {
@@ -457,6 +511,12 @@ const GridView = ({
       handleTouchEnd,
       handleTouchMove,
       shouldShowActions,
+      dropTargetId,
+      getDragProps,
+      selectedIds,
+      onItemClick,
+      onToggleSelect,
+      onOpenSearchResult,
     ],
   );
 
@@ -4,9 +4,10 @@
 
 import { useRef, useState, useCallback } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
-import { FiFolder, FiFile, FiImage, FiVideo, FiBox, FiEdit, FiDownload, FiTrash2, FiShare2 } from 'react-icons/fi';
+import { FiFolder, FiFile, FiImage, FiVideo, FiBox, FiEdit, FiDownload, FiTrash2, FiShare2, FiCheckSquare, FiSquare, FiUsers } from 'react-icons/fi';
 import { is3dFile } from '@/components/files/Viewer3D';
 import { isImage, isVideo, isAudio, isPdf, isXlsx } from '@/lib/clientFileUtils';
+import { useFileDropTarget } from '@/hooks/useFileOperations';
 
 // Breakpoint for mobile detection
 const MOBILE_BREAKPOINT = 768;
@@ -38,9 +39,15 @@ const ListView = ({
   initiateShare,
   sharedPaths,
   currentPath,
+  onMoveToFolder,
+  selectedIds,
+  onItemClick,
+  onToggleSelect,
+  onOpenSearchResult,
 }) => {
   const parentRef = useRef(null);
   const [showingActionsFor, setShowingActionsFor] = useState(null);
+  const { dropTargetId, getDragProps } = useFileDropTarget({ onMoveToFolder });
   const [isMobile, setIsMobile] = useState(false);
   const longPressTimerRef = useRef(null);
 
@@ -172,7 +179,7 @@ const ListView = ({
               >
                 <div className="flex items-center justify-between bg-red-900/20 border border-red-800 rounded px-4 py-2">
                   <span className="text-red-200 font-medium">
-                    Delete {file.isDirectory ? 'folder' : 'file'} "{file.name}"?
+                    Move {file.isDirectory ? 'folder' : 'file'} "{file.name}" to trash?
                   </span>
                   <div className="flex gap-2">
                     <button onClick={cancelDelete} className="px-3 py-1  bg-gray-700 text-gray-300 rounded hover:bg-gray-600">
@@ -224,10 +231,15 @@ const ListView = ({
             );
           }
 
+          const isSelected = selectedIds?.has(file.id);
+
           return (
             <div
               key={virtualRow.key}
-              className={`absolute left-0 w-full grid ${gridCols} gap-2 sm:gap-4 px-3 sm:px-6 py-2 sm:py-4 hover:bg-gray-700 border-b border-gray-700 items-center cursor-pointer transition-colors select-none`}
+              data-file-id={file.id}
+              className={`group absolute left-0 w-full grid ${gridCols} gap-2 sm:gap-4 px-3 sm:px-6 py-2 sm:py-4 hover:bg-gray-700 border-b border-gray-700 items-center cursor-pointer transition-colors select-none ${
+                dropTargetId === file.id ? 'bg-indigo-900/40 ring-2 ring-inset ring-indigo-500' : isSelected ? 'bg-indigo-900/30' : ''
+              }`}
               style={{
                 top: 0,
                 height: `${virtualRow.size}px`,
@@ -237,9 +249,11 @@ const ListView = ({
                 userSelect: 'none',
                 WebkitTouchCallout: 'none',
               }}
-              onClick={() => {
+              onClick={(e) => {
+                if (onOpenSearchResult) return onOpenSearchResult(file);
                 // Don't navigate if showing actions on mobile
                 if (shouldShowActions(file.id)) return;
+                if (onItemClick?.(e, file)) return;
 
                 if (file.isDirectory) {
                   navigateToFolder(file.name);
@@ -247,18 +261,30 @@ const ListView = ({
                   openMediaViewer(file);
                 }
               }}
-              onContextMenu={(e) => handleContextMenu(e, file)}
+              onContextMenu={(e) => handleContextMenu?.(e, file)}
+              {...getDragProps(file, renamingFile?.id === file.id || deletingFile?.id === file.id)}
               onTouchStart={() => handleTouchStart(file)}
               onTouchEnd={handleTouchEnd}
               onTouchMove={handleTouchMove}
             >
               <div className="flex items-center gap-3 min-w-0">
+                {onToggleSelect && (
+                  <button
+                    onClick={(e) => onToggleSelect(e, file)}
+                    className={`flex-shrink-0 -ml-1 p-1 rounded transition-opacity ${
+                      isSelected ? 'text-indigo-400 opacity-100' : selectedIds?.size > 0 ? 'text-gray-400 opacity-100' : 'text-gray-400 opacity-0 group-hover:opacity-100'
+                    }`}
+                    title={isSelected ? 'Deselect' : 'Select'}
+                  >
+                    {isSelected ? <FiCheckSquare size={16} /> : <FiSquare size={16} />}
+                  </button>
+                )}
                 {processingFile === file.id ? (
                   <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600 flex-shrink-0"></div>
                 ) : (
                   <div className="flex-shrink-0 relative">
                     {getFileIcon(file)}
-                    {sharedPaths?.has(`${currentPath}/${file.name}`.replace(/\/+/g, '/').replace(/^\//, '')) && (
+                    {sharedPaths?.has(`${file.parentPath ?? currentPath}/${file.name}`.replace(/\/+/g, '/').replace(/^\//, '')) && (
                       <div className="absolute -top-1 -right-1 bg-green-500 rounded-full p-0.5" title="Shared">
                         <FiShare2 size={8} className="text-white" />
                       </div>
@@ -270,12 +296,28 @@ const ListView = ({
                 ) : (
                   <div className="font-medium text-white truncate">{file.displayName || file.name}</div>
                 )}
+                {file.groups?.length > 0 && (
+                  <span
+                    className="flex-shrink-0 flex items-center gap-1 px-1.5 py-0.5 text-xs rounded bg-indigo-900/50 text-indigo-300 max-w-[40%] truncate"
+                    title={`Shared with ${file.groups.join(', ')}`}
+                  >
+                    <FiUsers size={10} className="flex-shrink-0" />
+                    <span className="truncate">{file.groups.join(', ')}</span>
+                  </span>
+                )}
               </div>
               <div className="hidden sm:block text-gray-400">{file.isDirectory ? '' : formatFileSize(file.size)}</div>
               <div className="hidden sm:block text-gray-400">{new Date(file.updatedAt).toLocaleDateString()}</div>
 
+              {/* Search results show where the item lives instead of actions */}
+              {onOpenSearchResult && (
+                <div className="text-right text-gray-400 truncate" title={`/${file.parentPath}`}>
+                  /{file.parentPath}
+                </div>
+              )}
+
               {/* Action buttons - always show on desktop, show on long press for mobile */}
-              {(!isMobile || shouldShowActions(file.id)) && (
+              {!onOpenSearchResult && (!isMobile || shouldShowActions(file.id)) && (
                 <div className="flex justify-end gap-2 relative">
                   {(isVideo(file.name) || isImage(file.name) || isAudio(file.name) || is3dFile(file.name) || isPdf(file.name) || isXlsx(file.name)) && (
                     <button
@@ -303,18 +345,20 @@ const ListView = ({
                       ) : null}
                     </button>
                   )}
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setShowingActionsFor(null);
-                      initiateRename(file);
-                    }}
-                    className="text-blue-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 hover:bg-blue-900/20 rounded"
-                    title="Rename"
-                    disabled={processingFile === file.id}
-                  >
-                    <FiEdit size={18} />
-                  </button>
+                  {initiateRename && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowingActionsFor(null);
+                        initiateRename(file);
+                      }}
+                      className="text-blue-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 hover:bg-blue-900/20 rounded"
+                      title="Rename"
+                      disabled={processingFile === file.id}
+                    >
+                      <FiEdit size={18} />
+                    </button>
+                  )}
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -327,18 +371,20 @@ const ListView = ({
                   >
                     <FiDownload size={18} />
                   </button>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setShowingActionsFor(null);
-                      initiateDelete(file);
-                    }}
-                    className="text-red-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 hover:bg-red-900/20 rounded"
-                    title="Delete"
-                    disabled={processingFile === file.id}
-                  >
-                    <FiTrash2 size={18} />
-                  </button>
+                  {initiateDelete && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setShowingActionsFor(null);
+                        initiateDelete(file);
+                      }}
+                      className="text-red-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 hover:bg-red-900/20 rounded"
+                      title="Delete"
+                      disabled={processingFile === file.id}
+                    >
+                      <FiTrash2 size={18} />
+                    </button>
+                  )}
                   {initiateShare && (
                     <button
                       onClick={(e) => {
@@ -0,0 +1,119 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiFolder, FiHome, FiChevronRight, FiX, FiMove, FiCopy } from 'react-icons/fi';
+import { useFiles } from '@/lib/api/files';
+
+export default function MoveModal({ files, copy, currentPath, folderDisplayNames = {}, onConfirm, onClose, isPending }) {
+  const [browsePath, setBrowsePath] = useState(currentPath);
+  const { data: entries, isLoading } = useFiles(browsePath);
+
+  const folders = (entries || []).filter((entry) => entry.isDirectory && !entry.name.startsWith('.'));
+  const sourceFolders = files.filter((file) => file.isDirectory).map((file) => (currentPath ? `${currentPath}/${file.name}` : file.name));
+  const segments = browsePath ? browsePath.split('/') : [];
+
+  // A folder cannot go inside itself, and moving into the same folder is a no-op
+  const isInsideSource = sourceFolders.some((sourcePath) => browsePath === sourcePath || browsePath.startsWith(`${sourcePath}/`));
+  const isSameFolder = !copy && browsePath === currentPath;
+  const canConfirm = !isInsideSource && !isSameFolder && !isPending;
+
+  const openFolder = (name) => {
+    setBrowsePath(browsePath ? `${browsePath}/${name}` : name);
+  };
+
+  const getDisplayName = (name) => (name.startsWith('user_') && folderDisplayNames[name]) || name;
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-full flex items-center justify-center">
+              {copy ? <FiCopy className="text-indigo-600 dark:text-indigo-400" size={20} /> : <FiMove className="text-indigo-600 dark:text-indigo-400" size={20} />}
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{copy ? 'Copy to...' : 'Move to...'}</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-[250px]">{files.length === 1 ? files[0].name : `${files.length} items`}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        {/* Breadcrumb */}
+        <div className="flex items-center gap-1.5 px-6 py-3 text-sm text-gray-500 dark:text-gray-400 overflow-x-auto">
+          <button onClick={() => setBrowsePath('')} className="flex items-center gap-1 hover:text-indigo-400 whitespace-nowrap">
+            <FiHome size={14} />
+            Home
+          </button>
+          {segments.map((segment, index) => (
+            <div key={index} className="flex items-center gap-1.5">
+              <FiChevronRight size={12} className="text-gray-600 flex-shrink-0" />
+              <button
+                onClick={() => setBrowsePath(segments.slice(0, index + 1).join('/'))}
+                className={`hover:text-indigo-400 whitespace-nowrap ${index === segments.length - 1 ? 'font-medium text-gray-900 dark:text-white' : ''}`}
+              >
+                {getDisplayName(segment)}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Folder list */}
+        <div className="h-64 overflow-y-auto border-y border-gray-200 dark:border-gray-700">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-full">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : folders.length === 0 ? (
+            <div className="flex items-center justify-center h-full text-sm text-gray-500 dark:text-gray-400">No subfolders</div>
+          ) : (
+            folders.map((folder) => {
+              const folderPath = browsePath ? `${browsePath}/${folder.name}` : folder.name;
+              const disabled = sourceFolders.includes(folderPath);
+              return (
+                <button
+                  key={folder.id}
+                  onClick={() => openFolder(folder.name)}
+                  disabled={disabled}
+                  className="w-full px-6 py-2 text-left flex items-center gap-3 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <FiFolder className="text-blue-500 flex-shrink-0" size={18} />
+                  <span className="truncate">{folder.displayName || folder.name}</span>
+                </button>
+              );
+            })
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-2 px-6 py-4">
+          <button onClick={onClose} className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(browsePath)}
+            disabled={!canConfirm}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            {isPending ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                {copy ? 'Copying...' : 'Moving...'}
+              </>
+            ) : (
+              <>
+                {copy ? <FiCopy size={16} /> : <FiMove size={16} />}
+                {copy ? 'Copy here' : 'Move here'}
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
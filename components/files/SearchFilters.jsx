@@ -0,0 +1,60 @@
+/** @format */
+
+'use client';
+
+import { FiX } from 'react-icons/fi';
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Any type' },
+  { value: 'folder', label: 'Folders' },
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'pdf', label: 'PDFs' },
+  { value: 'spreadsheet', label: 'Spreadsheets' },
+  { value: '3d', label: '3D models' },
+  { value: 'other', label: 'Other files' },
+];
+
+export default function SearchFilters({ filters, onChange, onClear }) {
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+  const inputClass = 'px-2 py-1 bg-gray-700 text-gray-300 border border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="mt-1 flex flex-wrap items-end gap-3 bg-gray-800 p-2 sm:p-3 rounded-lg shadow text-sm text-gray-400">
+      <label className="flex flex-col gap-1">
+        Type
+        <select value={filters.type} onChange={update('type')} className={inputClass}>
+          {TYPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1">
+        Size (MB)
+        <div className="flex items-center gap-1">
+          <input type="number" min="0" step="any" value={filters.minSize} onChange={update('minSize')} placeholder="Min" className={`${inputClass} w-20`} />
+          <span>-</span>
+          <input type="number" min="0" step="any" value={filters.maxSize} onChange={update('maxSize')} placeholder="Max" className={`${inputClass} w-20`} />
+        </div>
+      </label>
+
+      <label className="flex flex-col gap-1">
+        Modified
+        <div className="flex items-center gap-1">
+          <input type="date" value={filters.modifiedAfter} onChange={update('modifiedAfter')} className={inputClass} title="From" />
+          <span>-</span>
+          <input type="date" value={filters.modifiedBefore} onChange={update('modifiedBefore')} className={inputClass} title="To" />
+        </div>
+      </label>
+
+      <button onClick={onClear} className="flex items-center gap-1 px-3 py-1 text-gray-300 hover:bg-gray-700 rounded-lg">
+        <FiX size={14} />
+        Clear
+      </button>
+    </div>
+  );
+}
@@ -7,6 +7,25 @@ import { FiCopy, FiLock, FiCalendar, FiCheck, FiTrash2, FiX, FiLink, FiShare2, F
 import { useCreateShare, useDeleteShare, useFileShare } from '@/lib/api/files';
 import { useNotifications } from '@/contexts/NotificationsContext';
 
+// Calculate expiration date for an expiry option ('never', '1h', '24h', '7d', '30d')
+export const calculateExpiry = (option) => {
+  if (option === 'never') return null;
+
+  const now = new Date();
+  switch (option) {
+    case '1h':
+      return new Date(now.getTime() + 60 * 60 * 1000);
+    case '24h':
+      return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    case '7d':
+      return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    case '30d':
+      return new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    default:
+      return null;
+  }
+};
+
 export default function ShareModal({ file, currentPath, onClose }) {
   const [password, setPassword] = useState('');
   const [usePassword, setUsePassword] = useState(false);
@@ -21,25 +40,6 @@ export default function ShareModal({ file, currentPath, onClose }) {
   const deleteShareMutation = useDeleteShare();
   const { data: existingShare, isLoading: checkingShare } = useFileShare(currentPath, file?.name);
 
-  // Calculate expiration date
-  const calculateExpiry = (option) => {
-    if (option === 'never') return null;
-
-    const now = new Date();
-    switch (option) {
-      case '1h':
-        return new Date(now.getTime() + 60 * 60 * 1000);
-      case '24h':
-        return new Date(now.getTime() + 24 * 60 * 60 * 1000);
-      case '7d':
-        return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-      case '30d':
-        return new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-      default:
-        return null;
-    }
-  };
-
   // Set share URL if existing share
   useEffect(() => {
     if (existingShare) {
@@ -0,0 +1,217 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiUsers, FiX, FiTrash2 } from 'react-icons/fi';
+import { useFilePermissions, useShareWithUser, useRemoveFilePermission } from '@/lib/api/files';
+import { useGroups } from '@/lib/api/groups';
+import { useNotifications } from '@/contexts/NotificationsContext';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400';
+
+// Permissions on top of read access, which every grant includes
+const PERMISSIONS = [
+  { flag: 'canWrite', label: 'Edit', description: 'Upload, rename and create folders' },
+  { flag: 'canDelete', label: 'Delete', description: 'Move items to the trash or elsewhere' },
+  { flag: 'canShare', label: 'Share', description: 'Create links and share with others' },
+];
+
+const NO_PERMISSIONS = { canWrite: false, canDelete: false, canShare: false };
+
+// Groups first, then individual users, in one list
+function toGrantRows(data) {
+  const groups = (data?.groupPermissions || []).map((grant) => ({
+    ...grant,
+    key: `group:${grant.groupId}`,
+    grantee: { groupId: grant.groupId },
+    title: grant.name,
+    subtitle: `Group · ${grant.memberCount} member${grant.memberCount === 1 ? '' : 's'}`,
+  }));
+  const users = (data?.permissions || []).map((grant) => ({
+    ...grant,
+    key: `user:${grant.userId}`,
+    grantee: { userId: grant.userId, user: grant.username },
+    title: grant.username,
+    subtitle: grant.email,
+  }));
+  return [...groups, ...users];
+}
+
+export default function ShareWithUserModal({ file, currentPath, onClose }) {
+  const [recipientType, setRecipientType] = useState('user');
+  const [user, setUser] = useState('');
+  const [groupId, setGroupId] = useState('');
+  const [permissions, setPermissions] = useState(NO_PERMISSIONS);
+  const { addNotification } = useNotifications();
+  const { data, isLoading } = useFilePermissions(currentPath, file.name);
+  const { data: groups = [] } = useGroups();
+  const shareMutation = useShareWithUser();
+  const removeMutation = useRemoveFilePermission();
+  const grants = toGrantRows(data);
+
+  const share = (grantee, flags, onSuccess) => {
+    shareMutation.mutate(
+      { path: currentPath, name: file.name, user: grantee.user, groupId: grantee.groupId, ...flags },
+      {
+        onSuccess,
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to share');
+        },
+      },
+    );
+  };
+
+  const canAdd = recipientType === 'group' ? !!groupId : !!user.trim();
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!canAdd) return;
+
+    const grantee = recipientType === 'group' ? { groupId } : { user: user.trim() };
+    const recipientName = recipientType === 'group' ? groups.find((group) => group.id === groupId)?.name : user.trim();
+    // Access someone else gave can only be changed by them or the owner (the API answers 403, which signs the user out)
+    const existing = grants.find((grant) => (grant.grantee.groupId ? grant.grantee.groupId === groupId : grant.username === grantee.user || grant.email === grantee.user));
+    if (existing && !existing.canChange) {
+      addNotification('error', `${recipientName} already has access given by someone else`);
+      return;
+    }
+    share(grantee, permissions, () => {
+      addNotification('success', `${file.name} shared with ${recipientName}`);
+      setUser('');
+      setGroupId('');
+      setPermissions(NO_PERMISSIONS);
+    });
+  };
+
+  const togglePermission = (grant, flag) => {
+    const flags = Object.fromEntries(PERMISSIONS.map((permission) => [permission.flag, grant[permission.flag]]));
+    share(grant.grantee, { ...flags, [flag]: !grant[flag] });
+  };
+
+  const handleRemove = (grant) => {
+    removeMutation.mutate(
+      { path: currentPath, name: file.name, userId: grant.grantee.userId, groupId: grant.grantee.groupId },
+      {
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to remove access');
+        },
+      },
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-green-100 dark:bg-green-900/30 rounded-full flex items-center justify-center">
+              <FiUsers className="text-green-600 dark:text-green-400" size={20} />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Share with user</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-[300px]">{file.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        <form onSubmit={handleAdd} className="px-6 py-4 space-y-3 border-b border-gray-200 dark:border-gray-700">
+          {groups.length > 0 && (
+            <div className="flex gap-1 text-sm">
+              {['user', 'group'].map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => setRecipientType(type)}
+                  className={`px-3 py-1 rounded-lg ${recipientType === type ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-gray-200'}`}
+                >
+                  {type === 'user' ? 'User' : 'Group'}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            {recipientType === 'group' ? (
+              <select value={groupId} onChange={(e) => setGroupId(e.target.value)} className={inputClass}>
+                <option value="">Select a group</option>
+                {groups.map((group) => (
+                  <option key={group.id} value={group.id}>
+                    {group.name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input type="text" value={user} onChange={(e) => setUser(e.target.value)} placeholder="Username or email" className={inputClass} autoFocus />
+            )}
+            <button
+              type="submit"
+              disabled={!canAdd || shareMutation.isPending}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-600"
+            >
+              Share
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {PERMISSIONS.map((permission) => (
+              <label key={permission.flag} className="flex items-center gap-2 text-sm text-gray-300" title={permission.description}>
+                <input
+                  type="checkbox"
+                  checked={permissions[permission.flag]}
+                  onChange={(e) => setPermissions((prev) => ({ ...prev, [permission.flag]: e.target.checked }))}
+                  className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {permission.label}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400">{file.isDirectory ? 'Applies to everything in this folder. ' : ''}People you share with can always view and download.</p>
+        </form>
+
+        <div className="max-h-[40vh] overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : grants.length === 0 ? (
+            <div className="px-6 py-6 text-center text-sm text-gray-500 dark:text-gray-400">Not shared with anyone yet</div>
+          ) : (
+            grants.map((grant) => (
+              <div key={grant.key} className="flex items-center gap-4 px-6 py-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-1.5 text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {grant.grantee.groupId && <FiUsers size={14} className="flex-shrink-0 text-indigo-400" />}
+                    <span className="truncate">{grant.title}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">{grant.subtitle}</div>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                  {PERMISSIONS.map((permission) => (
+                    <label key={permission.flag} className="flex items-center gap-1 text-xs text-gray-300" title={permission.description}>
+                      <input
+                        type="checkbox"
+                        checked={grant[permission.flag]}
+                        onChange={() => togglePermission(grant, permission.flag)}
+                        disabled={shareMutation.isPending || !grant.canChange}
+                        className="w-3.5 h-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {permission.label}
+                    </label>
+                  ))}
+                  {grant.canChange && (
+                    <button onClick={() => handleRemove(grant)} className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded" title="Remove access">
+                      <FiTrash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
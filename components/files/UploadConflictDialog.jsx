@@ -0,0 +1,69 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiAlertTriangle } from 'react-icons/fi';
+
+/**
+ * Asks what to do with an upload whose name already exists in the folder
+ * For an uploaded folder the choice applies to the files inside it, which are merged into the existing folder
+ * @param {string} fileName - Name of the clashing file or folder
+ * @param {boolean} isFolder - Whether the upload is a folder
+ * @param {number} remaining - Clashes left in the batch, including this one
+ * @param {function} onResolve - Called with (policy, applyToAll); policy is 'overwrite', 'rename' or 'skip'
+ * @param {function} onCancel - Called when the whole batch is cancelled
+ */
+export default function UploadConflictDialog({ fileName, isFolder = false, remaining, onResolve, onCancel }) {
+  const [applyToAll, setApplyToAll] = useState(false);
+
+  const optionClass = 'w-full px-4 py-2 text-sm text-left rounded-lg border border-gray-600 text-gray-200 hover:bg-gray-700 transition-colors';
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-xl max-w-md w-full p-6">
+        <div className="flex items-start gap-3 mb-4">
+          <div className="w-10 h-10 bg-yellow-900/30 rounded-full flex items-center justify-center flex-shrink-0">
+            <FiAlertTriangle className="text-yellow-400" size={20} />
+          </div>
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-white">{isFolder ? 'Folder already exists' : 'File already exists'}</h3>
+            <p className="text-sm text-gray-400 break-words">
+              <span className="font-medium text-gray-200">{fileName}</span> is already in this folder.
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <button onClick={() => onResolve('overwrite', applyToAll)} className={optionClass}>
+            <div className="font-medium">{isFolder ? 'Merge and replace' : 'Replace'}</div>
+            <div className="text-xs text-gray-400">{isFolder ? 'Files with the same name are replaced and kept as versions' : 'The current file is kept as a version'}</div>
+          </button>
+          <button onClick={() => onResolve('rename', applyToAll)} className={optionClass}>
+            <div className="font-medium">{isFolder ? 'Merge and keep both' : 'Keep both'}</div>
+            <div className="text-xs text-gray-400">
+              {isFolder ? 'Files with the same name get a numbered name, e.g. photo (1).jpg' : 'The upload gets a numbered name, e.g. photo (1).jpg'}
+            </div>
+          </button>
+          <button onClick={() => onResolve('skip', applyToAll)} className={optionClass}>
+            <div className="font-medium">Skip</div>
+            <div className="text-xs text-gray-400">{isFolder ? 'Leave the existing folder as it is' : 'Leave the existing file as it is'}</div>
+          </button>
+        </div>
+
+        {remaining > 1 && (
+          <label className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+            <input type="checkbox" checked={applyToAll} onChange={(e) => setApplyToAll(e.target.checked)} className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+            Apply to all {remaining} conflicts
+          </label>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <button onClick={onCancel} className="px-4 py-2 text-sm border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700">
+            Cancel upload
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,7 +2,87 @@
 
 'use client';
 
-import { FiCheckCircle, FiXCircle, FiUpload } from 'react-icons/fi';
+import { FiCheckCircle, FiXCircle, FiFolder } from 'react-icons/fi';
+
+// Files of an uploaded folder are shown as one row, in the position of the folder's first file
+function groupUploads(uploads) {
+  const rows = [];
+  const groups = new Map();
+
+  for (const upload of uploads) {
+    if (!upload.group) {
+      rows.push(upload);
+      continue;
+    }
+    if (!groups.has(upload.group)) {
+      const row = { id: upload.group, name: upload.groupName, files: [] };
+      groups.set(upload.group, row);
+      rows.push(row);
+    }
+    groups.get(upload.group).files.push(upload);
+  }
+
+  return rows;
+}
+
+function FolderUploadRow({ group }) {
+  const total = group.files.length;
+  const uploading = group.files.filter((f) => f.status === 'uploading').length;
+  const failed = group.files.filter((f) => f.status === 'error');
+  const done = total - uploading - failed.length;
+
+  // Progress weighted by size, so one large file is not worth the same as a small one
+  const totalBytes = group.files.reduce((sum, f) => sum + f.size, 0);
+  const loadedBytes = group.files.reduce((sum, f) => sum + (f.size * f.progress) / 100, 0);
+  const progress = totalBytes > 0 ? Math.round((loadedBytes / totalBytes) * 100) : Math.round((done / total) * 100);
+
+  return (
+    <div className="px-4 py-3">
+      <div className="flex items-start gap-3">
+        <div className="flex-shrink-0 mt-1">
+          {uploading > 0 && <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600"></div>}
+          {uploading === 0 && failed.length > 0 && <FiXCircle className="text-red-500" size={20} />}
+          {uploading === 0 && failed.length === 0 && <FiCheckCircle className="text-green-500" size={20} />}
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="flex items-center gap-2 font-medium text-gray-900 dark:text-white">
+            <FiFolder className="flex-shrink-0 text-yellow-500" size={16} />
+            <span className="truncate">{group.name}</span>
+          </p>
+          {uploading > 0 && (
+            <>
+              <div className="mt-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                <div className="bg-indigo-600 h-2 rounded-full transition-all duration-300" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 flex justify-between">
+                <span>{progress}%</span>
+                <span>
+                  {done} of {total} files
+                </span>
+              </p>
+            </>
+          )}
+          {uploading === 0 && failed.length === 0 && (
+            <p className="text-xs text-green-600 dark:text-green-400 mt-1">{total === 1 ? '1 file uploaded' : `${total} files uploaded`}</p>
+          )}
+          {failed.length > 0 && (
+            <div className="text-xs text-red-600 dark:text-red-400 mt-1">
+              <p>
+                {failed.length} of {total} files failed
+              </p>
+              {failed.slice(0, 3).map((f) => (
+                <p key={f.id} className="truncate" title={f.error}>
+                  {f.folder}/{f.fileName}
+                </p>
+              ))}
+              {failed.length > 3 && <p>and {failed.length - 3} more</p>}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
 
 export default function UploadStatus({ uploads }) {
   if (uploads.length === 0) return null;
@@ -14,30 +94,43 @@ export default function UploadStatus({ uploads }) {
           <h3 className="font-semibold text-gray-900 dark:text-white">Uploads</h3>
         </div>
         <div className="divide-y divide-gray-200 dark:divide-gray-700">
-          {uploads.map((upload) => (
-            <div key={upload.id} className="px-4 py-3">
-              <div className="flex items-start gap-3">
-                <div className="flex-shrink-0 mt-1">
-                  {upload.status === 'uploading' && <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600"></div>}
-                  {upload.status === 'success' && <FiCheckCircle className="text-green-500" size={20} />}
-                  {upload.status === 'error' && <FiXCircle className="text-red-500" size={20} />}
-                </div>
-                <div className="flex-1 min-w-0">
-                  <p className=" font-medium text-gray-900 dark:text-white truncate">{upload.fileName}</p>
-                  {upload.status === 'uploading' && (
-                    <>
-                      <div className="mt-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                        <div className="bg-indigo-600 h-2 rounded-full transition-all duration-300" style={{ width: `${upload.progress}%` }}></div>
-                      </div>
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{upload.progress}%</p>
-                    </>
-                  )}
-                  {upload.status === 'success' && <p className="text-xs text-green-600 dark:text-green-400 mt-1">Upload complete</p>}
-                  {upload.status === 'error' && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{upload.error || 'Upload failed'}</p>}
+          {groupUploads(uploads).map((upload) =>
+            upload.files ? (
+              <FolderUploadRow key={upload.id} group={upload} />
+            ) : (
+              <div key={upload.id} className="px-4 py-3">
+                <div className="flex items-start gap-3">
+                  <div className="flex-shrink-0 mt-1">
+                    {upload.status === 'uploading' && <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600"></div>}
+                    {upload.status === 'success' && <FiCheckCircle className="text-green-500" size={20} />}
+                    {upload.status === 'error' && <FiXCircle className="text-red-500" size={20} />}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className=" font-medium text-gray-900 dark:text-white truncate">{upload.fileName}</p>
+                    {upload.status === 'uploading' && (
+                      <>
+                        <div className="mt-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                          <div className="bg-indigo-600 h-2 rounded-full transition-all duration-300" style={{ width: `${upload.progress}%` }}></div>
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 flex justify-between">
+                          <span>
+                            {upload.progress}%{upload.resumed && ' (resumed)'}
+                          </span>
+                          {upload.totalChunks > 1 && (
+                            <span>
+                              Chunk {upload.chunk}/{upload.totalChunks}
+                            </span>
+                          )}
+                        </p>
+                      </>
+                    )}
+                    {upload.status === 'success' && <p className="text-xs text-green-600 dark:text-green-400 mt-1">{upload.note || 'Upload complete'}</p>}
+                    {upload.status === 'error' && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{upload.error || 'Upload failed'}</p>}
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            ),
+          )}
         </div>
       </div>
     </div>
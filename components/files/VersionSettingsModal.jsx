@@ -0,0 +1,116 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiClock, FiX } from 'react-icons/fi';
+import { useVersionPolicy, useUpdateVersionPolicy } from '@/lib/api/files';
+import { useNotifications } from '@/contexts/NotificationsContext';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-700 text-white placeholder-gray-400';
+
+export default function VersionSettingsModal({ folder, currentPath, onClose }) {
+  const folderPath = currentPath ? `${currentPath}/${folder.name}` : folder.name;
+  const { addNotification } = useNotifications();
+  const { data, isLoading } = useVersionPolicy(folderPath);
+  const updateMutation = useUpdateVersionPolicy();
+
+  // Unsaved edits layered over the saved policy ('' = inherit)
+  const [draft, setDraft] = useState({});
+  const saved = {
+    maxVersions: data?.policy.maxVersions ?? '',
+    maxDays: data?.policy.maxDays ?? '',
+  };
+  const values = { ...saved, ...draft };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    updateMutation.mutate(
+      {
+        path: folderPath,
+        maxVersions: values.maxVersions === '' ? null : Number(values.maxVersions),
+        maxDays: values.maxDays === '' ? null : Number(values.maxDays),
+      },
+      {
+        onSuccess: () => {
+          addNotification('success', 'Version settings saved');
+          onClose();
+        },
+        onError: (error) => {
+          addNotification('error', error.response?.data?.error || 'Failed to save version settings');
+        },
+      },
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-full flex items-center justify-center">
+              <FiClock className="text-indigo-600 dark:text-indigo-400" size={20} />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Version Settings</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-[250px]">{folder.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="px-6 py-4 space-y-4">
+            <p className="text-xs text-gray-400">Applies to files in this folder and its subfolders. Leave a field blank to inherit it.</p>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Versions kept per file</label>
+              <input
+                type="number"
+                min={0}
+                max={1000}
+                value={values.maxVersions}
+                onChange={(e) => setDraft((prev) => ({ ...prev, maxVersions: e.target.value }))}
+                placeholder={`Inherited: ${data.inherited.maxVersions}`}
+                className={inputClass}
+              />
+              <p className="mt-1 text-xs text-gray-400">Set to 0 to stop keeping versions here.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Keep versions for (days)</label>
+              <input
+                type="number"
+                min={0}
+                max={3650}
+                value={values.maxDays}
+                onChange={(e) => setDraft((prev) => ({ ...prev, maxDays: e.target.value }))}
+                placeholder={`Inherited: ${data.inherited.maxDays || 'forever'}`}
+                className={inputClass}
+              />
+              <p className="mt-1 text-xs text-gray-400">Set to 0 to keep versions until the count limit removes them.</p>
+            </div>
+            <div className="flex gap-2 pt-2">
+              <button type="button" onClick={onClose} className="flex-1 px-4 py-2 text-sm border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={updateMutation.isPending}
+                className="flex-1 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-600"
+              >
+                {updateMutation.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
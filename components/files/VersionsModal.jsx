@@ -0,0 +1,158 @@
+/** @format */
+
+'use client';
+
+import { useState } from 'react';
+import { FiClock, FiX, FiEye, FiDownload, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import { useFileVersions, useRestoreVersion, useDeleteVersion } from '@/lib/api/files';
+import { useNotifications } from '@/contexts/NotificationsContext';
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Format date
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleString();
+}
+
+export default function VersionsModal({ file, currentPath, onClose }) {
+  const [confirmingRestore, setConfirmingRestore] = useState(null);
+  const { addNotification } = useNotifications();
+  const { data, isLoading } = useFileVersions(currentPath, file.name);
+  const restoreMutation = useRestoreVersion(currentPath);
+  const deleteMutation = useDeleteVersion();
+
+  const versions = data?.versions || [];
+
+  const handleRestore = async (version) => {
+    try {
+      await restoreMutation.mutateAsync(version.id);
+      addNotification('success', `Restored the version from ${formatDate(version.modifiedAt)}`);
+    } catch (error) {
+      addNotification('error', error.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setConfirmingRestore(null);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    if (!confirm('Permanently delete this version?')) return;
+
+    try {
+      await deleteMutation.mutateAsync(version.id);
+    } catch (error) {
+      addNotification('error', error.response?.data?.error || 'Failed to delete version');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-200 dark:border-gray-700 px-6 py-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-full flex items-center justify-center">
+              <FiClock className="text-indigo-600 dark:text-indigo-400" size={20} />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Versions</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 truncate max-w-[350px]">{file.name}</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+            <FiX size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        <div className="max-h-[60vh] overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : (
+            <>
+              {data?.current && (
+                <div className="flex items-center gap-4 px-6 py-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                      {formatDate(data.current.modifiedAt)}
+                      <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-900 text-green-200">Current</span>
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatFileSize(data.current.size)} • {data.current.uploadedBy || 'Unknown uploader'}
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {versions.length === 0 && <div className="px-6 py-8 text-center text-sm text-gray-500 dark:text-gray-400">No previous versions</div>}
+
+              {versions.map((version) => (
+                <div key={version.id} className="px-6 py-3">
+                  <div className="flex items-center gap-4">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-gray-900 dark:text-white">{formatDate(version.modifiedAt)}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {formatFileSize(version.size)} • {version.uploadedBy || 'Unknown uploader'} • Replaced {formatDate(version.createdAt)}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => window.open(`/api/files/versions/${version.id}`, '_blank')}
+                        className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded"
+                        title="Preview"
+                      >
+                        <FiEye size={16} />
+                      </button>
+                      <button
+                        onClick={() => window.open(`/api/files/versions/${version.id}?download=1`, '_blank')}
+                        className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded"
+                        title="Download"
+                      >
+                        <FiDownload size={16} />
+                      </button>
+                      <button
+                        onClick={() => setConfirmingRestore(version.id)}
+                        className="p-2 text-blue-400 hover:text-blue-300 hover:bg-blue-900/20 rounded"
+                        title="Restore"
+                      >
+                        <FiRotateCcw size={16} />
+                      </button>
+                      <button onClick={() => handleDelete(version)} className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded" title="Delete">
+                        <FiTrash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+
+                  {confirmingRestore === version.id && (
+                    <div className="mt-2 flex items-center justify-between gap-3 rounded-lg bg-blue-900/30 border border-blue-700 px-3 py-2 text-xs text-blue-200">
+                      <span>The current content will be kept as a version.</span>
+                      <div className="flex gap-2">
+                        <button onClick={() => setConfirmingRestore(null)} className="px-2 py-1 text-gray-300 hover:bg-gray-700 rounded">
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => handleRestore(version)}
+                          disabled={restoreMutation.isPending}
+                          className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-600"
+                        >
+                          {restoreMutation.isPending ? 'Restoring...' : 'Restore'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
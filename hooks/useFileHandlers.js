@@ -1,6 +1,7 @@
 /** @format */
 
-import { useCreateFolder, useUploadFile, useDeleteFile, useRenameFile } from '@/lib/api/files';
+import { useQueryClient } from '@tanstack/react-query';
+import { useCreateFolder, useUploadFile, useDeleteFile, useRenameFile, useMoveFile, useBatchFileAction } from '@/lib/api/files';
 
 export function useFileHandlers({
   currentPath,
@@ -10,19 +11,26 @@ export function useFileHandlers({
   addNotification,
   setUploads,
   setUploading,
+  setUploadConflict,
   setDeletingFile,
   setProcessingFile,
   setRenamingFile,
   setNewFileName,
   setSharingFile,
+  setMovingFile,
+  clearSelection,
 }) {
+  const queryClient = useQueryClient();
+
   // Mutations
   const createFolderMutation = useCreateFolder(currentPath);
-  const uploadMutation = useUploadFile(currentPath, (uploadId, progress) => {
-    setUploads((prev) => prev.map((u) => (u.id === uploadId ? { ...u, progress } : u)));
+  const uploadMutation = useUploadFile(currentPath, (uploadId, { progress, chunk, totalChunks, resumed }) => {
+    setUploads((prev) => prev.map((u) => (u.id === uploadId ? { ...u, progress, chunk, totalChunks, resumed } : u)));
   });
   const deleteMutation = useDeleteFile(currentPath);
   const renameMutation = useRenameFile(currentPath);
+  const moveMutation = useMoveFile(currentPath);
+  const batchMutation = useBatchFileAction(currentPath);
 
   // Folder operations
   const initiateCreateFolder = () => {
@@ -56,7 +64,8 @@ export function useFileHandlers({
   };
 
   // Upload operations
-  const uploadFile = async (file) => {
+  // group ties together the files of one uploaded folder so the status panel can show them as a single row
+  const uploadFile = async (file, onConflict = 'overwrite', { folder = '', group = null, groupName = null } = {}) => {
     const uploadId = Date.now() + Math.random();
 
     setUploads((prev) => [
@@ -64,6 +73,10 @@ export function useFileHandlers({
       {
         id: uploadId,
         fileName: file.name,
+        folder,
+        group,
+        groupName,
+        size: file.size,
         progress: 0,
         status: 'uploading',
       },
@@ -71,35 +84,124 @@ export function useFileHandlers({
 
     setUploading(true);
     uploadMutation.mutate(
-      { file, uploadId },
+      { file, uploadId, onConflict, folder },
       {
-        onSuccess: () => {
-          setUploads((prev) => prev.map((u) => (u.id === uploadId ? { ...u, status: 'success', progress: 100 } : u)));
+        onSuccess: (result) => {
+          // The name may have been taken after the batch was checked
+          const note = result?.skipped ? 'Skipped, the name is already taken' : result?.file?.renamed ? `Saved as ${result.file.name}` : null;
+          setUploads((prev) => prev.map((u) => (u.id === uploadId ? { ...u, status: 'success', progress: 100, note } : u)));
           setTimeout(() => {
-            setUploads((prev) => prev.filter((u) => u.id !== uploadId));
+            setUploads((prev) => {
+              if (!group) return prev.filter((u) => u.id !== uploadId);
+              // A folder stays listed until all of its files are done
+              if (prev.some((u) => u.group === group && u.status === 'uploading')) return prev;
+              return prev.filter((u) => !(u.group === group && u.status === 'success'));
+            });
           }, 3000);
           setUploading(false);
         },
         onError: (error) => {
           console.error('Upload error:', error);
           setUploads((prev) => prev.map((u) => (u.id === uploadId ? { ...u, status: 'error', error: error.message } : u)));
-          addNotification('error', `Upload failed for ${file.name}`, 'Upload Error');
+          // Quota errors explain themselves
+          addNotification('error', error.status === 413 ? error.message : `Upload failed for ${file.name}`, 'Upload Error');
           setUploading(false);
         },
       },
     );
   };
 
+  // Name an upload item takes in the current folder: the file itself, or the top folder it was uploaded in
+  const getTopLevelName = (item) => (item.folder ? item.folder.split('/')[0] : item.file.name);
+
+  // Resolves with { policy, applyToAll }, or null if the user cancels the batch
+  const askUploadConflict = (fileName, isFolder, remaining) => new Promise((resolve) => setUploadConflict({ fileName, isFolder, remaining, resolve }));
+
+  // Pick an onConflict policy for every top-level name that is already in the folder, before anything is sent
+  // A policy picked for a folder applies to every file inside it
+  const resolveUploadConflicts = async (items, folders) => {
+    const existingNames = new Set((queryClient.getQueryData(['files', currentPath]) || []).map((entry) => entry.name));
+    const uploadedFolders = new Set(folders.map((folder) => folder.split('/')[0]));
+    for (const item of items) {
+      if (item.folder) uploadedFolders.add(getTopLevelName(item));
+    }
+
+    const names = new Set([...items.map(getTopLevelName), ...uploadedFolders]);
+    const conflicts = [...names].filter((name) => existingNames.has(name));
+    const policies = new Map();
+    let policyForAll = null;
+
+    for (let i = 0; i < conflicts.length; i++) {
+      if (!policyForAll) {
+        const answer = await askUploadConflict(conflicts[i], uploadedFolders.has(conflicts[i]), conflicts.length - i);
+        setUploadConflict(null);
+        if (!answer) return null;
+        if (answer.applyToAll) policyForAll = answer.policy;
+        policies.set(conflicts[i], answer.policy);
+      } else {
+        policies.set(conflicts[i], policyForAll);
+      }
+    }
+
+    return policies;
+  };
+
+  // items: [{ file, folder }] where folder is the sub-folder (relative to the current path) the file goes in, '' for loose files
+  // folders: every directory of a folder upload, so that empty ones are created too
+  const uploadFiles = async (items, folders = []) => {
+    const policies = await resolveUploadConflicts(items, folders);
+    if (!policies) return;
+
+    const batchId = Date.now();
+    const skippedNames = new Set();
+    for (const item of items) {
+      const name = getTopLevelName(item);
+      // Files without a known clash are renamed rather than overwriting something uploaded meanwhile
+      const policy = policies.get(name) ?? 'rename';
+      if (policy === 'skip') {
+        skippedNames.add(name);
+        continue;
+      }
+      const group = item.folder ? { folder: item.folder, group: `${batchId}/${name}`, groupName: name } : {};
+      await uploadFile(item.file, policy, group);
+    }
+
+    // Folders with files in them are created by the uploads themselves
+    const emptyFolders = folders.filter(
+      (folder) => !skippedNames.has(folder.split('/')[0]) && !items.some((item) => item.folder === folder || item.folder.startsWith(`${folder}/`)),
+    );
+    for (const folder of emptyFolders) {
+      try {
+        // The mkdir endpoint creates missing parents, so a nested name works as is
+        await createFolderMutation.mutateAsync(folder);
+      } catch (error) {
+        console.error('Create folder error:', error);
+        addNotification('error', `Failed to create folder ${folder}`, 'Upload Error');
+      }
+    }
+
+    if (skippedNames.size > 0) {
+      addNotification('info', `Skipped ${skippedNames.size} item${skippedNames.size === 1 ? '' : 's'} that already exist${skippedNames.size === 1 ? 's' : ''}`);
+    }
+  };
+
   const handleUpload = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    await uploadFile(file);
+    await uploadFiles([{ file, folder: '' }]);
   };
 
-  const handleDrop = async (files) => {
-    for (const file of files) {
-      await uploadFile(file);
-    }
+  const handleUploadFolder = async (e) => {
+    // webkitRelativePath starts with the picked folder itself, e.g. "Photos/2024/img.jpg"
+    const items = Array.from(e.target.files || []).map((file) => ({ file, folder: file.webkitRelativePath.split('/').slice(0, -1).join('/') }));
+    // Allow picking the same folder again
+    e.target.value = '';
+    if (items.length === 0) return;
+    await uploadFiles(items);
+  };
+
+  const handleDrop = async (items, folders = []) => {
+    await uploadFiles(items, folders);
   };
 
   // Delete operations
@@ -119,7 +221,7 @@ export function useFileHandlers({
       onSuccess: () => {
         setDeletingFile(null);
         setProcessingFile(null);
-        addNotification('success', 'File deleted successfully');
+        addNotification('success', `${deletingFile.name} moved to trash`);
       },
       onError: (error) => {
         console.error('Delete error:', error);
@@ -177,12 +279,93 @@ export function useFileHandlers({
     setSharingFile(null);
   };
 
+  // Bulk operations: one request for the whole selection, with a result per item
+  const runBatch = (request, { verb, errorTitle, onDone }) => {
+    batchMutation.mutate(request, {
+      onSuccess: (data) => {
+        if (data.succeeded > 0) {
+          addNotification('success', `${data.succeeded} ${data.succeeded === 1 ? 'item' : 'items'} ${verb}`);
+        }
+        if (data.failed > 0) {
+          const firstError = data.results.find((result) => !result.success);
+          addNotification('error', `${data.failed} of ${data.results.length} items failed: ${firstError.name} - ${firstError.error}`, errorTitle);
+        }
+        clearSelection?.();
+        onDone?.(data);
+      },
+      onError: (error) => {
+        console.error('Batch error:', error);
+        addNotification('error', error.response?.data?.error || error.message || 'Bulk operation failed', errorTitle);
+      },
+    });
+  };
+
+  const bulkDelete = (files) => {
+    runBatch({ action: 'delete', names: files.map((file) => file.name) }, { verb: 'moved to trash', errorTitle: 'Delete Error' });
+  };
+
+  // Move / copy operations
+  const initiateMove = (file, copy = false, closeContextMenu) => {
+    setMovingFile({ files: [file], copy });
+    if (closeContextMenu) closeContextMenu();
+  };
+
+  const initiateBulkMove = (files, copy = false) => {
+    setMovingFile({ files, copy });
+  };
+
+  const cancelMove = () => {
+    setMovingFile(null);
+  };
+
+  const moveFile = (file, destination, copy = false) => {
+    setProcessingFile(file.id);
+    moveMutation.mutate(
+      { fileId: file.name, destination, copy },
+      {
+        onSuccess: (data) => {
+          setMovingFile(null);
+          setProcessingFile(null);
+          const verb = copy ? 'copied' : 'moved';
+          addNotification('success', data.renamed ? `${file.name} ${verb} as ${data.name}` : `${file.name} ${verb} successfully`);
+        },
+        onError: (error) => {
+          console.error('Move error:', error);
+          addNotification('error', error.response?.data?.error || error.message || `Failed to ${copy ? 'copy' : 'move'} file`, copy ? 'Copy Error' : 'Move Error');
+          setProcessingFile(null);
+        },
+      },
+    );
+  };
+
+  const confirmMove = (movingFile, destination) => {
+    if (!movingFile) return;
+    if (movingFile.files.length === 1) {
+      moveFile(movingFile.files[0], destination, movingFile.copy);
+      return;
+    }
+
+    const { copy } = movingFile;
+    runBatch(
+      { action: copy ? 'copy' : 'move', names: movingFile.files.map((file) => file.name), destination },
+      { verb: copy ? 'copied' : 'moved', errorTitle: copy ? 'Copy Error' : 'Move Error', onDone: () => setMovingFile(null) },
+    );
+  };
+
+  // Drag and drop of an item onto a folder in the current view
+  const moveToFolder = (fileName, folderName, copy = false) => {
+    const destination = currentPath ? `${currentPath}/${folderName}` : folderName;
+    moveFile({ id: fileName, name: fileName }, destination, copy);
+  };
+
   return {
     initiateCreateFolder,
     cancelCreateFolder,
     confirmCreateFolder,
     uploadFile,
+    uploadFiles,
     handleUpload,
+    handleUploadFolder,
     handleDrop,
     initiateDelete,
     cancelDelete,
@@ -192,5 +375,13 @@ export function useFileHandlers({
     confirmRename,
     initiateShare,
     cancelShare,
+    initiateMove,
+    cancelMove,
+    confirmMove,
+    moveToFolder,
+    initiateBulkMove,
+    bulkDelete,
+    isMoving: moveMutation.isPending || batchMutation.isPending,
+    isBatchPending: batchMutation.isPending,
   };
 }
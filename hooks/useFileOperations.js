@@ -1,6 +1,6 @@
 /** @format */
 
-import { useEffect } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { FiFolder, FiFile, FiImage, FiVideo, FiBox } from 'react-icons/fi';
 import { is3dFile, isImage, isVideo } from '@/lib/clientFileUtils';
 
@@ -33,6 +33,15 @@ export function useNavigation({ currentPath, pathHistory, historyIndex, setCurre
   const canGoBack = historyIndex > 0;
   const canGoForward = historyIndex < pathHistory.length - 1;
 
+  // Jump straight to any folder, e.g. the folder containing a search result
+  const navigateToPath = (targetPath) => {
+    if (targetPath === currentPath) return;
+    const newHistory = [...pathHistory.slice(0, historyIndex + 1), targetPath];
+    setPathHistory(newHistory);
+    setHistoryIndex(newHistory.length - 1);
+    setCurrentPath(targetPath);
+  };
+
   const navigateToBreadcrumb = (index) => {
     // Build the path from breadcrumb segments
     const pathParts = currentPath ? currentPath.split('/') : [];
@@ -52,6 +61,7 @@ export function useNavigation({ currentPath, pathHistory, historyIndex, setCurre
     canGoBack,
     canGoForward,
     navigateToBreadcrumb,
+    navigateToPath,
   };
 }
 
@@ -104,10 +114,62 @@ export function useMediaViewer({ viewerFile, viewableFiles, setViewerFile }) {
   };
 }
 
+// dataTransfer type used when dragging items around inside the file browser
+export const FILE_DRAG_TYPE = 'application/x-truecloud-file';
+
+// All entries of a dropped directory (readEntries hands them out in batches)
+async function readDirectoryEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Files of a drop, each with the folder it sits in relative to the drop ('' for loose files)
+ * Dropped directories are walked so their structure can be recreated; without DataTransfer entries the flat file list is used.
+ * @returns {Promise<object>} { files: Array<{ file: File, folder: string }>, folders: string[] } (folders lists every directory, empty ones included)
+ */
+async function readDroppedItems(dataTransfer) {
+  // Entries have to be taken before the first await, the browser empties the DataTransfer once the event returns
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return { files: Array.from(dataTransfer.files).map((file) => ({ file, folder: '' })), folders: [] };
+  }
+
+  const files = [];
+  const folders = [];
+  const walk = async (entry, folder) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ file, folder });
+    } else if (entry.isDirectory) {
+      const path = folder ? `${folder}/${entry.name}` : entry.name;
+      folders.push(path);
+      for (const child of await readDirectoryEntries(entry)) {
+        await walk(child, path);
+      }
+    }
+  };
+
+  for (const entry of entries) {
+    await walk(entry, '');
+  }
+  return { files, folders };
+}
+
 export function useDragAndDrop({ setIsDragging }) {
   const handleDragOver = (e) => {
     e.preventDefault();
     e.stopPropagation();
+    // Only show the upload overlay for files dragged in from the OS
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
     setIsDragging(true);
   };
 
@@ -119,15 +181,16 @@ export function useDragAndDrop({ setIsDragging }) {
     }
   };
 
-  const handleDropEvent = (e, onDrop) => {
+  // onDrop receives the files with their relative folders, plus every dropped directory
+  const handleDropEvent = async (e, onDrop) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
 
-    const files = Array.from(e.dataTransfer.files);
-    if (files.length === 0) return;
+    const { files, folders } = await readDroppedItems(e.dataTransfer);
+    if (files.length === 0 && folders.length === 0) return;
 
-    onDrop(files);
+    onDrop(files, folders);
   };
 
   return {
@@ -137,6 +200,218 @@ export function useDragAndDrop({ setIsDragging }) {
   };
 }
 
+export function useFileDropTarget({ onMoveToFolder }) {
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const isInternalDrag = (e) => Array.from(e.dataTransfer.types).includes(FILE_DRAG_TYPE);
+
+  // Props for an item that can be dragged, and dropped onto when it is a folder
+  const getDragProps = (item, disabled = false) => {
+    if (disabled || !onMoveToFolder) return {};
+
+    const props = {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.setData(FILE_DRAG_TYPE, item.name);
+        e.dataTransfer.effectAllowed = 'copyMove';
+      },
+      onDragEnd: () => setDropTargetId(null),
+    };
+
+    if (!item.isDirectory) return props;
+
+    return {
+      ...props,
+      onDragOver: (e) => {
+        if (!isInternalDrag(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        // Hold Ctrl (or Alt on macOS) to copy instead of move
+        e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+        setDropTargetId(item.id);
+      },
+      onDragLeave: (e) => {
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        setDropTargetId((current) => (current === item.id ? null : current));
+      },
+      onDrop: (e) => {
+        if (!isInternalDrag(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTargetId(null);
+
+        const name = e.dataTransfer.getData(FILE_DRAG_TYPE);
+        if (!name || name === item.name) return;
+        onMoveToFolder(name, item.name, e.ctrlKey || e.altKey);
+      },
+    };
+  };
+
+  return {
+    dropTargetId,
+    getDragProps,
+  };
+}
+
+const NO_SELECTION = new Set();
+
+// Whether two client rects overlap
+const rectsIntersect = (a, b) => a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+/**
+ * Multi-select for the file browser: click with Ctrl/Cmd to toggle, Shift to select a range,
+ * and drag on empty space for a rubber-band selection. Items must render a data-file-id attribute.
+ */
+export function useFileSelection({ files, currentPath }) {
+  const [selection, setSelection] = useState({ path: currentPath, ids: NO_SELECTION, anchorId: null });
+  const [selectionBox, setSelectionBox] = useState(null);
+
+  // A selection belongs to the folder it was made in, and items that disappeared drop out of it
+  const selectedIds = useMemo(() => {
+    if (selection.path !== currentPath || selection.ids.size === 0) return NO_SELECTION;
+    const visibleIds = new Set(files.map((file) => file.id));
+    return new Set([...selection.ids].filter((id) => visibleIds.has(id)));
+  }, [selection, currentPath, files]);
+
+  const selectedFiles = useMemo(() => files.filter((file) => selectedIds.has(file.id)), [files, selectedIds]);
+
+  const select = (ids, anchorId = null) => {
+    setSelection({ path: currentPath, ids: new Set(ids), anchorId });
+  };
+
+  const clearSelection = () => select([]);
+
+  const selectAll = () => select(files.map((file) => file.id));
+
+  const toggleItem = (item) => {
+    const ids = new Set(selectedIds);
+    if (ids.has(item.id)) {
+      ids.delete(item.id);
+    } else {
+      ids.add(item.id);
+    }
+    select(ids, item.id);
+  };
+
+  // Select everything between the last clicked item and this one
+  const selectRange = (item, additive) => {
+    const anchorIndex = files.findIndex((file) => file.id === selection.anchorId);
+    const itemIndex = files.findIndex((file) => file.id === item.id);
+    if (anchorIndex === -1 || selection.path !== currentPath) {
+      toggleItem(item);
+      return;
+    }
+
+    const [from, to] = anchorIndex < itemIndex ? [anchorIndex, itemIndex] : [itemIndex, anchorIndex];
+    const rangeIds = files.slice(from, to + 1).map((file) => file.id);
+    select(additive ? [...selectedIds, ...rangeIds] : rangeIds, selection.anchorId);
+  };
+
+  /**
+   * Handle a click on an item
+   * @returns {boolean} true when the click changed the selection and should not open the item
+   */
+  const handleItemClick = (e, item) => {
+    if (e.shiftKey) {
+      selectRange(item, e.ctrlKey || e.metaKey);
+      return true;
+    }
+    // Once something is selected, plain clicks keep adding to the selection
+    if (e.ctrlKey || e.metaKey || selectedIds.size > 0) {
+      toggleItem(item);
+      return true;
+    }
+    return false;
+  };
+
+  // Checkbox on an item: always toggles, Shift still selects a range
+  const handleToggleClick = (e, item) => {
+    e.stopPropagation();
+    if (e.shiftKey) {
+      selectRange(item, true);
+    } else {
+      toggleItem(item);
+    }
+  };
+
+  // Rubber-band selection, started by pressing the mouse on empty space inside the container
+  const handleSelectionMouseDown = (e) => {
+    if (e.button !== 0 || e.target.closest('[data-file-id], button, input, select, a')) return;
+
+    const container = e.currentTarget;
+    const start = { x: e.clientX, y: e.clientY };
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+    const baseIds = additive ? [...selectedIds] : [];
+    // Items scrolled out of the virtualized list keep the state they had when last seen
+    const hitIds = new Set();
+    let dragging = false;
+
+    const handleMouseMove = (moveEvent) => {
+      const dx = moveEvent.clientX - start.x;
+      const dy = moveEvent.clientY - start.y;
+      if (!dragging && Math.abs(dx) < 4 && Math.abs(dy) < 4) return;
+      dragging = true;
+      moveEvent.preventDefault();
+
+      const box = {
+        left: Math.min(start.x, moveEvent.clientX),
+        top: Math.min(start.y, moveEvent.clientY),
+        right: Math.max(start.x, moveEvent.clientX),
+        bottom: Math.max(start.y, moveEvent.clientY),
+      };
+      setSelectionBox(box);
+
+      container.querySelectorAll('[data-file-id]').forEach((element) => {
+        if (rectsIntersect(box, element.getBoundingClientRect())) {
+          hitIds.add(element.dataset.fileId);
+        } else {
+          hitIds.delete(element.dataset.fileId);
+        }
+      });
+      select([...baseIds, ...hitIds]);
+    };
+
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      setSelectionBox(null);
+      // A plain click on empty space clears the selection
+      if (!dragging && !additive) clearSelection();
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  // Ctrl/Cmd+A selects everything, Escape clears
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+        e.preventDefault();
+        setSelection({ path: currentPath, ids: new Set(files.map((file) => file.id)), anchorId: null });
+      } else if (e.key === 'Escape') {
+        setSelection({ path: currentPath, ids: NO_SELECTION, anchorId: null });
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [files, currentPath]);
+
+  return {
+    selectedIds,
+    selectedFiles,
+    selectionBox,
+    selectAll,
+    clearSelection,
+    handleItemClick,
+    handleToggleClick,
+    handleSelectionMouseDown,
+  };
+}
+
 export function useContextMenu({ setContextMenu, setSelectedContextFile }) {
   const handleContextMenu = (e, file) => {
     e.preventDefault();
@@ -163,6 +438,32 @@ export function useFileUtils({ currentPath, folderDisplayNames }) {
     window.open(`/api/files/download/${encodeURIComponent(fileId)}?path=${encodeURIComponent(currentPath)}`, '_blank');
   };
 
+  // Several items are zipped server-side; a form post lets the browser stream the download itself
+  const handleDownloadSelection = (files) => {
+    if (files.length === 1 && !files[0].isDirectory) {
+      handleDownload(files[0].id, files[0].name);
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/api/files/download';
+    form.style.display = 'none';
+    [
+      ['path', currentPath],
+      ['names', JSON.stringify(files.map((file) => file.name))],
+    ].forEach(([name, value]) => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  };
+
   const getFileIcon = (file) => {
     if (file.isDirectory) return <FiFolder className="text-blue-500" size={24} />;
     if (is3dFile(file.name)) return <FiBox className="text-orange-500" size={24} />;
@@ -188,6 +489,7 @@ export function useFileUtils({ currentPath, folderDisplayNames }) {
 
   return {
     handleDownload,
+    handleDownloadSelection,
     getFileIcon,
     getFolderDisplayName,
     formatFileSize,
@@ -1,11 +1,17 @@
 /** @format */
 
-import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { useQueryClient } from '@tanstack/react-query';
-import { useFiles, useCreateFolder, useUploadFile, useDeleteFile, useRenameFile, usePathShares } from '@/lib/api/files';
+import { useFiles, useFolderEvents, useSearchFiles, useCreateFolder, useUploadFile, useDeleteFile, useRenameFile, usePathShares } from '@/lib/api/files';
 import { useNotifications } from '@/contexts/NotificationsContext';
 
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_LIMIT = 200;
+const MB = 1024 * 1024;
+
+const EMPTY_SEARCH_FILTERS = { type: '', minSize: '', maxSize: '', modifiedAfter: '', modifiedBefore: '' };
+
 export function useFilesPage(status) {
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -25,7 +31,7 @@ export function useFilesPage(status) {
   const [currentPath, setCurrentPath] = useState(initialPath);
   const [pathHistory, setPathHistory] = useState([initialPath]);
   const [historyIndex, setHistoryIndex] = useState(0);
-  const [isPopstateNavigation, setIsPopstateNavigation] = useState(false);
+  const isPopstateNavigationRef = useRef(false);
   const [viewMode, setViewMode] = useState(() => {
     if (typeof window !== 'undefined') {
       return localStorage.getItem('fileViewMode') || 'grid';
@@ -49,9 +55,20 @@ export function useFilesPage(status) {
   const [processingFile, setProcessingFile] = useState(null);
   const [viewerFile, setViewerFile] = useState(null);
   const [uploads, setUploads] = useState([]);
+  const [uploadConflict, setUploadConflict] = useState(null);
   const [folderDisplayNames, setFolderDisplayNames] = useState({});
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
   const [sharingFile, setSharingFile] = useState(null);
+  const [movingFile, setMovingFile] = useState(null);
+  const [sharingSelection, setSharingSelection] = useState(null);
+  const [versionsFile, setVersionsFile] = useState(null);
+  const [versionSettingsFolder, setVersionSettingsFolder] = useState(null);
+  const [sharingWithUserFile, setSharingWithUserFile] = useState(null);
+  const [detailsFile, setDetailsFile] = useState(null);
+  const [showActivity, setShowActivity] = useState(false);
 
   // Redirect if unauthenticated
   useEffect(() => {
@@ -76,8 +93,8 @@ export function useFilesPage(status) {
   // Sync URL with currentPath (but not during browser back/forward)
   useEffect(() => {
     if (typeof window === 'undefined') return;
-    if (isPopstateNavigation) {
-      setIsPopstateNavigation(false);
+    if (isPopstateNavigationRef.current) {
+      isPopstateNavigationRef.current = false;
       return;
     }
 
@@ -92,7 +109,7 @@ export function useFilesPage(status) {
       }
       window.history.pushState({ path: currentPath }, '', url.toString());
     }
-  }, [currentPath, isPopstateNavigation]);
+  }, [currentPath]);
 
   // Handle browser back/forward buttons
   useEffect(() => {
@@ -100,7 +117,7 @@ export function useFilesPage(status) {
 
     const handlePopstate = (event) => {
       const newPath = event.state?.path ?? new URL(window.location.href).searchParams.get('path') ?? '';
-      setIsPopstateNavigation(true);
+      isPopstateNavigationRef.current = true;
       setCurrentPath(newPath);
     };
 
@@ -108,43 +125,40 @@ export function useFilesPage(status) {
     return () => window.removeEventListener('popstate', handlePopstate);
   }, []);
 
+  // Wait for typing to pause before querying the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearchQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Library-wide search runs as soon as there is a query or a filter; sizes are entered in MB, dates as whole days
+  const searchRequest = useMemo(() => {
+    const endOfDay = (date) => new Date(new Date(`${date}T00:00:00`).getTime() + 24 * 60 * 60 * 1000).toISOString();
+    return {
+      q: debouncedSearchQuery,
+      type: searchFilters.type,
+      minSize: searchFilters.minSize !== '' ? Math.round(Number(searchFilters.minSize) * MB) : '',
+      maxSize: searchFilters.maxSize !== '' ? Math.round(Number(searchFilters.maxSize) * MB) : '',
+      modifiedAfter: searchFilters.modifiedAfter ? new Date(`${searchFilters.modifiedAfter}T00:00:00`).toISOString() : '',
+      modifiedBefore: searchFilters.modifiedBefore ? endOfDay(searchFilters.modifiedBefore) : '',
+      limit: SEARCH_LIMIT,
+    };
+  }, [debouncedSearchQuery, searchFilters]);
+  const isSearching = !!debouncedSearchQuery || Object.values(searchFilters).some((value) => value !== '');
+
   // Fetch and sort files
-  const { data: filesData, isLoading } = useFiles(currentPath, status === 'authenticated');
+  const { data: filesData, isLoading: isFolderLoading } = useFiles(currentPath, status === 'authenticated');
+  // Uploads by others, finished downloads and changes made on disk show up without a refresh
+  useFolderEvents(currentPath, status === 'authenticated');
+  const { data: searchData, isLoading: isSearchLoading } = useSearchFiles(searchRequest, status === 'authenticated' && isSearching);
+  const isLoading = isSearching ? isSearchLoading : isFolderLoading;
 
   // Fetch shared paths for share indicators
   const { data: sharedPaths } = usePathShares(currentPath);
   const files = useMemo(() => {
+    const source = isSearching ? searchData?.results : filesData;
     // Filter out hidden files
-    let filtered = (filesData || []).filter((f) => !f.name.startsWith('.'));
-
-    // Apply search query filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.trim();
-
-      // Check if it's a glob pattern (contains * or ?)
-      const isGlobPattern = query.includes('*') || query.includes('?');
-
-      if (isGlobPattern) {
-        // Convert glob pattern to regex
-        const regexPattern = query
-          .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-          .replace(/\*/g, '.*')
-          .replace(/\?/g, '.');
-
-        try {
-          const regex = new RegExp(regexPattern, 'i');
-          filtered = filtered.filter((file) => regex.test(file.name));
-        } catch (e) {
-          // Invalid regex, fall back to simple substring match
-          const lowerQuery = query.toLowerCase();
-          filtered = filtered.filter((file) => file.name.toLowerCase().includes(lowerQuery));
-        }
-      } else {
-        // Simple substring match (case-insensitive)
-        const lowerQuery = query.toLowerCase();
-        filtered = filtered.filter((file) => file.name.toLowerCase().includes(lowerQuery));
-      }
-    }
+    const filtered = (source || []).filter((f) => !f.name.startsWith('.'));
 
     const sorted = [...filtered].sort((a, b) => {
       if (a.isDirectory && !b.isDirectory) return -1;
@@ -169,28 +183,36 @@ export function useFilesPage(status) {
     });
 
     return sorted;
-  }, [filesData, sortBy, searchQuery]);
+  }, [filesData, searchData, isSearching, sortBy]);
 
-  // Store folder display names
-  useEffect(() => {
-    if (files && files.length > 0) {
-      const newDisplayNames = {};
-      files.forEach((file) => {
-        if (file.name.startsWith('user_') && file.displayName) {
-          newDisplayNames[file.name] = file.displayName;
-        }
-      });
-      if (Object.keys(newDisplayNames).length > 0) {
-        setFolderDisplayNames((prev) => ({ ...prev, ...newDisplayNames }));
+  // Store folder display names (collected while rendering whenever a new listing arrives)
+  const [displayNamesSource, setDisplayNamesSource] = useState(null);
+  if (filesData && filesData !== displayNamesSource) {
+    setDisplayNamesSource(filesData);
+    const newDisplayNames = {};
+    filesData.forEach((file) => {
+      if (file.name.startsWith('user_') && file.displayName) {
+        newDisplayNames[file.name] = file.displayName;
       }
+    });
+    if (Object.keys(newDisplayNames).length > 0) {
+      setFolderDisplayNames((prev) => ({ ...prev, ...newDisplayNames }));
     }
-  }, [files]);
+  }
 
   // Get viewable files for media viewer
   const viewableFiles = useMemo(() => {
     return files.filter((f) => !f.isDirectory);
   }, [files]);
 
+  const resetSearchFilters = useCallback(() => setSearchFilters(EMPTY_SEARCH_FILTERS), []);
+
+  const clearSearch = useCallback(() => {
+    setSearchQuery('');
+    setDebouncedSearchQuery('');
+    setSearchFilters(EMPTY_SEARCH_FILTERS);
+  }, []);
+
   return {
     // State
     uploading,
@@ -210,18 +232,34 @@ export function useFilesPage(status) {
     processingFile,
     viewerFile,
     uploads,
+    uploadConflict,
     folderDisplayNames,
     files,
     isLoading,
     viewableFiles,
     searchQuery,
+    searchFilters,
+    showSearchFilters,
+    isSearching,
+    searchHasMore: isSearching && !!searchData?.hasMore,
     sharingFile,
+    movingFile,
+    sharingSelection,
+    versionsFile,
+    versionSettingsFolder,
+    sharingWithUserFile,
+    detailsFile,
+    showActivity,
     sharedPaths,
 
     // Setters
     setViewMode,
     setSortBy,
     setSearchQuery,
+    setSearchFilters,
+    setShowSearchFilters,
+    resetSearchFilters,
+    clearSearch,
     setCreatingFolder,
     setNewFolderName,
     setIsDragging,
@@ -233,11 +271,19 @@ export function useFilesPage(status) {
     setProcessingFile,
     setViewerFile,
     setUploads,
+    setUploadConflict,
     setUploading,
     setCurrentPath,
     setPathHistory,
     setHistoryIndex,
     setSharingFile,
+    setMovingFile,
+    setSharingSelection,
+    setVersionsFile,
+    setVersionSettingsFolder,
+    setSharingWithUserFile,
+    setDetailsFile,
+    setShowActivity,
 
     // Helpers
     addNotification,
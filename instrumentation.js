@@ -0,0 +1,19 @@
+/** @format */
+
+/**
+ * Runs once when the Next.js server starts
+ * Background work only makes sense in the Node.js runtime, not on the edge
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  // Before the first request, so sign-in throttling and the audit log always know the client address
+  const { trackClientAddresses } = await import('./lib/clientAddress');
+  trackClientAddresses();
+
+  const { startScheduler } = await import('./lib/scheduler');
+  startScheduler();
+
+  const { startWebdavServer } = await import('./lib/webdavServer');
+  startWebdavServer();
+}
@@ -2,18 +2,25 @@
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from '@/lib/axiosConfig';
+import { useEventStream } from '@/lib/api/events';
 
 /**
  * Hook to fetch active torrent downloads
  */
 export function useTorrentDownloads() {
+  const queryClient = useQueryClient();
+  // The server pushes the list while the stream is open; polling is only the fallback
+  const streaming = useEventStream('downloads=1', {
+    downloads: (downloads) => queryClient.setQueryData(['torrentDownloads'], downloads),
+  });
+
   const { data, isPending, ...rest } = useQuery({
     queryKey: ['torrentDownloads'],
     queryFn: async () => {
       const response = await axios.get('/api/files/torrent-download');
       return response.data.downloads || [];
     },
-    refetchInterval: 2000, // Poll every 2 seconds for live progress
+    refetchInterval: streaming ? false : 2000, // Poll every 2 seconds for live progress
   });
 
   const isLoading = isPending && !data;
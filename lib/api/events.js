@@ -0,0 +1,37 @@
+/** @format */
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Hook to listen to /api/events; the browser reconnects by itself when the stream drops
+ * @param {string} query - Query string selecting what to receive, e.g. "path=Photos" or "downloads=1"
+ * @param {object} listeners - Event name to handler, called with the parsed data
+ * @param {boolean} enabled - Set to false to close the stream
+ * @returns {boolean} Whether the stream is currently connected
+ */
+export function useEventStream(query, listeners, enabled = true) {
+  const [connected, setConnected] = useState(false);
+  const listenersRef = useRef(listeners);
+
+  useEffect(() => {
+    listenersRef.current = listeners;
+  });
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(`/api/events?${query}`);
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    for (const event of Object.keys(listenersRef.current)) {
+      source.addEventListener(event, (e) => listenersRef.current[event]?.(JSON.parse(e.data)));
+    }
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [query, enabled]);
+
+  return connected;
+}
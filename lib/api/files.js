@@ -2,6 +2,8 @@
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from '@/lib/axiosConfig';
+import { uploadFileInChunks } from '@/lib/chunkedUploadClient';
+import { useEventStream } from '@/lib/api/events';
 
 /**
  * Hook to fetch files from a specific path
@@ -28,6 +30,41 @@ export function useFiles(currentPath, enabled = true) {
   };
 }
 
+/**
+ * Hook to refetch a folder's listing as soon as it changes on the server (other users, downloads, changes on disk)
+ */
+export function useFolderEvents(currentPath, enabled = true) {
+  const queryClient = useQueryClient();
+
+  return useEventStream(
+    `path=${encodeURIComponent(currentPath)}`,
+    {
+      change: () => {
+        queryClient.invalidateQueries({ queryKey: ['files', currentPath] });
+        queryClient.invalidateQueries({ queryKey: ['folderActivity', currentPath] });
+      },
+    },
+    enabled,
+  );
+}
+
+/**
+ * Hook to search the whole library by name, type, size and modification date
+ * @param {object} params - { q, type, minSize, maxSize, modifiedAfter, modifiedBefore } (empty values are ignored)
+ */
+export function useSearchFiles(params, enabled = true) {
+  return useQuery({
+    queryKey: ['files', 'search', params],
+    queryFn: async () => {
+      const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+      const response = await axios.get(`/api/files/search?${query}`);
+      return response.data; // { results, hasMore }
+    },
+    enabled,
+    placeholderData: (previous) => previous,
+  });
+}
+
 /**
  * Hook to create a new folder
  */
@@ -49,51 +86,21 @@ export function useCreateFolder(currentPath) {
 }
 
 /**
- * Hook to upload a file
+ * Hook to upload a file (chunked and resumable)
+ * onConflict decides what happens when the name is already taken: 'overwrite', 'rename', 'skip' or 'fail'
+ * folder places the file in a sub-folder of the current path (folder uploads), e.g. "Photos/2024"
  */
 export function useUploadFile(currentPath, onProgress) {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ file, uploadId }) => {
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('path', currentPath);
-
-      return new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-
-        xhr.upload.addEventListener('progress', (e) => {
-          if (e.lengthComputable && onProgress) {
-            const progress = Math.round((e.loaded / e.total) * 100);
-            onProgress(uploadId, progress);
-          }
-        });
-
-        xhr.addEventListener('load', () => {
-          if (xhr.status === 200) {
-            try {
-              resolve(JSON.parse(xhr.response));
-            } catch {
-              resolve(xhr.response);
-            }
-          } else {
-            reject(new Error(`Upload failed: ${xhr.status} ${xhr.statusText}`));
-          }
-        });
-
-        xhr.addEventListener('error', () => {
-          reject(new Error('Network error'));
-        });
-
-        xhr.addEventListener('abort', () => {
-          reject(new Error('Upload aborted'));
-        });
-
-        xhr.open('POST', '/api/files/upload');
-        xhr.setRequestHeader('Accept', 'application/json');
-        xhr.responseType = 'text';
-        xhr.send(formData);
+    mutationFn: async ({ file, uploadId, onConflict, folder = '' }) => {
+      return uploadFileInChunks(file, {
+        baseUrl: '/api/files/upload/sessions',
+        path: currentPath,
+        folder,
+        onConflict,
+        onProgress: (progress) => onProgress?.(uploadId, progress),
       });
     },
     onSuccess: () => {
@@ -137,6 +144,233 @@ export function useRenameFile(currentPath) {
     },
   });
 }
+
+/**
+ * Hook to move or copy a file or folder into another folder
+ */
+export function useMoveFile(currentPath) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ fileId, destination, copy = false, onConflict = 'rename' }) => {
+      const response = await axios.post('/api/files/move', {
+        path: currentPath,
+        name: fileId,
+        destination,
+        copy,
+        onConflict,
+      });
+      return response.data;
+    },
+    onSuccess: () => {
+      // Both the source and the destination listings change
+      queryClient.invalidateQueries({ queryKey: ['files'] });
+    },
+  });
+}
+
+/**
+ * Hook to apply one action (delete, move, copy, share) to several items of the current folder
+ * Resolves with the per-item results even when some items failed
+ */
+export function useBatchFileAction(currentPath) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ action, names, destination, onConflict = 'rename', share }) => {
+      const response = await axios.post('/api/files/batch', {
+        action,
+        path: currentPath,
+        names,
+        destination,
+        onConflict,
+        share,
+      });
+      return response.data; // { success, succeeded, failed, results: [{ name, success, error }] }
+    },
+    onSuccess: (data, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['files'] });
+      if (action === 'share') {
+        queryClient.invalidateQueries({ queryKey: ['shares'] });
+        queryClient.invalidateQueries({ queryKey: ['fileShare'] });
+      }
+    },
+  });
+}
+
+/**
+ * Hook to fetch the version history of a file
+ */
+export function useFileVersions(path, fileName, enabled = true) {
+  return useQuery({
+    queryKey: ['fileVersions', path, fileName],
+    queryFn: async () => {
+      const response = await axios.get(`/api/files/versions?path=${encodeURIComponent(path)}&name=${encodeURIComponent(fileName)}`);
+      return response.data; // { current: { size, modifiedAt, uploadedBy }, versions }
+    },
+    enabled: enabled && !!fileName,
+  });
+}
+
+/**
+ * Hook to fetch what other users recently changed under a folder
+ */
+export function useFolderActivity(path, enabled = true) {
+  return useQuery({
+    queryKey: ['folderActivity', path],
+    queryFn: async () => {
+      const response = await axios.get(`/api/files/activity?path=${encodeURIComponent(path)}`);
+      return response.data.entries; // [{ id, actor, action, path, details, createdAt }]
+    },
+    enabled,
+    refetchInterval: 60000, // Pick up other users' changes while the sidebar is open
+  });
+}
+
+/**
+ * Hook to fetch the history of a file or folder
+ */
+export function useItemHistory(path, fileName, enabled = true) {
+  return useQuery({
+    queryKey: ['itemHistory', path, fileName],
+    queryFn: async () => {
+      const response = await axios.get(`/api/files/activity?path=${encodeURIComponent(path)}&name=${encodeURIComponent(fileName)}`);
+      return response.data.entries;
+    },
+    enabled: enabled && !!fileName,
+  });
+}
+
+/**
+ * Hook to make an older version the current content of its file
+ */
+export function useRestoreVersion(currentPath) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (versionId) => {
+      const response = await axios.patch(`/api/files/versions/${versionId}`, { action: 'restore' });
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fileVersions'] });
+      queryClient.invalidateQueries({ queryKey: ['files', currentPath] });
+      queryClient.invalidateQueries({ queryKey: ['thumbnail'] });
+    },
+  });
+}
+
+/**
+ * Hook to permanently delete a version
+ */
+export function useDeleteVersion() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (versionId) => {
+      await axios.delete(`/api/files/versions/${versionId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fileVersions'] });
+    },
+  });
+}
+
+/**
+ * Hook to fetch a folder's version retention
+ */
+export function useVersionPolicy(path, enabled = true) {
+  return useQuery({
+    queryKey: ['versionPolicy', path],
+    queryFn: async () => {
+      const response = await axios.get(`/api/files/versions/policy?path=${encodeURIComponent(path)}`);
+      return response.data; // { policy: { maxVersions, maxDays }, inherited: { maxVersions, maxDays } }
+    },
+    enabled,
+  });
+}
+
+/**
+ * Hook to set a folder's version retention (null limits are inherited)
+ */
+export function useUpdateVersionPolicy() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ path, maxVersions, maxDays }) => {
+      const response = await axios.put('/api/files/versions/policy', { path, maxVersions, maxDays });
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['versionPolicy'] });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the users and groups a file or folder is shared with
+ */
+export function useFilePermissions(path, fileName, enabled = true) {
+  return useQuery({
+    queryKey: ['filePermissions', path, fileName],
+    queryFn: async () => {
+      const response = await axios.get(`/api/files/permissions?path=${encodeURIComponent(path)}&name=${encodeURIComponent(fileName)}`);
+      return response.data; // { permissions, groupPermissions }
+    },
+    enabled: enabled && !!fileName,
+  });
+}
+
+/**
+ * Hook to share a file or folder with a user (or a group, by groupId), or change their permissions
+ */
+export function useShareWithUser() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ path, name, user, groupId, canWrite, canDelete, canShare }) => {
+      const response = await axios.post('/api/files/permissions', { path, name, user, groupId, canWrite, canDelete, canShare });
+      return response.data;
+    },
+    onSuccess: (data, { groupId }) => {
+      queryClient.invalidateQueries({ queryKey: ['filePermissions'] });
+      // Group names are shown in the listing
+      if (groupId) queryClient.invalidateQueries({ queryKey: ['files'] });
+    },
+  });
+}
+
+/**
+ * Hook to stop sharing a file or folder with a user or a group
+ */
+export function useRemoveFilePermission() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ path, name, userId, groupId }) => {
+      const grantee = userId ? `userId=${encodeURIComponent(userId)}` : `groupId=${encodeURIComponent(groupId)}`;
+      await axios.delete(`/api/files/permissions?path=${encodeURIComponent(path)}&name=${encodeURIComponent(name)}&${grantee}`);
+    },
+    onSuccess: (data, { groupId }) => {
+      queryClient.invalidateQueries({ queryKey: ['filePermissions'] });
+      if (groupId) queryClient.invalidateQueries({ queryKey: ['files'] });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the files and folders other users have shared with the current user
+ */
+export function useSharedWithMe() {
+  return useQuery({
+    queryKey: ['sharedWithMe'],
+    queryFn: async () => {
+      const response = await axios.get('/api/files/shared');
+      return response.data.items || [];
+    },
+  });
+}
+
 /**
  * Hook to fetch thumbnail (generates if needed, returns base64)
  */
@@ -0,0 +1,70 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch all groups (with their members for admins)
+ */
+export function useGroups(enabled = true) {
+  return useQuery({
+    queryKey: ['groups'],
+    queryFn: async () => {
+      const response = await axios.get('/api/groups');
+      return response.data.groups || [];
+    },
+    enabled,
+  });
+}
+
+/**
+ * Hook to create a group
+ */
+export function useCreateGroup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (groupData) => {
+      const response = await axios.post('/api/groups', groupData);
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['groups'] });
+    },
+  });
+}
+
+/**
+ * Hook to update a group's name, description or members
+ */
+export function useUpdateGroup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (groupData) => {
+      const response = await axios.patch('/api/groups', groupData);
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['groups'] });
+    },
+  });
+}
+
+/**
+ * Hook to delete a group
+ */
+export function useDeleteGroup() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (groupId) => {
+      const response = await axios.delete(`/api/groups?id=${groupId}`);
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['groups'] });
+      queryClient.invalidateQueries({ queryKey: ['filePermissions'] });
+    },
+  });
+}
@@ -0,0 +1,55 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the email notifications the current user can get and which ones are on
+ */
+export function useNotificationSettings() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['notificationSettings'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/notifications');
+      return response.data; // { mailEnabled, email, events, preferences }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to turn email notifications on or off
+ */
+export function useUpdateNotificationSettings() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (preferences) => {
+      const response = await axios.patch('/api/account/notifications', { preferences });
+      return response.data; // { preferences }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notificationSettings'] });
+    },
+  });
+}
+
+/**
+ * Hook to send the current user a test email
+ */
+export function useSendTestEmail() {
+  return useMutation({
+    mutationFn: async () => {
+      const response = await axios.post('/api/account/notifications');
+      return response.data; // { success, email }
+    },
+  });
+}
@@ -0,0 +1,80 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch whether the current user has a password to change and the policy for a new one
+ */
+export function usePasswordPolicy() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['passwordPolicy'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/password');
+      return response.data; // { singleSignOn, minLength }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to change the current user's password; other browsers are signed out
+ */
+export function useChangePassword() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ currentPassword, newPassword }) => {
+      const response = await axios.post('/api/account/password', { currentPassword, newPassword });
+      return response.data; // { revoked }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+    },
+  });
+}
+
+/**
+ * Hook to check a password reset link (no session needed)
+ * @param {string} token - Token from the link
+ */
+export function usePasswordReset(token) {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['passwordReset', token],
+    queryFn: async () => {
+      const response = await axios.get('/api/auth/password-reset', { params: { token } });
+      return response.data; // { username, minLength }
+    },
+    enabled: !!token,
+    retry: false,
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to set a new password with a reset link
+ */
+export function useResetPassword() {
+  return useMutation({
+    mutationFn: async ({ token, password }) => {
+      const response = await axios.post('/api/auth/password-reset', { token, password });
+      return response.data;
+    },
+  });
+}
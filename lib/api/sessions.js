@@ -0,0 +1,83 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the browsers the current user is signed in on
+ */
+export function useSessions() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/sessions');
+      return response.data; // { sessions }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to fetch every user's sessions (admin only)
+ */
+export function useAllSessions() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['allSessions'],
+    queryFn: async () => {
+      const response = await axios.get('/api/system/sessions');
+      return response.data; // { sessions }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to end one session
+ */
+export function useRevokeSession() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (sessionId) => {
+      await axios.delete(`/api/account/sessions/${sessionId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      queryClient.invalidateQueries({ queryKey: ['allSessions'] });
+    },
+  });
+}
+
+/**
+ * Hook to sign out every session but the current one
+ */
+export function useRevokeOtherSessions() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await axios.delete('/api/account/sessions');
+      return response.data; // { revoked }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      queryClient.invalidateQueries({ queryKey: ['allSessions'] });
+    },
+  });
+}
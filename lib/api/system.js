@@ -1,6 +1,6 @@
 /** @format */
 
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from '@/lib/axiosConfig';
 
 /**
@@ -72,3 +72,104 @@ export function useRunUpdate() {
     },
   });
 }
+
+/**
+ * Hook to fetch admin-configurable system settings
+ */
+export function useSystemSettings() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['systemSettings'],
+    queryFn: async () => {
+      const response = await axios.get('/api/system/settings');
+      return response.data.settings || {};
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to update system settings
+ */
+export function useUpdateSystemSettings() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (updates) => {
+      const response = await axios.patch('/api/system/settings', updates);
+      return response.data.settings;
+    },
+    onSuccess: (settings) => {
+      queryClient.setQueryData(['systemSettings'], settings);
+      queryClient.invalidateQueries({ queryKey: ['signInOptions'] });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the ways to sign in on this server (works without a session)
+ */
+export function useSignInOptions() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['signInOptions'],
+    queryFn: async () => {
+      const response = await axios.get('/api/auth/sign-in-options');
+      return response.data; // { localPasswords, providers: [{ id, name, type }] }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+// Query string for the audit log filters (empty values are left out)
+function toAuditQuery(params) {
+  return new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+}
+
+/**
+ * Hook to fetch a page of the audit log, newest first
+ * @param {object} filters - { user, action, path, from, to } (empty values are ignored)
+ * @param {number} offset - Entries to skip
+ */
+export function useAuditLog(filters, offset = 0) {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['auditLog', filters, offset],
+    queryFn: async () => {
+      const response = await axios.get(`/api/system/audit?${toAuditQuery({ ...filters, offset })}`);
+      return response.data; // { entries, total, actions }
+    },
+    placeholderData: (previous) => previous,
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Download link for every audit entry matching the filters, as CSV
+ * @param {object} filters - Same as useAuditLog
+ * @returns {string}
+ */
+export function getAuditExportUrl(filters) {
+  return `/api/system/audit?${toAuditQuery({ ...filters, format: 'csv' })}`;
+}
@@ -0,0 +1,83 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the current user's API tokens
+ */
+export function useApiTokens() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['apiTokens'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/tokens');
+      return response.data; // { tokens, scopes }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to fetch every user's API tokens (admin only)
+ */
+export function useAllApiTokens() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['allApiTokens'],
+    queryFn: async () => {
+      const response = await axios.get('/api/system/tokens');
+      return response.data; // { tokens }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to create an API token; the result holds the token value, shown only once
+ */
+export function useCreateApiToken() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ name, scope, folder }) => {
+      const response = await axios.post('/api/account/tokens', { name, scope, folder });
+      return response.data; // { token, apiToken }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['apiTokens'] });
+      queryClient.invalidateQueries({ queryKey: ['allApiTokens'] });
+    },
+  });
+}
+
+/**
+ * Hook to revoke an API token
+ */
+export function useRevokeApiToken() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (tokenId) => {
+      await axios.delete(`/api/account/tokens/${tokenId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['apiTokens'] });
+      queryClient.invalidateQueries({ queryKey: ['allApiTokens'] });
+    },
+  });
+}
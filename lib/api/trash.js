@@ -0,0 +1,77 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the current user's trash
+ */
+export function useTrash() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['trash'],
+    queryFn: async () => {
+      const response = await axios.get('/api/trash');
+      return response.data;
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to restore a trashed item to its original location
+ */
+export function useRestoreTrashItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (itemId) => {
+      const response = await axios.patch(`/api/trash/${itemId}`, { action: 'restore' });
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+      queryClient.invalidateQueries({ queryKey: ['files'] });
+    },
+  });
+}
+
+/**
+ * Hook to permanently delete a trashed item
+ */
+export function usePurgeTrashItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (itemId) => {
+      await axios.delete(`/api/trash/${itemId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+    },
+  });
+}
+
+/**
+ * Hook to permanently delete everything in the trash
+ */
+export function useEmptyTrash() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await axios.delete('/api/trash');
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] });
+    },
+  });
+}
@@ -0,0 +1,89 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the current user's two-factor state
+ */
+export function useTwoFactorStatus() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['twoFactor'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/two-factor');
+      return response.data; // { enabled, required, recoveryCodesLeft, singleSignOn }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to start setting up an authenticator app
+ * Pass { email, password } while signing in to an account that requires two-factor authentication
+ */
+export function useStartTwoFactorSetup() {
+  return useMutation({
+    mutationFn: async (credentials = {}) => {
+      const response = await axios.post('/api/account/two-factor/setup', credentials);
+      return response.data; // { secret, otpauthUrl, qrCode }
+    },
+  });
+}
+
+/**
+ * Hook to turn two-factor authentication on with a code from the app; the result holds the recovery codes
+ */
+export function useEnableTwoFactor() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ code, email, password }) => {
+      const response = await axios.post('/api/account/two-factor', { code, email, password });
+      return response.data; // { recoveryCodes }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['twoFactor'] });
+    },
+  });
+}
+
+/**
+ * Hook to turn two-factor authentication off
+ */
+export function useDisableTwoFactor() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (code) => {
+      await axios.delete('/api/account/two-factor', { data: { code } });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['twoFactor'] });
+    },
+  });
+}
+
+/**
+ * Hook to replace the recovery codes; the result holds the new ones
+ */
+export function useRegenerateRecoveryCodes() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (code) => {
+      const response = await axios.post('/api/account/two-factor/recovery-codes', { code });
+      return response.data; // { recoveryCodes }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['twoFactor'] });
+    },
+  });
+}
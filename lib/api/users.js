@@ -77,3 +77,17 @@ export function useDeleteUser() {
     },
   });
 }
+
+/**
+ * Hook to fetch the current user's storage usage
+ */
+export function useStorageUsage(enabled = true) {
+  return useQuery({
+    queryKey: ['storageUsage'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/storage');
+      return response.data; // { quotaBytes, usedBytes, availableBytes }
+    },
+    enabled,
+  });
+}
@@ -0,0 +1,119 @@
+/** @format */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from '@/lib/axiosConfig';
+
+/**
+ * Hook to fetch the current user's webhooks and the events they can subscribe to
+ */
+export function useWebhooks() {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['webhooks'],
+    queryFn: async () => {
+      const response = await axios.get('/api/account/webhooks');
+      return response.data; // { webhooks, events }
+    },
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to fetch a webhook's delivery log
+ * @param {string} webhookId - Webhook ID
+ */
+export function useWebhookDeliveries(webhookId) {
+  const { data, isPending, ...rest } = useQuery({
+    queryKey: ['webhookDeliveries', webhookId],
+    queryFn: async () => {
+      const response = await axios.get(`/api/account/webhooks/${webhookId}/deliveries`);
+      return response.data; // { webhook, deliveries }
+    },
+    enabled: !!webhookId,
+    refetchInterval: 30000, // Retries happen in the background
+  });
+
+  const isLoading = isPending && !data;
+
+  return {
+    data,
+    isPending,
+    isLoading,
+    ...rest,
+  };
+}
+
+/**
+ * Hook to register a webhook; the result holds its signing secret, shown only once
+ */
+export function useCreateWebhook() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ url, events, folder }) => {
+      const response = await axios.post('/api/account/webhooks', { url, events, folder });
+      return response.data; // { secret, webhook }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+    },
+  });
+}
+
+/**
+ * Hook to change a webhook (url, events, folder, enabled or regenerateSecret)
+ */
+export function useUpdateWebhook() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, ...changes }) => {
+      const response = await axios.patch(`/api/account/webhooks/${id}`, changes);
+      return response.data; // { webhook, secret? }
+    },
+    onSuccess: (data, { id }) => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+      queryClient.invalidateQueries({ queryKey: ['webhookDeliveries', id] });
+    },
+  });
+}
+
+/**
+ * Hook to delete a webhook
+ */
+export function useDeleteWebhook() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (webhookId) => {
+      await axios.delete(`/api/account/webhooks/${webhookId}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+    },
+  });
+}
+
+/**
+ * Hook to send a ping, or an earlier delivery again, and wait for the receiver
+ */
+export function useSendWebhookDelivery() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ webhookId, deliveryId }) => {
+      const response = await axios.post(`/api/account/webhooks/${webhookId}/deliveries`, { deliveryId });
+      return response.data; // { delivery }
+    },
+    onSuccess: (data, { webhookId }) => {
+      queryClient.invalidateQueries({ queryKey: ['webhookDeliveries', webhookId] });
+    },
+  });
+}
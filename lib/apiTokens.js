@@ -0,0 +1,123 @@
+/** @format */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { prisma } from './prisma';
+import { CAPABILITIES } from './roles';
+
+// Makes tokens recognizable in scripts and secret scanners
+const TOKEN_PREFIX = 'tc_';
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+// lastUsedAt is only rewritten when it is older than this, so a busy script does not write on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+export const API_TOKEN_SCOPES = {
+  read: { label: 'Read-only', description: 'Browse and download' },
+  write: { label: 'Read-write', description: 'Everything your role allows' },
+};
+
+// What a read-only token can still do, whatever the owner's role
+const READ_CAPABILITIES = [CAPABILITIES.READ, CAPABILITIES.VIEW_LOGS];
+// A token limited to a folder only works with files, never with server-wide or sharing features
+const FOLDER_CAPABILITIES = [CAPABILITIES.READ, CAPABILITIES.UPLOAD, CAPABILITIES.MODIFY, CAPABILITIES.DELETE];
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Token fields safe to send to clients (never the hash)
+ * @param {object} token - ApiToken record, optionally with its user
+ * @returns {object}
+ */
+export function serializeApiToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.prefix,
+    scope: token.scope,
+    folder: token.folder,
+    lastUsedAt: token.lastUsedAt,
+    lastUsedIp: token.lastUsedIp,
+    createdAt: token.createdAt,
+    ...(token.user && { user: { id: token.user.id, username: token.user.username, email: token.user.email } }),
+  };
+}
+
+/**
+ * Create a token; the plain value is only returned here and cannot be shown again
+ * @param {object} options - Options object
+ * @param {string} options.userId - Owner
+ * @param {string} options.name - Label chosen by the owner
+ * @param {string} options.scope - One of API_TOKEN_SCOPES
+ * @param {string|null} options.folder - Normalized folder path to limit the token to
+ * @returns {Promise<object>} { token: string, record: ApiToken }
+ */
+export async function createApiToken({ userId, name, scope, folder = null }) {
+  const token = `${TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+  const record = await prisma.apiToken.create({
+    data: {
+      userId,
+      name,
+      scope,
+      folder,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    },
+  });
+  return { token, record };
+}
+
+/**
+ * Tokens of one user, or of everyone (with their owner) when userId is omitted
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<object>>} ApiToken records, newest first
+ */
+export async function listApiTokens(userId) {
+  return prisma.apiToken.findMany({
+    where: userId ? { userId } : {},
+    include: userId ? undefined : { user: { select: { id: true, username: true, email: true } } },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Look up the token sent by a client and record that it was used
+ * @param {string} token - Plain token from the Authorization header
+ * @param {string|null} ip - Client address
+ * @returns {Promise<object|null>} ApiToken record with its user, or null if the token is unknown
+ */
+export async function findApiToken(token, ip) {
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+
+  const record = await prisma.apiToken.findUnique({ where: { tokenHash: hashToken(token) }, include: { user: true } });
+  if (!record) return null;
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION || record.lastUsedIp !== ip) {
+    await prisma.apiToken.update({ where: { id: record.id }, data: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  }
+  return record;
+}
+
+/**
+ * Check whether a token's limits let it use a capability (the owner's role is checked separately)
+ * @param {object|null} apiToken - session.apiToken; null for browser sessions, which are not limited
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean}
+ */
+export function tokenAllows(apiToken, capability) {
+  if (!apiToken) return true;
+  if (apiToken.scope !== 'write' && !READ_CAPABILITIES.includes(capability)) return false;
+  if (apiToken.folder && !FOLDER_CAPABILITIES.includes(capability)) return false;
+  return true;
+}
+
+/**
+ * Check whether a path lies inside the folder a token is limited to
+ * @param {string|null} folder - Normalized folder of the token (null = not limited)
+ * @param {string} itemPath - Normalized path relative to uploads
+ * @returns {boolean}
+ */
+export function isInTokenFolder(folder, itemPath) {
+  return !folder || itemPath === folder || itemPath.startsWith(`${folder}/`);
+}
@@ -1,6 +1,7 @@
 /** @format */
 
 import { spawn } from 'child_process';
+import { EventEmitter } from 'node:events';
 import { existsSync, mkdirSync } from 'fs';
 import { readFile, writeFile } from 'fs/promises';
 import { resolve, join } from 'node:path';
@@ -12,6 +13,9 @@ const STATE_FILE = process.env.ARIA2_STATE_FILE || './aria2-state.json';
 const RPC_PORT = process.env.ARIA2_RPC_PORT || 6800;
 const RPC_SECRET = process.env.ARIA2_RPC_SECRET || 'truecloud-aria2';
 const LISTEN_PORT = process.env.ARIA2_LISTEN_PORT || '6881-6889'; // Port range for torrent connections
+// Run by aria2c whenever a download stops; prints a line with the GID that the stdout handler turns into an event
+const STOP_HOOK = resolve(process.cwd(), 'scripts/aria2-download-stopped.sh');
+const STOP_MARKER = /truecloud-download-stopped ([0-9a-f]+)\r?\n/g;
 
 let aria2Process = null;
 let isStarting = false;
@@ -27,6 +31,26 @@ function formatBytes(bytes) {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
+// Kept on global so listeners survive dev-server hot reloads of this module
+function getDownloadEvents() {
+  if (!global.truecloudDownloadEvents) {
+    global.truecloudDownloadEvents = new EventEmitter();
+  }
+  return global.truecloudDownloadEvents;
+}
+
+/**
+ * Call a listener whenever aria2 stops a download: it completed, failed or was removed
+ * Needs the stop hook, which is not used on Windows; callers should still check on their downloads from time to time
+ * @param {function} listener - Called with the GID
+ * @returns {function} Unsubscribe
+ */
+export function onDownloadStopped(listener) {
+  const events = getDownloadEvents();
+  events.on('stopped', listener);
+  return () => events.off('stopped', listener);
+}
+
 /**
  * Save download state to JSON file for persistence
  */
@@ -115,11 +139,22 @@ export async function startAria2Daemon() {
       '--daemon=false',
       '--quiet=false',
     ];
+    if (process.platform !== 'win32' && existsSync(STOP_HOOK)) {
+      args.push(`--on-download-stop=${STOP_HOOK}`);
+    }
 
     aria2Process = spawn('aria2c', args);
 
+    let pendingOutput = '';
     aria2Process.stdout?.on('data', (data) => {
       logger.debug('aria2c stdout', { output: data.toString().substring(0, 200) });
+
+      // The hook's line can arrive split across chunks, so the unfinished last line is kept for the next one
+      pendingOutput += data.toString();
+      for (const [, gid] of pendingOutput.matchAll(STOP_MARKER)) {
+        getDownloadEvents().emit('stopped', gid);
+      }
+      pendingOutput = pendingOutput.slice(pendingOutput.lastIndexOf('\n') + 1).slice(-200);
     });
 
     aria2Process.stderr?.on('data', (data) => {
@@ -188,16 +223,17 @@ async function callAria2RPC(method, params = []) {
     body: JSON.stringify(body),
   });
 
-  if (!response.ok) {
-    throw new Error(`RPC call failed: ${response.statusText}`);
-  }
-
-  const data = await response.json();
+  // aria2 answers RPC errors (e.g. an unknown GID) with HTTP 400 and the error in the body
+  const data = await response.json().catch(() => null);
 
-  if (data.error) {
+  if (data?.error) {
     throw new Error(`RPC error: ${data.error.message || JSON.stringify(data.error)}`);
   }
 
+  if (!response.ok || !data) {
+    throw new Error(`RPC call failed: ${response.statusText}`);
+  }
+
   return data.result;
 }
 
@@ -236,6 +272,7 @@ export async function addDownload(url, options = {}) {
 
 /**
  * Get download status
+ * @returns {Promise<object|null>} null when aria2 does not know the GID; throws when aria2 cannot be asked
  */
 export async function getDownloadStatus(gid) {
   await ensureDaemonRunning();
@@ -255,13 +292,17 @@ export async function getDownloadStatus(gid) {
         'numSeeders',
         'connections',
         'bittorrent',
+        'dir',
+        'followedBy',
       ],
     ]);
 
     return formatDownloadInfo(result);
   } catch (error) {
+    // aria2 forgets downloads when it restarts without them in its session; anything else is worth retrying
+    if (/is not found|No such download/.test(error.message)) return null;
     logger.warn('Failed to get download status', { error: error.message, gid });
-    return null;
+    throw error;
   }
 }
 
@@ -285,6 +326,7 @@ export async function getActiveDownloads() {
         'numSeeders',
         'connections',
         'bittorrent',
+        'dir',
       ],
     ]);
 
@@ -317,6 +359,7 @@ export async function getStoppedDownloads(offset = 0, num = 100) {
         'numSeeders',
         'connections',
         'bittorrent',
+        'dir',
       ],
     ]);
 
@@ -349,6 +392,7 @@ export async function getWaitingDownloads(offset = 0, num = 100) {
         'numSeeders',
         'connections',
         'bittorrent',
+        'dir',
       ],
     ]);
 
@@ -359,6 +403,16 @@ export async function getWaitingDownloads(offset = 0, num = 100) {
   }
 }
 
+/**
+ * Get the downloads shown on the downloads page: active, waiting/paused and the last few stopped ones
+ */
+export async function getAllDownloads() {
+  const activeDownloads = await getActiveDownloads();
+  const waitingDownloads = await getWaitingDownloads(0, 100);
+  const stoppedDownloads = await getStoppedDownloads(0, 10);
+  return [...activeDownloads, ...waitingDownloads, ...stoppedDownloads];
+}
+
 /**
  * Remove a download
  */
@@ -472,8 +526,11 @@ function formatDownloadInfo(result) {
     downloadSpeed: formatBytes(downloadSpeed) + '/s',
     downloaded: formatBytes(completedLength),
     totalSize: formatBytes(totalLength),
+    totalBytes: totalLength, // 0 until aria2 knows the size
     error: result.errorMessage || null,
     isTorrent,
+    followedBy: result.followedBy?.[0] || null, // A magnet link's download continues under this GID once it has the metadata
+    dir: result.dir || null, // The folder it is saved to, which tells whose download it is (see lib/remoteDownloads.js)
   };
 
   // Add torrent-specific information
@@ -0,0 +1,269 @@
+/** @format */
+
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { emitWebhookEvent } from './webhooks';
+import { CLIENT_ADDRESS_HEADER, TRUST_PROXY } from './clientAddress';
+
+// Stored in AuditLog.action; the part before the dot is the category the admin page filters by
+export const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  TWO_FACTOR_ENABLE: 'auth.2fa_enable',
+  TWO_FACTOR_DISABLE: 'auth.2fa_disable',
+  TWO_FACTOR_RESET: 'auth.2fa_reset',
+  RECOVERY_CODES_REGENERATE: 'auth.recovery_codes',
+  SESSION_REVOKE: 'auth.session_revoke',
+  PASSWORD_CHANGE: 'auth.password_change',
+  PASSWORD_RESET_LINK: 'auth.reset_link',
+  PASSWORD_RESET: 'auth.password_reset',
+  FILE_UPLOAD: 'file.upload',
+  FILE_DOWNLOAD: 'file.download',
+  FILE_RENAME: 'file.rename',
+  FILE_MOVE: 'file.move',
+  FILE_COPY: 'file.copy',
+  FILE_DELETE: 'file.delete',
+  FOLDER_CREATE: 'folder.create',
+  VERSION_RESTORE: 'version.restore',
+  VERSION_DELETE: 'version.delete',
+  VERSION_POLICY: 'version.policy',
+  TRASH_RESTORE: 'trash.restore',
+  TRASH_PURGE: 'trash.purge',
+  TRASH_EMPTY: 'trash.empty',
+  PERMISSION_GRANT: 'permission.grant',
+  PERMISSION_REVOKE: 'permission.revoke',
+  SHARE_CREATE: 'share.create',
+  SHARE_UPDATE: 'share.update',
+  SHARE_DELETE: 'share.delete',
+  SHARE_ACCESS: 'share.access',
+  SHARE_DOWNLOAD: 'share.download',
+  SHARE_UPLOAD: 'share.upload',
+  TORRENT_ADD: 'torrent.add',
+  TORRENT_COMPLETE: 'torrent.complete',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_UNLOCK: 'user.unlock',
+  GROUP_CREATE: 'group.create',
+  GROUP_UPDATE: 'group.update',
+  GROUP_DELETE: 'group.delete',
+  SETTINGS_UPDATE: 'system.settings',
+  REQUIREMENT_INSTALL: 'system.install',
+  SYSTEM_UPDATE: 'system.update',
+  TOKEN_CREATE: 'token.create',
+  TOKEN_REVOKE: 'token.revoke',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+};
+
+// Actor recorded for visitors of public share links
+export const PUBLIC_ACTOR = 'Public share';
+
+const MAX_USER_AGENT_LENGTH = 512;
+// Rows written to a CSV export at most
+export const MAX_EXPORT_ROWS = 50000;
+
+/**
+ * Path of an item relative to uploads, as stored in AuditLog.path
+ * @param {string} folder - Normalized parent folder path
+ * @param {string} name - File or folder name
+ * @returns {string}
+ */
+export function toItemPath(folder, name) {
+  return [folder, name].filter(Boolean).join('/');
+}
+
+/**
+ * Client address: the one the connection came from, or with TRUST_PROXY the one the proxy reports
+ * The proxy appends the address it saw to X-Forwarded-For, so the last entry is the one to believe
+ * @param {Headers} headers - Request headers
+ * @returns {string|null}
+ */
+export function getClientIp(headers) {
+  if (TRUST_PROXY) {
+    const forwarded = headers.get('x-forwarded-for');
+    if (forwarded) return forwarded.split(',').pop().trim();
+    if (headers.get('x-real-ip')) return headers.get('x-real-ip');
+  }
+  return headers.get(CLIENT_ADDRESS_HEADER) || null;
+}
+
+/**
+ * Write an audit entry; failures are logged and never reach the caller
+ * Successful entries are also the events webhooks subscribe to (see WEBHOOK_EVENTS)
+ * @param {object} options - Options object
+ * @param {Request} options.req - Incoming request, for the IP and user agent
+ * @param {object|null} options.session - Session of the acting user (null for public share visitors)
+ * @param {string} options.action - One of AUDIT_ACTIONS
+ * @param {string|null} options.path - Affected path relative to uploads
+ * @param {object|null} options.details - Action-specific extras, stored as JSON
+ * @param {boolean} options.success - Whether the action went through
+ * @param {string} options.actor - Overrides the session username (e.g. the email of a failed login)
+ */
+export async function recordAudit({ req, session = null, action, path = null, details = null, success = true, actor }) {
+  const userId = session?.user?.id || null;
+  const actorName = actor || session?.user?.username || session?.user?.email || PUBLIC_ACTOR;
+
+  if (success) {
+    emitWebhookEvent({ event: action, userId, actor: actorName, path, details });
+  }
+
+  try {
+    await prisma.auditLog.create({
+      data: {
+        userId,
+        actor: actorName,
+        action,
+        path,
+        details: details ? JSON.stringify(details) : null,
+        ip: req ? getClientIp(req.headers) : null,
+        userAgent: req?.headers.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+        success,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, path, error: error.message });
+  }
+}
+
+// Date-only bounds (YYYY-MM-DD) cover the whole day
+function endOfRange(to) {
+  const date = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+function buildWhere({ user, action, path, from, to }) {
+  const where = {};
+  if (user) where.OR = [{ userId: user }, { actor: { contains: user } }];
+  if (action) where.action = action.includes('.') ? action : { startsWith: `${action}.` };
+  if (path) where.path = { contains: path };
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lt = endOfRange(to);
+  }
+  return where;
+}
+
+function serializeEntry(entry) {
+  return { ...entry, details: entry.details ? JSON.parse(entry.details) : null };
+}
+
+/**
+ * Audit entries matching the filters, newest first
+ * @param {object} filters - Options object
+ * @param {string} filters.user - User ID or part of a username
+ * @param {string} filters.action - Exact action, or a category such as "file"
+ * @param {string} filters.path - Part of the path
+ * @param {string} filters.from - Earliest date (ISO)
+ * @param {string} filters.to - Latest date (ISO; a plain date includes that whole day)
+ * @param {number} filters.limit - Page size
+ * @param {number} filters.offset - Entries to skip
+ * @returns {Promise<object>} { entries, total }
+ */
+export async function listAuditLogs({ limit, offset = 0, ...filters }) {
+  const where = buildWhere(filters);
+  const [entries, total] = await Promise.all([prisma.auditLog.findMany({ where, orderBy: { createdAt: 'desc' }, skip: offset, take: limit }), prisma.auditLog.count({ where })]);
+  return { entries: entries.map(serializeEntry), total };
+}
+
+// What the files page shows as recent activity: changes to the content, not reads or failures
+const FEED_ACTIONS = [
+  AUDIT_ACTIONS.FILE_UPLOAD,
+  AUDIT_ACTIONS.FOLDER_CREATE,
+  AUDIT_ACTIONS.FILE_RENAME,
+  AUDIT_ACTIONS.FILE_MOVE,
+  AUDIT_ACTIONS.FILE_COPY,
+  AUDIT_ACTIONS.FILE_DELETE,
+  AUDIT_ACTIONS.VERSION_RESTORE,
+  AUDIT_ACTIONS.TRASH_RESTORE,
+  AUDIT_ACTIONS.SHARE_CREATE,
+  AUDIT_ACTIONS.SHARE_UPLOAD,
+];
+
+// Without IP and user agent, which only admins see
+function serializeActivity(entry) {
+  return {
+    id: entry.id,
+    actor: entry.actor,
+    action: entry.action,
+    path: entry.path,
+    details: entry.details ? JSON.parse(entry.details) : null,
+    success: entry.success,
+    createdAt: entry.createdAt,
+  };
+}
+
+/**
+ * Recent changes anywhere under a folder, newest first
+ * @param {object} options - Options object
+ * @param {string} options.folder - Normalized folder path ('' for everything)
+ * @param {string} options.excludeUserId - Leave out this user's own actions
+ * @param {number} options.limit - Entries at most
+ * @returns {Promise<Array>}
+ */
+export async function listFolderActivity({ folder, excludeUserId, limit = 30 }) {
+  const where = { action: { in: FEED_ACTIONS }, success: true, AND: [] };
+  if (folder) where.AND.push({ OR: [{ path: folder }, { path: { startsWith: `${folder}/` } }] });
+  // Public share visitors have no user ID and always count as someone else
+  if (excludeUserId) where.AND.push({ OR: [{ userId: null }, { userId: { not: excludeUserId } }] });
+
+  const entries = await prisma.auditLog.findMany({ where, orderBy: { createdAt: 'desc' }, take: limit });
+  return entries.map(serializeActivity);
+}
+
+/**
+ * History of one file or folder, newest first: everything done to it, plus how it got its current name and place
+ * @param {string} folder - Normalized parent folder path
+ * @param {string} name - File or folder name
+ * @param {number} limit - Entries at most
+ * @returns {Promise<Array>}
+ */
+export async function listItemHistory(folder, name, limit = 50) {
+  const itemPath = toItemPath(folder, name);
+  const entries = await prisma.auditLog.findMany({
+    where: {
+      OR: [
+        { path: itemPath },
+        // Moved or copied here
+        { action: { in: [AUDIT_ACTIONS.FILE_MOVE, AUDIT_ACTIONS.FILE_COPY] }, details: { contains: `"destination":${JSON.stringify(itemPath)}` } },
+        // Renamed to this name, anywhere; other folders are dropped below
+        { action: AUDIT_ACTIONS.FILE_RENAME, success: true, details: { contains: `"newName":${JSON.stringify(name)}` } },
+      ],
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+
+  return entries
+    .filter((entry) => entry.action !== AUDIT_ACTIONS.FILE_RENAME || entry.path === itemPath || entry.path.slice(0, Math.max(entry.path.lastIndexOf('/'), 0)) === folder)
+    .map(serializeActivity);
+}
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * CSV export of audit entries, with a header row
+ * @param {Array} entries - Entries from listAuditLogs
+ * @returns {string}
+ */
+export function toAuditCsv(entries) {
+  const header = ['Time', 'User', 'Action', 'Path', 'Result', 'IP', 'User agent', 'Details'];
+  const rows = entries.map((entry) => [
+    entry.createdAt.toISOString(),
+    entry.actor,
+    entry.action,
+    entry.path,
+    entry.success ? 'success' : 'failed',
+    entry.ip,
+    entry.userAgent,
+    entry.details ? JSON.stringify(entry.details) : '',
+  ]);
+  return [header, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\r\n');
+}
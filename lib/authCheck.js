@@ -2,6 +2,41 @@
 
 import { NextResponse } from 'next/server';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { prisma } from '@/lib/prisma';
+import { CAPABILITIES, hasCapability } from '@/lib/roles';
+import { tokenAllows } from '@/lib/apiTokens';
+import { isTwoFactorRequired } from '@/lib/twoFactor';
+import { checkLoginThrottle, recordLoginFailure } from '@/lib/loginThrottle';
+import { isPasswordSignInAllowed } from '@/lib/sso';
+import { getClientIp } from '@/lib/audit';
+import bcrypt from 'bcryptjs';
+
+/**
+ * Current role of a user
+ * Read from the database rather than the session so a changed role applies right away
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+export async function getUserRole(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true },
+  });
+
+  return user?.role ?? null;
+}
+
+/**
+ * Whether a session may use a capability: the user's role must grant it, and an API token must not be limited below it
+ *
+ * @param {Object} session - Session from auth()
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {Promise<boolean>}
+ */
+export async function sessionHasCapability(session, capability) {
+  return tokenAllows(session.apiToken, capability) && hasCapability(await getUserRole(session.user.id), capability);
+}
 
 /**
  * Checks if a user is authenticated and returns consistent error response
@@ -29,7 +64,44 @@ export async function requireAuth() {
 }
 
 /**
- * Checks if authenticated user is an admin
+ * Checks for a signed-in browser rather than an API token
+ * Account settings (API tokens, sessions, webhooks) are managed from the browser only, so a leaked token
+ * cannot mint new tokens, keep sessions alive or send events elsewhere
+ *
+ * @param {string} action - What was attempted, for the error message (e.g. 'manage webhooks')
+ * @returns {Promise<{session: Object|null, error: NextResponse|null}>}
+ */
+export async function requireBrowserSession(action) {
+  const session = await auth();
+
+  if (!session) {
+    return {
+      session: null,
+      error: NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      ),
+    };
+  }
+
+  if (session.apiToken) {
+    return {
+      session: null,
+      error: NextResponse.json(
+        { error: `API tokens cannot ${action}` },
+        { status: 400 }
+      ),
+    };
+  }
+
+  return {
+    session,
+    error: null,
+  };
+}
+
+/**
+ * Checks if authenticated user is an admin (has the manage capability)
  * Returns 403 if not authenticated or not an admin
  *
  * @returns {Promise<{session: Object|null, error: NextResponse|null}>}
@@ -41,7 +113,7 @@ export async function requireAdmin() {
     return { session: null, error };
   }
 
-  if (session.user.role !== 'admin') {
+  if (!(await sessionHasCapability(session, CAPABILITIES.MANAGE))) {
     return {
       session: null,
       error: NextResponse.json(
@@ -56,3 +128,101 @@ export async function requireAdmin() {
     error: null,
   };
 }
+
+/**
+ * Checks that a signed-in user's role grants a capability (see lib/roles.js)
+ * Denials are 400 rather than 403: the frontend treats every 403 as an expired session
+ *
+ * @param {Object} session - Session from auth()
+ * @param {string} capability - One of CAPABILITIES
+ * @param {string} action - What was attempted, for the error message (e.g. 'upload files')
+ * @returns {Promise<NextResponse|null>} Error response, or null when allowed
+ */
+export async function checkCapability(session, capability, action) {
+  if (await sessionHasCapability(session, capability)) {
+    return null;
+  }
+
+  return NextResponse.json(
+    { error: session.apiToken ? `This API token is not allowed to ${action}` : `Your account is not allowed to ${action}` },
+    { status: 400 }
+  );
+}
+
+/**
+ * Refuses API tokens limited to a folder on routes that are not about a path (trash, shares, downloads, ...)
+ *
+ * @param {Object} session - Session from auth()
+ * @returns {NextResponse|null} Error response, or null when allowed
+ */
+export function checkFolderToken(session) {
+  if (!session.apiToken?.folder) {
+    return null;
+  }
+
+  return NextResponse.json(
+    { error: 'This API token is limited to a folder' },
+    { status: 400 }
+  );
+}
+
+/**
+ * Account whose two-factor settings a request manages: the signed-in user or, while signing in to an account that
+ * has to turn two-factor authentication on first, the one matching the email and password sent along
+ * API tokens are refused so a leaked token cannot change how its owner signs in
+ *
+ * @param {Object} credentials - { email, password } from the request body and req, only used without a session
+ * @returns {Promise<{session: Object|null, user: Object|null, error: NextResponse|null}>}
+ */
+export async function requireTwoFactorAccount({ email, password, req } = {}) {
+  const session = await auth();
+
+  if (session?.apiToken) {
+    return {
+      session: null,
+      user: null,
+      error: NextResponse.json(
+        { error: 'API tokens cannot change two-factor authentication' },
+        { status: 400 }
+      ),
+    };
+  }
+
+  if (session) {
+    const user = await prisma.user.findUnique({ where: { id: session.user.id } });
+    if (user) {
+      return { session, user, error: null };
+    }
+  }
+
+  if (typeof email === 'string' && typeof password === 'string') {
+    // A password check like any other sign-in, so it is throttled the same way
+    const user = await prisma.user.findUnique({ where: { email } });
+    const ip = getClientIp(req.headers);
+    if (checkLoginThrottle({ ip, user })) {
+      return {
+        session: null,
+        user: null,
+        error: NextResponse.json(
+          { error: 'Too many attempts, try again later' },
+          { status: 429 }
+        ),
+      };
+    }
+
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      await recordLoginFailure({ ip, user });
+    } else if (!user.totpEnabled && (await isPasswordSignInAllowed(user)) && (await isTwoFactorRequired(user))) {
+      return { session: { user }, user, error: null };
+    }
+  }
+
+  return {
+    session: null,
+    user: null,
+    error: NextResponse.json(
+      { error: 'Unauthorized' },
+      { status: 401 }
+    ),
+  };
+}
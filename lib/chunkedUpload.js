@@ -0,0 +1,409 @@
+/** @format */
+
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, rm, stat, truncate, writeFile } from 'fs/promises';
+import { join, resolve, sep, extname } from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { moveAcrossDevices, getAvailableName } from './fileOperations';
+import { reindexPath } from './searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from './quota';
+import { saveVersion } from './versions';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const HEIC_DIR = './heic'; // Separate directory for HEIC files
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+const RESOLVED_HEIC_DIR = resolve(process.cwd(), HEIC_DIR) + sep;
+export const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || './upload-tmp';
+
+// Chunks stay below the 10MB request body limit Next.js applies when middleware runs
+export const CHUNK_SIZE = 8 * 1024 * 1024;
+export const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+
+// Sessions without activity for this long are discarded
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// What to do when an upload's name is already taken
+export const UPLOAD_CONFLICT_POLICIES = ['overwrite', 'rename', 'skip', 'fail'];
+
+// Sessions with a chunk being written or being finalized; requests for the same session must not interleave
+const busyUploads = new Set();
+
+// Run one request against a session, or refuse it while another is still in progress
+async function withUploadLock(upload, task) {
+  // No offset: the one on disk is still moving, the client waits and asks again
+  if (busyUploads.has(upload.id)) {
+    return { success: false, file: null, offset: null, error: 'Another request for this upload is still in progress', status: 409 };
+  }
+
+  busyUploads.add(upload.id);
+  try {
+    return await task();
+  } finally {
+    busyUploads.delete(upload.id);
+  }
+}
+
+/**
+ * Check that a client-supplied file name is a single path segment
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export function isValidFileName(name) {
+  return typeof name === 'string' && name.length > 0 && name.length <= 255 && name !== '.' && name !== '..' && !/[/\\\0]/.test(name);
+}
+
+/**
+ * Check that a client-supplied sub-folder (e.g. "Photos/2024" from a folder upload) only holds valid names
+ * @param {string} folder - Folder path relative to the upload's target folder, segments separated by "/"
+ * @returns {boolean}
+ */
+export function isValidFolderPath(folder) {
+  return typeof folder === 'string' && folder.length <= 4096 && folder.split('/').every(isValidFileName);
+}
+
+/**
+ * Folder an upload is stored in (HEIC/HEIF files go to the HEIC directory)
+ * @param {string} path - Normalized target folder relative to uploads
+ * @param {string} fileName - File name
+ * @returns {object} { targetDir: string, isHeic: boolean, valid: boolean } (valid is false on directory traversal)
+ */
+export function getUploadTargetDir(path, fileName) {
+  const isHeic = ['.heic', '.heif'].includes(extname(fileName).toLowerCase());
+  const targetDir = join(isHeic ? HEIC_DIR : UPLOAD_DIR, path);
+  const valid = (resolve(targetDir) + sep).startsWith(isHeic ? RESOLVED_HEIC_DIR : RESOLVED_UPLOAD_DIR);
+  return { targetDir, isHeic, valid };
+}
+
+/**
+ * Decide where an upload goes when its name may already be taken
+ * @param {string} targetDir - Folder on disk
+ * @param {string} fileName - Requested file name
+ * @param {string} onConflict - One of UPLOAD_CONFLICT_POLICIES
+ * @param {boolean} canReplace - Whether the uploader may replace an existing file (the modify capability)
+ * @returns {Promise<object>} { name: string|null, skipped: boolean, replaces: boolean, error: string|null, status: number }
+ */
+export async function resolveUploadName(targetDir, fileName, onConflict, canReplace = true) {
+  const existing = await stat(join(targetDir, fileName)).catch(() => null);
+  if (!existing) {
+    return { name: fileName, skipped: false, replaces: false, error: null, status: 200 };
+  }
+
+  switch (onConflict) {
+    case 'rename':
+      return { name: await getAvailableName(targetDir, fileName), skipped: false, replaces: false, error: null, status: 200 };
+    case 'skip':
+      return { name: null, skipped: true, replaces: false, error: null, status: 200 };
+    case 'overwrite':
+      if (existing.isFile() && !canReplace) {
+        return { name: null, skipped: false, replaces: false, error: `"${fileName}" already exists and you are not allowed to replace files`, status: 400 };
+      }
+      if (existing.isFile()) {
+        return { name: fileName, skipped: false, replaces: true, error: null, status: 200 };
+      }
+      return { name: null, skipped: false, replaces: false, error: `A folder named "${fileName}" already exists`, status: 409 };
+    default:
+      return { name: null, skipped: false, replaces: false, error: `"${fileName}" already exists`, status: 409 };
+  }
+}
+
+/**
+ * Temp file holding the bytes received so far for an upload session
+ */
+function getTempPath(uploadId) {
+  return join(UPLOAD_TMP_DIR, `${uploadId}.part`);
+}
+
+/**
+ * Shape an upload session for API responses
+ * @param {object} upload - UploadSession record
+ * @param {number} offset - Bytes received so far
+ * @returns {object}
+ */
+export function serializeUploadSession(upload, offset) {
+  return {
+    id: upload.id,
+    fileName: upload.fileName,
+    path: upload.path,
+    size: Number(upload.size),
+    offset,
+    chunkSize: CHUNK_SIZE,
+  };
+}
+
+/**
+ * Start a new chunked upload
+ * @param {object} options - Options object
+ * @param {string|null} options.userId - Uploading user
+ * @param {string|null} options.shareId - Share used for public uploads
+ * @param {string} options.path - Normalized target folder relative to uploads
+ * @param {string} options.fileName - File name
+ * @param {number} options.size - Total size in bytes
+ * @param {string} options.mimeType - Optional MIME type
+ * @param {string} options.checksum - Optional SHA-256 (hex) of the whole file
+ * @param {string} options.onConflict - One of UPLOAD_CONFLICT_POLICIES, applied again when the upload is finalized
+ * @param {boolean} options.canReplace - Whether the uploader may replace an existing file
+ * @returns {Promise<object>} { success: boolean, upload: UploadSession|null, skipped: boolean, error: string|null, status: number }
+ */
+export async function createUploadSession({ userId = null, shareId = null, path, fileName, size, mimeType = null, checksum = null, onConflict = 'overwrite', canReplace = true }) {
+  if (!isValidFileName(fileName)) {
+    return { success: false, upload: null, error: 'Invalid file name', status: 400 };
+  }
+
+  if (!Number.isSafeInteger(size) || size < 0) {
+    return { success: false, upload: null, error: 'Invalid file size', status: 400 };
+  }
+
+  if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+    return { success: false, upload: null, error: 'Checksum must be a SHA-256 hex digest', status: 400 };
+  }
+
+  if (!UPLOAD_CONFLICT_POLICIES.includes(onConflict)) {
+    return { success: false, upload: null, error: 'Invalid conflict policy', status: 400 };
+  }
+
+  const { targetDir, valid } = getUploadTargetDir(path, fileName);
+  if (!valid) {
+    return { success: false, upload: null, error: 'Invalid path', status: 400 };
+  }
+
+  // Settle skip / fail before any data is sent
+  const target = await resolveUploadName(targetDir, fileName, onConflict, canReplace);
+  if (target.error) {
+    return { success: false, upload: null, error: target.error, status: target.status };
+  }
+  if (target.skipped) {
+    return { success: true, upload: null, skipped: true, error: null, status: 200 };
+  }
+
+  // Reject before any data is sent; the declared size stays reserved until the upload ends
+  const quotaCheck = await checkQuota(getStorageOwnerId(join(UPLOAD_DIR, path)), size);
+  if (!quotaCheck.allowed) {
+    return { success: false, upload: null, error: quotaCheck.error, status: quotaCheck.status };
+  }
+
+  const upload = await prisma.uploadSession.create({
+    data: {
+      userId,
+      shareId,
+      path,
+      fileName,
+      size: BigInt(size),
+      mimeType,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      onConflict,
+    },
+  });
+
+  await mkdir(UPLOAD_TMP_DIR, { recursive: true });
+  await writeFile(getTempPath(upload.id), '');
+
+  return { success: true, upload, skipped: false, error: null, status: 200 };
+}
+
+/**
+ * Number of bytes received so far (the temp file on disk is the source of truth)
+ * @param {object} upload - UploadSession record
+ * @returns {Promise<number>}
+ */
+export async function getUploadOffset(upload) {
+  try {
+    const stats = await stat(getTempPath(upload.id));
+    return stats.size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Append a chunk to an upload
+ * The chunk must start exactly where the previous one ended; on any failure the temp file
+ * is truncated back so the client can simply retry from the returned offset
+ * Only one chunk per session is accepted at a time, others are refused with 409
+ * @param {object} upload - UploadSession record
+ * @param {number} offset - Byte offset the chunk starts at
+ * @param {ReadableStream} body - Web stream with the chunk bytes
+ * @param {object} options - Options object
+ * @param {string} options.checksum - Optional SHA-256 (hex) of this chunk
+ * @returns {Promise<object>} { success: boolean, offset: number, error: string|null, status: number }
+ */
+export async function appendChunk(upload, offset, body, options = {}) {
+  return withUploadLock(upload, () => writeChunk(upload, offset, body, options));
+}
+
+async function writeChunk(upload, offset, body, { checksum = null }) {
+  const currentOffset = await getUploadOffset(upload);
+  const totalSize = Number(upload.size);
+
+  if (offset !== currentOffset) {
+    return { success: false, offset: currentOffset, error: 'Offset does not match received bytes', status: 409 };
+  }
+
+  if (!body) {
+    return { success: false, offset: currentOffset, error: 'Empty chunk', status: 400 };
+  }
+
+  const tempPath = getTempPath(upload.id);
+  const hash = createHash('sha256');
+  let received = 0;
+  let limitError = null;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_CHUNK_SIZE) {
+        limitError = { error: 'Chunk too large', status: 413 };
+      } else if (currentOffset + received > totalSize) {
+        limitError = { error: 'Chunk exceeds declared file size', status: 400 };
+      }
+      if (limitError) {
+        callback(new Error(limitError.error));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(Readable.fromWeb(body), meter, createWriteStream(tempPath, { flags: 'a' }));
+  } catch (error) {
+    await truncate(tempPath, currentOffset).catch(() => {});
+    if (limitError) {
+      return { success: false, offset: currentOffset, ...limitError };
+    }
+    // Connection dropped mid-chunk - the client will resume from the last good offset
+    logger.warn('Chunked upload - Chunk interrupted', { uploadId: upload.id, offset, error: error.message });
+    return { success: false, offset: currentOffset, error: 'Chunk upload interrupted', status: 400 };
+  }
+
+  if (checksum && hash.digest('hex') !== checksum.toLowerCase()) {
+    await truncate(tempPath, currentOffset);
+    return { success: false, offset: currentOffset, error: 'Chunk checksum mismatch', status: 400 };
+  }
+
+  // Keep the session alive while chunks keep arriving
+  await prisma.uploadSession.update({ where: { id: upload.id }, data: { updatedAt: new Date() } });
+
+  return { success: true, offset: currentOffset + received, error: null, status: 200 };
+}
+
+// Name recorded in version history for whoever uploaded the new content
+async function getUploaderName(upload) {
+  if (!upload.userId) return 'Public share';
+  const user = await prisma.user.findUnique({ where: { id: upload.userId }, select: { username: true } });
+  return user?.username ?? null;
+}
+
+async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Verify a completed upload and move it into place
+ * HEIC/HEIF files are stored in the HEIC directory, like regular uploads
+ * The session's conflict policy is applied against the folder as it is now, since other uploads may have finished meanwhile.
+ * A file that is replaced is kept as a version first.
+ * Refused with 409 while a chunk is still being written
+ * @param {object} upload - UploadSession record
+ * @param {boolean} canReplace - Whether the uploader may replace an existing file
+ * @returns {Promise<object>} { success: boolean, file: object|null, skipped: boolean, error: string|null, status: number }
+ */
+export async function finalizeUpload(upload, canReplace = true) {
+  return withUploadLock(upload, () => completeUpload(upload, canReplace));
+}
+
+async function completeUpload(upload, canReplace) {
+  const tempPath = getTempPath(upload.id);
+  const offset = await getUploadOffset(upload);
+  const size = Number(upload.size);
+
+  if (offset !== size) {
+    return { success: false, file: null, offset, error: `Upload incomplete: received ${offset} of ${size} bytes`, status: 400 };
+  }
+
+  if (upload.checksum) {
+    const actual = await hashFile(tempPath);
+    if (actual !== upload.checksum) {
+      logger.warn('Chunked upload - Checksum mismatch', { uploadId: upload.id, expected: upload.checksum, actual });
+      return { success: false, file: null, offset, error: 'Checksum mismatch', status: 422 };
+    }
+  }
+
+  // Security: prevent directory traversal
+  const { targetDir, isHeic, valid } = getUploadTargetDir(upload.path, upload.fileName);
+  if (!valid) {
+    return { success: false, file: null, offset, error: 'Invalid path', status: 400 };
+  }
+
+  // Folder uploads create their sub-folders on the fly; remember the topmost new one to index it
+  const createdDir = await mkdir(targetDir, { recursive: true });
+  const target = await resolveUploadName(targetDir, upload.fileName, upload.onConflict, canReplace);
+  if (target.error) {
+    await cancelUpload(upload);
+    return { success: false, file: null, offset, error: target.error, status: target.status };
+  }
+  if (target.skipped) {
+    await cancelUpload(upload);
+    return { success: true, file: null, skipped: true, error: null, status: 200 };
+  }
+
+  const filePath = join(targetDir, target.name);
+  const replacedSize = target.replaces ? (await stat(filePath)).size : 0;
+  if (target.replaces) {
+    await saveVersion(filePath, { replacedBy: await getUploaderName(upload) });
+  }
+  await moveAcrossDevices(tempPath, filePath);
+  await prisma.uploadSession.delete({ where: { id: upload.id } });
+  await adjustUsage(getStorageOwnerId(filePath), size - replacedSize);
+  await reindexPath(createdDir ?? filePath);
+
+  return {
+    success: true,
+    file: {
+      name: target.name,
+      size,
+      mimeType: upload.mimeType,
+      path: upload.path ? `${upload.path}/${target.name}` : target.name,
+      isHeic,
+      renamed: target.name !== upload.fileName,
+    },
+    skipped: false,
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Abort an upload and discard the received bytes
+ * @param {object} upload - UploadSession record
+ */
+export async function cancelUpload(upload) {
+  await rm(getTempPath(upload.id), { force: true });
+  await prisma.uploadSession.deleteMany({ where: { id: upload.id } });
+}
+
+/**
+ * Discard upload sessions that have been idle for longer than the session TTL
+ * @returns {Promise<number>} Number of discarded sessions
+ */
+export async function purgeStaleUploads() {
+  const stale = await prisma.uploadSession.findMany({
+    where: { updatedAt: { lt: new Date(Date.now() - SESSION_TTL) } },
+  });
+
+  for (const upload of stale) {
+    await cancelUpload(upload);
+  }
+
+  if (stale.length > 0) {
+    logger.info('Chunked upload - Discarded stale sessions', { count: stale.length });
+  }
+
+  return stale.length;
+}
@@ -0,0 +1,177 @@
+/** @format */
+
+const MAX_RETRIES = 5;
+const STORAGE_PREFIX = 'truecloud-upload:';
+
+// Key identifying the same file being uploaded to the same place, so a re-selected file resumes
+function getResumeKey(baseUrl, path, folder, file) {
+  return `${STORAGE_PREFIX}${baseUrl}|${path}|${folder}|${file.name}|${file.size}|${file.lastModified}`;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function requestJson(url, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+// SHA-256 of a chunk, or null where WebCrypto is unavailable (plain HTTP on a LAN address)
+async function hashChunk(blob) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Send one chunk with XHR so upload progress events are available
+function sendChunk(url, blob, offset, checksum, headers, onChunkProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) onChunkProgress(e.loaded);
+    });
+
+    xhr.addEventListener('load', () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON error page
+      }
+      if (xhr.status === 200) {
+        resolve(data.offset);
+      } else {
+        const error = new Error(data.error || `Upload failed: ${xhr.status} ${xhr.statusText}`);
+        error.status = xhr.status;
+        error.offset = data.offset;
+        reject(error);
+      }
+    });
+
+    xhr.addEventListener('error', () => reject(new Error('Network error')));
+    xhr.addEventListener('abort', () => reject(new Error('Upload aborted')));
+
+    xhr.open('PATCH', url);
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    xhr.setRequestHeader('Upload-Offset', String(offset));
+    if (checksum) xhr.setRequestHeader('X-Chunk-Checksum', checksum);
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+    xhr.send(blob);
+  });
+}
+
+/**
+ * Upload a file using the resumable chunked upload protocol
+ * Interrupted uploads (network drop, page reload) resume from the last received byte
+ * the next time the same file is uploaded to the same folder
+ * @param {File} file - File to upload
+ * @param {object} options - Options object
+ * @param {string} options.baseUrl - Upload sessions endpoint, e.g. '/api/files/upload/sessions'
+ * @param {string} options.path - Target folder
+ * @param {string} options.folder - Sub-folder of path to upload into, created on the server (folder uploads)
+ * @param {object} options.headers - Extra request headers (e.g. share password)
+ * @param {string} options.onConflict - 'overwrite', 'rename', 'skip' or 'fail' when the name is taken (server default if omitted)
+ * @param {function} options.onProgress - Called with { loaded, total, progress, chunk, totalChunks, resumed }
+ * @returns {Promise<object>} Finalize response ({ success, file } or { success, skipped: true })
+ */
+export async function uploadFileInChunks(file, { baseUrl, path = '', folder = '', headers = {}, onConflict, onProgress } = {}) {
+  const resumeKey = getResumeKey(baseUrl, path, folder, file);
+  let upload = null;
+  let resumed = false;
+
+  // Resume a previous session for this file if the server still has it
+  const savedId = typeof window !== 'undefined' ? localStorage.getItem(resumeKey) : null;
+  if (savedId) {
+    try {
+      upload = (await requestJson(`${baseUrl}/${savedId}`, { headers })).upload;
+      resumed = upload.offset > 0;
+    } catch {
+      localStorage.removeItem(resumeKey);
+    }
+  }
+
+  if (!upload) {
+    const created = await requestJson(baseUrl, {
+      method: 'POST',
+      headers,
+      body: { path, folder, fileName: file.name, size: file.size, mimeType: file.type || null, onConflict },
+    });
+
+    // Name already taken and the policy says to leave it alone - nothing to send
+    if (created.skipped) {
+      return { success: true, skipped: true };
+    }
+
+    upload = created.upload;
+    localStorage.setItem(resumeKey, upload.id);
+  }
+
+  const sessionUrl = `${baseUrl}/${upload.id}`;
+  const { chunkSize } = upload;
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+  let offset = upload.offset;
+  let retries = 0;
+
+  const report = (loaded) => {
+    if (!onProgress) return;
+    onProgress({
+      loaded,
+      total: file.size,
+      progress: file.size ? Math.round((loaded / file.size) * 100) : 100,
+      chunk: Math.min(totalChunks, Math.floor(offset / chunkSize) + 1),
+      totalChunks,
+      resumed,
+    });
+  };
+
+  report(offset);
+
+  while (offset < file.size) {
+    const blob = file.slice(offset, offset + chunkSize);
+    try {
+      const checksum = await hashChunk(blob);
+      offset = await sendChunk(sessionUrl, blob, offset, checksum, headers, (loaded) => report(offset + loaded));
+      retries = 0;
+      report(offset);
+    } catch (error) {
+      // Server and client disagree on the offset - continue from where the server is
+      if (error.status === 409 && typeof error.offset === 'number') {
+        offset = error.offset;
+        continue;
+      }
+
+      // Client errors other than a bad chunk or a busy session are not going to succeed on retry
+      if (error.status && error.status < 500 && error.status !== 409 && error.message !== 'Chunk checksum mismatch' && error.message !== 'Chunk upload interrupted') {
+        throw error;
+      }
+
+      if (++retries > MAX_RETRIES) throw error;
+      await wait(1000 * 2 ** (retries - 1));
+
+      // Ask the server how much it actually stored before retrying
+      try {
+        offset = (await requestJson(sessionUrl, { headers })).upload.offset;
+      } catch {
+        // Still offline - retry the same chunk after the next backoff
+      }
+    }
+  }
+
+  const result = await requestJson(sessionUrl, { method: 'POST', headers });
+  localStorage.removeItem(resumeKey);
+  return result;
+}
@@ -0,0 +1,25 @@
+/** @format */
+
+import { subscribe } from 'node:diagnostics_channel';
+
+// Set on every incoming request from the connection itself, replacing anything the client sent under that name
+export const CLIENT_ADDRESS_HEADER = 'x-truecloud-client-address';
+
+// X-Forwarded-For and X-Real-IP are only believed when a reverse proxy in front of the app sets them
+export const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+function stampClientAddress({ request, socket }) {
+  // IPv4 clients of a dual-stack listener show up as "::ffff:1.2.3.4"
+  request.headers[CLIENT_ADDRESS_HEADER] = socket.remoteAddress?.replace(/^::ffff:/, '') || '';
+}
+
+/**
+ * Record the address each request came from, for getClientIp
+ * Route handlers only see headers, so the address of the connection is added as one before Next.js handles the request
+ * Covers every HTTP server in the process, the WebDAV listener included. Safe to call more than once.
+ */
+export function trackClientAddresses() {
+  if (global.truecloudClientAddressTracking) return;
+  global.truecloudClientAddressTracking = true;
+  subscribe('http.server.request.start', stampClientAddress);
+}
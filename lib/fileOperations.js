@@ -0,0 +1,198 @@
+/** @format */
+
+import { cp, rename, rm, stat, readdir } from 'fs/promises';
+import { join, relative, resolve, sep, extname, basename } from 'node:path';
+import { reindexPath } from './searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from './quota';
+import { saveVersion, moveVersions } from './versions';
+import { movePathPermissions } from './permissions';
+import { moveToTrash } from './trash';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+
+/**
+ * Check whether a path exists on disk
+ * @param {string} targetPath - Absolute or relative filesystem path
+ * @returns {Promise<boolean>}
+ */
+export async function pathExists(targetPath) {
+  try {
+    await stat(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a free name in a directory by appending " (n)" before the extension
+ * e.g. "photo.jpg" -> "photo (1).jpg" -> "photo (2).jpg"
+ * @param {string} dir - Directory the entry will be placed in
+ * @param {string} name - Desired entry name
+ * @returns {Promise<string>} A name that does not exist yet in dir
+ */
+export async function getAvailableName(dir, name) {
+  if (!(await pathExists(join(dir, name)))) {
+    return name;
+  }
+
+  const ext = extname(name);
+  const stem = ext ? basename(name, ext) : name;
+
+  for (let i = 1; ; i++) {
+    const candidate = `${stem} (${i})${ext}`;
+    if (!(await pathExists(join(dir, candidate)))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Get the total size in bytes of a file or folder (recursively)
+ * @param {string} targetPath - Filesystem path
+ * @returns {Promise<number>}
+ */
+export async function getEntrySize(targetPath) {
+  const stats = await stat(targetPath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  const entries = await readdir(targetPath);
+  for (const entry of entries) {
+    try {
+      total += await getEntrySize(join(targetPath, entry));
+    } catch {
+      // Entry vanished or is unreadable - skip it
+    }
+  }
+  return total;
+}
+
+/**
+ * Move an entry, falling back to copy + delete when source and target are on different devices
+ * @param {string} sourcePath - Filesystem path of the entry to move
+ * @param {string} targetPath - Filesystem path the entry should end up at
+ */
+export async function moveAcrossDevices(sourcePath, targetPath) {
+  try {
+    await rename(sourcePath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await cp(sourcePath, targetPath, { recursive: true, errorOnExist: true, force: false });
+    await rm(sourcePath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Move or copy a file or folder (recursively) into another directory
+ * Both paths must already have been access-checked and resolved inside the storage root
+ * @param {string} sourcePath - Filesystem path of the entry to transfer
+ * @param {string} destinationDir - Filesystem path of the target directory
+ * @param {object} options - Options object
+ * @param {boolean} options.copy - Copy instead of move
+ * @param {string} options.onConflict - 'rename' (default), 'overwrite' or 'fail' when the name is taken
+ * @param {string} options.name - Name in the target directory (defaults to the current name, so a move can also rename)
+ * @param {string} options.trashOwnerId - User whose trash receives a file replaced by 'overwrite'
+ * @returns {Promise<object>} { success: boolean, name: string|null, renamed: boolean, isDirectory: boolean, error: string|null, status: number }
+ */
+export async function transferEntry(sourcePath, destinationDir, { copy = false, onConflict = 'rename', name = basename(sourcePath), trashOwnerId = null } = {}) {
+  let sourceStats;
+  try {
+    sourceStats = await stat(sourcePath);
+  } catch {
+    return { success: false, name: null, renamed: false, error: 'Source not found', status: 404 };
+  }
+
+  let destinationStats;
+  try {
+    destinationStats = await stat(destinationDir);
+  } catch {
+    return { success: false, name: null, renamed: false, error: 'Destination folder not found', status: 404 };
+  }
+
+  if (!destinationStats.isDirectory()) {
+    return { success: false, name: null, renamed: false, error: 'Destination is not a folder', status: 400 };
+  }
+
+  // A folder cannot be moved or copied into itself or one of its descendants
+  const resolvedSource = resolve(sourcePath) + sep;
+  const resolvedDestination = resolve(destinationDir) + sep;
+  if (sourceStats.isDirectory() && resolvedDestination.startsWith(resolvedSource)) {
+    return { success: false, name: null, renamed: false, error: 'Cannot move a folder into itself', status: 400 };
+  }
+
+  const sameEntry = resolve(join(sourcePath, '..')) + sep === resolvedDestination && name === basename(sourcePath);
+
+  if (sameEntry && !copy) {
+    return { success: false, name: null, renamed: false, error: 'Item is already in this folder', status: 400 };
+  }
+
+  // Copies, and moves between personal folders, change how much each owner stores
+  const sourceOwner = getStorageOwnerId(sourcePath);
+  const targetOwner = getStorageOwnerId(destinationDir);
+  let entrySize = 0;
+
+  if (copy || sourceOwner !== targetOwner) {
+    entrySize = sourceStats.isDirectory() ? await getEntrySize(sourcePath) : sourceStats.size;
+    const quotaCheck = await checkQuota(targetOwner, entrySize);
+    if (!quotaCheck.allowed) {
+      return { success: false, name: null, renamed: false, error: quotaCheck.error, status: quotaCheck.status };
+    }
+  }
+
+  let targetName = name;
+  const nameTaken = await pathExists(join(destinationDir, name));
+
+  if (nameTaken) {
+    // Copying onto itself always produces a "name (1)" duplicate
+    const policy = sameEntry ? 'rename' : onConflict;
+
+    if (policy === 'fail') {
+      return { success: false, name: null, renamed: false, error: `"${name}" already exists in the destination`, status: 409 };
+    }
+
+    if (policy === 'overwrite') {
+      const replacedPath = join(destinationDir, name);
+      const replacedStats = await stat(replacedPath);
+
+      // Only files are replaced: a folder may hold the source itself (e.g. moving "docs/docs" onto "docs")
+      if (replacedStats.isDirectory() || resolvedSource.startsWith(resolve(replacedPath) + sep)) {
+        return { success: false, name: null, renamed: false, error: `A folder named "${name}" already exists`, status: 409 };
+      }
+
+      // An overwritten file is kept as a version where versioning is on, and goes to the trash otherwise
+      if (await saveVersion(replacedPath)) {
+        await adjustUsage(targetOwner, -replacedStats.size);
+      } else {
+        await moveToTrash({ ownerId: trashOwnerId, relativePath: relative(UPLOAD_DIR, destinationDir).split(sep).join('/'), name });
+      }
+    } else {
+      targetName = await getAvailableName(destinationDir, name);
+    }
+  }
+
+  const targetPath = join(destinationDir, targetName);
+
+  if (copy) {
+    await cp(sourcePath, targetPath, { recursive: true, errorOnExist: true, force: false, preserveTimestamps: true });
+  } else {
+    await moveAcrossDevices(sourcePath, targetPath);
+    await moveVersions(sourcePath, targetPath);
+    await movePathPermissions(sourcePath, targetPath);
+    await adjustUsage(sourceOwner, -entrySize);
+    await reindexPath(sourcePath);
+  }
+  await adjustUsage(targetOwner, entrySize);
+  await reindexPath(targetPath);
+
+  return {
+    success: true,
+    name: targetName,
+    renamed: targetName !== name,
+    isDirectory: sourceStats.isDirectory(),
+    error: null,
+    status: 200,
+  };
+}
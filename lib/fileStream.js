@@ -0,0 +1,215 @@
+/** @format */
+
+import { NextResponse } from 'next/server';
+import fs from 'fs';
+import { stat } from 'fs/promises';
+import { extname } from 'node:path';
+import { Readable } from 'stream';
+import { lookup } from 'mime-types';
+import archiver from 'archiver';
+
+// Formats that are already compressed - deflating them again only burns CPU
+const COMPRESSED_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif',
+  '.mp4', '.mkv', '.mov', '.avi', '.webm', '.m4v',
+  '.mp3', '.m4a', '.aac', '.ogg', '.opus', '.flac',
+  '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.zst',
+  '.pdf', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.epub',
+]);
+
+// Everything else gets a moderate level - level 9 is much slower for a few percent
+const ZIP_COMPRESSION_LEVEL = 6;
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII file names
+ * @param {string} disposition - 'inline' or 'attachment'
+ * @param {string} fileName - Name offered to the browser
+ * @returns {string} Header value
+ */
+export function contentDisposition(disposition, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * ETag derived from size and modification time, cheap enough to compute on every request
+ * Strong like nginx's for static files: files are only replaced as a whole, which changes the modification time
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} ETag header value
+ */
+export function getETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+function matchesETag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  // Weak comparison: W/"x" and "x" refer to the same representation
+  const opaque = etag.replace(/^W\//, '');
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === opaque);
+}
+
+// If-Range holds a strong ETag or the Last-Modified date the client saw; anything else gets the whole file
+function matchesIfRange(header, etag, stats) {
+  const value = header.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !value.startsWith('W/') && value === etag;
+  }
+  // Last-Modified only has whole seconds, so a date is only trusted for a file that has not changed within the last one
+  return Date.parse(value) === Date.parse(stats.mtime.toUTCString()) && Date.now() - stats.mtimeMs >= 1000;
+}
+
+/**
+ * Parse a single-range Range header
+ * Multiple ranges are not supported and fall back to the full file, as do ranges of an empty file
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {object|null} { start, end }, { unsatisfiable: true } or null for the full file
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || '');
+  if (!match) return null;
+
+  const [, startText, endText] = match;
+  if ((!startText && !endText) || size === 0) return null;
+
+  let start;
+  let end;
+  if (!startText) {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(endText, 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(startText, 10);
+    end = endText ? Math.min(parseInt(endText, 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+/**
+ * Stream a file from disk with Range, ETag and conditional request support
+ * @param {Request} req - Incoming request (for Range / If-None-Match / If-Range)
+ * @param {string} filePath - File on disk
+ * @param {object} options - Options object
+ * @param {string} options.fileName - Name used for Content-Type and Content-Disposition
+ * @param {string} options.disposition - 'inline' or 'attachment'
+ * @param {string} options.cacheControl - Cache-Control header value
+ * @param {fs.Stats} options.stats - Already fetched stats, to avoid a second stat call
+ * @returns {Promise<Response>} 200, 206, 304 or 416 response
+ */
+export async function createFileResponse(req, filePath, { fileName, disposition = 'inline', cacheControl = 'no-store', stats } = {}) {
+  const fileStats = stats || (await stat(filePath));
+  const size = fileStats.size;
+  const etag = getETag(fileStats);
+
+  const headers = {
+    'Content-Type': lookup(fileName) || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(disposition, fileName),
+    'Cache-Control': cacheControl,
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': fileStats.mtime.toUTCString(),
+    ETag: etag,
+  };
+
+  if (matchesETag(req.headers.get('if-none-match'), etag)) {
+    return new NextResponse(null, { status: 304, headers });
+  }
+
+  // If-Range: only honour the range when the client's copy is still current
+  const ifRange = req.headers.get('if-range');
+  const range = !ifRange || matchesIfRange(ifRange, etag, fileStats) ? parseRange(req.headers.get('range'), size) : null;
+
+  if (range?.unsatisfiable) {
+    return new NextResponse(null, {
+      status: 416,
+      headers: { ...headers, 'Content-Range': `bytes */${size}` },
+    });
+  }
+
+  if (range) {
+    const stream = fs.createReadStream(filePath, { start: range.start, end: range.end });
+    return new NextResponse(Readable.toWeb(stream), {
+      status: 206,
+      headers: {
+        ...headers,
+        'Content-Length': String(range.end - range.start + 1),
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      },
+    });
+  }
+
+  return new NextResponse(Readable.toWeb(fs.createReadStream(filePath)), {
+    status: 200,
+    headers: { ...headers, 'Content-Length': String(size) },
+  });
+}
+
+// Archive entries are stored as-is when they are already compressed
+function zipEntryData(entry) {
+  return { ...entry, store: COMPRESSED_EXTENSIONS.has(extname(entry.name).toLowerCase()) };
+}
+
+function createArchive(onError) {
+  const archive = archiver('zip', { zlib: { level: ZIP_COMPRESSION_LEVEL } });
+
+  archive.on('warning', (err) => {
+    // Files that vanish while zipping are skipped rather than failing the whole archive
+    if (err.code !== 'ENOENT') archive.destroy(err);
+  });
+  archive.on('error', (err) => {
+    onError?.(err);
+  });
+
+  return archive;
+}
+
+function streamArchive(archive, zipName) {
+  archive.finalize();
+
+  return new NextResponse(Readable.toWeb(archive), {
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', `${zipName}.zip`),
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * Stream a folder as a zip archive while it is being built
+ * The size is unknown up front, so the response is sent chunked without Content-Length
+ * @param {string} dirPath - Folder on disk
+ * @param {string} zipName - Download name without the .zip extension
+ * @param {object} options - Options object
+ * @param {function} options.onError - Called if archiving fails mid-stream (headers are already sent by then)
+ * @returns {NextResponse} Streaming zip response
+ */
+export function createZipResponse(dirPath, zipName, { onError } = {}) {
+  const archive = createArchive(onError);
+  archive.directory(dirPath, false, zipEntryData);
+  return streamArchive(archive, zipName);
+}
+
+/**
+ * Stream several files and folders as one zip archive, each at the top level of the archive
+ * @param {Array<object>} entries - [{ path, name, isDirectory }] items on disk
+ * @param {string} zipName - Download name without the .zip extension
+ * @param {object} options - Options object
+ * @param {function} options.onError - Called if archiving fails mid-stream
+ * @returns {NextResponse} Streaming zip response
+ */
+export function createSelectionZipResponse(entries, zipName, { onError } = {}) {
+  const archive = createArchive(onError);
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      archive.directory(entry.path, entry.name, zipEntryData);
+    } else {
+      archive.file(entry.path, zipEntryData({ name: entry.name }));
+    }
+  }
+  return streamArchive(archive, zipName);
+}
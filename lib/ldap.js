@@ -0,0 +1,105 @@
+/** @format */
+
+import { Client, InvalidCredentialsError } from 'ldapts';
+import { logger } from './logger';
+
+// Connection settings; LDAP sign-in is offered only when LDAP_URL is set
+const LDAP_URL = process.env.LDAP_URL;
+const BIND_DN = process.env.LDAP_BIND_DN; // Service account that looks users up (anonymous search when unset)
+const BIND_PASSWORD = process.env.LDAP_BIND_PASSWORD || '';
+const BASE_DN = process.env.LDAP_BASE_DN || '';
+// {login} is replaced with what the user typed, escaped
+const USER_FILTER = process.env.LDAP_USER_FILTER || '(|(uid={login})(mail={login}))';
+const USERNAME_ATTRIBUTE = process.env.LDAP_USERNAME_ATTRIBUTE || 'uid'; // sAMAccountName for Active Directory
+const GROUP_BASE_DN = process.env.LDAP_GROUP_BASE_DN || BASE_DN;
+// {dn} is replaced with the user's DN; groups are also read from the user's memberOf attribute
+const GROUP_FILTER = process.env.LDAP_GROUP_FILTER || '(|(member={dn})(uniqueMember={dn}))';
+const START_TLS = process.env.LDAP_START_TLS === 'true';
+const TIMEOUT = 10000;
+
+export const LDAP_ENABLED = Boolean(LDAP_URL);
+
+// RFC 4515 escaping for values placed in a search filter
+function escapeFilterValue(value) {
+  return value.replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+// Attribute values come back as a string or a list of them
+function firstValue(value) {
+  return (Array.isArray(value) ? value[0] : value)?.toString() || null;
+}
+
+function allValues(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => item.toString());
+}
+
+async function connect() {
+  const client = new Client({ url: LDAP_URL, timeout: TIMEOUT, connectTimeout: TIMEOUT });
+  if (START_TLS) await client.startTLS();
+  return client;
+}
+
+/**
+ * Check a password against the directory
+ * The user is looked up with the service account, then bound as with the password given
+ * @param {string} login - Username or email as typed
+ * @param {string} password - Password to check
+ * @returns {Promise<object|null>} { externalId, email, username, name, groups }, or null for unknown users and wrong passwords
+ */
+export async function authenticateLdap(login, password) {
+  // An empty password would be an anonymous bind, which most servers accept
+  if (!LDAP_ENABLED || !login || !password) return null;
+
+  const client = await connect();
+  try {
+    if (BIND_DN) await client.bind(BIND_DN, BIND_PASSWORD);
+
+    const { searchEntries } = await client.search(BASE_DN, {
+      scope: 'sub',
+      filter: USER_FILTER.replaceAll('{login}', escapeFilterValue(login)),
+      attributes: ['entryUUID', 'mail', 'cn', 'displayName', 'memberOf', USERNAME_ATTRIBUTE],
+      sizeLimit: 2,
+    });
+    // A filter matching several entries is a configuration mistake; guessing which one is meant is not safe
+    if (searchEntries.length !== 1) {
+      if (searchEntries.length > 1) logger.warn('LDAP - User filter matched more than one entry', { login });
+      return null;
+    }
+
+    const [entry] = searchEntries;
+    try {
+      await client.bind(entry.dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) return null;
+      throw error;
+    }
+
+    // Group lookups run as the service account again, which users usually lack the rights for
+    if (BIND_DN) await client.bind(BIND_DN, BIND_PASSWORD);
+    const { searchEntries: groupEntries } = await client.search(GROUP_BASE_DN, {
+      scope: 'sub',
+      filter: GROUP_FILTER.replaceAll('{dn}', escapeFilterValue(entry.dn)),
+      attributes: ['cn'],
+    });
+
+    const groupDns = [...allValues(entry.memberOf), ...groupEntries.map((group) => group.dn)];
+    const groups = new Set();
+    for (const dn of groupDns) {
+      groups.add(dn);
+      // The first RDN value, e.g. "admins" for cn=admins,ou=groups,dc=example,dc=org
+      const cn = /^[^=]+=((?:\\.|[^,])+)/.exec(dn)?.[1];
+      if (cn) groups.add(cn);
+    }
+
+    return {
+      externalId: firstValue(entry.entryUUID) || entry.dn,
+      email: firstValue(entry.mail),
+      username: firstValue(entry[USERNAME_ATTRIBUTE]) || login,
+      name: firstValue(entry.displayName) || firstValue(entry.cn),
+      groups: [...groups],
+    };
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
@@ -0,0 +1,136 @@
+/** @format */
+
+import { EventEmitter } from 'node:events';
+import { watch } from 'fs';
+import { relative, resolve, sep } from 'node:path';
+import { logger } from './logger';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR);
+
+// A folder is announced at most this often, so a running download or a big copy does not flood clients
+const FOLDER_THROTTLE = 1000;
+// How often the download list is pushed while someone is watching it
+const DOWNLOADS_INTERVAL = 2000;
+
+// One bus per server process, kept on global so every route and hot reloads share it
+function getBus() {
+  if (!global.truecloudLiveEvents) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    global.truecloudLiveEvents = { emitter, pendingFolders: new Map(), watcher: null, downloadsTimer: null, lastDownloads: null };
+  }
+  return global.truecloudLiveEvents;
+}
+
+/**
+ * Tell clients viewing a folder that its listing changed
+ * @param {string} folder - Folder path relative to uploads ('' for the root)
+ */
+export function notifyFolderChange(folder) {
+  const bus = getBus();
+  if (bus.pendingFolders.has(folder)) return;
+  bus.pendingFolders.set(
+    folder,
+    setTimeout(() => {
+      bus.pendingFolders.delete(folder);
+      bus.emitter.emit('folder', folder);
+    }, FOLDER_THROTTLE),
+  );
+}
+
+/**
+ * Tell clients viewing the folder that holds a file or folder that the item changed
+ * @param {string} fullPath - Path on disk (as built with join(UPLOAD_DIR, ...)); paths outside uploads are ignored
+ */
+export function notifyPathChange(fullPath) {
+  const relativePath = relative(RESOLVED_UPLOAD_DIR, resolve(fullPath));
+  if (!relativePath || relativePath.startsWith('..')) return;
+  const segments = relativePath.split(sep);
+  notifyFolderChange(segments.slice(0, -1).join('/'));
+}
+
+// Changes made outside the app (torrent client, shell, SMB) are only seen through the watcher
+function startWatcher(bus) {
+  try {
+    bus.watcher = watch(RESOLVED_UPLOAD_DIR, { recursive: true }, (eventType, filename) => {
+      if (filename) notifyPathChange(resolve(RESOLVED_UPLOAD_DIR, filename.toString()));
+    });
+    bus.watcher.on('error', (error) => {
+      logger.warn('Live events - Upload folder watcher stopped', { error: error.message });
+      bus.watcher = null;
+    });
+  } catch (error) {
+    // e.g. the inotify watch limit; changes made through the app are still announced
+    logger.warn('Live events - Cannot watch the upload folder', { error: error.message });
+    bus.watcher = null;
+  }
+}
+
+/**
+ * Call a listener whenever a folder's listing changes, through the app or directly on disk
+ * @param {string} folder - Normalized folder path relative to uploads
+ * @param {function} listener - Called without arguments
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToFolder(folder, listener) {
+  const bus = getBus();
+  const onFolder = (changed) => {
+    if (changed === folder) listener();
+  };
+
+  bus.emitter.on('folder', onFolder);
+  if (!bus.watcher) startWatcher(bus);
+
+  return () => {
+    bus.emitter.off('folder', onFolder);
+    // Nobody left to tell, so stop watching the disk
+    if (bus.emitter.listenerCount('folder') === 0 && bus.watcher) {
+      bus.watcher.close();
+      bus.watcher = null;
+    }
+  };
+}
+
+async function pollDownloads(bus) {
+  try {
+    // Loaded on demand: importing the manager starts the aria2 daemon
+    const { getAllDownloads } = await import('./aria2Manager');
+    const { addDownloadOwners } = await import('./remoteDownloads');
+    const downloads = await addDownloadOwners(await getAllDownloads());
+    const serialized = JSON.stringify(downloads);
+    if (serialized === bus.lastDownloads) return;
+    bus.lastDownloads = serialized;
+    bus.emitter.emit('downloads', downloads);
+  } catch (error) {
+    logger.warn('Live events - Failed to list downloads', { error: error.message });
+  }
+}
+
+/**
+ * Call a listener with the download list whenever it changes; one poll of aria2 serves every subscriber
+ * @param {function} listener - Called with the downloads, as returned by GET /api/files/torrent-download
+ * @param {string|null} userId - Only pass on this user's downloads; null for all of them (admins)
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToDownloads(listener, userId = null) {
+  const bus = getBus();
+  const onDownloads = (downloads) => listener(userId === null ? downloads : downloads.filter((download) => download.userId === userId));
+  bus.emitter.on('downloads', onDownloads);
+
+  if (bus.downloadsTimer) {
+    if (bus.lastDownloads) onDownloads(JSON.parse(bus.lastDownloads));
+  } else {
+    bus.lastDownloads = null;
+    bus.downloadsTimer = setInterval(() => pollDownloads(bus), DOWNLOADS_INTERVAL);
+    pollDownloads(bus);
+  }
+
+  return () => {
+    bus.emitter.off('downloads', onDownloads);
+    if (bus.emitter.listenerCount('downloads') === 0) {
+      clearInterval(bus.downloadsTimer);
+      bus.downloadsTimer = null;
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/** @format */
+
+import { prisma } from './prisma';
+import { getSetting } from './settings';
+
+// Failures allowed per kind of key before every further attempt has to wait, twice as long each time
+const FREE_ATTEMPTS = {
+  account: 3,
+  ip: 10, // Higher, since offices and homes share one address
+  share: 5, // Per share and address, so guessing from one place never locks out visitors elsewhere
+  shareIp: 20, // Any share, for an address trying many of them
+};
+const BASE_DELAY = 1000;
+const MAX_DELAY = 15 * 60 * 1000;
+// A key that has not failed for this long starts over
+const FORGET_AFTER = 60 * 60 * 1000;
+
+// Backoff state lives in memory; account lockouts are stored on the user so a restart does not lift them
+function getFailures() {
+  if (!global.truecloudFailures) {
+    global.truecloudFailures = new Map();
+  }
+  return global.truecloudFailures;
+}
+
+/**
+ * Time left before another attempt for a key is accepted
+ * @param {string} kind - One of FREE_ATTEMPTS
+ * @param {string|null} id - Account ID, IP address or share token (null is never limited)
+ * @returns {number} Milliseconds, 0 when an attempt may be made now
+ */
+function getRetryDelay(kind, id) {
+  if (!id) return 0;
+
+  const failures = getFailures();
+  const key = `${kind}:${id}`;
+  const entry = failures.get(key);
+  if (!entry) return 0;
+  if (Date.now() - entry.lastFailure > FORGET_AFTER) {
+    failures.delete(key);
+    return 0;
+  }
+
+  const excess = entry.count - FREE_ATTEMPTS[kind];
+  if (excess < 0) return 0;
+  const delay = Math.min(BASE_DELAY * 2 ** excess, MAX_DELAY);
+  return Math.max(entry.lastFailure + delay - Date.now(), 0);
+}
+
+function recordFailure(kind, id) {
+  if (!id) return;
+
+  const failures = getFailures();
+  for (const [key, entry] of failures) {
+    if (Date.now() - entry.lastFailure > FORGET_AFTER) failures.delete(key);
+  }
+
+  const key = `${kind}:${id}`;
+  const entry = failures.get(key);
+  failures.set(key, { count: (entry?.count ?? 0) + 1, lastFailure: Date.now() });
+}
+
+function clearFailures(kind, id) {
+  getFailures().delete(`${kind}:${id}`);
+}
+
+/**
+ * Whether a sign-in attempt is refused before the password is even checked
+ * @param {object} options - Options object
+ * @param {string|null} options.ip - Client address
+ * @param {object|null} options.user - User record the attempt is for (null for unknown accounts)
+ * @returns {object|null} { reason, retryAfter (seconds) }, or null when the attempt may go ahead
+ */
+export function checkLoginThrottle({ ip, user }) {
+  if (user?.lockedUntil && user.lockedUntil > new Date()) {
+    return { reason: 'Account locked', retryAfter: Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000) };
+  }
+
+  const delay = Math.max(getRetryDelay('ip', ip), user ? getRetryDelay('account', user.id) : 0);
+  return delay > 0 ? { reason: 'Too many attempts', retryAfter: Math.ceil(delay / 1000) } : null;
+}
+
+/**
+ * Count a failed sign-in (wrong password or two-factor code) and lock the account once it reaches the admin's threshold
+ * @param {object} options - Options object
+ * @param {string|null} options.ip - Client address
+ * @param {object|null} options.user - User record the attempt was for (null for unknown accounts)
+ * @returns {Promise<boolean>} Whether this failure locked the account
+ */
+export async function recordLoginFailure({ ip, user }) {
+  recordFailure('ip', ip);
+  if (!user) return false;
+  recordFailure('account', user.id);
+
+  const { failedLogins } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLogins: { increment: 1 } },
+    select: { failedLogins: true },
+  });
+
+  const threshold = await getSetting('lockoutThreshold');
+  if (threshold === 0 || failedLogins < threshold) return false;
+
+  const minutes = await getSetting('lockoutMinutes');
+  await prisma.user.update({ where: { id: user.id }, data: { failedLogins: 0, lockedUntil: new Date(Date.now() + minutes * 60 * 1000) } });
+  return true;
+}
+
+/**
+ * Forget the failures of an account after it signed in
+ * The address keeps its count, so signing in to one's own account does not reset guessing at others
+ * @param {object} user - User record
+ */
+export async function recordLoginSuccess(user) {
+  clearFailures('account', user.id);
+  if (user.failedLogins > 0 || user.lockedUntil) {
+    await prisma.user.update({ where: { id: user.id }, data: { failedLogins: 0, lockedUntil: null } });
+  }
+}
+
+/**
+ * Lift a lockout and the backoff of an account (admin action)
+ * @param {string} userId - Account
+ */
+export async function unlockAccount(userId) {
+  clearFailures('account', userId);
+  await prisma.user.update({ where: { id: userId }, data: { failedLogins: 0, lockedUntil: null } });
+}
+
+// Key for one address guessing at one share
+function shareKey(token, ip) {
+  return ip ? `${token}@${ip}` : token;
+}
+
+/**
+ * Seconds a visitor has to wait before trying another password for a share
+ * @param {string} token - Share token
+ * @param {string|null} ip - Client address
+ * @returns {number} 0 when an attempt may be made now
+ */
+export function getShareRetryAfter(token, ip) {
+  return Math.ceil(Math.max(getRetryDelay('share', shareKey(token, ip)), getRetryDelay('shareIp', ip)) / 1000);
+}
+
+/**
+ * Count a wrong share password, for the share from that address and for the address across all shares
+ * @param {string} token - Share token
+ * @param {string|null} ip - Client address
+ */
+export function recordShareFailure(token, ip) {
+  recordFailure('share', shareKey(token, ip));
+  recordFailure('shareIp', ip);
+}
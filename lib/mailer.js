@@ -0,0 +1,59 @@
+/** @format */
+
+import nodemailer from 'nodemailer';
+import { logger } from './logger';
+
+/**
+ * Outgoing email
+ * MAIL_TRANSPORT picks how messages leave the server; it defaults to "smtp" once SMTP_HOST is set and email is
+ * off when neither is set. Add an entry to TRANSPORTS to send through something else.
+ */
+const TRANSPORTS = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // TLS from the start (usually port 465); otherwise STARTTLS when offered
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    }),
+  // Writes each message to the server log instead of sending it, for trying notifications out without a mail server
+  log: () => nodemailer.createTransport({ jsonTransport: true }),
+};
+
+const TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+const FROM = process.env.SMTP_FROM || 'TrueCloud <truecloud@localhost>';
+
+export const MAIL_ENABLED = Object.prototype.hasOwnProperty.call(TRANSPORTS, TRANSPORT);
+
+if (TRANSPORT && !MAIL_ENABLED) {
+  logger.warn('Mail - Unknown MAIL_TRANSPORT, email is off', { transport: TRANSPORT, known: Object.keys(TRANSPORTS) });
+}
+
+// Created on first use and kept on global so hot reloads reuse the pooled connection
+function getTransporter() {
+  if (!global.truecloudMailTransporter) {
+    global.truecloudMailTransporter = TRANSPORTS[TRANSPORT]();
+  }
+  return global.truecloudMailTransporter;
+}
+
+/**
+ * Send a plain-text email
+ * @param {object} message - Message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Body
+ * @returns {Promise<void>} Rejects when the transport fails or email is off
+ */
+export async function sendMail({ to, subject, text }) {
+  if (!MAIL_ENABLED) {
+    throw new Error('Email is not configured');
+  }
+
+  const info = await getTransporter().sendMail({ from: FROM, to, subject, text });
+  if (TRANSPORT === 'log') {
+    logger.info('Mail - Message logged instead of sent', { to, subject, text });
+  } else {
+    logger.info('Mail - Message sent', { to, subject, messageId: info.messageId });
+  }
+}
@@ -0,0 +1,261 @@
+/** @format */
+
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { MAIL_ENABLED, sendMail } from './mailer';
+import { getShareUrl } from './shares';
+import { getSetting, setSetting } from './settings';
+import { toItemPath } from './audit';
+import { formatFileSize } from './fileUtils';
+import { checkForUpdates } from './updates';
+import { CAPABILITIES, hasCapability } from './roles';
+
+// Crossing this share of a quota emails the user once; dropping back below and crossing again emails again
+export const QUOTA_WARNING_PERCENT = 90;
+// Owners hear about an expiring share this long before it stops working
+const SHARE_EXPIRY_NOTICE = 3 * 24 * 60 * 60 * 1000;
+// Uploads to one share within this window are announced in a single email
+const SHARE_UPLOAD_BATCH = 5 * 60 * 1000;
+// Files listed in an upload email before the rest are summarised
+const SHARE_UPLOAD_LISTED = 20;
+
+/**
+ * Events users can be emailed about
+ * Each user turns them on or off on the Notifications page; `capability` limits an event to accounts with it
+ */
+export const NOTIFICATION_EVENTS = {
+  shareUpload: { label: 'Someone uploads to one of your public links', default: true },
+  downloadComplete: { label: 'A torrent or remote download you started finishes or fails', default: true },
+  shareExpiring: { label: 'One of your public links expires within 3 days', default: true },
+  quotaWarning: { label: `Your storage passes ${QUOTA_WARNING_PERCENT}% of your quota`, default: true },
+  updateAvailable: { label: 'A TrueCloud update is available', default: true, capability: CAPABILITIES.MANAGE },
+};
+
+function appUrl(path) {
+  const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_APP_URL || '';
+  return `${baseUrl}${path}`;
+}
+
+function folderUrl(folder) {
+  return appUrl(`/files?path=${encodeURIComponent(folder)}`);
+}
+
+function parseStoredPreferences(raw) {
+  try {
+    const stored = JSON.parse(raw || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Events a user can receive and whether they want each one
+ * @param {object} user - User record with role and notifications
+ * @returns {object} { event: boolean } for the events the user's role allows
+ */
+export function getNotificationPreferences(user) {
+  const stored = parseStoredPreferences(user.notifications);
+  const preferences = {};
+  for (const [event, definition] of Object.entries(NOTIFICATION_EVENTS)) {
+    if (definition.capability && !hasCapability(user.role, definition.capability)) continue;
+    preferences[event] = typeof stored[event] === 'boolean' ? stored[event] : definition.default;
+  }
+  return preferences;
+}
+
+/**
+ * Turn events on or off for a user; events not in the changes keep their current setting
+ * @param {object} user - User record with id, role and notifications
+ * @param {object} changes - { event: boolean }, already validated against NOTIFICATION_EVENTS
+ * @returns {Promise<object>} The user's preferences after the change
+ */
+export async function updateNotificationPreferences(user, changes) {
+  const stored = { ...parseStoredPreferences(user.notifications), ...changes };
+  const notifications = JSON.stringify(stored);
+  await prisma.user.update({ where: { id: user.id }, data: { notifications } });
+  return getNotificationPreferences({ ...user, notifications });
+}
+
+/**
+ * Email a user about an event, if email is set up and they want that event
+ * Never throws: a mail server problem must not fail the action that triggered the email
+ * @param {string} userId - Recipient
+ * @param {string} event - Key of NOTIFICATION_EVENTS
+ * @param {object} message - { subject, text }
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export async function notifyUser(userId, event, { subject, text }) {
+  if (!MAIL_ENABLED) return false;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true, role: true, notifications: true } });
+    if (!user || !getNotificationPreferences(user)[event]) return false;
+
+    await sendMail({
+      to: user.email,
+      subject: `TrueCloud: ${subject}`,
+      text: `${text}\n\n--\nChoose which emails you get from TrueCloud: ${appUrl('/notifications')}\n`,
+    });
+    return true;
+  } catch (error) {
+    logger.warn('Notifications - Failed to send email', { userId, event, error: error.message });
+    return false;
+  }
+}
+
+// Uploads waiting to be announced, by share; on global so hot reloads keep them
+function getPendingUploads() {
+  if (!global.truecloudPendingShareUploads) {
+    global.truecloudPendingShareUploads = new Map();
+  }
+  return global.truecloudPendingShareUploads;
+}
+
+async function sendShareUploadEmail(shareId, fileNames) {
+  try {
+    const share = await prisma.share.findUnique({ where: { id: shareId } });
+    if (!share) return;
+
+    const listed = fileNames.slice(0, SHARE_UPLOAD_LISTED).map((name) => `  ${name}`);
+    if (fileNames.length > SHARE_UPLOAD_LISTED) {
+      listed.push(`  and ${fileNames.length - SHARE_UPLOAD_LISTED} more`);
+    }
+    const count = fileNames.length === 1 ? '1 file' : `${fileNames.length} files`;
+
+    await notifyUser(share.ownerId, 'shareUpload', {
+      subject: `${count} uploaded to "${share.fileName}"`,
+      text: [
+        `Someone uploaded ${count} through your public link ${getShareUrl(share.token)}:`,
+        '',
+        ...listed,
+        '',
+        `Open the folder: ${folderUrl(toItemPath(share.path, share.fileName))}`,
+      ].join('\n'),
+    });
+  } catch (error) {
+    logger.warn('Notifications - Failed to announce share uploads', { shareId, error: error.message });
+  }
+}
+
+/**
+ * Tell a share's owner that a visitor uploaded a file; uploads that follow shortly go into the same email
+ * @param {string} shareId - Share the file was uploaded through
+ * @param {string} fileName - Name the file was saved under
+ */
+export function notifyShareUpload(shareId, fileName) {
+  if (!MAIL_ENABLED) return;
+
+  const pending = getPendingUploads();
+  if (pending.has(shareId)) {
+    pending.get(shareId).push(fileName);
+    return;
+  }
+
+  pending.set(shareId, [fileName]);
+  setTimeout(() => {
+    const fileNames = pending.get(shareId);
+    pending.delete(shareId);
+    sendShareUploadEmail(shareId, fileNames);
+  }, SHARE_UPLOAD_BATCH).unref?.();
+}
+
+/**
+ * Email a user whose storage just passed QUOTA_WARNING_PERCENT of their quota
+ * @param {string} userId - Owner whose usage grew
+ * @param {number} addedBytes - Growth that was just recorded
+ */
+export async function notifyQuotaWarning(userId, addedBytes) {
+  if (!MAIL_ENABLED) return;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { quotaBytes: true, usedBytes: true } });
+    if (!user || !user.quotaBytes) return;
+
+    const quotaBytes = Number(user.quotaBytes);
+    const usedBytes = Number(user.usedBytes);
+    const threshold = (quotaBytes * QUOTA_WARNING_PERCENT) / 100;
+    if (usedBytes < threshold || usedBytes - addedBytes >= threshold) return;
+
+    await notifyUser(userId, 'quotaWarning', {
+      subject: `Your storage is ${Math.floor((usedBytes / quotaBytes) * 100)}% full`,
+      text: [
+        `You are using ${formatFileSize(usedBytes)} of your ${formatFileSize(quotaBytes)} quota.`,
+        'Uploads and downloads into your folder are refused once it is full. Remove files you no longer need to free up space.',
+        '',
+        `Open your files: ${appUrl('/files')}`,
+      ].join('\n'),
+    });
+  } catch (error) {
+    logger.warn('Notifications - Failed to check quota warning', { userId, error: error.message });
+  }
+}
+
+/**
+ * Email the user who started a remote download that it finished or failed
+ * @param {string} userId - User who started it
+ * @param {object} download - { name, totalSize, error } of the download; error is set when it failed
+ */
+export async function notifyDownloadFinished(userId, { name, totalSize, error }) {
+  await notifyUser(
+    userId,
+    'downloadComplete',
+    error
+      ? { subject: `Download failed: ${name}`, text: `"${name}" could not be downloaded: ${error}.` }
+      : { subject: `Download finished: ${name}`, text: `"${name}" (${totalSize}) has finished downloading.\n\nSee your downloads: ${appUrl('/downloads')}` },
+  );
+}
+
+/**
+ * Email owners of public links that expire soon, once per link and expiry date (scheduler job)
+ */
+export async function notifyExpiringShares() {
+  if (!MAIL_ENABLED) return;
+
+  const now = new Date();
+  const shares = await prisma.share.findMany({
+    where: { expiryWarned: false, expiresAt: { gt: now, lte: new Date(now.getTime() + SHARE_EXPIRY_NOTICE) } },
+  });
+
+  for (const share of shares) {
+    await notifyUser(share.ownerId, 'shareExpiring', {
+      subject: `Your link to "${share.fileName}" expires soon`,
+      text: [
+        `Your public link ${getShareUrl(share.token)} to "${share.fileName}" stops working on ${share.expiresAt.toUTCString()}.`,
+        'Change its expiry under My Shares if people still need it.',
+        '',
+        `Manage your links: ${appUrl('/shares')}`,
+      ].join('\n'),
+    });
+    await prisma.share.update({ where: { id: share.id }, data: { expiryWarned: true } });
+  }
+
+  if (shares.length > 0) {
+    logger.info('Notifications - Expiring shares announced', { shares: shares.length });
+  }
+}
+
+/**
+ * Email admins when a new TrueCloud version is published, once per version (scheduler job)
+ */
+export async function notifyAvailableUpdate() {
+  if (!MAIL_ENABLED) return;
+
+  const update = await checkForUpdates();
+  if (!update.hasUpdate || (await getSetting('notifiedUpdateVersion')) === update.latestVersion) return;
+
+  const users = await prisma.user.findMany({ select: { id: true, role: true } });
+  for (const user of users.filter(({ role }) => hasCapability(role, CAPABILITIES.MANAGE))) {
+    await notifyUser(user.id, 'updateAvailable', {
+      subject: `Version ${update.latestVersion} is available`,
+      text: [
+        `TrueCloud ${update.latestVersion} is available; this server runs ${update.currentVersion}.`,
+        `See what changed: ${update.releaseUrl}`,
+        '',
+        'Run "npm run runUpdate" on the server to install it.',
+      ].join('\n'),
+    });
+  }
+
+  await setSetting('notifiedUpdateVersion', update.latestVersion);
+}
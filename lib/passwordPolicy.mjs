@@ -0,0 +1,62 @@
+/** @format */
+
+// An ES module of Node built-ins only, so scripts/create-admin.js can load it outside of Next.js
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const DEFAULT_MIN_PASSWORD_LENGTH = 10;
+// bcrypt ignores everything after the first 72 bytes, so a longer password would not be checked in full
+const MAX_PASSWORD_BYTES = 72;
+
+// Bundled list of the most common leaked passwords; PASSWORD_BLOCKLIST_FILE adds a larger one, one password per line
+const COMMON_PASSWORDS_FILE = join(process.cwd(), 'lib', 'commonPasswords.txt');
+const BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE;
+
+let blocklist = null;
+
+function readList(file) {
+  return readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+// Read once, on the first password that is checked
+function getBlocklist() {
+  if (!blocklist) {
+    blocklist = new Set(readList(COMMON_PASSWORDS_FILE));
+    if (BLOCKLIST_FILE) {
+      for (const password of readList(BLOCKLIST_FILE)) blocklist.add(password);
+    }
+  }
+  return blocklist;
+}
+
+/**
+ * Check a new password against the password policy
+ * Existing passwords are never checked, so tightening the policy does not lock anyone out
+ * @param {string} password - Proposed password
+ * @param {object} options - Options object
+ * @param {number} options.minLength - Fewest characters allowed (the passwordMinLength setting)
+ * @param {string} options.username - Username of the account, which the password must not match
+ * @param {string} options.email - Email of the account, which the password must not match
+ * @returns {string|null} What is wrong with the password, or null when it is acceptable
+ */
+export function checkPasswordPolicy(password, { minLength = DEFAULT_MIN_PASSWORD_LENGTH, username, email } = {}) {
+  if (typeof password !== 'string' || password.length < minLength) {
+    return `Password must be at least ${minLength} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  }
+
+  const lower = password.toLowerCase();
+  const identities = [username, email, email?.split('@')[0]].filter(Boolean).map((value) => value.toLowerCase());
+  if (identities.includes(lower)) {
+    return 'Password must not be your username or email address';
+  }
+  if (getBlocklist().has(lower)) {
+    return 'This password appears in lists of leaked passwords, choose another';
+  }
+  return null;
+}
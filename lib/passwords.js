@@ -0,0 +1,61 @@
+/** @format */
+
+import { createHash, randomBytes } from 'node:crypto';
+import bcrypt from 'bcryptjs';
+import { prisma } from './prisma';
+import { getSetting } from './settings';
+import { checkPasswordPolicy } from './passwordPolicy.mjs';
+
+// Long enough for a user to get the link from their admin, short enough that a forgotten one is soon worthless
+export const RESET_LINK_HOURS = 24;
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check a password someone wants to set for an account against the admin's password policy
+ * @param {string} password - Proposed password
+ * @param {object} account - { username, email } of the account
+ * @returns {Promise<string|null>} What is wrong with the password, or null when it is acceptable
+ */
+export async function validateNewPassword(password, { username, email }) {
+  return checkPasswordPolicy(password, { minLength: await getSetting('passwordMinLength'), username, email });
+}
+
+/**
+ * Store a new password; a reset link that was not used yet stops working
+ * @param {string} userId - Account
+ * @param {string} password - New password, already validated
+ */
+export async function setPassword(userId, password) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { password: await bcrypt.hash(password, 10), resetHash: null, resetExpires: null },
+  });
+}
+
+/**
+ * Create a one-time link for a user who forgot their password, replacing any earlier one
+ * The admin hands the link over themselves, so no email setup is needed
+ * @param {string} userId - Account
+ * @returns {Promise<object>} { token, expires }; only the hash of the token is stored
+ */
+export async function createPasswordReset(userId) {
+  const token = randomBytes(32).toString('base64url');
+  const expires = new Date(Date.now() + RESET_LINK_HOURS * 60 * 60 * 1000);
+  await prisma.user.update({ where: { id: userId }, data: { resetHash: hashToken(token), resetExpires: expires } });
+  return { token, expires };
+}
+
+/**
+ * Account a password reset link belongs to
+ * @param {string} token - Token from the link
+ * @returns {Promise<object|null>} User record, or null when the link is unknown, used or expired
+ */
+export async function findPasswordReset(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const user = await prisma.user.findUnique({ where: { resetHash: hashToken(token) } });
+  if (!user || !user.resetExpires || user.resetExpires < new Date()) return null;
+  return user;
+}
@@ -1,6 +1,9 @@
 /** @format */
 
 import { prisma } from './prisma';
+import { getPathGrant, PERMISSION_FLAGS } from './permissions';
+import { CAPABILITIES, hasCapability } from './roles';
+import { isInTokenFolder } from './apiTokens';
 
 /**
  * Check if user has root access to the file system
@@ -13,7 +16,7 @@ export async function hasRootAccess(userId) {
     select: { hasRootAccess: true, role: true },
   });
 
-  return user?.hasRootAccess || user?.role === 'admin';
+  return user?.hasRootAccess || hasCapability(user?.role, CAPABILITIES.MANAGE);
 }
 
 /**
@@ -126,34 +129,80 @@ export async function canWrite(relativePath, userId, isRootUser) {
 
 /**
  * Check access and get normalized path for file operations
- * Handles both read and write operations
+ * Other users' personal folders are reachable through the permissions they shared, with the user or with
+ * one of the user's groups (see getPathGrant)
  * @param {object} options - Options object
  * @param {string} options.userId - User ID
  * @param {string} options.path - Requested path
- * @param {string} options.operation - Operation type: 'read', 'write'
+ * @param {string} options.name - Optional item inside path the operation is about (so grants on that item count)
+ * @param {string} options.operation - Operation type: 'read', 'write', 'delete', 'share'
  * @param {boolean} options.isRootUser - Whether user has root access
- * @returns {object} { allowed: boolean, normalizedPath: string, error: error message, status: HTTP status code }
+ * @param {string|null} options.tokenFolder - Folder the caller's API token is limited to (session.apiToken?.folder)
+ * @returns {Promise<object>} { allowed: boolean, normalizedPath: string, error: error message, status: HTTP status code, granted: boolean }
  */
-export function checkPathAccess(options) {
-  const { userId, path, operation, isRootUser } = options;
+export async function checkPathAccess(options) {
+  const { userId, path, name = '', operation, isRootUser, tokenFolder = null } = options;
+
+  // Grants are matched by path prefix, so "..", "." and empty segments must never get that far
+  const segments = [path, name].filter(Boolean).join('/').split('/');
+  if ((path || name) && segments.some((segment) => segment === '' || segment === '.' || segment === '..')) {
+    return {
+      allowed: false,
+      normalizedPath: null,
+      error: 'Invalid path',
+      status: 400,
+      redirected: false,
+      granted: false,
+    };
+  }
 
   const normalized = normalizePath(path, userId, isRootUser);
 
+  // Everything outside the token's folder is treated as if it did not exist
+  const outsideTokenFolder = (normalizedPath) => !isInTokenFolder(tokenFolder, [normalizedPath, name].filter(Boolean).join('/'));
+  const notInTokenFolder = {
+    allowed: false,
+    normalizedPath: null,
+    error: 'Not found',
+    status: 404,
+    redirected: false,
+    granted: false,
+  };
+
   if (normalized.error) {
+    const grant = await getPathGrant(userId, name ? `${path}/${name}` : path);
+    if (grant?.[PERMISSION_FLAGS[operation]]) {
+      if (outsideTokenFolder(path)) return notInTokenFolder;
+      return {
+        allowed: true,
+        normalizedPath: path,
+        error: null,
+        status: 200,
+        redirected: false,
+        granted: true,
+      };
+    }
+
+    // Never 403 here: the client treats 403 as an expired session, and people browsing a share
+    // can easily end up one folder too high
     return {
       allowed: false,
       normalizedPath: null,
-      error: normalized.error,
-      status: normalized.status,
+      error: grant ? `You do not have ${operation} permission here` : 'Not found',
+      status: grant ? 400 : 404,
       redirected: false,
+      granted: false,
     };
   }
 
+  if (outsideTokenFolder(normalized.path)) return notInTokenFolder;
+
   return {
     allowed: true,
     normalizedPath: normalized.path,
     error: null,
     status: 200,
     redirected: normalized.redirected,
+    granted: false,
   };
 }
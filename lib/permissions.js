@@ -1,6 +1,22 @@
 /** @format */
 
+import { stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { lookup } from 'mime-types';
 import { prisma } from './prisma';
+import { logger } from './logger';
+import { CAPABILITIES, hasCapability } from './roles';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+// checkPathAccess operation -> FilePermission flag
+export const PERMISSION_FLAGS = {
+  read: 'canRead',
+  write: 'canWrite',
+  delete: 'canDelete',
+  share: 'canShare',
+};
 
 export async function checkFilePermission(userId, fileId, permission) {
   const file = await prisma.file.findUnique({
@@ -47,5 +63,386 @@ export async function checkUserIsAdmin(userId) {
     where: { id: userId },
   });
 
-  return user && user.role === 'admin';
+  return user && hasCapability(user.role, CAPABILITIES.MANAGE);
+}
+
+// The path itself followed by each folder above it
+function getPathChain(path) {
+  const chain = [];
+  let current = path;
+  while (current) {
+    chain.push(current);
+    current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
+  }
+  return chain;
+}
+
+// Path relative to uploads with forward slashes, or null for anything outside it
+function toRelativePath(fullPath) {
+  const resolved = resolve(fullPath);
+  if (!(resolved + sep).startsWith(RESOLVED_UPLOAD_DIR) || resolved + sep === RESOLVED_UPLOAD_DIR) return null;
+  return relative(RESOLVED_UPLOAD_DIR, resolved).split(sep).join('/');
+}
+
+/**
+ * User whose personal folder holds a path; only those paths can be shared with other users
+ * @param {string} path - Normalized path relative to uploads
+ * @returns {string|null} User ID, or null outside personal folders
+ */
+export function getPathOwnerId(path) {
+  const [topLevel] = path.split('/');
+  return topLevel.startsWith('user_') ? topLevel.slice('user_'.length) : null;
+}
+
+// Where clause for grants given to any group the user is a member of
+function memberOf(userId) {
+  return { group: { members: { some: { userId } } } };
+}
+
+/**
+ * Permissions a user has been granted on a path, directly or through one of their groups,
+ * on the path itself or on a folder above it
+ * Grants add up: a permission given on any folder applies to everything below it
+ * @param {string} userId - User ID
+ * @param {string} path - Normalized path relative to uploads
+ * @returns {Promise<object|null>} { canRead, canWrite, canDelete, canShare }, or null when nothing was granted
+ */
+export async function getPathGrant(userId, path) {
+  const file = { path: { in: getPathChain(path) } };
+  const [userGrants, groupGrants] = await Promise.all([
+    prisma.filePermission.findMany({ where: { userId, file } }),
+    prisma.groupPermission.findMany({ where: { ...memberOf(userId), file } }),
+  ]);
+  const grants = [...userGrants, ...groupGrants];
+  if (grants.length === 0) return null;
+
+  return Object.fromEntries(Object.values(PERMISSION_FLAGS).map((flag) => [flag, grants.some((grant) => grant[flag])]));
+}
+
+/**
+ * Paths a user may read because they were shared with them (folders include everything below them)
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Normalized paths relative to uploads
+ */
+export async function getSharedPaths(userId) {
+  const select = { file: { select: { path: true } } };
+  const [userGrants, groupGrants] = await Promise.all([
+    prisma.filePermission.findMany({ where: { userId, canRead: true }, select }),
+    prisma.groupPermission.findMany({ where: { ...memberOf(userId), canRead: true }, select }),
+  ]);
+  return [...new Set([...userGrants, ...groupGrants].map((grant) => grant.file.path))];
+}
+
+/**
+ * Users a path has been shared with (grants on the path itself, not the ones inherited from folders above)
+ * @param {string} path - Normalized path relative to uploads
+ * @returns {Promise<Array<object>>} FilePermission records with their user
+ */
+export async function listPathPermissions(path) {
+  return prisma.filePermission.findMany({
+    where: { file: { path } },
+    include: { user: { select: { id: true, username: true, email: true } } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Groups a path has been shared with (grants on the path itself)
+ * @param {string} path - Normalized path relative to uploads
+ * @returns {Promise<Array<object>>} GroupPermission records with their group and its member count
+ */
+export async function listPathGroupPermissions(path) {
+  return prisma.groupPermission.findMany({
+    where: { file: { path } },
+    include: { group: { select: { id: true, name: true, _count: { select: { members: true } } } } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Grant on a path itself for one user or group
+ * @param {string} path - Normalized path relative to uploads
+ * @param {object} grantee - { userId } or { groupId }
+ * @returns {Promise<object|null>} FilePermission or GroupPermission record
+ */
+export async function getPathPermission(path, { userId, groupId }) {
+  if (userId) return prisma.filePermission.findFirst({ where: { userId, file: { path } } });
+  if (groupId) return prisma.groupPermission.findFirst({ where: { groupId, file: { path } } });
+  return null;
+}
+
+/**
+ * Names of the groups each path is shared with, for labelling items in listings
+ * @param {string[]} paths - Normalized paths relative to uploads
+ * @returns {Promise<Map<string, string[]>>} Path -> group names (paths without group grants are left out)
+ */
+export async function getPathGroups(paths) {
+  const groupsByPath = new Map();
+  if (paths.length === 0) return groupsByPath;
+
+  const grants = await prisma.groupPermission.findMany({
+    where: { file: { path: { in: paths } } },
+    select: { file: { select: { path: true } }, group: { select: { name: true } } },
+    orderBy: { group: { name: 'asc' } },
+  });
+  for (const grant of grants) {
+    groupsByPath.set(grant.file.path, [...(groupsByPath.get(grant.file.path) || []), grant.group.name]);
+  }
+  return groupsByPath;
+}
+
+/**
+ * Share a path with a user or a group, or change what they may do with it
+ * @param {object} options - Options object
+ * @param {string} options.path - Normalized path relative to uploads, inside a personal folder
+ * @param {string} options.userId - User the path is shared with (or groupId)
+ * @param {string} options.groupId - Group the path is shared with (or userId)
+ * @param {object} options.permissions - { canRead, canWrite, canDelete, canShare }
+ * @param {string} options.grantedById - User sharing it, recorded on new grants
+ * @returns {Promise<object>} { success: boolean, permission: FilePermission|GroupPermission|null, error: string|null, status: number }
+ */
+export async function grantPathPermission({ path, userId, groupId, permissions, grantedById = null }) {
+  const ownerId = getPathOwnerId(path);
+  if (!ownerId) {
+    return { success: false, permission: null, error: 'Only items in personal folders can be shared with users', status: 400 };
+  }
+  if (userId && ownerId === userId) {
+    return { success: false, permission: null, error: 'The owner already has full access', status: 400 };
+  }
+
+  const stats = await stat(join(UPLOAD_DIR, path)).catch(() => null);
+  if (!stats) {
+    return { success: false, permission: null, error: 'File not found', status: 404 };
+  }
+
+  let file = await prisma.file.findFirst({ where: { path } });
+  if (!file) {
+    file = await prisma.file.create({
+      data: {
+        name: path.slice(path.lastIndexOf('/') + 1),
+        path,
+        size: BigInt(stats.isDirectory() ? 0 : stats.size),
+        mimeType: stats.isDirectory() ? 'inode/directory' : lookup(path) || 'application/octet-stream',
+        isDirectory: stats.isDirectory(),
+        ownerId,
+      },
+    });
+  }
+
+  // Every grant includes read: the other permissions are meaningless without it
+  const flags = {
+    canRead: true,
+    canWrite: !!permissions.canWrite,
+    canDelete: !!permissions.canDelete,
+    canShare: !!permissions.canShare,
+  };
+  const permission = userId
+    ? await prisma.filePermission.upsert({
+        where: { fileId_userId: { fileId: file.id, userId } },
+        update: flags,
+        create: { fileId: file.id, userId, grantedById, ...flags },
+      })
+    : await prisma.groupPermission.upsert({
+        where: { fileId_groupId: { fileId: file.id, groupId } },
+        update: flags,
+        create: { fileId: file.id, groupId, grantedById, ...flags },
+      });
+
+  return { success: true, permission, error: null, status: 200 };
+}
+
+/**
+ * Stop sharing a path with a user or a group
+ * @param {string} path - Normalized path relative to uploads
+ * @param {object} grantee - { userId } or { groupId }
+ * @returns {Promise<boolean>} Whether there was a grant to remove
+ */
+export async function revokePathPermission(path, { userId, groupId }) {
+  const file = await prisma.file.findFirst({ where: { path } });
+  if (!file || !(userId || groupId)) return false;
+
+  const { count } = userId
+    ? await prisma.filePermission.deleteMany({ where: { fileId: file.id, userId } })
+    : await prisma.groupPermission.deleteMany({ where: { fileId: file.id, groupId } });
+
+  const remaining = (await prisma.filePermission.count({ where: { fileId: file.id } })) + (await prisma.groupPermission.count({ where: { fileId: file.id } }));
+  if (remaining === 0) {
+    await prisma.file.delete({ where: { id: file.id } });
+  }
+  return count > 0;
+}
+
+/**
+ * Items shared with a user, directly or through their groups, that still exist, for the "Shared with me" view
+ * An item shared both ways is listed once with the permissions combined
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} { path, name, isDirectory, size, modified, owner, sharedAt, groups, permissions }
+ */
+export async function listSharedWithUser(userId) {
+  const include = { file: { include: { owner: { select: { id: true, username: true } } } } };
+  const [userGrants, groupGrants] = await Promise.all([
+    prisma.filePermission.findMany({ where: { userId, canRead: true }, include }),
+    prisma.groupPermission.findMany({
+      // Owners in a group they shared with have their own copy already
+      where: { ...memberOf(userId), canRead: true, file: { ownerId: { not: userId } } },
+      include: { ...include, group: { select: { name: true } } },
+    }),
+  ]);
+
+  const byPath = new Map();
+  for (const grant of [...userGrants, ...groupGrants]) {
+    const entry = byPath.get(grant.file.path) || { file: grant.file, sharedAt: grant.createdAt, groups: [], permissions: {} };
+    if (grant.createdAt < entry.sharedAt) entry.sharedAt = grant.createdAt;
+    if (grant.group) entry.groups.push(grant.group.name);
+    for (const flag of Object.values(PERMISSION_FLAGS)) {
+      entry.permissions[flag] = entry.permissions[flag] || grant[flag];
+    }
+    byPath.set(grant.file.path, entry);
+  }
+
+  const items = await Promise.all(
+    [...byPath.values()].map(async ({ file, sharedAt, groups, permissions }) => {
+      // Items removed outside the app leave their grant behind; they are not listed
+      const stats = await stat(join(UPLOAD_DIR, file.path)).catch(() => null);
+      if (!stats) return null;
+
+      return {
+        path: file.path,
+        name: file.name,
+        isDirectory: stats.isDirectory(),
+        size: stats.isDirectory() ? 0 : stats.size,
+        modified: stats.mtime,
+        owner: file.owner,
+        sharedAt,
+        groups,
+        permissions,
+      };
+    }),
+  );
+
+  return items.filter(Boolean).sort((a, b) => b.sharedAt - a.sharedAt);
+}
+
+/**
+ * Carry grants along when a file or folder is renamed or moved
+ * Failures are logged rather than thrown: the move already happened.
+ * @param {string} sourcePath - Old path on disk (as built with join(UPLOAD_DIR, ...))
+ * @param {string} targetPath - New path on disk
+ * @returns {Promise<void>}
+ */
+export async function movePathPermissions(sourcePath, targetPath) {
+  const from = toRelativePath(sourcePath);
+  const to = toRelativePath(targetPath);
+  if (!from || !to) return;
+
+  try {
+    const files = await prisma.file.findMany({
+      where: { OR: [{ path: from }, { path: { startsWith: `${from}/` } }] },
+    });
+    const ownerId = getPathOwnerId(to);
+
+    for (const file of files) {
+      // Moved out of any personal folder: there is no owner to share on behalf of anymore
+      if (!ownerId) {
+        await prisma.file.delete({ where: { id: file.id } });
+        continue;
+      }
+
+      const path = to + file.path.slice(from.length);
+      await prisma.file.update({
+        where: { id: file.id },
+        data: { path, name: path.slice(path.lastIndexOf('/') + 1), ownerId },
+      });
+    }
+  } catch (error) {
+    logger.warn('Permissions - Failed to follow move', { from, to, error: error.message });
+  }
+}
+
+// A grant's grantee, flags and granter, as kept while its item is in the trash
+function serializeGrant(grant, granteeKey) {
+  return {
+    [granteeKey]: grant[granteeKey],
+    ...Object.fromEntries(Object.values(PERMISSION_FLAGS).map((flag) => [flag, grant[flag]])),
+    grantedById: grant.grantedById ?? null,
+  };
+}
+
+/**
+ * Take the grants off a file or folder that is leaving the tree (moved to the trash),
+ * so nothing created later at the same path inherits them
+ * @param {string} fullPath - Path on disk (as built with join(UPLOAD_DIR, ...))
+ * @returns {Promise<string|null>} The grants as JSON, for restorePathPermissions, or null when there were none
+ */
+export async function detachPathPermissions(fullPath) {
+  const from = toRelativePath(fullPath);
+  if (!from) return null;
+
+  const files = await prisma.file.findMany({
+    where: { OR: [{ path: from }, { path: { startsWith: `${from}/` } }] },
+    include: { permissions: true, groupPermissions: true },
+  });
+  if (files.length === 0) return null;
+
+  // Grants go with their File record
+  await prisma.file.deleteMany({ where: { id: { in: files.map((file) => file.id) } } });
+
+  return JSON.stringify(
+    files.map((file) => ({
+      // Relative to the detached item, which may come back under another name
+      path: file.path.slice(from.length),
+      mimeType: file.mimeType,
+      isDirectory: file.isDirectory,
+      users: file.permissions.map((grant) => serializeGrant(grant, 'userId')),
+      groups: file.groupPermissions.map((grant) => serializeGrant(grant, 'groupId')),
+    })),
+  );
+}
+
+/**
+ * Put back the grants detachPathPermissions took off an item, once it is back in the tree
+ * Users and groups deleted in the meantime are skipped. Failures are logged rather than thrown: the restore already happened.
+ * @param {string} fullPath - Path on disk the item was restored to
+ * @param {string|null} detached - JSON returned by detachPathPermissions
+ * @returns {Promise<void>}
+ */
+export async function restorePathPermissions(fullPath, detached) {
+  const to = toRelativePath(fullPath);
+  const ownerId = to && getPathOwnerId(to);
+  if (!detached || !ownerId) return;
+
+  try {
+    const entries = JSON.parse(detached);
+    const [users, groups] = await Promise.all([
+      prisma.user.findMany({ where: { id: { in: entries.flatMap((entry) => entry.users.map((grant) => grant.userId)) } }, select: { id: true } }),
+      prisma.group.findMany({ where: { id: { in: entries.flatMap((entry) => entry.groups.map((grant) => grant.groupId)) } }, select: { id: true } }),
+    ]);
+    const userIds = new Set(users.map((user) => user.id));
+    const groupIds = new Set(groups.map((group) => group.id));
+
+    for (const entry of entries) {
+      const grants = entry.users.filter((grant) => userIds.has(grant.userId) && grant.userId !== ownerId);
+      const groupGrants = entry.groups.filter((grant) => groupIds.has(grant.groupId));
+      if (grants.length === 0 && groupGrants.length === 0) continue;
+
+      const path = to + entry.path;
+      const stats = await stat(join(UPLOAD_DIR, path)).catch(() => null);
+      if (!stats) continue;
+
+      await prisma.file.create({
+        data: {
+          name: path.slice(path.lastIndexOf('/') + 1),
+          path,
+          size: BigInt(stats.isDirectory() ? 0 : stats.size),
+          mimeType: entry.mimeType,
+          isDirectory: entry.isDirectory,
+          ownerId,
+          permissions: { create: grants },
+          groupPermissions: { create: groupGrants },
+        },
+      });
+    }
+  } catch (error) {
+    logger.warn('Permissions - Failed to restore grants', { path: to, error: error.message });
+  }
 }
@@ -0,0 +1,130 @@
+/** @format */
+
+import { join, relative, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { formatFileSize } from './fileUtils';
+import { getEntrySize, pathExists } from './fileOperations';
+import { notifyQuotaWarning } from './notifications';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const HEIC_DIR = './heic'; // HEIC/HEIF uploads are stored here, under the same folder structure
+const STORAGE_DIRS = [UPLOAD_DIR, HEIC_DIR];
+
+/**
+ * Quotas apply to personal folders: everything under uploads/user_<id> (and heic/user_<id>) counts towards that user's quota,
+ * whoever wrote it (e.g. visitors uploading through a share or remote downloads). The shared root area is not metered.
+ */
+
+/**
+ * User whose personal folder contains a path
+ * @param {string} fullPath - Filesystem path (as built with join(UPLOAD_DIR, ...) or join(HEIC_DIR, ...))
+ * @returns {string|null} User ID, or null outside personal folders
+ */
+export function getStorageOwnerId(fullPath) {
+  const resolved = resolve(fullPath);
+  const storageDir = STORAGE_DIRS.map((dir) => resolve(process.cwd(), dir)).find((dir) => (resolved + sep).startsWith(dir + sep));
+  if (!storageDir) return null;
+
+  const [topLevel] = relative(storageDir, resolved).split(sep);
+  return topLevel?.startsWith('user_') ? topLevel.slice('user_'.length) : null;
+}
+
+/**
+ * Storage usage of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} { quotaBytes: number|null, usedBytes: number, availableBytes: number|null }, or null if the user does not exist
+ */
+export async function getStorageUsage(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { quotaBytes: true, usedBytes: true } });
+  if (!user) return null;
+
+  const usedBytes = Number(user.usedBytes);
+  const quotaBytes = user.quotaBytes === null ? null : Number(user.quotaBytes);
+  return {
+    quotaBytes,
+    usedBytes,
+    availableBytes: quotaBytes === null ? null : Math.max(quotaBytes - usedBytes, 0),
+  };
+}
+
+/**
+ * Check that a user's personal folder can take more data
+ * Chunked uploads still in progress and remote downloads whose size is known count as used, so they cannot overshoot the quota together.
+ * @param {string|null} ownerId - Owner from getStorageOwnerId (null always passes)
+ * @param {number} bytes - Size about to be written
+ * @returns {Promise<object>} { allowed: boolean, error: string|null, status: number }
+ */
+export async function checkQuota(ownerId, bytes) {
+  if (!ownerId) return { allowed: true, error: null, status: 200 };
+
+  const user = await prisma.user.findUnique({ where: { id: ownerId }, select: { quotaBytes: true, usedBytes: true } });
+  if (!user || user.quotaBytes === null) return { allowed: true, error: null, status: 200 };
+
+  const pending = await prisma.uploadSession.aggregate({
+    where: { OR: [{ path: `user_${ownerId}` }, { path: { startsWith: `user_${ownerId}/` } }] },
+    _sum: { size: true },
+  });
+  const downloads = await prisma.remoteDownload.aggregate({ where: { userId: ownerId }, _sum: { size: true } });
+  const reserved = user.usedBytes + (pending._sum.size ?? 0n) + (downloads._sum.size ?? 0n);
+
+  if (reserved + BigInt(bytes) > user.quotaBytes) {
+    const available = user.quotaBytes > reserved ? Number(user.quotaBytes - reserved) : 0;
+    return {
+      allowed: false,
+      error: `Storage quota exceeded: ${formatFileSize(Number(bytes))} needed, ${formatFileSize(available)} available`,
+      status: 413,
+    };
+  }
+
+  return { allowed: true, error: null, status: 200 };
+}
+
+/**
+ * Add to (or, with a negative delta, subtract from) a user's stored bytes
+ * Failures are logged rather than thrown, the daily recalculation corrects any drift
+ * Growth that takes the owner past the warning threshold emails them
+ * @param {string|null} ownerId - Owner from getStorageOwnerId (null is ignored)
+ * @param {number} deltaBytes - Change in bytes
+ * @returns {Promise<void>}
+ */
+export async function adjustUsage(ownerId, deltaBytes) {
+  if (!ownerId || !deltaBytes) return;
+
+  try {
+    await prisma.user.updateMany({ where: { id: ownerId }, data: { usedBytes: { increment: BigInt(deltaBytes) } } });
+  } catch (error) {
+    logger.warn('Quota - Failed to update usage', { userId: ownerId, deltaBytes, error: error.message });
+    return;
+  }
+
+  if (deltaBytes > 0) {
+    await notifyQuotaWarning(ownerId, deltaBytes);
+  }
+}
+
+/**
+ * Recompute a user's usage from the filesystem (walks the whole personal folder)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Bytes used
+ */
+export async function recalculateUsage(userId) {
+  let usedBytes = 0;
+  for (const dir of STORAGE_DIRS) {
+    const userDir = join(dir, `user_${userId}`);
+    if (await pathExists(userDir)) usedBytes += await getEntrySize(userDir);
+  }
+  await prisma.user.updateMany({ where: { id: userId }, data: { usedBytes: BigInt(usedBytes) } });
+  return usedBytes;
+}
+
+/**
+ * Recompute usage for every user (scheduler job)
+ */
+export async function recalculateAllUsage() {
+  const users = await prisma.user.findMany({ select: { id: true } });
+  for (const user of users) {
+    await recalculateUsage(user.id);
+  }
+  logger.info('Quota - Usage recalculated', { users: users.length });
+}
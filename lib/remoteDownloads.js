@@ -0,0 +1,161 @@
+/** @format */
+
+import { relative, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { AUDIT_ACTIONS, recordAudit } from './audit';
+import { notifyDownloadFinished } from './notifications';
+import { checkQuota, adjustUsage } from './quota';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+
+/**
+ * Remote downloads are tracked from the moment a user starts one until aria2 reports it done, so the
+ * completion can be announced: recorded in the audit log (which feeds webhooks) and emailed to the user
+ * aria2Manager reports each download as soon as it stops; the scheduler job catches any that stopped while nobody was listening
+ * Downloads are saved to the user's personal folder and held against their quota once aria2 knows their size
+ */
+
+const include = { user: { select: { id: true, username: true } } };
+
+/**
+ * Folder a user's remote downloads are saved to
+ * @param {string} userId - User ID
+ * @returns {string} Absolute path (aria2 resolves relative ones against its own working directory)
+ */
+export function getDownloadDir(userId) {
+  return resolve(process.cwd(), UPLOAD_DIR, `user_${userId}`, 'Downloads');
+}
+
+/**
+ * Tag downloads with the user who started them, so users only see and control their own
+ * Tracked downloads are looked up; finished ones are no longer tracked and are matched by the folder they were saved to
+ * @param {Array<object>} downloads - As returned by aria2Manager (with dir)
+ * @returns {Promise<Array<object>>} The downloads with userId (null when unknown) in place of dir
+ */
+export async function addDownloadOwners(downloads) {
+  const tracked = await prisma.remoteDownload.findMany({
+    where: { gid: { in: downloads.map((download) => download.gid) } },
+    select: { gid: true, userId: true },
+  });
+  const owners = new Map(tracked.map(({ gid, userId }) => [gid, userId]));
+  return downloads.map(({ dir, ...download }) => ({ ...download, userId: owners.get(download.gid) ?? getDownloadDirOwner(dir) }));
+}
+
+// Inverse of getDownloadDir
+function getDownloadDirOwner(dir) {
+  if (!dir) return null;
+  const segments = relative(resolve(process.cwd(), UPLOAD_DIR), dir).split(sep);
+  return segments.length === 2 && segments[1] === 'Downloads' && segments[0].startsWith('user_') ? segments[0].slice('user_'.length) : null;
+}
+
+/**
+ * Who started a download, and whether its size has been checked against their quota yet
+ * @param {string} gid - aria2 download ID
+ * @returns {Promise<object>} { userId: string|null, sizeChecked: boolean }
+ */
+export async function getDownloadOwner(gid) {
+  const tracked = await prisma.remoteDownload.findUnique({ where: { gid }, select: { userId: true, size: true } });
+  if (tracked) return { userId: tracked.userId, sizeChecked: tracked.size !== null };
+
+  // Finished, or a magnet link's real download that is not tracked under its own GID yet
+  const { getDownloadStatus } = await import('./aria2Manager');
+  return { userId: getDownloadDirOwner((await getDownloadStatus(gid))?.dir), sizeChecked: false };
+}
+
+/**
+ * Remember who started a remote download
+ * @param {string} gid - aria2 download ID
+ * @param {string} userId - User who started it
+ * @param {string} name - Torrent file name or URL, until aria2 knows the real name
+ * @param {number|null} size - Size already checked against the quota, if known
+ */
+export async function trackRemoteDownload(gid, userId, name, size = null) {
+  await prisma.remoteDownload.create({ data: { gid, userId, name, size: size === null ? null : BigInt(size) } });
+  await listenForStoppedDownloads();
+}
+
+// Audit log (and so webhooks) and email for a download that is over
+async function announceDownload(download, status, error) {
+  const name = status.name !== 'Unknown' ? status.name : download.name;
+  await recordAudit({
+    session: { user: download.user },
+    action: AUDIT_ACTIONS.TORRENT_COMPLETE,
+    success: !error,
+    details: { gid: download.gid, name, size: status.totalSize, ...(error && { error }) },
+  });
+  await notifyDownloadFinished(download.userId, { name, totalSize: status.totalSize, error });
+}
+
+// Hold a download's size against the quota once aria2 knows it; one that does not fit is stopped
+async function reserveSpace(download, status, aria2) {
+  const quotaCheck = await checkQuota(download.userId, status.totalBytes);
+  if (!quotaCheck.allowed) {
+    await aria2.removeDownload(download.gid);
+    const { count } = await prisma.remoteDownload.deleteMany({ where: { gid: download.gid } });
+    if (count === 1) await announceDownload(download, status, quotaCheck.error);
+    return;
+  }
+
+  // The event and the scheduler job can both get here; only the one that records the size resumes the download
+  const { count } = await prisma.remoteDownload.updateMany({ where: { gid: download.gid, size: null }, data: { size: BigInt(status.totalBytes) } });
+  // Torrents wait paused until their size has been checked
+  if (count === 1 && status.status === 'paused') await aria2.resumeDownload(download.gid);
+}
+
+// Announce a tracked download if aria2 is done with it
+async function checkDownload(download, aria2) {
+  // Throws when aria2 cannot be asked; the download stays tracked for the next check
+  const status = await aria2.getDownloadStatus(download.gid);
+
+  // A magnet link completes once it has the metadata; the real download carries on under a new GID
+  if (status?.status === 'complete' && status.followedBy) {
+    await prisma.remoteDownload.update({ where: { gid: download.gid }, data: { gid: status.followedBy } });
+    await checkDownload({ ...download, gid: status.followedBy }, aria2);
+    return;
+  }
+  if (status && !['complete', 'error', 'removed'].includes(status.status)) {
+    if (download.size === null && status.totalBytes > 0) await reserveSpace(download, status, aria2);
+    return;
+  }
+
+  // The event and the scheduler job can both get here; only the one that removes the record announces it
+  const { count } = await prisma.remoteDownload.deleteMany({ where: { gid: download.gid } });
+  // Unknown to aria2 (it restarted without it) or removed by the user: nothing to announce
+  if (count === 0 || !status || status.status === 'removed') return;
+
+  // The reservation ends with the record; completed files count as stored from now on
+  if (status.status === 'complete') await adjustUsage(download.userId, status.totalBytes);
+  await announceDownload(download, status, status.status === 'error' ? status.error || 'unknown error' : null);
+}
+
+// Importing the manager starts aria2, so this only runs once there are downloads to follow
+async function listenForStoppedDownloads() {
+  if (global.truecloudRemoteDownloadListener) return;
+  global.truecloudRemoteDownloadListener = true;
+
+  const aria2 = await import('./aria2Manager');
+  aria2.onDownloadStopped(async (gid) => {
+    try {
+      const download = await prisma.remoteDownload.findUnique({ where: { gid }, include });
+      if (download) await checkDownload(download, aria2);
+    } catch (error) {
+      logger.warn('Remote downloads - Failed to check stopped download', { gid, error: error.message });
+    }
+  });
+}
+
+/**
+ * Announce remote downloads that finished or failed without being reported, and check the size of new ones against the quota (scheduler job)
+ */
+export async function checkFinishedDownloads() {
+  const downloads = await prisma.remoteDownload.findMany({ include });
+  if (downloads.length === 0) return;
+
+  await listenForStoppedDownloads();
+  const aria2 = await import('./aria2Manager');
+
+  for (const download of downloads) {
+    await checkDownload(download, aria2);
+  }
+}
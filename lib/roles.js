@@ -0,0 +1,62 @@
+/** @format */
+
+// Things an account may do. Routes and UI check these, never role names, so a new role only needs an entry in ROLES
+export const CAPABILITIES = {
+  READ: 'read', // Browse, preview and download whatever the account can see
+  UPLOAD: 'upload', // Upload files and create folders
+  MODIFY: 'modify', // Rename, move, copy and restore versions
+  DELETE: 'delete', // Move items to the trash and purge it
+  SHARE: 'share', // Public links and sharing with users or groups
+  REMOTE_DOWNLOAD: 'remoteDownload', // Torrent downloads into the library
+  VIEW_LOGS: 'viewLogs', // Server logs and audit trails
+  MANAGE: 'manage', // Accounts, groups, settings and system maintenance; implies seeing every folder
+};
+
+export const ROLES = {
+  admin: {
+    label: 'Admin',
+    description: 'Full access, including accounts and settings',
+    capabilities: Object.values(CAPABILITIES),
+  },
+  user: {
+    label: 'User',
+    description: 'Manages their own files',
+    capabilities: [CAPABILITIES.READ, CAPABILITIES.UPLOAD, CAPABILITIES.MODIFY, CAPABILITIES.DELETE, CAPABILITIES.SHARE, CAPABILITIES.REMOTE_DOWNLOAD],
+  },
+  uploader: {
+    label: 'Uploader',
+    description: 'Can add files and folders but not change or remove them',
+    capabilities: [CAPABILITIES.READ, CAPABILITIES.UPLOAD],
+  },
+  viewer: {
+    label: 'Viewer',
+    description: 'Read-only access to everything they can see',
+    capabilities: [CAPABILITIES.READ],
+  },
+  auditor: {
+    label: 'Auditor',
+    description: 'Read-only access plus server logs and audit trails',
+    capabilities: [CAPABILITIES.READ, CAPABILITIES.VIEW_LOGS],
+  },
+};
+
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Check if a role name is one of ROLES
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Check if a role grants a capability (unknown roles grant nothing)
+ * @param {string} role - Role name, e.g. session.user.role
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean}
+ */
+export function hasCapability(role, capability) {
+  return isValidRole(role) && ROLES[role].capabilities.includes(capability);
+}
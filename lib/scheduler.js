@@ -0,0 +1,56 @@
+/** @format */
+
+import { logger } from './logger';
+import { purgeExpiredTrash } from './trash';
+import { purgeStaleUploads } from './chunkedUpload';
+import { syncSearchIndex } from './searchIndex';
+import { recalculateAllUsage } from './quota';
+import { purgeExpiredVersions } from './versions';
+import { notifyAvailableUpdate, notifyExpiringShares } from './notifications';
+import { checkFinishedDownloads } from './remoteDownloads';
+import { purgeOldWebhookDeliveries, retryWebhookDeliveries } from './webhooks';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Background jobs run by the server process
+ * Each job runs once shortly after startup and then on its interval
+ */
+const jobs = [
+  { name: 'purge-expired-trash', interval: HOUR, run: purgeExpiredTrash },
+  { name: 'purge-stale-uploads', interval: HOUR, run: purgeStaleUploads },
+  { name: 'purge-expired-versions', interval: HOUR, run: purgeExpiredVersions },
+  { name: 'sync-search-index', interval: 6 * HOUR, run: syncSearchIndex },
+  { name: 'recalculate-storage-usage', interval: 24 * HOUR, run: recalculateAllUsage },
+  // aria2 reports stopped downloads as they happen; this catches missed ones and direct downloads whose size only shows once they start
+  { name: 'check-finished-downloads', interval: MINUTE, run: checkFinishedDownloads },
+  { name: 'notify-expiring-shares', interval: HOUR, run: notifyExpiringShares },
+  { name: 'notify-available-update', interval: 24 * HOUR, run: notifyAvailableUpdate },
+  { name: 'retry-webhook-deliveries', interval: MINUTE, run: retryWebhookDeliveries },
+  { name: 'purge-old-webhook-deliveries', interval: 24 * HOUR, run: purgeOldWebhookDeliveries },
+];
+
+async function runJob(job) {
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(`Scheduler - Job ${job.name} failed`, { error: error.message });
+  }
+}
+
+/**
+ * Start all background jobs (safe to call more than once)
+ */
+export function startScheduler() {
+  // Survive dev-server hot reloads without registering duplicate timers
+  if (global.truecloudSchedulerStarted) return;
+  global.truecloudSchedulerStarted = true;
+
+  for (const job of jobs) {
+    setTimeout(() => runJob(job), 30 * 1000).unref?.();
+    setInterval(() => runJob(job), job.interval).unref?.();
+  }
+
+  logger.info('Scheduler - Started', { jobs: jobs.map((job) => job.name) });
+}
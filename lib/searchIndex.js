@@ -0,0 +1,348 @@
+/** @format */
+
+import { readdir, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { notifyPathChange } from './liveEvents';
+import { isImage, isVideo, isAudio, isPdf, isXlsx, is3dFile } from './clientFileUtils';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const HEIC_DIR = './heic'; // HEIC/HEIF uploads are stored here, under the same folder structure
+// Both make up the tree users see; entries are indexed under their path relative to either one
+const STORAGE_DIRS = [UPLOAD_DIR, HEIC_DIR];
+const RESOLVED_STORAGE_DIRS = STORAGE_DIRS.map((dir) => resolve(process.cwd(), dir) + sep);
+
+// Rows per createMany / deleteMany call, to stay under SQLite's bound variable limit
+const WRITE_BATCH_SIZE = 500;
+// Rows fetched at a time when a wildcard pattern needs filtering after the query
+const SCAN_BATCH_SIZE = 1000;
+
+export const FILE_CATEGORIES = ['folder', 'image', 'video', 'audio', 'pdf', 'spreadsheet', '3d', 'other'];
+
+let syncInProgress = false;
+
+/**
+ * Category of a file, using the same extension lists as the file browser
+ * @param {string} name - File name
+ * @param {boolean} isDirectory - Whether the entry is a folder
+ * @returns {string} One of FILE_CATEGORIES
+ */
+export function getFileCategory(name, isDirectory) {
+  if (isDirectory) return 'folder';
+  if (isImage(name)) return 'image';
+  if (isVideo(name)) return 'video';
+  if (isAudio(name)) return 'audio';
+  if (isPdf(name)) return 'pdf';
+  if (isXlsx(name)) return 'spreadsheet';
+  if (is3dFile(name)) return '3d';
+  return 'other';
+}
+
+function toIndexData(path, name, stats) {
+  const isDirectory = stats.isDirectory();
+  return {
+    path,
+    name,
+    isDirectory,
+    size: BigInt(isDirectory ? 0 : stats.size),
+    category: getFileCategory(name, isDirectory),
+    modifiedAt: stats.mtime,
+  };
+}
+
+// Path relative to uploads or the HEIC store with forward slashes, or null for anything outside them (trash)
+function toRelativePath(fullPath) {
+  const resolved = resolve(fullPath);
+  const root = RESOLVED_STORAGE_DIRS.find((dir) => (resolved + sep).startsWith(dir) && resolved + sep !== dir);
+  return root ? relative(root, resolved).split(sep).join('/') : null;
+}
+
+// Stats of a path in the first storage folder that has it
+async function statStored(relativePath) {
+  for (const dir of STORAGE_DIRS) {
+    try {
+      return await stat(join(dir, relativePath));
+    } catch {
+      // Not in this one
+    }
+  }
+  return null;
+}
+
+function splitPath(relativePath) {
+  const index = relativePath.lastIndexOf('/');
+  return index === -1 ? { path: '', name: relativePath } : { path: relativePath.slice(0, index), name: relativePath.slice(index + 1) };
+}
+
+const childPath = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+// Entries of one folder with their stats, from uploads and the HEIC store together; anything removed while reading is skipped
+// Throws when the folder is in neither
+async function readFolder(folder) {
+  const entries = new Map();
+  let found = false;
+  for (const storageDir of STORAGE_DIRS) {
+    const dir = join(storageDir, folder);
+    const names = await readdir(dir).catch(() => null);
+    if (!names) continue;
+    found = true;
+    for (const name of names) {
+      if (entries.has(name)) continue;
+      try {
+        entries.set(name, toIndexData(folder, name, await stat(join(dir, name))));
+      } catch {
+        // Vanished between readdir and stat
+      }
+    }
+  }
+  if (!found) throw new Error(`Folder not found: ${folder}`);
+  return [...entries.values()];
+}
+
+async function insertEntries(entries) {
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    await prisma.searchIndexEntry.createMany({ data: entries.slice(i, i + WRITE_BATCH_SIZE) });
+  }
+}
+
+// Index everything below a folder (the folder's own entry is written by the caller)
+async function indexTree(folder) {
+  const pending = [folder];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    const entries = await readFolder(current);
+    await insertEntries(entries);
+    entries.filter((entry) => entry.isDirectory).forEach((entry) => pending.push(childPath(current, entry.name)));
+  }
+}
+
+/**
+ * Bring the index up to date for one file or folder after it was created, changed, moved or deleted
+ * Folders are re-indexed together with their contents. Failures are logged rather than thrown:
+ * the file operation already happened, and the periodic sync repairs the index.
+ * A path is indexed from uploads and the HEIC store alike, so HEIC files left in a folder's old place still show up there.
+ * Clients viewing the item's folder are told to refresh.
+ * @param {string} fullPath - Path on disk (as built with join(UPLOAD_DIR, ...) or join(HEIC_DIR, ...)); other paths are ignored
+ * @returns {Promise<void>}
+ */
+export async function reindexPath(fullPath) {
+  const relativePath = toRelativePath(fullPath);
+  if (!relativePath) return;
+
+  notifyPathChange(join(UPLOAD_DIR, relativePath));
+
+  const { path, name } = splitPath(relativePath);
+
+  try {
+    await prisma.searchIndexEntry.deleteMany({
+      where: { OR: [{ path, name }, { path: relativePath }, { path: { startsWith: `${relativePath}/` } }] },
+    });
+
+    const stats = await statStored(relativePath);
+    // Deleted or moved away - removing it was all there was to do
+    if (!stats) return;
+
+    await prisma.searchIndexEntry.create({ data: toIndexData(path, name, stats) });
+    if (stats.isDirectory()) {
+      await indexTree(relativePath);
+    }
+  } catch (error) {
+    logger.warn('Search index - Failed to update path', { path: relativePath, error: error.message });
+  }
+}
+
+/**
+ * Reconcile the whole index with the filesystem
+ * Only differences are written, so a run over an unchanged library is mostly reads.
+ * Catches changes made outside the app (torrent downloads, files copied onto the disk) and repairs missed updates.
+ * @returns {Promise<object>} { added, updated, removed }
+ */
+export async function syncSearchIndex() {
+  if (syncInProgress) return { added: 0, updated: 0, removed: 0 };
+  syncInProgress = true;
+
+  const startTime = Date.now();
+  const visited = new Set();
+  const counts = { added: 0, updated: 0, removed: 0 };
+
+  try {
+    const pending = [''];
+    while (pending.length > 0) {
+      const folder = pending.pop();
+
+      let entries;
+      try {
+        entries = await readFolder(folder);
+      } catch {
+        // Folder vanished (or uploads does not exist yet) - its entries are removed as stale below
+        continue;
+      }
+      visited.add(folder);
+
+      const indexed = new Map((await prisma.searchIndexEntry.findMany({ where: { path: folder } })).map((entry) => [entry.name, entry]));
+      const toCreate = [];
+
+      for (const entry of entries) {
+        const current = indexed.get(entry.name);
+        indexed.delete(entry.name);
+
+        if (!current) {
+          toCreate.push(entry);
+        } else if (current.size !== entry.size || current.isDirectory !== entry.isDirectory || current.modifiedAt.getTime() !== entry.modifiedAt.getTime()) {
+          await prisma.searchIndexEntry.update({ where: { id: current.id }, data: { ...entry, indexedAt: new Date() } });
+          counts.updated++;
+        }
+
+        if (entry.isDirectory) pending.push(childPath(folder, entry.name));
+      }
+
+      // Whatever is left in the index for this folder is gone from disk
+      const removedIds = [...indexed.values()].map((entry) => entry.id);
+      for (let i = 0; i < removedIds.length; i += WRITE_BATCH_SIZE) {
+        await prisma.searchIndexEntry.deleteMany({ where: { id: { in: removedIds.slice(i, i + WRITE_BATCH_SIZE) } } });
+      }
+      counts.removed += removedIds.length;
+
+      await insertEntries(toCreate);
+      counts.added += toCreate.length;
+    }
+
+    // Entries inside folders that no longer exist at all
+    const indexedFolders = await prisma.searchIndexEntry.findMany({ distinct: ['path'], select: { path: true } });
+    const staleFolders = indexedFolders.map((entry) => entry.path).filter((folder) => !visited.has(folder));
+    for (let i = 0; i < staleFolders.length; i += WRITE_BATCH_SIZE) {
+      const { count } = await prisma.searchIndexEntry.deleteMany({ where: { path: { in: staleFolders.slice(i, i + WRITE_BATCH_SIZE) } } });
+      counts.removed += count;
+    }
+
+    logger.info('Search index - Sync complete', { ...counts, folders: visited.size, duration: `${Date.now() - startTime}ms` });
+    return counts;
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Prisma filter for the part of the library a user may search
+ * Mirrors checkPathAccess: non-root users only see their personal folder and what was shared with them,
+ * and only admins see other users' folders in full
+ * @param {object} options - Options object
+ * @param {string} options.userId - User ID
+ * @param {boolean} options.isRootUser - Whether user has root access
+ * @param {boolean} options.isAdmin - Whether user is an admin
+ * @param {string[]} options.sharedPaths - Paths shared with the user (from getSharedPaths)
+ * @param {string|null} options.tokenFolder - Folder the caller's API token is limited to
+ * @returns {object} Prisma where clause
+ */
+export function getSearchScope({ userId, isRootUser, isAdmin, sharedPaths = [], tokenFolder = null }) {
+  if (tokenFolder) {
+    return { AND: [getSearchScope({ userId, isRootUser, isAdmin, sharedPaths }), { OR: [{ path: tokenFolder }, { path: { startsWith: `${tokenFolder}/` } }] }] };
+  }
+
+  const personalFolder = `user_${userId}`;
+  const accessibleScope = [{ path: personalFolder }, { path: { startsWith: `${personalFolder}/` } }];
+  for (const sharedPath of sharedPaths) {
+    const { path, name } = splitPath(sharedPath);
+    accessibleScope.push({ path, name }, { path: sharedPath }, { path: { startsWith: `${sharedPath}/` } });
+  }
+
+  if (!isRootUser) return { OR: accessibleScope };
+  if (isAdmin) return {};
+
+  // Root access without admin: everything except other users' personal folders
+  return {
+    OR: [
+      ...accessibleScope,
+      { path: '', name: personalFolder },
+      { AND: [{ NOT: { path: { startsWith: 'user_' } } }, { NOT: { path: '', name: { startsWith: 'user_' } } }] },
+    ],
+  };
+}
+
+/**
+ * Turn a name query into Prisma filters; * and ? act as wildcards
+ * Wildcard patterns are narrowed down in the database and matched exactly afterwards
+ * @returns {object} { filters: Array<object>, matcher: RegExp|null }
+ */
+function buildNameFilter(query) {
+  if (!/[*?]/.test(query)) {
+    return { filters: [{ name: { contains: query } }], matcher: null };
+  }
+
+  const segments = query.split(/[*?]+/);
+  const filters = segments.map((segment, index) => {
+    if (!segment) return null;
+    if (index === 0) return { name: { startsWith: segment } };
+    if (index === segments.length - 1) return { name: { endsWith: segment } };
+    return { name: { contains: segment } };
+  });
+
+  const pattern = query
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return { filters: filters.filter(Boolean), matcher: new RegExp(`^${pattern}$`, 'i') };
+}
+
+/**
+ * Search the index
+ * @param {object} options - Options object
+ * @param {object} options.scope - Where clause from getSearchScope
+ * @param {string} options.query - Name to look for (substring, or a * / ? pattern)
+ * @param {string} options.category - One of FILE_CATEGORIES
+ * @param {number} options.minSize - Minimum size in bytes
+ * @param {number} options.maxSize - Maximum size in bytes
+ * @param {Date} options.modifiedAfter - Only entries modified at or after this date
+ * @param {Date} options.modifiedBefore - Only entries modified before this date
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of matches to skip
+ * @returns {Promise<object>} { entries: SearchIndexEntry[], hasMore: boolean }
+ */
+export async function searchFiles({ scope, query = '', category, minSize, maxSize, modifiedAfter, modifiedBefore, limit = 100, offset = 0 }) {
+  const { filters, matcher } = query ? buildNameFilter(query) : { filters: [], matcher: null };
+
+  const where = {
+    AND: [
+      scope,
+      // Hidden files are not shown in the file browser either
+      { NOT: { name: { startsWith: '.' } } },
+      ...filters,
+      ...(category ? [{ category }] : []),
+      ...(minSize != null ? [{ size: { gte: BigInt(minSize) } }] : []),
+      ...(maxSize != null ? [{ size: { lte: BigInt(maxSize) } }] : []),
+      ...(modifiedAfter ? [{ modifiedAt: { gte: modifiedAfter } }] : []),
+      ...(modifiedBefore ? [{ modifiedAt: { lt: modifiedBefore } }] : []),
+    ],
+  };
+  const orderBy = [{ isDirectory: 'desc' }, { name: 'asc' }, { path: 'asc' }];
+
+  if (!matcher) {
+    const entries = await prisma.searchIndexEntry.findMany({ where, orderBy, skip: offset, take: limit + 1 });
+    return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+  }
+
+  // Wildcards: scan candidates in order until the page is full
+  const entries = [];
+  let skipped = 0;
+  let dbOffset = 0;
+  while (entries.length <= limit) {
+    const batch = await prisma.searchIndexEntry.findMany({ where, orderBy, skip: dbOffset, take: SCAN_BATCH_SIZE });
+    dbOffset += batch.length;
+
+    for (const entry of batch) {
+      if (!matcher.test(entry.name)) continue;
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      entries.push(entry);
+      if (entries.length > limit) break;
+    }
+
+    if (batch.length < SCAN_BATCH_SIZE) break;
+  }
+
+  return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+}
@@ -0,0 +1,152 @@
+/** @format */
+
+import { randomBytes } from 'node:crypto';
+import { prisma } from './prisma';
+
+// NextAuth's default; a session in use keeps being extended, an idle one ends this long after its last request
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60; // seconds
+
+// lastActive is only rewritten when it is older than this, so browsing does not write on every request
+const ACTIVITY_RESOLUTION = 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// First match wins, so Edge and Opera come before the Chrome they also claim to be, and iOS before macOS
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+const SYSTEMS = [
+  ['Windows', 'Windows'],
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Mac OS X', 'macOS'],
+  ['CrOS', 'ChromeOS'],
+  ['Linux', 'Linux'],
+];
+
+function expiresFromNow() {
+  return new Date(Date.now() + SESSION_MAX_AGE * 1000);
+}
+
+/**
+ * Short description of the device behind a user agent, e.g. "Firefox on Linux"
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string}
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+/**
+ * Session fields safe to send to clients (never the session token)
+ * @param {object} session - Session record, optionally with its user
+ * @param {string|null} currentId - Session of the request, flagged as current
+ * @returns {object}
+ */
+export function serializeSession(session, currentId = null) {
+  return {
+    id: session.id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastActive: session.lastActive,
+    current: session.id === currentId,
+    ...(session.user && { user: { id: session.user.id, username: session.user.username, email: session.user.email } }),
+  };
+}
+
+/**
+ * Start a session at sign-in
+ * @param {object} options - Options object
+ * @param {string} options.userId - Account that signed in
+ * @param {string|null} options.ip - Client address
+ * @param {string|null} options.userAgent - User-Agent header
+ * @returns {Promise<object>} Session record; its sessionToken goes into the sign-in cookie
+ */
+export async function createSession({ userId, ip, userAgent }) {
+  return prisma.session.create({
+    data: {
+      userId,
+      sessionToken: randomBytes(32).toString('base64url'),
+      expires: expiresFromNow(),
+      ip,
+      userAgent: userAgent?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+    },
+  });
+}
+
+/**
+ * Look up the session of a request and record the activity
+ * @param {string} sessionToken - Token from the sign-in cookie
+ * @param {string|null} ip - Client address
+ * @returns {Promise<object|null>} Session record with its user, or null when it was revoked or has expired
+ */
+export async function findSession(sessionToken, ip) {
+  const session = await prisma.session.findUnique({ where: { sessionToken }, include: { user: true } });
+  if (!session) return null;
+
+  if (session.expires < new Date()) {
+    await prisma.session.deleteMany({ where: { id: session.id } });
+    return null;
+  }
+
+  if (Date.now() - session.lastActive.getTime() > ACTIVITY_RESOLUTION || (ip && session.ip !== ip)) {
+    await prisma.session.update({ where: { id: session.id }, data: { lastActive: new Date(), expires: expiresFromNow(), ip: ip || session.ip } });
+  }
+  return session;
+}
+
+/**
+ * Check that the sign-in behind a request is still valid, for responses that stay open long after the request was checked
+ * @param {object} session - Result of auth()
+ * @returns {Promise<boolean>} false once the browser session has ended or the API token was deleted
+ */
+export async function isSessionActive(session) {
+  if (session.apiToken) {
+    return (await prisma.apiToken.count({ where: { id: session.apiToken.id } })) > 0;
+  }
+  if (!session.sessionId) return false;
+  return (await prisma.session.count({ where: { id: session.sessionId, expires: { gt: new Date() } } })) > 0;
+}
+
+/**
+ * Active sessions of one user, or of everyone (with their owner) when userId is omitted
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<object>>} Session records, most recently active first
+ */
+export async function listSessions(userId) {
+  await prisma.session.deleteMany({ where: { expires: { lt: new Date() } } });
+  return prisma.session.findMany({
+    where: userId ? { userId } : {},
+    include: userId ? undefined : { user: { select: { id: true, username: true, email: true } } },
+    orderBy: { lastActive: 'desc' },
+  });
+}
+
+/**
+ * End a session by the token in its cookie (sign-out)
+ * @param {string} sessionToken - Token from the sign-in cookie
+ */
+export async function endSession(sessionToken) {
+  await prisma.session.deleteMany({ where: { sessionToken } });
+}
+
+/**
+ * Sign a user out everywhere, or everywhere but one browser
+ * @param {string} userId - Account
+ * @param {string|null} exceptId - Session to keep (the one making the request)
+ * @returns {Promise<number>} Sessions ended
+ */
+export async function revokeUserSessions(userId, exceptId = null) {
+  const { count } = await prisma.session.deleteMany({ where: { userId, ...(exceptId && { id: { not: exceptId } }) } });
+  return count;
+}
@@ -0,0 +1,106 @@
+/** @format */
+
+import { prisma } from './prisma';
+import { DEFAULT_MIN_PASSWORD_LENGTH } from './passwordPolicy.mjs';
+
+/**
+ * Admin-configurable settings
+ * Values are stored as strings in the SystemSetting table and parsed according to their type
+ */
+export const SETTING_DEFINITIONS = {
+  trashRetentionDays: { type: 'number', default: 30, min: 0, max: 3650 }, // 0 = keep forever
+  versionRetentionCount: { type: 'number', default: 10, min: 0, max: 1000 }, // Versions kept per file, 0 = don't keep versions
+  versionRetentionDays: { type: 'number', default: 90, min: 0, max: 3650 }, // 0 = keep forever
+  twoFactorRequirement: { type: 'string', default: 'off', options: ['off', 'admins', 'everyone'] }, // Who must use two-factor authentication to sign in
+  lockoutThreshold: { type: 'number', default: 10, min: 0, max: 1000 }, // Failed sign-ins in a row that lock an account, 0 = never lock
+  lockoutMinutes: { type: 'number', default: 15, min: 1, max: 10080 },
+  localPasswords: { type: 'boolean', default: true }, // Whether accounts created in TrueCloud may sign in with a password; off leaves single sign-on only
+  passwordMinLength: { type: 'number', default: DEFAULT_MIN_PASSWORD_LENGTH, min: 6, max: 72 }, // Applies to new passwords only
+};
+
+function parseValue(definition, raw) {
+  switch (definition.type) {
+    case 'number': {
+      const value = Number(raw);
+      return Number.isInteger(value) ? value : definition.default;
+    }
+    case 'boolean':
+      return raw === true || raw === 'true';
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Validate a value for a setting
+ * @param {string} key - Setting key
+ * @param {*} value - Proposed value
+ * @returns {object} { valid: boolean, value: parsed value, error: string|null }
+ */
+export function validateSetting(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    return { valid: false, value: null, error: `Unknown setting: ${key}` };
+  }
+
+  if (definition.type === 'number') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < definition.min || number > definition.max) {
+      return { valid: false, value: null, error: `${key} must be a whole number between ${definition.min} and ${definition.max}` };
+    }
+    return { valid: true, value: number, error: null };
+  }
+
+  if (definition.type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      return { valid: false, value: null, error: `${key} must be true or false` };
+    }
+    return { valid: true, value, error: null };
+  }
+
+  if (definition.options && !definition.options.includes(value)) {
+    return { valid: false, value: null, error: `${key} must be one of: ${definition.options.join(', ')}` };
+  }
+
+  return { valid: true, value: String(value ?? ''), error: null };
+}
+
+/**
+ * Read a single setting, falling back to its default
+ * @param {string} key - Setting key
+ * @returns {Promise<*>} Parsed value
+ */
+export async function getSetting(key) {
+  const definition = SETTING_DEFINITIONS[key];
+  const setting = await prisma.systemSetting.findUnique({ where: { key } });
+  if (!setting) return definition?.default ?? null;
+  return definition ? parseValue(definition, setting.value) : setting.value;
+}
+
+/**
+ * Read all known settings merged over their defaults
+ * @returns {Promise<object>} { key: value }
+ */
+export async function getSettings() {
+  const stored = await prisma.systemSetting.findMany();
+  const settings = Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default]));
+  for (const { key, value } of stored) {
+    if (SETTING_DEFINITIONS[key]) {
+      settings[key] = parseValue(SETTING_DEFINITIONS[key], value);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Create or update a setting (callers should validate first)
+ * @param {string} key - Setting key
+ * @param {*} value - New value (stored as a string)
+ */
+export async function setSetting(key, value) {
+  await prisma.systemSetting.upsert({
+    where: { key },
+    update: { value: String(value) },
+    create: { key, value: String(value) },
+  });
+}
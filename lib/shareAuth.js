@@ -2,14 +2,18 @@
 
 import { prisma } from './prisma';
 import bcrypt from 'bcryptjs';
+import { getClientIp } from './audit';
+import { getShareRetryAfter, recordShareFailure } from './loginThrottle';
 
 /**
  * Verify a share token and optional password
+ * Wrong passwords make further attempts from the same address wait longer and longer (on that share, and on any share)
  * @param {string} token - Share token
  * @param {string|null} password - Optional password
- * @returns {Promise<object>} { valid: boolean, share: Share|null, error: string|null, requiresPassword: boolean }
+ * @param {Request|null} req - Incoming request, for the visitor's address
+ * @returns {Promise<object>} { valid: boolean, share: Share|null, error: string|null, requiresPassword: boolean, retryAfter: number (seconds, when throttled) }
  */
-export async function verifyShare(token, password = null) {
+export async function verifyShare(token, password = null, req = null) {
   const share = await prisma.share.findUnique({
     where: { token },
     include: { owner: { select: { id: true, username: true } } },
@@ -29,8 +33,14 @@ export async function verifyShare(token, password = null) {
     if (!password) {
       return { valid: false, share, error: 'Password required', requiresPassword: true };
     }
+    const ip = req ? getClientIp(req.headers) : null;
+    const retryAfter = getShareRetryAfter(token, ip);
+    if (retryAfter > 0) {
+      return { valid: false, share: null, error: 'Too many attempts, try again later', requiresPassword: false, retryAfter };
+    }
     const isValid = await bcrypt.compare(password, share.passwordHash);
     if (!isValid) {
+      recordShareFailure(token, ip);
       return { valid: false, share: null, error: 'Invalid password', requiresPassword: false };
     }
   }
@@ -38,6 +48,39 @@ export async function verifyShare(token, password = null) {
   return { valid: true, share, error: null, requiresPassword: false };
 }
 
+/**
+ * Verify a share accepts public uploads
+ * @param {string} token - Share token
+ * @param {string|null} password - Optional password
+ * @param {Request|null} req - Incoming request, for the visitor's address
+ * @returns {Promise<object>} { allowed: boolean, share: Share|null, error: string|null, status: number }
+ */
+export async function verifyUploadShare(token, password = null, req = null) {
+  const verification = await verifyShare(token, password, req);
+
+  if (!verification.valid) {
+    if (verification.requiresPassword) {
+      return { allowed: false, share: null, error: 'Password required', status: 401 };
+    }
+    if (verification.retryAfter) {
+      return { allowed: false, share: null, error: verification.error, status: 429 };
+    }
+    return { allowed: false, share: null, error: verification.error, status: 404 };
+  }
+
+  const share = verification.share;
+
+  if (!share.allowUploads) {
+    return { allowed: false, share: null, error: 'Uploads not allowed for this share', status: 403 };
+  }
+
+  if (!share.isDirectory) {
+    return { allowed: false, share: null, error: 'Uploads only allowed for directory shares', status: 400 };
+  }
+
+  return { allowed: true, share, error: null, status: 200 };
+}
+
 /**
  * Check if a requested path is within the shared path (for directory shares)
  * @param {object} share - The share object
@@ -0,0 +1,53 @@
+/** @format */
+
+import bcrypt from 'bcryptjs';
+import { prisma } from './prisma';
+
+/**
+ * Public URL of a share
+ * @param {string} token - Share token
+ * @returns {string}
+ */
+export function getShareUrl(token) {
+  const baseUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_APP_URL || '';
+  return `${baseUrl}/s/${token}`;
+}
+
+/**
+ * Create a share link for a file or folder, or return the owner's existing one for the same item
+ * @param {object} options - Options object
+ * @param {string} options.ownerId - Sharing user
+ * @param {string} options.path - Normalized parent folder path
+ * @param {string} options.fileName - File or folder name
+ * @param {boolean} options.isDirectory - Whether the item is a folder
+ * @param {string|null} options.password - Optional plain-text password
+ * @param {Date|string|null} options.expiresAt - Optional expiry
+ * @param {boolean} options.allowUploads - Allow public uploads (folders only)
+ * @returns {Promise<object>} { share: Share, shareUrl: string, existing: boolean }
+ */
+export async function findOrCreateShare({ ownerId, path, fileName, isDirectory, password = null, expiresAt = null, allowUploads = false }) {
+  const existingShare = await prisma.share.findFirst({
+    where: { path, fileName, ownerId },
+  });
+
+  if (existingShare) {
+    return { share: existingShare, shareUrl: getShareUrl(existingShare.token), existing: true };
+  }
+
+  // Hash password if provided
+  const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+
+  const share = await prisma.share.create({
+    data: {
+      path,
+      fileName,
+      isDirectory: isDirectory || false,
+      ownerId,
+      passwordHash,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      allowUploads: isDirectory ? allowUploads || false : false,
+    },
+  });
+
+  return { share, shareUrl: getShareUrl(share.token), existing: false };
+}
@@ -0,0 +1,177 @@
+/** @format */
+
+import { randomBytes } from 'node:crypto';
+import { join } from 'node:path';
+import { mkdir } from 'fs/promises';
+import bcrypt from 'bcryptjs';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { getSetting } from './settings';
+import { CAPABILITIES, DEFAULT_ROLE, hasCapability, isValidRole } from './roles';
+import { LDAP_ENABLED } from './ldap';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+
+// OpenID Connect sign-in is offered only when an issuer and client are configured
+const OIDC_ISSUER = process.env.OIDC_ISSUER;
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+export const OIDC_ENABLED = Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+// "group=role" pairs separated by semicolons (group DNs contain commas); the first group a user is in decides
+const GROUP_ROLES = (process.env.SSO_GROUP_ROLES || '')
+  .split(';')
+  .map((pair) => pair.trim())
+  .filter(Boolean)
+  .flatMap((pair) => {
+    const separator = pair.lastIndexOf('=');
+    const group = pair.slice(0, separator).trim().toLowerCase();
+    const role = pair.slice(separator + 1).trim();
+    if (separator === -1 || !group || !isValidRole(role)) {
+      logger.warn('SSO - Ignoring invalid SSO_GROUP_ROLES entry', { entry: pair });
+      return [];
+    }
+    return [{ group, role }];
+  });
+
+// Role for users in none of the mapped groups; "none" turns them away
+const FALLBACK_ROLE = process.env.SSO_DEFAULT_ROLE === 'none' ? null : isValidRole(process.env.SSO_DEFAULT_ROLE) ? process.env.SSO_DEFAULT_ROLE : DEFAULT_ROLE;
+
+/**
+ * Single sign-on providers configured on this server, for the login page
+ * @returns {Array<object>} [{ id, name, type }]
+ */
+export function getSsoProviders() {
+  const providers = [];
+  if (OIDC_ENABLED) providers.push({ id: 'oidc', name: process.env.OIDC_NAME || 'Single sign-on', type: 'oidc' });
+  if (LDAP_ENABLED) providers.push({ id: 'ldap', name: process.env.LDAP_NAME || 'LDAP', type: 'ldap' });
+  return providers;
+}
+
+/**
+ * NextAuth provider for the configured OpenID Connect issuer (endpoints come from its discovery document)
+ * @returns {object}
+ */
+export function getOidcProvider() {
+  return {
+    id: 'oidc',
+    name: process.env.OIDC_NAME || 'Single sign-on',
+    type: 'oidc',
+    issuer: OIDC_ISSUER,
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    authorization: { params: { scope: process.env.OIDC_SCOPE || 'openid profile email' } },
+  };
+}
+
+/**
+ * Groups listed in an OpenID Connect profile (OIDC_GROUPS_CLAIM, "groups" by default)
+ * @param {object} profile - ID token claims merged with the userinfo response
+ * @returns {Array<string>}
+ */
+export function getOidcGroups(profile) {
+  const claim = profile?.[OIDC_GROUPS_CLAIM];
+  if (Array.isArray(claim)) return claim.map(String);
+  return typeof claim === 'string' ? claim.split(/[\s,]+/).filter(Boolean) : [];
+}
+
+/**
+ * Role for a single sign-on user from SSO_GROUP_ROLES, compared without case
+ * @param {Array<string>} groups - Group names (and DNs for LDAP)
+ * @returns {string|null} Role name, or null when the user may not sign in
+ */
+export function roleForGroups(groups) {
+  const memberOf = new Set(groups.map((group) => group.toLowerCase()));
+  return GROUP_ROLES.find(({ group }) => memberOf.has(group))?.role ?? FALLBACK_ROLE;
+}
+
+/**
+ * Whether an account may sign in with a TrueCloud password
+ * Single sign-on accounts never can; local ones unless the admin turned passwords off
+ * @param {object} user - User record
+ * @returns {Promise<boolean>}
+ */
+export async function isPasswordSignInAllowed(user) {
+  return user.authProvider === 'local' && (await getSetting('localPasswords'));
+}
+
+async function findFreeUsername(wanted) {
+  const base = wanted.trim().replace(/\s+/g, '.') || 'user';
+  for (let suffix = 1; ; suffix++) {
+    const username = suffix === 1 ? base : `${base}${suffix}`;
+    if (!(await prisma.user.findUnique({ where: { username } }))) return username;
+  }
+}
+
+/**
+ * Find or create the account of a user who signed in through a single sign-on provider
+ * Accounts other than admins get their personal folder right away, like accounts created by an admin.
+ * A local account with the same email is taken over only when the provider vouches for the address.
+ * With SSO_GROUP_ROLES set, the role follows the user's groups on every sign-in.
+ *
+ * @param {object} identity - { provider: 'oidc'|'ldap', externalId, email, emailVerified, username, name, groups }
+ * @returns {Promise<object>} { user, created } or { error }
+ */
+export async function provisionSsoUser({ provider, externalId, email, emailVerified, username, name, groups }) {
+  if (!externalId || !email) {
+    return { error: 'The provider sent no user ID or email address' };
+  }
+
+  const role = roleForGroups(groups);
+  if (!role) {
+    return { error: 'Not a member of any group allowed to sign in' };
+  }
+
+  let user = await prisma.user.findUnique({ where: { authProvider_externalId: { authProvider: provider, externalId } } });
+  let created = false;
+
+  if (!user) {
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) {
+      if (existing.authProvider !== 'local' || !emailVerified) {
+        return { error: 'The email address belongs to another account' };
+      }
+      // From now on the account signs in through the provider only
+      user = await prisma.user.update({ where: { id: existing.id }, data: { authProvider: provider, externalId } });
+      logger.info('SSO - Linked existing account', { user: email, provider });
+    } else {
+      user = await prisma.user.create({
+        data: {
+          email,
+          username: await findFreeUsername(username || email.split('@')[0]),
+          // Never used: single sign-on accounts cannot sign in with a password
+          password: await bcrypt.hash(randomBytes(32).toString('hex'), 10),
+          name: name || username || null,
+          role,
+          hasRootAccess: hasCapability(role, CAPABILITIES.MANAGE),
+          authProvider: provider,
+          externalId,
+        },
+      });
+      created = true;
+      logger.info('SSO - Created account', { user: email, provider, role });
+    }
+  }
+
+  // Keep the account in step with the provider
+  const updates = {};
+  if (email !== user.email && !(await prisma.user.findUnique({ where: { email } }))) updates.email = email;
+  if (name && name !== user.name) updates.name = name;
+  if (GROUP_ROLES.length > 0 && role !== user.role) {
+    updates.role = role;
+    // Root access comes with admin roles and goes with them
+    if (hasCapability(role, CAPABILITIES.MANAGE)) updates.hasRootAccess = true;
+    else if (hasCapability(user.role, CAPABILITIES.MANAGE)) updates.hasRootAccess = false;
+  }
+  if (Object.keys(updates).length > 0) {
+    user = await prisma.user.update({ where: { id: user.id }, data: updates });
+    if (updates.role) logger.info('SSO - Role changed by group membership', { user: user.email, role: updates.role });
+  }
+
+  // Also covers admins who lost their admin group
+  if (!hasCapability(user.role, CAPABILITIES.MANAGE)) {
+    await mkdir(join(UPLOAD_DIR, `user_${user.id}`), { recursive: true });
+  }
+
+  return { user, created };
+}
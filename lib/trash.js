@@ -0,0 +1,162 @@
+/** @format */
+
+import { mkdir, rm, stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { getSetting } from './settings';
+import { pathExists, getAvailableName, getEntrySize, moveAcrossDevices } from './fileOperations';
+import { reindexPath } from './searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from './quota';
+import { detachPathPermissions, restorePathPermissions } from './permissions';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+export const TRASH_DIR = process.env.TRASH_DIR || './trash';
+
+/**
+ * Filesystem location of a trashed item: each user has their own trash folder,
+ * and items are stored under their record id so identical names never collide
+ * @param {object} item - TrashItem record
+ * @returns {string}
+ */
+export function getTrashItemPath(item) {
+  return join(TRASH_DIR, `user_${item.ownerId}`, item.id);
+}
+
+/**
+ * Move a file or folder from uploads into the user's trash
+ * @param {object} options - Options object
+ * @param {string} options.ownerId - User performing the delete
+ * @param {string} options.relativePath - Normalized parent folder path relative to uploads
+ * @param {string} options.name - File or folder name
+ * @returns {Promise<object>} Created TrashItem record
+ */
+export async function moveToTrash({ ownerId, relativePath, name }) {
+  const sourcePath = join(UPLOAD_DIR, relativePath, name);
+  const stats = await stat(sourcePath);
+  const size = stats.isDirectory() ? await getEntrySize(sourcePath) : stats.size;
+
+  const item = await prisma.trashItem.create({
+    data: {
+      ownerId,
+      name,
+      originalPath: relativePath,
+      isDirectory: stats.isDirectory(),
+      size: BigInt(size),
+    },
+  });
+
+  try {
+    await mkdir(join(TRASH_DIR, `user_${ownerId}`), { recursive: true });
+    await moveAcrossDevices(sourcePath, getTrashItemPath(item));
+  } catch (error) {
+    // Keep the database consistent with the filesystem
+    await prisma.trashItem.delete({ where: { id: item.id } });
+    throw error;
+  }
+
+  // Shares stay with the item rather than its old path, so a new item created there does not inherit them
+  const permissions = await detachPathPermissions(sourcePath);
+  if (permissions) {
+    await prisma.trashItem.update({ where: { id: item.id }, data: { permissions } });
+  }
+
+  await adjustUsage(getStorageOwnerId(sourcePath), -size);
+  await reindexPath(sourcePath);
+  return item;
+}
+
+/**
+ * Move a trashed item back to where it was deleted from
+ * Missing parent folders are recreated, and a name that has been reused since is renamed "name (n)"
+ * @param {object} item - TrashItem record
+ * @returns {Promise<object>} { success: boolean, name: string, path: string, renamed: boolean, error: string|null, status: number }
+ */
+export async function restoreTrashItem(item) {
+  const storedPath = getTrashItemPath(item);
+  if (!(await pathExists(storedPath))) {
+    // The data is gone, so the record is useless
+    await prisma.trashItem.delete({ where: { id: item.id } });
+    return { success: false, error: 'Trashed item is missing from storage', status: 410 };
+  }
+
+  const targetDir = join(UPLOAD_DIR, item.originalPath);
+  if (!(resolve(targetDir) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+    return { success: false, error: 'Invalid path', status: 400 };
+  }
+
+  // Restored data counts towards the folder owner's quota again
+  const targetOwner = getStorageOwnerId(targetDir);
+  const quotaCheck = await checkQuota(targetOwner, Number(item.size));
+  if (!quotaCheck.allowed) {
+    return { success: false, error: quotaCheck.error, status: quotaCheck.status };
+  }
+
+  await mkdir(targetDir, { recursive: true });
+  const name = await getAvailableName(targetDir, item.name);
+
+  await moveAcrossDevices(storedPath, join(targetDir, name));
+  await prisma.trashItem.delete({ where: { id: item.id } });
+  await restorePathPermissions(join(targetDir, name), item.permissions);
+  await adjustUsage(targetOwner, Number(item.size));
+  await reindexPath(join(targetDir, name));
+
+  return {
+    success: true,
+    name,
+    path: item.originalPath,
+    renamed: name !== item.name,
+    error: null,
+    status: 200,
+  };
+}
+
+/**
+ * Permanently delete a trashed item and its record (with the grants kept on it)
+ * @param {object} item - TrashItem record
+ */
+export async function purgeTrashItem(item) {
+  await rm(getTrashItemPath(item), { recursive: true, force: true });
+  await prisma.trashItem.deleteMany({ where: { id: item.id } });
+}
+
+/**
+ * Permanently delete everything in a user's trash
+ * @param {string} ownerId - User ID
+ * @returns {Promise<number>} Number of purged items
+ */
+export async function emptyTrash(ownerId) {
+  const items = await prisma.trashItem.findMany({ where: { ownerId } });
+  await rm(join(TRASH_DIR, `user_${ownerId}`), { recursive: true, force: true });
+  await prisma.trashItem.deleteMany({ where: { ownerId } });
+  return items.length;
+}
+
+/**
+ * Purge items older than the configured retention period (0 keeps items forever)
+ * @returns {Promise<number>} Number of purged items
+ */
+export async function purgeExpiredTrash() {
+  const retentionDays = await getSetting('trashRetentionDays');
+  if (retentionDays <= 0) return 0;
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await prisma.trashItem.findMany({
+    where: { deletedAt: { lt: cutoff } },
+  });
+
+  for (const item of expired) {
+    try {
+      await purgeTrashItem(item);
+    } catch (error) {
+      logger.error('Trash - Failed to purge expired item', { id: item.id, name: item.name, error: error.message });
+    }
+  }
+
+  if (expired.length > 0) {
+    logger.info('Trash - Purged expired items', { count: expired.length, retentionDays });
+  }
+
+  return expired.length;
+}
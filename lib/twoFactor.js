@@ -0,0 +1,194 @@
+/** @format */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import QRCode from 'qrcode';
+import { prisma } from './prisma';
+import { getSetting } from './settings';
+import { CAPABILITIES, hasCapability } from './roles';
+
+// RFC 6238 defaults, which is what every authenticator app expects
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+// Steps accepted either side of the current one, for clocks that drift a little
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'TrueCloud';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function hashRecoveryCode(code) {
+  return createHash('sha256').update(code).digest('hex');
+}
+
+// Users type codes with spaces and dashes, and in any case
+function normalizeCode(code) {
+  return String(code ?? '')
+    .replace(/[\s-]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastStep - Step of the last accepted code; it and earlier ones are refused so a code cannot be replayed
+ * @returns {number|null} Step the code belongs to, or null if it is wrong
+ */
+export function verifyTotp(secret, code, lastStep = null) {
+  const normalized = normalizeCode(code);
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/**
+ * Whether the admin's two-factor setting applies to an account
+ * @param {object} user - User record
+ * @returns {Promise<boolean>}
+ */
+export async function isTwoFactorRequired(user) {
+  // Single sign-on accounts prove who they are to their provider, which has its own second factor
+  if (user.authProvider !== 'local') return false;
+
+  const requirement = await getSetting('twoFactorRequirement');
+  if (requirement === 'everyone') return true;
+  return requirement === 'admins' && hasCapability(user.role, CAPABILITIES.MANAGE);
+}
+
+/**
+ * Check the second factor at sign-in: an authenticator code or an unused recovery code, which is then used up
+ * @param {object} user - User record with two-factor authentication enabled
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null if the code is wrong
+ */
+export async function verifySecondFactor(user, code) {
+  const step = verifyTotp(user.totpSecret, code, user.totpLastStep);
+  if (step !== null) {
+    await prisma.user.update({ where: { id: user.id }, data: { totpLastStep: step } });
+    return 'totp';
+  }
+
+  const hashes = JSON.parse(user.recoveryCodes || '[]');
+  const hash = hashRecoveryCode(normalizeCode(code));
+  if (!hashes.includes(hash)) return null;
+
+  await prisma.user.update({ where: { id: user.id }, data: { recoveryCodes: JSON.stringify(hashes.filter((stored) => stored !== hash)) } });
+  return 'recovery';
+}
+
+/**
+ * Start enrolment with a fresh secret; it only takes effect once confirmed with confirmTwoFactor
+ * @param {object} user - User record
+ * @returns {Promise<object>} { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL of otpauthUrl)
+ */
+export async function startTwoFactorSetup(user) {
+  const secret = base32Encode(randomBytes(SECRET_BYTES));
+  await prisma.user.update({ where: { id: user.id }, data: { totpSecret: secret, totpEnabled: false, totpLastStep: null } });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Replace the recovery codes of an account
+ * @param {string} userId - Account
+ * @returns {Promise<Array<string>>} The new codes; only their hashes are stored, so they cannot be shown again
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  await prisma.user.update({
+    where: { id: userId },
+    data: { recoveryCodes: JSON.stringify(codes.map((code) => hashRecoveryCode(normalizeCode(code)))) },
+  });
+  return codes;
+}
+
+/**
+ * Finish enrolment with a code from the app scanned in startTwoFactorSetup
+ * @param {object} user - User record holding the pending secret
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong
+ */
+export async function confirmTwoFactor(user, code) {
+  if (user.totpEnabled || verifyTotp(user.totpSecret, code) === null) return null;
+
+  // The confirming code stays usable for the sign-in that follows a setup forced at login
+  await prisma.user.update({ where: { id: user.id }, data: { totpEnabled: true } });
+  return regenerateRecoveryCodes(user.id);
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {string} userId - Account
+ */
+export async function disableTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpSecret: null, totpEnabled: false, recoveryCodes: null, totpLastStep: null },
+  });
+}
+
+/**
+ * Two-factor state of an account, safe to send to clients
+ * @param {object} user - User record
+ * @returns {Promise<object>} { enabled, required, recoveryCodesLeft, singleSignOn }
+ */
+export async function getTwoFactorStatus(user) {
+  return {
+    enabled: user.totpEnabled,
+    singleSignOn: user.authProvider !== 'local',
+    required: await isTwoFactorRequired(user),
+    recoveryCodesLeft: user.totpEnabled ? JSON.parse(user.recoveryCodes || '[]').length : 0,
+  };
+}
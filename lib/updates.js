@@ -0,0 +1,90 @@
+/** @format */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { execSync } from 'child_process';
+import { logger } from './logger';
+
+const RELEASE_URL = 'https://github.com/youssefhadidi/Truecloud/commits/main';
+
+// Read version from package.json file directly (always current)
+async function readCurrentVersion() {
+  try {
+    const packageJsonContent = await readFile(resolve(process.cwd(), 'package.json'), 'utf-8');
+    return JSON.parse(packageJsonContent).version;
+  } catch (error) {
+    logger.warn('Failed to read package.json version', { error: error.message });
+    return '0.1.0';
+  }
+}
+
+/**
+ * Compare the running version with package.json on origin/main
+ * Needs the install to be a git clone that can reach its remote
+ * @returns {Promise<object>} { hasUpdate, currentVersion, latestVersion, releaseUrl }, or
+ *   { hasUpdate: false, message, currentVersion, error } when the check could not be made
+ */
+export async function checkForUpdates() {
+  const currentVersion = await readCurrentVersion();
+  logger.debug('Checking for updates', { currentVersion });
+
+  try {
+    // Fetch latest from remote using git
+    try {
+      execSync('git fetch origin main', {
+        cwd: process.cwd(),
+        stdio: 'pipe',
+        timeout: 10000,
+      });
+      logger.debug('Git fetch completed');
+    } catch (error) {
+      logger.warn('Git fetch failed', { error: error.message });
+      return {
+        hasUpdate: false,
+        message: 'Failed to fetch updates from git remote',
+        currentVersion,
+        error: 'git_fetch_failed',
+      };
+    }
+
+    // Get remote package.json using git show
+    let remotePackageJsonText;
+    try {
+      remotePackageJsonText = execSync('git show origin/main:package.json', {
+        cwd: process.cwd(),
+        encoding: 'utf-8',
+        stdio: 'pipe',
+        timeout: 5000,
+      });
+    } catch (error) {
+      logger.error('Failed to read remote package.json', { error: error.message });
+      return {
+        hasUpdate: false,
+        message: 'Failed to read remote package.json',
+        currentVersion,
+        error: 'git_show_failed',
+      };
+    }
+
+    const latestVersion = JSON.parse(remotePackageJsonText).version;
+
+    // Simple version comparison
+    const hasUpdate = latestVersion !== currentVersion && latestVersion > currentVersion;
+
+    logger.info('Update check complete', {
+      currentVersion,
+      latestVersion,
+      hasUpdate,
+    });
+
+    return { hasUpdate, currentVersion, latestVersion, releaseUrl: RELEASE_URL };
+  } catch (error) {
+    logger.error('Error checking for updates', { error: error.message });
+    return {
+      hasUpdate: false,
+      message: `Error checking for updates: ${error.message}`,
+      currentVersion,
+      error: 'check_failed',
+    };
+  }
+}
@@ -0,0 +1,321 @@
+/** @format */
+
+import { mkdir, rm, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { getSetting } from './settings';
+import { pathExists, moveAcrossDevices } from './fileOperations';
+import { reindexPath } from './searchIndex';
+import { getStorageOwnerId, checkQuota, adjustUsage } from './quota';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+export const VERSIONS_DIR = process.env.VERSIONS_DIR || './versions';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Filesystem location of a version's content
+ * Versions are stored under their record id, outside uploads, so they never show up in listings
+ * @param {object} version - FileVersion record
+ * @returns {string}
+ */
+export function getVersionFilePath(version) {
+  return join(VERSIONS_DIR, version.id);
+}
+
+// Path relative to uploads with forward slashes, or null for anything outside it (HEIC store, trash)
+function toRelativePath(fullPath) {
+  const resolved = resolve(fullPath);
+  if (!(resolved + sep).startsWith(RESOLVED_UPLOAD_DIR) || resolved + sep === RESOLVED_UPLOAD_DIR) return null;
+  return relative(RESOLVED_UPLOAD_DIR, resolved).split(sep).join('/');
+}
+
+function splitPath(relativePath) {
+  const index = relativePath.lastIndexOf('/');
+  return index === -1 ? { path: '', name: relativePath } : { path: relativePath.slice(0, index), name: relativePath.slice(index + 1) };
+}
+
+// The folder itself followed by each of its parents, up to the uploads root ('')
+function getFolderChain(folder) {
+  const chain = [folder];
+  let current = folder;
+  while (current) {
+    current = splitPath(current).path;
+    chain.push(current);
+  }
+  return chain;
+}
+
+/**
+ * Shape a version for API responses
+ * @param {object} version - FileVersion record
+ * @returns {object}
+ */
+export function serializeVersion(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    size: Number(version.size),
+    modifiedAt: version.modifiedAt,
+    uploadedBy: version.uploadedBy,
+    replacedBy: version.replacedBy,
+    createdAt: version.createdAt,
+  };
+}
+
+/**
+ * Retention that applies to files in a folder
+ * The closest folder policy wins for each limit; anything not set falls back to the global settings
+ * @param {string} folder - Folder path relative to uploads
+ * @param {object} options - Options object
+ * @param {boolean} options.inheritedOnly - Ignore the folder's own policy (what it would inherit without one)
+ * @returns {Promise<object>} { maxVersions: number, maxDays: number }
+ */
+export async function getVersionPolicy(folder, { inheritedOnly = false } = {}) {
+  const chain = getFolderChain(folder);
+  if (inheritedOnly) chain.shift();
+
+  const [policies, maxVersions, maxDays] = await Promise.all([
+    chain.length > 0 ? prisma.versionPolicy.findMany({ where: { path: { in: chain } } }) : [],
+    getSetting('versionRetentionCount'),
+    getSetting('versionRetentionDays'),
+  ]);
+
+  const byPath = new Map(policies.map((policy) => [policy.path, policy]));
+  const closest = (field) => chain.map((path) => byPath.get(path)?.[field]).find((value) => value !== null && value !== undefined);
+
+  return {
+    maxVersions: closest('maxVersions') ?? maxVersions,
+    maxDays: closest('maxDays') ?? maxDays,
+  };
+}
+
+/**
+ * Move a file's current content into version storage
+ * @returns {Promise<object>} Created FileVersion record
+ */
+async function archiveFile(filePath, { path, name, stats, replacedBy }) {
+  // Whoever replaced the previous version wrote the content being archived now
+  const previous = await prisma.fileVersion.findFirst({
+    where: { path, name },
+    orderBy: { createdAt: 'desc' },
+    select: { replacedBy: true },
+  });
+
+  const version = await prisma.fileVersion.create({
+    data: {
+      path,
+      name,
+      size: BigInt(stats.size),
+      modifiedAt: stats.mtime,
+      uploadedBy: previous?.replacedBy ?? null,
+      replacedBy,
+    },
+  });
+
+  try {
+    await mkdir(VERSIONS_DIR, { recursive: true });
+    await moveAcrossDevices(filePath, getVersionFilePath(version));
+  } catch (error) {
+    // Keep the database consistent with the filesystem
+    await prisma.fileVersion.delete({ where: { id: version.id } });
+    throw error;
+  }
+
+  return version;
+}
+
+/**
+ * Keep the current content of a file as a version before it is overwritten
+ * Call right before writing the new content: the file is moved out of the way, not copied.
+ * Does nothing for new files, folders, paths outside uploads, or folders where versioning is off.
+ * @param {string} filePath - Path on disk (as built with join(UPLOAD_DIR, ...))
+ * @param {object} options - Options object
+ * @param {string|null} options.replacedBy - Who is uploading the new content (username, or "Public share")
+ * @returns {Promise<object|null>} Created FileVersion record, or null if nothing was kept
+ */
+export async function saveVersion(filePath, { replacedBy = null } = {}) {
+  const relativePath = toRelativePath(filePath);
+  if (!relativePath) return null;
+
+  let stats;
+  try {
+    stats = await stat(filePath);
+  } catch {
+    return null;
+  }
+  if (!stats.isFile()) return null;
+
+  const { path, name } = splitPath(relativePath);
+  const policy = await getVersionPolicy(path);
+  if (policy.maxVersions === 0) return null;
+
+  const version = await archiveFile(filePath, { path, name, stats, replacedBy });
+  await pruneVersions(path, name, policy);
+  return version;
+}
+
+/**
+ * Versions of a file, newest first
+ * @param {string} path - Normalized parent folder path relative to uploads
+ * @param {string} name - File name
+ * @returns {Promise<Array<object>>} FileVersion records
+ */
+export async function listVersions(path, name) {
+  return prisma.fileVersion.findMany({
+    where: { path, name },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Permanently delete a version and its content
+ * @param {object} version - FileVersion record
+ */
+export async function deleteVersion(version) {
+  await rm(getVersionFilePath(version), { force: true });
+  await prisma.fileVersion.deleteMany({ where: { id: version.id } });
+}
+
+/**
+ * Delete the versions of a file that fall outside a retention policy
+ * @param {string} path - Parent folder path relative to uploads
+ * @param {string} name - File name
+ * @param {object} policy - { maxVersions, maxDays } from getVersionPolicy
+ * @returns {Promise<number>} Number of deleted versions
+ */
+export async function pruneVersions(path, name, policy) {
+  const versions = await listVersions(path, name);
+  const cutoff = policy.maxDays > 0 ? Date.now() - policy.maxDays * DAY : null;
+
+  const expired = versions.filter((version, index) => index >= policy.maxVersions || (cutoff && version.createdAt.getTime() < cutoff));
+  for (const version of expired) {
+    await deleteVersion(version);
+  }
+  return expired.length;
+}
+
+/**
+ * Make a version the current content of its file again
+ * The content it replaces is kept as a version in turn, so a restore can be undone.
+ * @param {object} version - FileVersion record
+ * @param {object} options - Options object
+ * @param {string|null} options.restoredBy - Username of the user restoring
+ * @returns {Promise<object>} { success: boolean, error: string|null, status: number }
+ */
+export async function restoreVersion(version, { restoredBy = null } = {}) {
+  const storedPath = getVersionFilePath(version);
+  if (!(await pathExists(storedPath))) {
+    // The data is gone, so the record is useless
+    await prisma.fileVersion.delete({ where: { id: version.id } });
+    return { success: false, error: 'Version is missing from storage', status: 410 };
+  }
+
+  const targetDir = join(UPLOAD_DIR, version.path);
+  if (!(resolve(targetDir) + sep).startsWith(RESOLVED_UPLOAD_DIR)) {
+    return { success: false, error: 'Invalid path', status: 400 };
+  }
+
+  const filePath = join(targetDir, version.name);
+  const currentStats = await stat(filePath).catch(() => null);
+  if (currentStats && !currentStats.isFile()) {
+    return { success: false, error: `A folder named "${version.name}" is in the way`, status: 409 };
+  }
+
+  const owner = getStorageOwnerId(filePath);
+  const sizeChange = Number(version.size) - (currentStats ? currentStats.size : 0);
+  if (sizeChange > 0) {
+    const quotaCheck = await checkQuota(owner, sizeChange);
+    if (!quotaCheck.allowed) {
+      return { success: false, error: quotaCheck.error, status: quotaCheck.status };
+    }
+  }
+
+  await mkdir(targetDir, { recursive: true });
+  if (currentStats) {
+    await archiveFile(filePath, { path: version.path, name: version.name, stats: currentStats, replacedBy: restoredBy });
+  }
+
+  await moveAcrossDevices(storedPath, filePath);
+  await prisma.fileVersion.delete({ where: { id: version.id } });
+  await adjustUsage(owner, sizeChange);
+  await reindexPath(filePath);
+  await pruneVersions(version.path, version.name, await getVersionPolicy(version.path));
+
+  return { success: true, error: null, status: 200 };
+}
+
+/**
+ * Carry version history and folder policies along when a file or folder is renamed or moved
+ * Failures are logged rather than thrown: the move already happened.
+ * @param {string} sourcePath - Old path on disk (as built with join(UPLOAD_DIR, ...))
+ * @param {string} targetPath - New path on disk
+ * @returns {Promise<void>}
+ */
+export async function moveVersions(sourcePath, targetPath) {
+  const from = toRelativePath(sourcePath);
+  const to = toRelativePath(targetPath);
+  if (!from || !to) return;
+
+  try {
+    const source = splitPath(from);
+    const target = splitPath(to);
+    await prisma.fileVersion.updateMany({
+      where: { path: source.path, name: source.name },
+      data: { path: target.path, name: target.name },
+    });
+
+    // Files inside a moved folder
+    const nested = await prisma.fileVersion.findMany({
+      where: { OR: [{ path: from }, { path: { startsWith: `${from}/` } }] },
+      select: { id: true, path: true },
+    });
+    for (const version of nested) {
+      await prisma.fileVersion.update({ where: { id: version.id }, data: { path: to + version.path.slice(from.length) } });
+    }
+
+    const policies = await prisma.versionPolicy.findMany({
+      where: { OR: [{ path: from }, { path: { startsWith: `${from}/` } }] },
+    });
+    for (const policy of policies) {
+      await prisma.versionPolicy.delete({ where: { path: policy.path } });
+      await prisma.versionPolicy.upsert({
+        where: { path: to + policy.path.slice(from.length) },
+        update: { maxVersions: policy.maxVersions, maxDays: policy.maxDays },
+        create: { path: to + policy.path.slice(from.length), maxVersions: policy.maxVersions, maxDays: policy.maxDays },
+      });
+    }
+  } catch (error) {
+    logger.warn('Versions - Failed to follow move', { from, to, error: error.message });
+  }
+}
+
+/**
+ * Apply retention to every file's versions (scheduler job)
+ * @returns {Promise<number>} Number of deleted versions
+ */
+export async function purgeExpiredVersions() {
+  const files = await prisma.fileVersion.findMany({ distinct: ['path', 'name'], select: { path: true, name: true } });
+  const policies = new Map();
+  let purged = 0;
+
+  for (const { path, name } of files) {
+    if (!policies.has(path)) {
+      policies.set(path, await getVersionPolicy(path));
+    }
+
+    try {
+      purged += await pruneVersions(path, name, policies.get(path));
+    } catch (error) {
+      logger.error('Versions - Failed to prune versions', { path, name, error: error.message });
+    }
+  }
+
+  if (purged > 0) {
+    logger.info('Versions - Purged expired versions', { count: purged });
+  }
+
+  return purged;
+}
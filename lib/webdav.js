@@ -0,0 +1,686 @@
+/** @format */
+
+import { createWriteStream } from 'fs';
+import { mkdir, readdir, rm, stat, writeFile } from 'fs/promises';
+import { createHash, randomUUID } from 'node:crypto';
+import { join, resolve, sep } from 'node:path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { lookup } from 'mime-types';
+import bcrypt from 'bcryptjs';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { CAPABILITIES, hasCapability } from './roles';
+import { hasRootAccess, checkPathAccess } from './pathPermissions';
+import { getPathOwnerId } from './permissions';
+import { isValidFileName, UPLOAD_TMP_DIR } from './chunkedUpload';
+import { getEntrySize, moveAcrossDevices, pathExists, transferEntry } from './fileOperations';
+import { getStorageOwnerId, checkQuota, adjustUsage } from './quota';
+import { saveVersion } from './versions';
+import { moveToTrash } from './trash';
+import { reindexPath } from './searchIndex';
+import { createFileResponse, getETag } from './fileStream';
+import { AUDIT_ACTIONS, recordAudit, toItemPath, getClientIp } from './audit';
+import { findApiToken, tokenAllows } from './apiTokens';
+import { isTwoFactorRequired } from './twoFactor';
+import { checkLoginThrottle, recordLoginFailure, recordLoginSuccess } from './loginThrottle';
+import { isPasswordSignInAllowed } from './sso';
+import { DAV_NS, parseXml, findChild, escapeXml, emptyElement } from './webdavXml';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+// URL prefix of the share; a path below it maps to the same path in the file browser
+export const DAV_PREFIX = '/dav';
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK';
+
+// Clients send the password with every request; checking the bcrypt hash each time would make listings crawl
+const CREDENTIAL_CACHE_TTL = 60 * 1000;
+
+const DEFAULT_LOCK_TIMEOUT = 60 * 60; // seconds
+const MAX_LOCK_TIMEOUT = 24 * 60 * 60;
+
+// What the account's role must allow for each method; LOCK and UNLOCK only guard edits made by the client itself
+const METHOD_CAPABILITIES = {
+  GET: CAPABILITIES.READ,
+  HEAD: CAPABILITIES.READ,
+  PROPFIND: CAPABILITIES.READ,
+  LOCK: CAPABILITIES.READ,
+  UNLOCK: CAPABILITIES.READ,
+  PUT: CAPABILITIES.UPLOAD,
+  MKCOL: CAPABILITIES.UPLOAD,
+  PROPPATCH: CAPABILITIES.MODIFY,
+  COPY: CAPABILITIES.MODIFY,
+  MOVE: CAPABILITIES.MODIFY,
+  DELETE: CAPABILITIES.DELETE,
+};
+
+// Transfer errors (see transferEntry) as WebDAV status codes
+const TRANSFER_STATUS = { 400: 403, 409: 412, 413: 507 };
+
+// Locks and cached credentials live in memory: they only have to outlast a client's session, not a restart
+function getState() {
+  if (!global.truecloudDav) {
+    global.truecloudDav = { locks: new Map(), credentials: new Map() };
+  }
+  return global.truecloudDav;
+}
+
+/**
+ * Drop the cached sign-ins of an account, so a changed role, password or deletion applies to its next request
+ * @param {string} userId - Account
+ */
+export function forgetDavLogins(userId) {
+  const { credentials } = getState();
+  for (const [key, entry] of credentials) {
+    if (entry.session.user.id === userId) credentials.delete(key);
+  }
+}
+
+// The account's role must allow a capability, and an API token used as the password must not be limited below it
+function canUse(session, capability) {
+  return hasCapability(session.user.role, capability) && tokenAllows(session.apiToken, capability);
+}
+
+function davResponse(status, body = null, headers = {}) {
+  return new Response(body, { status, headers });
+}
+
+function multistatus(responses, status = 207, headers = {}) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`;
+  return davResponse(status, body, { 'Content-Type': 'application/xml; charset=utf-8', ...headers });
+}
+
+/**
+ * Check HTTP Basic credentials: email or username, and the password or one of the account's API tokens
+ * Accounts with two-factor authentication have to use a token, since the password alone would get around it
+ * @param {Request} request - Incoming request
+ * @returns {Promise<object|null>} Session ({ user, apiToken }), or null
+ */
+async function authenticate(request) {
+  const match = /^Basic\s+(\S+)$/i.exec(request.headers.get('authorization') || '');
+  if (!match) return null;
+
+  const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  if (separator === -1) return null;
+  const login = credentials.slice(0, separator);
+  const password = credentials.slice(separator + 1);
+
+  const { credentials: cache } = getState();
+  const cacheKey = createHash('sha256').update(credentials).digest('hex');
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.session;
+
+  const user = await prisma.user.findFirst({ where: { OR: [{ email: login }, { username: login }] } });
+  const ip = getClientIp(request.headers);
+  const throttled = checkLoginThrottle({ ip, user });
+  const token = user && !throttled && (await findApiToken(password, ip));
+
+  let session = null;
+  let reason = null;
+  if (throttled) {
+    reason = throttled.reason;
+  } else if (token && token.userId === user.id) {
+    session = { user, apiToken: { id: token.id, name: token.name, scope: token.scope, folder: token.folder } };
+  } else if (user && !(await isPasswordSignInAllowed(user))) {
+    // Passwords are not checked at all, so guessing them is pointless; tokens still work
+    reason = 'Password sign-in not allowed, use an API token';
+  } else if (user && (await bcrypt.compare(password, user.password))) {
+    if (user.totpEnabled || (await isTwoFactorRequired(user))) {
+      reason = 'Two-factor authentication requires an API token';
+    } else {
+      session = { user };
+    }
+  } else {
+    reason = user ? 'Wrong password' : 'Unknown account';
+    await recordLoginFailure({ ip, user });
+  }
+
+  if (!session) {
+    await recordAudit({
+      req: request,
+      session: user ? { user } : null,
+      actor: user ? undefined : login,
+      action: AUDIT_ACTIONS.LOGIN,
+      success: false,
+      details: { via: 'webdav', reason },
+    });
+    return null;
+  }
+
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= Date.now()) cache.delete(key);
+  }
+  cache.set(cacheKey, { session, expiresAt: Date.now() + CREDENTIAL_CACHE_TTL });
+  await recordLoginSuccess(user);
+  await recordAudit({ req: request, session, action: AUDIT_ACTIONS.LOGIN, details: { via: 'webdav', apiToken: session.apiToken?.name } });
+  return session;
+}
+
+/**
+ * Split a URL path below DAV_PREFIX into the folder and name the rest of the app works with
+ * @param {string} pathname - URL path, still percent-encoded
+ * @returns {object|null} { folder, name, segments } (name is '' for the root), or null for paths outside the share or with invalid names
+ */
+function parseDavPath(pathname) {
+  if (pathname !== DAV_PREFIX && !pathname.startsWith(`${DAV_PREFIX}/`)) return null;
+
+  const segments = [];
+  for (const segment of pathname.slice(DAV_PREFIX.length).split('/').filter(Boolean)) {
+    try {
+      segments.push(decodeURIComponent(segment));
+    } catch {
+      return null;
+    }
+  }
+  if (!segments.every(isValidFileName)) return null;
+
+  return { folder: segments.slice(0, -1).join('/'), name: segments.at(-1) ?? '', segments };
+}
+
+function toHref(segments, isDirectory) {
+  const path = segments.map(encodeURIComponent).join('/');
+  return `${DAV_PREFIX}/${path}${isDirectory && path ? '/' : ''}`;
+}
+
+/**
+ * Apply the same path rules as the file browser to a target
+ * @returns {Promise<object>} { fullPath, folder, itemPath, granted } or { status } when access is refused
+ */
+async function resolveTarget(context, target, operation) {
+  const accessCheck = await checkPathAccess({
+    userId: context.user.id,
+    path: target.folder,
+    name: target.name,
+    operation,
+    isRootUser: context.isRoot,
+    tokenFolder: context.session.apiToken?.folder,
+  });
+  // A share that does not allow the operation answers 400 in the app; WebDAV clients expect 403
+  if (!accessCheck.allowed) return { status: accessCheck.status === 404 ? 404 : 403 };
+
+  const fullPath = join(UPLOAD_DIR, accessCheck.normalizedPath, target.name);
+  if (!(resolve(fullPath) + sep).startsWith(RESOLVED_UPLOAD_DIR)) return { status: 403 };
+
+  return { fullPath, folder: accessCheck.normalizedPath, itemPath: toItemPath(accessCheck.normalizedPath, target.name), granted: accessCheck.granted };
+}
+
+function isWithin(path, ancestor) {
+  return ancestor === '' || path === ancestor || path.startsWith(`${ancestor}/`);
+}
+
+function getActiveLocks() {
+  const { locks } = getState();
+  for (const [token, lock] of locks) {
+    if (lock.expiresAt <= Date.now()) locks.delete(token);
+  }
+  return [...locks.values()];
+}
+
+// Locks that apply to a path: on the path itself, or on a folder above it with depth infinity
+function locksCovering(itemPath) {
+  return getActiveLocks().filter((lock) => lock.itemPath === itemPath || (lock.depth === 'infinity' && isWithin(itemPath, lock.itemPath)));
+}
+
+// Lock tokens the client submitted in the If header
+function getSubmittedTokens(request) {
+  return [...(request.headers.get('if') || '').matchAll(/<(urn:uuid:[^>]+|opaquelocktoken:[^>]+)>/g)].map((match) => match[1]);
+}
+
+/**
+ * Check that every lock on the paths (and, for deletes and moves, on anything below them) was submitted by the client
+ * @returns {Response|null} 423 response, or null when the change may go ahead
+ */
+function checkLocks(request, itemPaths, { descendants = false } = {}) {
+  const submitted = getSubmittedTokens(request);
+  const locks = getActiveLocks().filter((lock) =>
+    itemPaths.some(
+      (itemPath) => lock.itemPath === itemPath || (lock.depth === 'infinity' && isWithin(itemPath, lock.itemPath)) || (descendants && isWithin(lock.itemPath, itemPath)),
+    ),
+  );
+  const blocking = locks.find((lock) => !submitted.includes(lock.token));
+  if (!blocking) return null;
+
+  return multistatus([`<D:response><D:href>${escapeXml(blocking.href)}</D:href><D:status>HTTP/1.1 423 Locked</D:status></D:response>`], 423);
+}
+
+function removeLocks(itemPath) {
+  const { locks } = getState();
+  for (const [token, lock] of locks) {
+    if (isWithin(lock.itemPath, itemPath)) locks.delete(token);
+  }
+}
+
+function activeLockXml(lock) {
+  const owner = lock.owner ? `<D:owner${lock.ownerNamespaces}>${lock.owner}</D:owner>` : '';
+  return (
+    `<D:activelock><D:locktype><D:write/></D:locktype><D:lockscope><D:${lock.scope}/></D:lockscope>` +
+    `<D:depth>${lock.depth === 'infinity' ? 'infinity' : '0'}</D:depth>${owner}` +
+    `<D:timeout>Second-${Math.max(Math.round((lock.expiresAt - Date.now()) / 1000), 0)}</D:timeout>` +
+    `<D:locktoken><D:href>${lock.token}</D:href></D:locktoken><D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot></D:activelock>`
+  );
+}
+
+const SUPPORTED_LOCK =
+  '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>' +
+  '<D:lockentry><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>';
+
+// Live properties of a file or folder, as XML fragments
+function getProperties(name, stats, itemPath) {
+  const properties = {
+    creationdate: stats.birthtime.toISOString(),
+    displayname: escapeXml(name),
+    getlastmodified: stats.mtime.toUTCString(),
+    getetag: escapeXml(getETag(stats)),
+    resourcetype: stats.isDirectory() ? '<D:collection/>' : '',
+    supportedlock: SUPPORTED_LOCK,
+    lockdiscovery: locksCovering(itemPath).map(activeLockXml).join(''),
+  };
+  if (!stats.isDirectory()) {
+    properties.getcontentlength = String(stats.size);
+    properties.getcontenttype = escapeXml(lookup(name) || 'application/octet-stream');
+  }
+  return properties;
+}
+
+function propstat(content, status) {
+  return `<D:propstat><D:prop>${content}</D:prop><D:status>HTTP/1.1 ${status}</D:status></D:propstat>`;
+}
+
+// One <response> of a PROPFIND: all properties, only their names, or the requested ones (unknown ones are reported missing)
+function propfindResponse(href, properties, request) {
+  let found;
+  let missing = [];
+  if (request.mode === 'propname') {
+    found = Object.keys(properties).map((name) => `<D:${name}/>`);
+  } else if (request.mode === 'prop') {
+    found = request.properties.filter((property) => property.ns === DAV_NS && property.name in properties).map(({ name }) => `<D:${name}>${properties[name]}</D:${name}>`);
+    missing = request.properties.filter((property) => property.ns !== DAV_NS || !(property.name in properties)).map(emptyElement);
+  } else {
+    found = Object.entries(properties).map(([name, value]) => `<D:${name}>${value}</D:${name}>`);
+  }
+
+  return `<D:response><D:href>${escapeXml(href)}</D:href>${found.length ? propstat(found.join(''), '200 OK') : ''}${missing.length ? propstat(missing.join(''), '404 Not Found') : ''}</D:response>`;
+}
+
+// What a PROPFIND body asks for; an empty body means all properties
+function parsePropfind(body) {
+  if (!body.trim()) return { mode: 'allprop' };
+  const root = parseXml(body);
+  if (!root || root.ns !== DAV_NS || root.name !== 'propfind') return null;
+  if (findChild(root, 'propname')) return { mode: 'propname' };
+  const prop = findChild(root, 'prop');
+  if (prop) return { mode: 'prop', properties: prop.children };
+  return { mode: 'allprop' };
+}
+
+async function handlePropfind(context) {
+  const { request, target } = context;
+  const resolved = await resolveTarget(context, target, 'read');
+  if (resolved.status) return davResponse(resolved.status);
+
+  const propfind = parsePropfind(await request.text());
+  if (!propfind) return davResponse(400);
+
+  const stats = await stat(resolved.fullPath).catch(() => null);
+  if (!stats) return davResponse(404);
+
+  const responses = [propfindResponse(toHref(target.segments, stats.isDirectory()), getProperties(target.name || 'dav', stats, resolved.itemPath), propfind)];
+
+  // Depth infinity is answered like depth 1: walking a whole library per request is not something to offer
+  if (stats.isDirectory() && request.headers.get('depth') !== '0') {
+    for (const name of await readdir(resolved.fullPath)) {
+      const childStats = await stat(join(resolved.fullPath, name)).catch(() => null);
+      if (!childStats) continue;
+      responses.push(
+        propfindResponse(toHref([...target.segments, name], childStats.isDirectory()), getProperties(name, childStats, toItemPath(resolved.itemPath, name)), propfind),
+      );
+    }
+  }
+
+  return multistatus(responses);
+}
+
+// Properties cannot be set: the live ones are computed, and dead ones are not stored
+async function handleProppatch(context) {
+  const { request, target } = context;
+  const resolved = await resolveTarget(context, target, 'write');
+  if (resolved.status) return davResponse(resolved.status);
+  if (!(await pathExists(resolved.fullPath))) return davResponse(404);
+
+  const locked = checkLocks(request, [resolved.itemPath]);
+  if (locked) return locked;
+
+  const root = parseXml(await request.text());
+  if (!root || root.ns !== DAV_NS || root.name !== 'propertyupdate') return davResponse(400);
+
+  const properties = root.children
+    .filter((child) => child.ns === DAV_NS && (child.name === 'set' || child.name === 'remove'))
+    .flatMap((child) => findChild(child, 'prop')?.children ?? []);
+  return multistatus([`<D:response><D:href>${escapeXml(toHref(target.segments, false))}</D:href>${propstat(properties.map(emptyElement).join(''), '403 Forbidden')}</D:response>`]);
+}
+
+async function handleGet(context) {
+  const { request, target, session } = context;
+  const resolved = await resolveTarget(context, target, 'read');
+  if (resolved.status) return davResponse(resolved.status);
+
+  const stats = await stat(resolved.fullPath).catch(() => null);
+  if (!stats) return davResponse(404);
+  if (stats.isDirectory()) return davResponse(405, null, { Allow: ALLOWED_METHODS });
+
+  const response = await createFileResponse(request, resolved.fullPath, { fileName: target.name, stats });
+  if (request.method === 'HEAD') {
+    await response.body?.cancel();
+    return davResponse(response.status, null, response.headers);
+  }
+
+  // Clients read large files in ranges; only the request that starts at the beginning counts as a download
+  const range = request.headers.get('range');
+  if (response.status === 200 && (!range || range.startsWith('bytes=0-'))) {
+    await recordAudit({ req: request, session, action: AUDIT_ACTIONS.FILE_DOWNLOAD, path: resolved.itemPath, details: { via: 'webdav' } });
+  }
+  return response;
+}
+
+async function handlePut(context) {
+  const { request, target, session, user } = context;
+  if (!target.name) return davResponse(405);
+
+  const resolved = await resolveTarget(context, target, 'write');
+  if (resolved.status) return davResponse(resolved.status);
+
+  const parentStats = await stat(join(resolved.fullPath, '..')).catch(() => null);
+  if (!parentStats?.isDirectory()) return davResponse(409);
+
+  const existing = await stat(resolved.fullPath).catch(() => null);
+  if (existing?.isDirectory()) return davResponse(405);
+  // PUT only needs the upload capability; replacing a file is a change to it
+  if (existing && !canUse(session, CAPABILITIES.MODIFY)) return davResponse(403);
+
+  const locked = checkLocks(request, [resolved.itemPath]);
+  if (locked) return locked;
+
+  const ownerId = getStorageOwnerId(resolved.fullPath);
+  const replacedSize = existing ? existing.size : 0;
+  const declaredSize = Number(request.headers.get('content-length'));
+  if (declaredSize > 0) {
+    const quotaCheck = await checkQuota(ownerId, Math.max(declaredSize - replacedSize, 0));
+    if (!quotaCheck.allowed) return davResponse(507, quotaCheck.error);
+  }
+
+  await mkdir(UPLOAD_TMP_DIR, { recursive: true });
+  const tempPath = join(UPLOAD_TMP_DIR, `dav-${randomUUID()}.part`);
+  try {
+    await pipeline(request.body ? Readable.fromWeb(request.body) : Readable.from([]), createWriteStream(tempPath));
+
+    // Without a Content-Length the size is only known now
+    const { size } = await stat(tempPath);
+    const quotaCheck = await checkQuota(ownerId, Math.max(size - replacedSize, 0));
+    if (!quotaCheck.allowed) return davResponse(507, quotaCheck.error);
+
+    if (existing && !(await saveVersion(resolved.fullPath, { replacedBy: user.username }))) {
+      await rm(resolved.fullPath, { force: true });
+    }
+    await moveAcrossDevices(tempPath, resolved.fullPath);
+    await adjustUsage(ownerId, size - replacedSize);
+    await reindexPath(resolved.fullPath);
+
+    await recordAudit({ req: request, session, action: AUDIT_ACTIONS.FILE_UPLOAD, path: resolved.itemPath, details: { size, replaced: !!existing, via: 'webdav' } });
+    return davResponse(existing ? 204 : 201);
+  } finally {
+    await rm(tempPath, { force: true });
+  }
+}
+
+async function handleMkcol(context) {
+  const { request, target, session } = context;
+  if (!target.name) return davResponse(405);
+  if ((await request.text()).length > 0) return davResponse(415);
+
+  const resolved = await resolveTarget(context, target, 'write');
+  if (resolved.status) return davResponse(resolved.status);
+  if (await pathExists(resolved.fullPath)) return davResponse(405);
+
+  const parentStats = await stat(join(resolved.fullPath, '..')).catch(() => null);
+  if (!parentStats?.isDirectory()) return davResponse(409);
+
+  const locked = checkLocks(request, [resolved.itemPath]);
+  if (locked) return locked;
+
+  await mkdir(resolved.fullPath);
+  await reindexPath(resolved.fullPath);
+  await recordAudit({ req: request, session, action: AUDIT_ACTIONS.FOLDER_CREATE, path: resolved.itemPath, details: { via: 'webdav' } });
+  return davResponse(201);
+}
+
+// Deleted items go to the trash, as in the file browser
+async function handleDelete(context) {
+  const { request, target, session, user } = context;
+  if (!target.name) return davResponse(403);
+
+  const resolved = await resolveTarget(context, target, 'delete');
+  if (resolved.status) return davResponse(resolved.status);
+  if (!(await pathExists(resolved.fullPath))) return davResponse(404);
+
+  const locked = checkLocks(request, [resolved.itemPath], { descendants: true });
+  if (locked) return locked;
+
+  const trashItem = await moveToTrash({
+    ownerId: resolved.granted ? getPathOwnerId(resolved.folder) : user.id,
+    relativePath: resolved.folder,
+    name: target.name,
+  });
+  removeLocks(resolved.itemPath);
+
+  await recordAudit({ req: request, session, action: AUDIT_ACTIONS.FILE_DELETE, path: resolved.itemPath, details: { trashItemId: trashItem.id, via: 'webdav' } });
+  return davResponse(204);
+}
+
+async function handleCopyOrMove(context) {
+  const { request, target, session, user } = context;
+  const copy = request.method === 'COPY';
+  if (!target.name) return davResponse(403);
+
+  let destinationUrl;
+  try {
+    destinationUrl = new URL(request.headers.get('destination'), request.url);
+  } catch {
+    return davResponse(400);
+  }
+  const destination = parseDavPath(destinationUrl.pathname);
+  if (!destination) return davResponse(502);
+  if (!destination.name) return davResponse(403);
+
+  const source = await resolveTarget(context, target, copy ? 'read' : 'delete');
+  if (source.status) return davResponse(source.status);
+  const sourceStats = await stat(source.fullPath).catch(() => null);
+  if (!sourceStats) return davResponse(404);
+
+  const resolvedDestination = await resolveTarget(context, destination, 'write');
+  if (resolvedDestination.status) return davResponse(resolvedDestination.status);
+  if (resolvedDestination.fullPath === source.fullPath) return davResponse(403);
+
+  const destinationDir = join(resolvedDestination.fullPath, '..');
+  if (!(await stat(destinationDir).catch(() => null))?.isDirectory()) return davResponse(409);
+
+  const locked = checkLocks(request, copy ? [resolvedDestination.itemPath] : [source.itemPath, resolvedDestination.itemPath], { descendants: true });
+  if (locked) return locked;
+
+  const overwrite = request.headers.get('overwrite')?.toUpperCase() !== 'F';
+  const existed = await pathExists(resolvedDestination.fullPath);
+  if (existed && !overwrite) return davResponse(412);
+
+  // Depth 0 copies a folder without its contents
+  if (copy && sourceStats.isDirectory() && request.headers.get('depth') === '0') {
+    if (existed) {
+      await adjustUsage(getStorageOwnerId(resolvedDestination.fullPath), -(await getEntrySize(resolvedDestination.fullPath)));
+      await rm(resolvedDestination.fullPath, { recursive: true, force: true });
+    }
+    await mkdir(resolvedDestination.fullPath);
+    await reindexPath(resolvedDestination.fullPath);
+  } else {
+    const result = await transferEntry(source.fullPath, destinationDir, {
+      copy,
+      onConflict: overwrite ? 'overwrite' : 'fail',
+      name: destination.name,
+      trashOwnerId: resolvedDestination.granted ? getPathOwnerId(resolvedDestination.folder) : user.id,
+    });
+    if (!result.success) return davResponse(TRANSFER_STATUS[result.status] ?? result.status, result.error);
+  }
+
+  if (!copy) removeLocks(source.itemPath);
+  await recordAudit({
+    req: request,
+    session,
+    action: copy ? AUDIT_ACTIONS.FILE_COPY : AUDIT_ACTIONS.FILE_MOVE,
+    path: source.itemPath,
+    details: { destination: resolvedDestination.itemPath, via: 'webdav' },
+  });
+  return davResponse(existed ? 204 : 201);
+}
+
+function parseTimeout(header) {
+  const seconds = /Second-(\d+)/i.exec(header || '');
+  return Math.min(seconds ? parseInt(seconds[1], 10) : DEFAULT_LOCK_TIMEOUT, MAX_LOCK_TIMEOUT);
+}
+
+function lockResponse(lock, status) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLockXml(lock)}</D:lockdiscovery></D:prop>`;
+  return davResponse(status, body, { 'Content-Type': 'application/xml; charset=utf-8', 'Lock-Token': `<${lock.token}>` });
+}
+
+async function handleLock(context) {
+  const { request, target, user } = context;
+  const resolved = await resolveTarget(context, target, 'read');
+  if (resolved.status) return davResponse(resolved.status);
+
+  const body = await request.text();
+
+  // An empty body refreshes a lock the client already holds
+  if (!body.trim()) {
+    const submitted = getSubmittedTokens(request);
+    const lock = locksCovering(resolved.itemPath).find((candidate) => submitted.includes(candidate.token));
+    if (!lock) return davResponse(412);
+    lock.expiresAt = Date.now() + parseTimeout(request.headers.get('timeout')) * 1000;
+    return lockResponse(lock, 200);
+  }
+
+  const lockinfo = parseXml(body);
+  if (!lockinfo || lockinfo.ns !== DAV_NS || lockinfo.name !== 'lockinfo') return davResponse(400);
+
+  const scope = findChild(findChild(lockinfo, 'lockscope'), 'shared') ? 'shared' : 'exclusive';
+  const depth = request.headers.get('depth') === '0' ? '0' : 'infinity';
+  const conflicting = getActiveLocks().find(
+    (lock) =>
+      (lock.itemPath === resolved.itemPath ||
+        (lock.depth === 'infinity' && isWithin(resolved.itemPath, lock.itemPath)) ||
+        (depth === 'infinity' && isWithin(lock.itemPath, resolved.itemPath))) &&
+      (scope === 'exclusive' || lock.scope === 'exclusive'),
+  );
+  if (conflicting) return checkLocks(request, [resolved.itemPath], { descendants: true }) ?? davResponse(423);
+
+  // Locking a name that does not exist yet reserves it with an empty file
+  let created = false;
+  if (!(await pathExists(resolved.fullPath))) {
+    const writable = await resolveTarget(context, target, 'write');
+    if (writable.status || !canUse(context.session, CAPABILITIES.UPLOAD) || !target.name) return davResponse(writable.status || 403);
+    if (!(await stat(join(resolved.fullPath, '..')).catch(() => null))?.isDirectory()) return davResponse(409);
+    await writeFile(resolved.fullPath, '');
+    await reindexPath(resolved.fullPath);
+    created = true;
+  }
+
+  const owner = findChild(lockinfo, 'owner');
+  const ownerNamespaces = owner
+    ? Object.entries(owner.scope)
+        .filter(([prefix]) => prefix !== 'xml' && prefix !== 'D')
+        .map(([prefix, ns]) => ` xmlns${prefix ? `:${prefix}` : ''}="${escapeXml(ns)}"`)
+        .join('')
+    : '';
+
+  const lock = {
+    token: `urn:uuid:${randomUUID()}`,
+    itemPath: resolved.itemPath,
+    href: toHref(target.segments, false),
+    scope,
+    depth,
+    owner: owner?.inner.trim() || '',
+    ownerNamespaces,
+    userId: user.id,
+    expiresAt: Date.now() + parseTimeout(request.headers.get('timeout')) * 1000,
+  };
+  getState().locks.set(lock.token, lock);
+
+  return lockResponse(lock, created ? 201 : 200);
+}
+
+async function handleUnlock(context) {
+  const { request, target, user } = context;
+  const resolved = await resolveTarget(context, target, 'read');
+  if (resolved.status) return davResponse(resolved.status);
+
+  const token = /<([^>]+)>/.exec(request.headers.get('lock-token') || '')?.[1];
+  const lock = token && locksCovering(resolved.itemPath).find((candidate) => candidate.token === token);
+  if (!lock) return davResponse(409);
+  if (lock.userId !== user.id) return davResponse(403);
+
+  getState().locks.delete(token);
+  return davResponse(204);
+}
+
+const HANDLERS = {
+  GET: handleGet,
+  HEAD: handleGet,
+  PROPFIND: handlePropfind,
+  PROPPATCH: handleProppatch,
+  PUT: handlePut,
+  MKCOL: handleMkcol,
+  DELETE: handleDelete,
+  COPY: handleCopyOrMove,
+  MOVE: handleCopyOrMove,
+  LOCK: handleLock,
+  UNLOCK: handleUnlock,
+};
+
+/**
+ * Answer a WebDAV request for a path below DAV_PREFIX
+ * Accounts sign in with HTTP Basic auth and see the same folders as in the file browser, with the same
+ * role and path permission checks; deletes go to the trash and overwritten files are kept as versions.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>}
+ */
+export async function handleDavRequest(request) {
+  const method = request.method.toUpperCase();
+  const { pathname } = new URL(request.url);
+  const target = parseDavPath(pathname);
+  if (!target) return davResponse(404);
+
+  if (method === 'OPTIONS') {
+    return davResponse(200, null, { DAV: '1, 2', Allow: ALLOWED_METHODS, 'MS-Author-Via': 'DAV' });
+  }
+
+  const handler = HANDLERS[method];
+  if (!handler) return davResponse(405, null, { Allow: ALLOWED_METHODS });
+
+  const session = await authenticate(request);
+  if (!session) {
+    return davResponse(401, null, { 'WWW-Authenticate': 'Basic realm="TrueCloud", charset="UTF-8"' });
+  }
+
+  const { user } = session;
+  if (!canUse(session, METHOD_CAPABILITIES[method])) return davResponse(403);
+
+  try {
+    const isRoot = await hasRootAccess(user.id);
+    // A new account's personal folder is only created on first use
+    if (!isRoot) await mkdir(join(UPLOAD_DIR, `user_${user.id}`), { recursive: true });
+
+    return await handler({ request, target, user, session, isRoot });
+  } catch (error) {
+    logger.error(`WebDAV - ${method} failed`, { path: pathname, user: user.email, error: error.message });
+    return davResponse(500);
+  }
+}
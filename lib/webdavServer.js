@@ -0,0 +1,63 @@
+/** @format */
+
+import { createServer } from 'node:http';
+import { Readable } from 'stream';
+import { logger } from './logger';
+import { handleDavRequest } from './webdav';
+
+// Next.js route handlers reject PROPFIND, MKCOL, LOCK and the other WebDAV methods, so the share gets its own listener
+const WEBDAV_PORT = process.env.WEBDAV_PORT;
+const WEBDAV_HOST = process.env.WEBDAV_HOST || '0.0.0.0';
+
+function toWebRequest(req) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach((item) => headers.append(name, item));
+    else if (value !== undefined) headers.set(name, value);
+  }
+
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+  return new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+    method: req.method,
+    headers,
+    body: hasBody ? Readable.toWeb(req) : undefined,
+    duplex: hasBody ? 'half' : undefined,
+  });
+}
+
+async function handle(req, res) {
+  try {
+    const response = await handleDavRequest(toWebRequest(req));
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body || req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    Readable.fromWeb(response.body)
+      .on('error', (error) => {
+        logger.warn('WebDAV - Response stream failed', { url: req.url, error: error.message });
+        res.destroy();
+      })
+      .pipe(res);
+  } catch (error) {
+    logger.error('WebDAV - Request failed', { method: req.method, url: req.url, error: error.message });
+    if (!res.headersSent) res.writeHead(500);
+    res.end();
+  }
+}
+
+/**
+ * Start the WebDAV listener when WEBDAV_PORT is set; the share is served under /dav
+ */
+export function startWebdavServer() {
+  if (!WEBDAV_PORT || global.truecloudWebdavServer) return;
+
+  const server = createServer(handle);
+  server.on('error', (error) => {
+    logger.error('WebDAV - Server error', { port: WEBDAV_PORT, error: error.message });
+  });
+  server.listen(Number(WEBDAV_PORT), WEBDAV_HOST, () => {
+    logger.info('WebDAV - Listening', { host: WEBDAV_HOST, port: WEBDAV_PORT });
+  });
+  global.truecloudWebdavServer = server;
+}
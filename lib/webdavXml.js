@@ -0,0 +1,105 @@
+/** @format */
+
+// Request bodies of WebDAV clients are small (a property list, a lock owner), so a tolerant
+// namespace-aware reader is enough; DTDs, processing instructions and comments are skipped.
+
+export const DAV_NS = 'DAV:';
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document into { ns, name, children, text, inner } elements
+ * inner is the raw markup between the element's tags, e.g. to echo a lock owner back unchanged.
+ * @param {string} source - XML text
+ * @returns {object|null} Root element, or null when the body is empty or not well-formed
+ */
+export function parseXml(source) {
+  if (!source || !source.trim()) return null;
+
+  const root = { children: [], scope: { xml: 'http://www.w3.org/XML/1998/namespace' } };
+  const stack = [root];
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [token, cdata, closing, tagName, attributes = '', selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined || cdata !== undefined) {
+      if (parent !== root) parent.text += text !== undefined ? decodeEntities(text) : cdata;
+      continue;
+    }
+    if (!tagName) continue;
+
+    if (closing) {
+      const element = stack.pop();
+      if (element === root || element.qname !== tagName) return null;
+      element.inner = source.slice(element.contentStart, match.index);
+      continue;
+    }
+
+    const scope = { ...parent.scope };
+    for (const [, attribute, doubleQuoted, singleQuoted] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = decodeEntities(doubleQuoted ?? singleQuoted);
+      if (attribute === 'xmlns') scope[''] = value;
+      else if (attribute.startsWith('xmlns:')) scope[attribute.slice(6)] = value;
+    }
+
+    const separator = tagName.indexOf(':');
+    const prefix = separator === -1 ? '' : tagName.slice(0, separator);
+    const element = {
+      ns: scope[prefix] ?? '',
+      name: separator === -1 ? tagName : tagName.slice(separator + 1),
+      qname: tagName,
+      children: [],
+      text: '',
+      inner: '',
+      scope,
+      contentStart: match.index + token.length,
+    };
+    parent.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+
+  return stack.length === 1 && root.children.length === 1 ? root.children[0] : null;
+}
+
+/**
+ * First child element with the given DAV: name
+ * @param {object|null} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {object|null}
+ */
+export function findChild(element, name) {
+  return element?.children.find((child) => child.ns === DAV_NS && child.name === name) ?? null;
+}
+
+/**
+ * Markup for an empty property element, declaring its namespace when it is not DAV:
+ * @param {object} property - { ns, name }
+ * @returns {string}
+ */
+export function emptyElement({ ns, name }) {
+  if (ns === DAV_NS) return `<D:${name}/>`;
+  return ns ? `<X:${name} xmlns:X="${escapeXml(ns)}"/>` : `<${name} xmlns=""/>`;
+}
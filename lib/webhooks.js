@@ -0,0 +1,385 @@
+/** @format */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import { lookup as dnsLookup } from 'node:dns';
+import { lookup } from 'node:dns/promises';
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { stat } from 'fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { prisma } from './prisma';
+import { logger } from './logger';
+import { CAPABILITIES, hasCapability } from './roles';
+import { isInTokenFolder } from './apiTokens';
+import { checkPathAccess, hasRootAccess } from './pathPermissions';
+
+/**
+ * Events a webhook can subscribe to, named like the audit actions that trigger them
+ * recordAudit hands every successful entry to emitWebhookEvent, so routes need no webhook code of their own
+ */
+export const WEBHOOK_EVENTS = {
+  'file.upload': 'File uploaded',
+  'file.delete': 'File or folder deleted',
+  'file.rename': 'File or folder renamed',
+  'file.move': 'File or folder moved',
+  'file.copy': 'File or folder copied',
+  'share.access': 'Public link opened',
+  'share.upload': 'File uploaded through a public link',
+  'torrent.complete': 'Torrent or remote download finished',
+};
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const RESOLVED_UPLOAD_DIR = resolve(process.cwd(), UPLOAD_DIR) + sep;
+
+const MAX_URL_LENGTH = 2048;
+
+// Sent from the webhooks page to check the receiver; not subscribable
+export const PING_EVENT = 'ping';
+
+// Waits before attempts 2, 3, ...; a delivery that still fails after the last one is given up
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT = 10 * 1000;
+// Delivery log entries are deleted after this long
+const DELIVERY_RETENTION_DAYS = 30;
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges: only admins may send webhooks there
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const INTERNAL_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Webhook fields safe to send to clients (never the secret)
+ * @param {object} webhook - Webhook record
+ * @returns {object}
+ */
+export function serializeWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: JSON.parse(webhook.events),
+    folder: webhook.folder,
+    enabled: webhook.enabled,
+    createdAt: webhook.createdAt,
+  };
+}
+
+/**
+ * New signing secret; shown to the owner once, when the webhook is created or the secret replaced
+ * @returns {string}
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Signature sent in X-TrueCloud-Signature, so receivers can check a request came from this server
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex HMAC of the body>"
+ */
+export function signWebhookPayload(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check the URL and events of a webhook being created or changed
+ * @param {object} input - { url, events }; either may be undefined when changing a webhook
+ * @returns {string|null} What is wrong, or null when the input is acceptable
+ */
+export function validateWebhookInput({ url, events }) {
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = typeof url === 'string' && url.length <= MAX_URL_LENGTH ? new URL(url) : null;
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Enter an http:// or https:// URL';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Choose at least one event';
+    }
+    const unknown = events.find((event) => !Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event));
+    if (unknown !== undefined) {
+      return `Unknown event: ${unknown}`;
+    }
+  }
+
+  return null;
+}
+
+const INTERNAL_ADDRESS_ERROR = 'Webhooks cannot be sent to local or private network addresses';
+
+function isInternalAddress(address, family) {
+  return INTERNAL_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+// Admins may send webhooks anywhere, their own network included
+async function mayReachInternalAddresses(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { role: true } });
+  return !!user && hasCapability(user.role, CAPABILITIES.MANAGE);
+}
+
+/**
+ * Check that a webhook's owner may send to the host in its URL
+ * Other accounts could otherwise use the delivery log to probe the server's own network, so the host is resolved
+ * and internal addresses are refused unless the owner manages the server. Deliveries check the address they
+ * connect to again, since what a name resolves to can change.
+ * @param {string} userId - Owner of the webhook
+ * @param {string} url - Webhook URL (already validated)
+ * @returns {Promise<string|null>} What is wrong, or null when the host may be used
+ */
+export async function checkWebhookTarget(userId, url) {
+  if (await mayReachInternalAddresses(userId)) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true }).catch(() => []);
+  if (addresses.length === 0) {
+    return `Cannot resolve ${host}`;
+  }
+  if (addresses.some(({ address, family }) => isInternalAddress(address, family))) {
+    return INTERNAL_ADDRESS_ERROR;
+  }
+  return null;
+}
+
+// dns.lookup for delivery connections: the addresses checked are the ones connected to, so a name cannot
+// switch to an internal address between the check and the request
+function lookupPublicAddress(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address, family }) => isInternalAddress(address, family))) {
+      return callback(new Error(INTERNAL_ADDRESS_ERROR));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a delivery without following redirects; resolves with the HTTP status
+function postDelivery(url, { headers, body, allowInternal }) {
+  return new Promise((resolveStatus, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    // Connecting to an IP address skips the lookup
+    if (!allowInternal && isIP(host) && isInternalAddress(host, isIP(host))) {
+      reject(new Error(INTERNAL_ADDRESS_ERROR));
+      return;
+    }
+
+    const request = (target.protocol === 'https:' ? httpsRequest : httpRequest)(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: allowInternal ? undefined : lookupPublicAddress,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      },
+      (response) => {
+        // Only the status matters; the body is discarded
+        response.resume();
+        resolveStatus(response.statusCode);
+      },
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Normalize the folder a webhook is limited to, as typed in the file browser
+ * @param {string} userId - Owner of the webhook
+ * @param {string} folder - Folder path; empty for no limit
+ * @returns {Promise<object>} { folder: normalized path or null, error: string|null, status: number }
+ */
+export async function resolveWebhookFolder(userId, folder) {
+  if (typeof folder !== 'string' || !folder.trim()) {
+    return { folder: null, error: null, status: 200 };
+  }
+
+  const accessCheck = await checkPathAccess({
+    userId,
+    path: folder.trim().replace(/^\/+|\/+$/g, ''),
+    operation: 'read',
+    isRootUser: await hasRootAccess(userId),
+  });
+  if (!accessCheck.allowed) {
+    return { folder: null, error: accessCheck.error, status: accessCheck.status };
+  }
+
+  const folderPath = join(UPLOAD_DIR, accessCheck.normalizedPath);
+  const stats = (resolve(folderPath) + sep).startsWith(RESOLVED_UPLOAD_DIR) ? await stat(folderPath).catch(() => null) : null;
+  if (!stats?.isDirectory()) {
+    return { folder: null, error: 'Folder not found', status: 404 };
+  }
+
+  return { folder: accessCheck.normalizedPath, error: null, status: 200 };
+}
+
+// Whether the owner of a webhook may hear about an event (the same things they could see in the app)
+async function canReceive(webhook, { userId, paths }) {
+  if (paths.length === 0) {
+    // Events outside the file tree (downloads) go to the owner of the event and to admins
+    return !webhook.folder && (webhook.userId === userId || (await hasRootAccess(webhook.userId)));
+  }
+
+  // Moves and copies touch two places; seeing either one is enough
+  const isRootUser = await hasRootAccess(webhook.userId);
+  for (const path of paths) {
+    if (!isInTokenFolder(webhook.folder, path)) continue;
+    const access = await checkPathAccess({ userId: webhook.userId, path, operation: 'read', isRootUser });
+    if (access.allowed) return true;
+  }
+  return false;
+}
+
+/**
+ * Make one attempt at sending a delivery and record the outcome
+ * @param {object} delivery - WebhookDelivery record with its webhook
+ * @returns {Promise<object>} The updated WebhookDelivery record
+ */
+export async function attemptDelivery(delivery) {
+  const { webhook } = delivery;
+  let responseCode = null;
+  let error = null;
+
+  try {
+    responseCode = await postDelivery(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TrueCloud-Webhook',
+        'X-TrueCloud-Event': delivery.event,
+        'X-TrueCloud-Delivery': delivery.id,
+        'X-TrueCloud-Signature': signWebhookPayload(webhook.secret, delivery.payload),
+      },
+      body: delivery.payload,
+      allowInternal: await mayReachInternalAddresses(webhook.userId),
+    });
+    if (responseCode < 200 || responseCode >= 300) error = `Receiver answered HTTP ${responseCode}`;
+  } catch (requestError) {
+    error = requestError.cause?.name === 'TimeoutError' ? `No answer within ${DELIVERY_TIMEOUT / 1000} seconds` : requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retryDelay = error ? RETRY_DELAYS[attempts - 1] : undefined;
+  const status = !error ? 'delivered' : retryDelay ? 'pending' : 'failed';
+
+  if (error) {
+    logger.warn('Webhooks - Delivery failed', { deliveryId: delivery.id, webhookId: webhook.id, attempts, error });
+  }
+
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: { attempts, status, responseCode, error, retryAt: retryDelay ? new Date(Date.now() + retryDelay) : null },
+  });
+}
+
+/**
+ * Queue an event for one webhook and make the first attempt right away
+ * @param {object} webhook - Webhook record
+ * @param {string} event - Event name
+ * @param {string} payload - JSON body
+ * @param {boolean} wait - Wait for the first attempt (otherwise it runs in the background)
+ * @returns {Promise<object>} The WebhookDelivery record (after the attempt when waiting)
+ */
+export async function queueDelivery(webhook, event, payload, wait = false) {
+  // retryAt is set up front so a delivery interrupted by a restart is still picked up by the retry job
+  const delivery = await prisma.webhookDelivery.create({
+    data: { webhookId: webhook.id, event, payload, retryAt: new Date(Date.now() + RETRY_DELAYS[0]) },
+  });
+
+  const attempt = attemptDelivery({ ...delivery, webhook });
+  if (wait) return attempt;
+
+  attempt.catch((error) => logger.error('Webhooks - Failed to record delivery', { deliveryId: delivery.id, error: error.message }));
+  return delivery;
+}
+
+/**
+ * Send an event to every enabled webhook that subscribed to it and whose owner may see it
+ * Never throws and does not wait for the receivers
+ * @param {object} event - Options object
+ * @param {string} event.event - Event name (an audit action; anything not in WEBHOOK_EVENTS is ignored)
+ * @param {string|null} event.userId - Account that caused it (null for public share visitors)
+ * @param {string} event.actor - Username, or "Public share"
+ * @param {string|null} event.path - Affected path relative to uploads
+ * @param {object|null} event.details - Event-specific extras, as recorded in the audit log (a destination path counts as affected too)
+ */
+export async function emitWebhookEvent({ event, userId, actor, path, details }) {
+  if (!Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event)) return;
+
+  try {
+    const webhooks = await prisma.webhook.findMany({ where: { enabled: true, events: { contains: JSON.stringify(event) } } });
+    if (webhooks.length === 0) return;
+
+    const payload = JSON.stringify({ event, timestamp: new Date().toISOString(), actor, path, details });
+    const paths = [path, details?.destination].filter(Boolean);
+    for (const webhook of webhooks) {
+      if (await canReceive(webhook, { userId, paths })) {
+        await queueDelivery(webhook, event, payload);
+      }
+    }
+  } catch (error) {
+    logger.error('Webhooks - Failed to queue event', { event, path, error: error.message });
+  }
+}
+
+/**
+ * Retry deliveries whose next attempt is due (scheduler job)
+ */
+export async function retryWebhookDeliveries() {
+  // Slow receivers can make a run outlast the interval; the next run must not send the same deliveries again
+  if (global.truecloudWebhookRetryRunning) return;
+  global.truecloudWebhookRetryRunning = true;
+
+  try {
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { status: 'pending', retryAt: { lte: new Date() }, webhook: { enabled: true } },
+      include: { webhook: true },
+      orderBy: { retryAt: 'asc' },
+    });
+
+    for (const delivery of deliveries) {
+      await attemptDelivery(delivery);
+    }
+  } finally {
+    global.truecloudWebhookRetryRunning = false;
+  }
+}
+
+/**
+ * Delete delivery log entries older than DELIVERY_RETENTION_DAYS (scheduler job)
+ */
+export async function purgeOldWebhookDeliveries() {
+  const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.webhookDelivery.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  if (count > 0) {
+    logger.info('Webhooks - Old deliveries purged', { count });
+  }
+}
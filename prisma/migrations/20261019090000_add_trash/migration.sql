@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "TrashItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "ownerId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "originalPath" TEXT NOT NULL,
+    "isDirectory" BOOLEAN NOT NULL DEFAULT false,
+    "size" BIGINT NOT NULL DEFAULT 0,
+    "deletedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TrashItem_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "SystemSetting" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "TrashItem_ownerId_idx" ON "TrashItem"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "TrashItem_deletedAt_idx" ON "TrashItem"("deletedAt");
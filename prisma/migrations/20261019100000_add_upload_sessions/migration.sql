@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "UploadSession" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "shareId" TEXT,
+    "path" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "mimeType" TEXT,
+    "checksum" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "UploadSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "UploadSession_shareId_fkey" FOREIGN KEY ("shareId") REFERENCES "Share" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "UploadSession_userId_idx" ON "UploadSession"("userId");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_shareId_idx" ON "UploadSession"("shareId");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_updatedAt_idx" ON "UploadSession"("updatedAt");
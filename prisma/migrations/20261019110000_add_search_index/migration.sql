@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "SearchIndexEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "path" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isDirectory" BOOLEAN NOT NULL DEFAULT false,
+    "size" BIGINT NOT NULL DEFAULT 0,
+    "category" TEXT NOT NULL,
+    "modifiedAt" DATETIME NOT NULL,
+    "indexedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SearchIndexEntry_name_idx" ON "SearchIndexEntry"("name");
+
+-- CreateIndex
+CREATE INDEX "SearchIndexEntry_category_idx" ON "SearchIndexEntry"("category");
+
+-- CreateIndex
+CREATE INDEX "SearchIndexEntry_size_idx" ON "SearchIndexEntry"("size");
+
+-- CreateIndex
+CREATE INDEX "SearchIndexEntry_modifiedAt_idx" ON "SearchIndexEntry"("modifiedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SearchIndexEntry_path_name_key" ON "SearchIndexEntry"("path", "name");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "quotaBytes" BIGINT;
+ALTER TABLE "User" ADD COLUMN "usedBytes" BIGINT NOT NULL DEFAULT 0;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "FileVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "path" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "modifiedAt" DATETIME NOT NULL,
+    "uploadedBy" TEXT,
+    "replacedBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "VersionPolicy" (
+    "path" TEXT NOT NULL PRIMARY KEY,
+    "maxVersions" INTEGER,
+    "maxDays" INTEGER,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "FileVersion_path_name_idx" ON "FileVersion"("path", "name");
+
+-- CreateIndex
+CREATE INDEX "FileVersion_createdAt_idx" ON "FileVersion"("createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN "onConflict" TEXT NOT NULL DEFAULT 'overwrite';
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "File_path_idx" ON "File"("path");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "authProvider" TEXT NOT NULL DEFAULT 'local';
+ALTER TABLE "User" ADD COLUMN "externalId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_authProvider_externalId_key" ON "User"("authProvider", "externalId");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "resetHash" TEXT;
+ALTER TABLE "User" ADD COLUMN "resetExpires" DATETIME;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_resetHash_key" ON "User"("resetHash");
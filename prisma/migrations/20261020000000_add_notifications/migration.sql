@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "notifications" TEXT;
+
+-- AlterTable
+ALTER TABLE "Share" ADD COLUMN "expiryWarned" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "RemoteDownload" (
+    "gid" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "RemoteDownload_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "RemoteDownload_userId_idx" ON "RemoteDownload"("userId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TrashItem" ADD COLUMN "permissions" TEXT;
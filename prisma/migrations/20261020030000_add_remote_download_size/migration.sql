@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RemoteDownload" ADD COLUMN "size" BIGINT;
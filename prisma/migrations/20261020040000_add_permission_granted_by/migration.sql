@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "FilePermission" ADD COLUMN "grantedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "GroupPermission" ADD COLUMN "grantedById" TEXT;
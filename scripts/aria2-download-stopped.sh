@@ -0,0 +1,5 @@
+#!/bin/sh
+
+# Run by aria2c (started from lib/aria2Manager.js) when a download completes, fails or is removed; $1 is its GID.
+# TrueCloud reads aria2c's output, so printing the GID is enough for it to look the download up and announce it.
+echo "truecloud-download-stopped $1"
@@ -20,7 +20,18 @@ async function createAdminUser() {
 
   const email = await question('Email: ');
   const username = await question('Username: ');
-  const password = await question('Password: ');
+
+  // Same policy as passwords set in the app, with the minimum length from Admin → Settings once it has been changed
+  const { checkPasswordPolicy, DEFAULT_MIN_PASSWORD_LENGTH } = await import('../lib/passwordPolicy.mjs');
+  const minLengthSetting = await prisma.systemSetting.findUnique({ where: { key: 'passwordMinLength' } });
+  const minLength = minLengthSetting ? Number(minLengthSetting.value) : DEFAULT_MIN_PASSWORD_LENGTH;
+  let password = await question('Password: ');
+  let policyError;
+  while ((policyError = checkPasswordPolicy(password, { minLength, username, email }))) {
+    console.log(`✗ ${policyError}`);
+    password = await question('Password: ');
+  }
+
   const name = await question('Full Name (optional): ');
 
   const hashedPassword = await bcrypt.hash(password, 10);